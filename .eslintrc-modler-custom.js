@@ -57,7 +57,7 @@ module.exports = {
                 '**/push-face-command.js',
                 '**/update-layout-property-command.js',
                 '**/layout-engine.js',
-                '**/axis-gizmo.js',
+                '**/view-cube.js',
                 '**/snap-visualizer.js',
                 '**/container-visualizer.js',
                 '**/main-adapter.js',
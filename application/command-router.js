@@ -146,6 +146,12 @@ class CommandRouter {
         this.handlers.set('delete-object', this.handleDeleteObject.bind(this));
         this.handlers.set('object-delete', this.handleDeleteObject.bind(this)); // Alias
         this.handlers.set('duplicate-object', this.handleDuplicateObject.bind(this));
+        this.handlers.set('clipboard-copy', this.handleClipboardCopy.bind(this));
+        this.handlers.set('clipboard-cut', this.handleClipboardCut.bind(this));
+        this.handlers.set('clipboard-paste', this.handleClipboardPaste.bind(this));
+        this.handlers.set('property-clipboard-get', this.handlePropertyClipboardGet.bind(this));
+        this.handlers.set('properties-copy', this.handlePropertiesCopy.bind(this));
+        this.handlers.set('properties-paste', this.handlePropertiesPaste.bind(this));
 
         // ═══════════════════════════════════════════════════════════
         // CONTAINER OPERATIONS
@@ -167,6 +173,11 @@ class CommandRouter {
         // ═══════════════════════════════════════════════════════════
         this.handlers.set('undo', this.handleUndo.bind(this));
         this.handlers.set('redo', this.handleRedo.bind(this));
+        this.handlers.set('history-get', this.handleHistoryGet.bind(this));
+        this.handlers.set('history-jump', this.handleHistoryJump.bind(this));
+        this.handlers.set('history-checkpoint-add', this.handleHistoryCheckpointAdd.bind(this));
+        this.handlers.set('history-checkpoint-remove', this.handleHistoryCheckpointRemove.bind(this));
+        this.handlers.set('history-branch-restore', this.handleHistoryBranchRestore.bind(this));
 
         // ═══════════════════════════════════════════════════════════
         // SYSTEM OPERATIONS (Panel ready, file manager, settings)
@@ -210,6 +221,15 @@ class CommandRouter {
         this.handlers.set('import-scene', this.handleImportScene.bind(this));
         this.handlers.set('export-object', this.handleExportObject.bind(this));
         this.handlers.set('import-object', this.handleImportObject.bind(this));
+        this.handlers.set('export-mesh', this.handleExportMesh.bind(this));
+        this.handlers.set('import-mesh', this.handleImportMesh.bind(this));
+
+        // ═══════════════════════════════════════════════════════════
+        // PRESENTATION OPERATIONS (Render mode and still capture)
+        // ═══════════════════════════════════════════════════════════
+        this.handlers.set('presentation-get', this.handlePresentationGet.bind(this));
+        this.handlers.set('presentation-set', this.handlePresentationSet.bind(this));
+        this.handlers.set('presentation-capture', this.handlePresentationCapture.bind(this));
 
         // ═══════════════════════════════════════════════════════════
         // YARD OPERATIONS (Material Library)
@@ -220,6 +240,65 @@ class CommandRouter {
         this.handlers.set('yard-remove-item', this.handleYardRemoveItem.bind(this));
         this.handlers.set('yard-place-item', this.handleYardPlaceItem.bind(this));
 
+        // ═══════════════════════════════════════════════════════════
+        // SCENE PARAMETER OPERATIONS (Named design variables)
+        // ═══════════════════════════════════════════════════════════
+        this.handlers.set('scene-parameters-get', this.handleSceneParametersGet.bind(this));
+        this.handlers.set('scene-parameter-set', this.handleSceneParameterSet.bind(this));
+        this.handlers.set('scene-parameter-remove', this.handleSceneParameterRemove.bind(this));
+
+        // ═══════════════════════════════════════════════════════════
+        // VIEWPOINT OPERATIONS (Saved camera views)
+        // ═══════════════════════════════════════════════════════════
+        this.handlers.set('viewpoints-get', this.handleViewpointsGet.bind(this));
+        this.handlers.set('viewpoint-add', this.handleViewpointAdd.bind(this));
+        this.handlers.set('viewpoint-update', this.handleViewpointUpdate.bind(this));
+        this.handlers.set('viewpoint-rename', this.handleViewpointRename.bind(this));
+        this.handlers.set('viewpoint-remove', this.handleViewpointRemove.bind(this));
+        this.handlers.set('viewpoint-recall', this.handleViewpointRecall.bind(this));
+
+        // ═══════════════════════════════════════════════════════════
+        // SELECTION SET OPERATIONS (Named, saved selections)
+        // ═══════════════════════════════════════════════════════════
+        this.handlers.set('selection-sets-get', this.handleSelectionSetsGet.bind(this));
+        this.handlers.set('selection-set-add', this.handleSelectionSetAdd.bind(this));
+        this.handlers.set('selection-set-update', this.handleSelectionSetUpdate.bind(this));
+        this.handlers.set('selection-set-rename', this.handleSelectionSetRename.bind(this));
+        this.handlers.set('selection-set-remove', this.handleSelectionSetRemove.bind(this));
+        this.handlers.set('selection-set-recall', this.handleSelectionSetRecall.bind(this));
+
+        // ═══════════════════════════════════════════════════════════
+        // MATERIAL LIBRARY OPERATIONS (Named PBR materials)
+        // ═══════════════════════════════════════════════════════════
+        this.handlers.set('material-library-get', this.handleMaterialLibraryGet.bind(this));
+        this.handlers.set('material-library-save', this.handleMaterialLibrarySave.bind(this));
+        this.handlers.set('material-library-remove', this.handleMaterialLibraryRemove.bind(this));
+        this.handlers.set('material-assign', this.handleMaterialAssign.bind(this));
+        this.handlers.set('material-set-grain', this.handleMaterialSetGrain.bind(this));
+
+        // ═══════════════════════════════════════════════════════════
+        // CONSTRAINT OPERATIONS (Cross-object relations)
+        // ═══════════════════════════════════════════════════════════
+        this.handlers.set('constraints-get', this.handleConstraintsGet.bind(this));
+        this.handlers.set('constraint-add', this.handleConstraintAdd.bind(this));
+        this.handlers.set('constraint-remove', this.handleConstraintRemove.bind(this));
+
+        // ═══════════════════════════════════════════════════════════
+        // COMPONENT OPERATIONS (Masters and linked instances)
+        // ═══════════════════════════════════════════════════════════
+        this.handlers.set('components-get', this.handleComponentsGet.bind(this));
+        this.handlers.set('component-convert', this.handleComponentConvert.bind(this));
+        this.handlers.set('component-create-instance', this.handleComponentCreateInstance.bind(this));
+        this.handlers.set('component-detach', this.handleComponentDetach.bind(this));
+
+        // ═══════════════════════════════════════════════════════════
+        // CUT LIST OPERATIONS (Bill of materials report, sheet nesting)
+        // ═══════════════════════════════════════════════════════════
+        this.handlers.set('cut-list-get', this.handleCutListGet.bind(this));
+        this.handlers.set('cut-list-export', this.handleCutListExport.bind(this));
+        this.handlers.set('nesting-run', this.handleNestingRun.bind(this));
+        this.handlers.set('nesting-export', this.handleNestingExport.bind(this));
+
         console.log(`✅ CommandRouter: Registered ${this.handlers.size} action handlers`);
     }
 
@@ -500,8 +579,17 @@ class CommandRouter {
 
     // Reorder child based on drop position relative to target
     reorderChildByPosition(objectId, targetId, position, parentId) {
+        const childrenOrder = this.getOrderByPosition(objectId, targetId, position, parentId);
+        if (!childrenOrder) return;
+
+        // childrenOrder is SceneController-owned — write directly, then notify UI
+        this.updateChildrenOrder(parentId, childrenOrder);
+    }
+
+    // Children order of parent (or root) with objectId moved before/after targetId
+    getOrderByPosition(objectId, targetId, position, parentId) {
         // No-op if dragging onto self
-        if (objectId === targetId) return;
+        if (objectId === targetId) return null;
 
         // Get children list from parent (or root)
         const children = parentId ?
@@ -515,7 +603,7 @@ class CommandRouter {
         const draggedIndex = currentOrder.indexOf(objectId);
         if (draggedIndex === -1) {
             console.error('CommandRouter: Dragged object not found in children list');
-            return;
+            return null;
         }
         currentOrder.splice(draggedIndex, 1);
 
@@ -523,7 +611,7 @@ class CommandRouter {
         let targetIndex = currentOrder.indexOf(targetId);
         if (targetIndex === -1) {
             console.error('CommandRouter: Target object not found in children list');
-            return;
+            return null;
         }
 
         // Calculate new index based on position
@@ -531,13 +619,7 @@ class CommandRouter {
 
         // Insert at new position
         currentOrder.splice(newIndex, 0, objectId);
-
-        // childrenOrder is SceneController-owned — write directly, then notify UI
-        if (parentId) {
-            this.applyChildrenOrder(parentId, currentOrder);
-        } else {
-            this.sceneController.setRootOrder(currentOrder);
-        }
+        return currentOrder;
     }
 
     // Update children order array
@@ -551,22 +633,7 @@ class CommandRouter {
 
     // Shared: write childrenOrder to SceneController, emit event, trigger layout if needed
     applyChildrenOrder(parentId, childrenOrder) {
-        const container = this.sceneController.getObject(parentId);
-        if (!container) return;
-
-        container.childrenOrder = childrenOrder;
-
-        if (window.objectEventBus) {
-            window.objectEventBus.emit(
-                window.objectEventBus.EVENT_TYPES.HIERARCHY,
-                parentId,
-                { type: 'children-reordered', childrenOrder },
-                { source: 'CommandRouter.applyChildrenOrder' }
-            );
-        }
-
-        // UNIFIED: Let updateContainer() handle mode routing (layout/hug/manual)
-        this.sceneController.updateContainer(parentId, { reason: 'hierarchy-changed' });
+        this.sceneController.setChildrenOrder(parentId, childrenOrder);
     }
 
     // Move child to specific index
@@ -612,27 +679,32 @@ class CommandRouter {
     handleMoveAndReorder(data) {
         const { objectId, targetParentId, targetId, position } = data;
 
-        if (!this.sceneController) {
-            console.error('CommandRouter: SceneController not available');
+        if (!this.sceneController || !this.historyManager) {
+            console.error('CommandRouter: SceneController or HistoryManager not available');
             return;
         }
 
-        // Capture old parent before move (needed to re-layout after child removal)
-        const obj = this.sceneController.getObject(objectId);
-        const oldParentId = obj?.parentContainer;
+        const parentId = targetParentId || null;
+        const oldParentId = this.sceneController.getObject(objectId)?.parentContainer || null;
+        const reorder = !!(targetId && position);
 
-        // Step 1: Move to new parent (suppress layout — Step 2 will trigger it)
-        this.sceneController.setParentContainer(objectId, targetParentId || null, false);
+        // Reparent + reorder is one undo step
+        this.historyManager.runTransaction('Move to container', () => {
+            // Step 1: Move to new parent (defer its layout — Step 2 will trigger it)
+            if (parentId !== oldParentId) {
+                const reparentCommand = new ReparentObjectCommand(objectId, parentId, { deferLayout: reorder });
+                if (!this.historyManager.executeCommand(reparentCommand)) return false;
+            }
 
-        // Step 2: Reorder within new parent → triggers layout once
-        if (targetId && position) {
-            this.reorderChildByPosition(objectId, targetId, position, targetParentId);
-        }
+            // Step 2: Reorder within new parent → triggers layout once
+            if (reorder) {
+                const childrenOrder = this.getOrderByPosition(objectId, targetId, position, parentId);
+                if (!childrenOrder) return false;
+                return this.historyManager.executeCommand(new ReorderChildrenCommand(parentId, childrenOrder));
+            }
 
-        // Step 3: Re-layout old parent (remaining children need repositioning)
-        if (oldParentId && oldParentId !== targetParentId) {
-            this.sceneController.updateContainer(oldParentId, { reason: 'hierarchy-changed' });
-        }
+            return true;
+        });
     }
 
     handleDeleteObject(data) {
@@ -664,6 +736,41 @@ class CommandRouter {
         this.historyManager.executeCommand(command);
     }
 
+    handleClipboardCopy() {
+        window.modlerComponents?.clipboardManager?.copySelection();
+    }
+
+    handleClipboardCut() {
+        window.modlerComponents?.clipboardManager?.cutSelection();
+    }
+
+    handleClipboardPaste() {
+        window.modlerComponents?.clipboardManager?.paste();
+    }
+
+    handlePropertyClipboardGet(data) {
+        const clipboardManager = window.modlerComponents?.clipboardManager;
+        if (!clipboardManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'property-clipboard-response',
+                data: { propertyClipboard: clipboardManager.getPropertyClipboard() }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handlePropertiesCopy(data) {
+        window.modlerComponents?.clipboardManager?.copyProperties(data.objectId ?? null);
+    }
+
+    handlePropertiesPaste(data) {
+        const clipboardManager = window.modlerComponents?.clipboardManager;
+        if (!clipboardManager || !Array.isArray(data.groups)) return;
+
+        clipboardManager.pasteProperties(data.groups, Array.isArray(data.objectIds) ? data.objectIds : null);
+    }
+
     handleCreateContainer(data) {
         const { objectId, direction, gap } = data;
 
@@ -724,6 +831,43 @@ class CommandRouter {
         this.historyManager.redo();
     }
 
+    handleHistoryGet(data) {
+        if (!this.historyManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'history-response',
+                data: { history: this.historyManager.getEntries() }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleHistoryJump(data) {
+        const position = data.data?.position ?? data.position;
+        if (!this.historyManager || position === undefined) return;
+
+        this.historyManager.jumpTo(position);
+    }
+
+    handleHistoryCheckpointAdd(data) {
+        if (!this.historyManager) return;
+
+        this.historyManager.addCheckpoint(data.data?.name ?? data.name);
+    }
+
+    handleHistoryCheckpointRemove(data) {
+        const commandId = data.data?.commandId || data.commandId;
+        if (!this.historyManager || !commandId) return;
+
+        this.historyManager.removeCheckpoint(commandId);
+    }
+
+    handleHistoryBranchRestore() {
+        if (!this.historyManager) return;
+
+        this.historyManager.restoreBranch();
+    }
+
     handleUIPanelReady(data) {
         // UI panel is ready - send initial hierarchy and selection state
         // This ensures object list populates immediately when each panel loads
@@ -795,6 +939,91 @@ class CommandRouter {
         }
     }
 
+    async handleExportMesh(data) {
+        const meshExportManager = window.modlerComponents?.meshExportManager;
+        if (!meshExportManager) return;
+
+        const options = data.data?.options || data.options || {};
+        const result = await meshExportManager.exportScene(options);
+        if (data?.sourceWindow) {
+            try {
+                data.sourceWindow.postMessage({
+                    type: 'mesh-exported',
+                    data: result
+                }, '*');
+            } catch (e) { /* sourceWindow may be closed */ }
+        }
+    }
+
+    async handleImportMesh(data) {
+        const meshImportManager = window.modlerComponents?.meshImportManager;
+        if (!meshImportManager) return;
+
+        const result = await meshImportManager.importMesh({
+            fileName: data.fileName,
+            data: data.data,
+            unit: data.unit || null,
+            upAxis: data.upAxis || 'y'
+        });
+        if (data?.sourceWindow) {
+            try {
+                data.sourceWindow.postMessage({
+                    type: 'mesh-imported',
+                    data: result
+                }, '*');
+            } catch (e) { /* sourceWindow may be closed */ }
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PRESENTATION HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    handlePresentationGet(data) {
+        const presentationManager = window.modlerComponents?.presentationManager;
+        if (!presentationManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'presentation-response',
+                data: presentationManager.getState()
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handlePresentationSet(data) {
+        const presentationManager = window.modlerComponents?.presentationManager;
+        if (!presentationManager) return;
+
+        if (data.settings) {
+            presentationManager.updateSettings(data.settings);
+        }
+        if (data.active === true) {
+            presentationManager.enter();
+        } else if (data.active === false) {
+            presentationManager.exit();
+        }
+    }
+
+    async handlePresentationCapture(data) {
+        const presentationManager = window.modlerComponents?.presentationManager;
+        if (!presentationManager) return;
+
+        const result = await presentationManager.captureStill({
+            width: data.width,
+            height: data.height,
+            transparent: !!data.transparent
+        });
+        if (data.sourceWindow) {
+            try {
+                data.sourceWindow.postMessage({
+                    type: 'presentation-captured',
+                    data: result
+                }, '*');
+            } catch (e) { /* sourceWindow may be closed */ }
+        }
+    }
+
     // ═══════════════════════════════════════════════════════════════
     // YARD HANDLERS
     // ═══════════════════════════════════════════════════════════════
@@ -870,11 +1099,19 @@ class CommandRouter {
 
         const colorHex = item.material?.color || '#888888';
         const color = parseInt(colorHex.replace('#', ''), 16);
-        const material = new THREE.MeshLambertMaterial({
-            color,
-            opacity: item.material?.opacity ?? 1,
-            transparent: item.material?.transparent ?? false
-        });
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        const material = materialLibraryManager
+            ? materialLibraryManager.createObjectMaterial({
+                color: item.material?.materialId ? undefined : colorHex,
+                opacity: item.material?.opacity ?? 1,
+                transparent: item.material?.transparent ?? false,
+                materialId: item.material?.materialId || null
+            }, geometry)
+            : new THREE.MeshLambertMaterial({
+                color,
+                opacity: item.material?.opacity ?? 1,
+                transparent: item.material?.transparent ?? false
+            });
 
         const command = new CreateObjectCommand(geometry, material, {
             name: item.name,
@@ -898,6 +1135,311 @@ class CommandRouter {
         });
     }
 
+    // ═══════════════════════════════════════════════════════════════
+    // SCENE PARAMETER HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    handleSceneParametersGet(data) {
+        const sceneParameterManager = window.modlerComponents?.sceneParameterManager;
+        if (!sceneParameterManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'scene-parameters-response',
+                data: { parameters: sceneParameterManager.getParameters() }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleSceneParameterSet(data) {
+        const sceneParameterManager = window.modlerComponents?.sceneParameterManager;
+        if (!sceneParameterManager || !data.name) return;
+
+        sceneParameterManager.setParameter(data.name, data.value, data.kind);
+    }
+
+    handleSceneParameterRemove(data) {
+        const sceneParameterManager = window.modlerComponents?.sceneParameterManager;
+        if (!sceneParameterManager || !data.name) return;
+
+        sceneParameterManager.removeParameter(data.name);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // VIEWPOINT HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    handleViewpointsGet(data) {
+        const viewpointManager = window.modlerComponents?.viewpointManager;
+        if (!viewpointManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'viewpoints-response',
+                data: { viewpoints: viewpointManager.getViewpoints() }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleViewpointAdd(data) {
+        const viewpointManager = window.modlerComponents?.viewpointManager;
+        if (!viewpointManager) return;
+
+        viewpointManager.addViewpoint(data.name, { includeVisibility: !!data.includeVisibility });
+    }
+
+    handleViewpointUpdate(data) {
+        const viewpointManager = window.modlerComponents?.viewpointManager;
+        if (!viewpointManager || !data.id) return;
+
+        viewpointManager.updateViewpoint(data.id);
+    }
+
+    handleViewpointRename(data) {
+        const viewpointManager = window.modlerComponents?.viewpointManager;
+        if (!viewpointManager || !data.id) return;
+
+        viewpointManager.renameViewpoint(data.id, data.name);
+    }
+
+    handleViewpointRemove(data) {
+        const viewpointManager = window.modlerComponents?.viewpointManager;
+        if (!viewpointManager || !data.id) return;
+
+        viewpointManager.removeViewpoint(data.id);
+    }
+
+    handleViewpointRecall(data) {
+        const viewpointManager = window.modlerComponents?.viewpointManager;
+        if (!viewpointManager || !data.id) return;
+
+        viewpointManager.recallViewpoint(data.id);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SELECTION SET HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    handleSelectionSetsGet(data) {
+        const selectionSetManager = window.modlerComponents?.selectionSetManager;
+        if (!selectionSetManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'selection-sets-response',
+                data: { selectionSets: selectionSetManager.getSelectionSets() }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleSelectionSetAdd(data) {
+        const selectionSetManager = window.modlerComponents?.selectionSetManager;
+        if (!selectionSetManager) return;
+
+        selectionSetManager.addSelectionSet(data.name);
+    }
+
+    handleSelectionSetUpdate(data) {
+        const selectionSetManager = window.modlerComponents?.selectionSetManager;
+        if (!selectionSetManager || !data.id) return;
+
+        selectionSetManager.updateSelectionSet(data.id);
+    }
+
+    handleSelectionSetRename(data) {
+        const selectionSetManager = window.modlerComponents?.selectionSetManager;
+        if (!selectionSetManager || !data.id) return;
+
+        selectionSetManager.renameSelectionSet(data.id, data.name);
+    }
+
+    handleSelectionSetRemove(data) {
+        const selectionSetManager = window.modlerComponents?.selectionSetManager;
+        if (!selectionSetManager || !data.id) return;
+
+        selectionSetManager.removeSelectionSet(data.id);
+    }
+
+    handleSelectionSetRecall(data) {
+        const selectionSetManager = window.modlerComponents?.selectionSetManager;
+        if (!selectionSetManager || !data.id) return;
+
+        selectionSetManager.recallSelectionSet(data.id);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // MATERIAL LIBRARY HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    handleMaterialLibraryGet(data) {
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        if (!materialLibraryManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'material-library-response',
+                data: { materials: materialLibraryManager.getMaterials() }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleMaterialLibrarySave(data) {
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        if (!materialLibraryManager || !data.material) return;
+
+        // A new material can be assigned to the selection straight away
+        const saved = materialLibraryManager.saveMaterial(data.material);
+        if (saved && Array.isArray(data.assignTo) && data.assignTo.length > 0) {
+            materialLibraryManager.assignMaterial(data.assignTo, saved.id);
+        }
+    }
+
+    handleMaterialLibraryRemove(data) {
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        if (!materialLibraryManager || !data.materialId) return;
+
+        materialLibraryManager.removeMaterial(data.materialId);
+    }
+
+    handleMaterialAssign(data) {
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        if (!materialLibraryManager || !Array.isArray(data.objectIds)) return;
+
+        materialLibraryManager.assignMaterial(data.objectIds, data.materialId ?? null);
+    }
+
+    handleMaterialSetGrain(data) {
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        if (!materialLibraryManager || !Array.isArray(data.objectIds)) return;
+
+        materialLibraryManager.setGrain(data.objectIds, data.grain ?? null);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CONSTRAINT HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    handleConstraintsGet(data) {
+        const constraintManager = window.modlerComponents?.constraintManager;
+        if (!constraintManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'scene-constraints-response',
+                data: { constraints: constraintManager.getConstraints() }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleConstraintAdd(data) {
+        const constraintManager = window.modlerComponents?.constraintManager;
+        const constraint = data.data?.constraint || data.constraint;
+        if (!constraintManager || !constraint) return;
+
+        constraintManager.addConstraint(constraint);
+    }
+
+    handleConstraintRemove(data) {
+        const constraintManager = window.modlerComponents?.constraintManager;
+        const constraintId = data.data?.constraintId || data.constraintId;
+        if (!constraintManager || !constraintId) return;
+
+        constraintManager.removeConstraint(constraintId);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // COMPONENT HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    handleComponentsGet(data) {
+        const componentManager = window.modlerComponents?.componentManager;
+        if (!componentManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'components-response',
+                data: componentManager.getComponents()
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleComponentConvert(data) {
+        const componentManager = window.modlerComponents?.componentManager;
+        const objectId = data.data?.objectId ?? data.objectId;
+        if (!componentManager || objectId === undefined) return;
+
+        componentManager.convertToComponent(objectId);
+    }
+
+    handleComponentCreateInstance(data) {
+        const componentManager = window.modlerComponents?.componentManager;
+        const objectId = data.data?.objectId ?? data.objectId;
+        if (!componentManager || objectId === undefined) return;
+
+        const instanceId = componentManager.createInstance(objectId);
+
+        // Select the new instance so it can be placed right away
+        const instance = instanceId !== null ? window.modlerComponents?.sceneController?.getObject(instanceId) : null;
+        const selectionController = window.modlerComponents?.selectionController;
+        if (instance?.mesh && selectionController) {
+            selectionController.clearSelection();
+            selectionController.select(instance.mesh);
+        }
+    }
+
+    handleComponentDetach(data) {
+        const componentManager = window.modlerComponents?.componentManager;
+        const objectId = data.data?.objectId ?? data.objectId;
+        if (!componentManager || objectId === undefined) return;
+
+        componentManager.detachInstance(objectId);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // CUT LIST AND NESTING HANDLERS
+    // ═══════════════════════════════════════════════════════════════
+
+    handleCutListGet(data) {
+        const cutListManager = window.modlerComponents?.cutListManager;
+        if (!cutListManager || !data.sourceWindow) return;
+
+        try {
+            data.sourceWindow.postMessage({
+                type: 'cut-list-response',
+                data: { report: cutListManager.getReport() }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleCutListExport(data) {
+        const cutListManager = window.modlerComponents?.cutListManager;
+        const format = data.data?.format || data.format;
+        if (!cutListManager || !format) return;
+
+        cutListManager.exportReport(format);
+    }
+
+    handleNestingRun(data) {
+        const nestingManager = window.modlerComponents?.nestingManager;
+        if (!nestingManager || !data.sourceWindow) return;
+
+        const config = data.data?.config || data.config || {};
+        try {
+            data.sourceWindow.postMessage({
+                type: 'nesting-result',
+                data: { result: nestingManager.nest(config) }
+            }, '*');
+        } catch (e) { /* sourceWindow may be closed */ }
+    }
+
+    handleNestingExport(data) {
+        const nestingManager = window.modlerComponents?.nestingManager;
+        const format = data.data?.format || data.format;
+        if (!nestingManager || !format) return;
+
+        nestingManager.exportLayouts(format, data.data?.config || data.config || {});
+    }
+
     /**
      * Get statistics
      */
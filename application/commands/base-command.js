@@ -35,12 +35,57 @@ class BaseCommand {
         return {
             id: this.id,
             type: this.type,
-            description: this.description,
+            description: this.getDescription(),
             timestamp: this.timestamp,
             age: Date.now() - this.timestamp
         };
     }
 
+    /**
+     * Human-readable description for the history panel
+     * Override in subclasses to describe the change in detail
+     * @returns {string} Description
+     */
+    getDescription() {
+        return this.description;
+    }
+
+    /**
+     * Fields saved with history by serializeState() - the plain data undo/redo needs
+     * Subclasses list their own; meshes and component references never belong here
+     * @returns {Array<string>|null} Field names, or null if the command can't be saved
+     */
+    static get SERIALIZED_FIELDS() {
+        return null;
+    }
+
+    /**
+     * Plain-data state for saving history with the scene file
+     * Default: the fields listed in SERIALIZED_FIELDS, converted by
+     * CommandFactory.toPlain(). Override to reshape state.
+     * @returns {Object|null} Serializable state
+     */
+    serializeState() {
+        const fields = this.constructor.SERIALIZED_FIELDS;
+        if (!fields) return null;
+
+        const state = {};
+        fields.forEach(key => {
+            state[key] = this[key];
+        });
+        return CommandFactory.toPlain(state);
+    }
+
+    /**
+     * Restore state written by serializeState()
+     * Called by CommandFactory instead of the constructor; override to
+     * rebuild anything serializeState() dropped (geometry, component refs)
+     * @param {Object} state - Serialized state
+     */
+    restoreState(state) {
+        Object.assign(this, CommandFactory.fromPlain(state));
+    }
+
     /**
      * Check if this command can be safely undone
      * Override in subclasses for complex validation
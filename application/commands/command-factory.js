@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+// Modler V2 - Command Factory
+// Rebuilds undo/redo commands from plain data so history can be saved with the scene file
+
+/**
+ * CommandFactory - Serialize / deserialize commands by type
+ *
+ * A serialized command is `{ type, id, timestamp, description, state }`.
+ * `state` comes from the command's serializeState() and only holds plain
+ * data: meshes, geometry, materials and component references are dropped,
+ * THREE math types and Maps/Sets are tagged so they round-trip intact.
+ *
+ * Deserialized commands are created without running their constructor
+ * (constructors read live scene state) and then handed their saved state
+ * through restoreState(), which rebuilds anything that was dropped.
+ */
+class CommandFactory {
+    /**
+     * Command type → global class name
+     * Classes are looked up on window at call time (script load order)
+     */
+    static get COMMAND_TYPES() {
+        return {
+            'create-object': 'CreateObjectCommand',
+            'create-container': 'CreateContainerCommand',
+            'create-instance': 'CreateInstanceCommand',
+            'delete-object': 'DeleteObjectCommand',
+            'duplicate-object': 'DuplicateObjectCommand',
+            'paste-objects': 'PasteObjectsCommand',
+            'move-object': 'MoveObjectCommand',
+            'rotate-object': 'RotateObjectCommand',
+            'push-face': 'PushFaceCommand',
+            'update-property': 'UpdatePropertyCommand',
+            'update-layout-property': 'UpdateLayoutPropertyCommand',
+            'set-formula': 'SetFormulaCommand',
+            'set-scene-parameter': 'SetSceneParameterCommand',
+            'set-constraint': 'SetConstraintCommand',
+            'set-component': 'SetComponentCommand',
+            'reparent-object': 'ReparentObjectCommand',
+            'reorder-children': 'ReorderChildrenCommand',
+            'composite': 'CompositeCommand'
+        };
+    }
+
+    /**
+     * Get the command class registered for a type
+     * @param {string} type - Command type
+     * @returns {Function|null} Command class
+     */
+    static getCommandClass(type) {
+        const className = this.COMMAND_TYPES[type];
+        return (className && window[className]) || null;
+    }
+
+    /**
+     * Serialize a command to plain data
+     * @param {BaseCommand} command
+     * @returns {Object|null} Serialized command, or null if it can't be saved
+     */
+    static serialize(command) {
+        if (!command || !this.getCommandClass(command.type) || typeof command.serializeState !== 'function') {
+            return null;
+        }
+
+        try {
+            const state = command.serializeState();
+            if (!state) return null;
+
+            return {
+                type: command.type,
+                id: command.id,
+                timestamp: command.timestamp,
+                description: command.description,
+                state
+            };
+        } catch (error) {
+            console.warn(`CommandFactory: Failed to serialize ${command.type} command:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Rebuild a command from serialized data
+     * @param {Object} data - Output of serialize()
+     * @returns {BaseCommand|null} Command ready for undo/redo, or null if unknown/invalid
+     */
+    static deserialize(data) {
+        const CommandClass = this.getCommandClass(data?.type);
+        if (!CommandClass) {
+            console.warn('CommandFactory: Unknown command type:', data?.type);
+            return null;
+        }
+
+        try {
+            const command = Object.create(CommandClass.prototype);
+            command.type = data.type;
+            command.id = data.id;
+            command.timestamp = data.timestamp;
+            command.description = data.description || '';
+            command.restoreState(data.state || {});
+            return command;
+        } catch (error) {
+            console.warn(`CommandFactory: Failed to rebuild ${data.type} command:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Convert a value to JSON-safe plain data
+     * Non-plain objects (meshes, geometry, class instances) become undefined
+     * @param {*} value
+     * @param {WeakSet} [seen] - Ancestors of value (cycle guard)
+     * @returns {*} Plain value
+     */
+    static toPlain(value, seen = new WeakSet()) {
+        if (value === null || typeof value !== 'object') {
+            return typeof value === 'function' ? undefined : value;
+        }
+        if (seen.has(value)) return undefined;
+
+        if (value.isVector2) return { __three: 'Vector2', x: value.x, y: value.y };
+        if (value.isVector3) return { __three: 'Vector3', x: value.x, y: value.y, z: value.z };
+        if (value.isEuler) return { __three: 'Euler', x: value.x, y: value.y, z: value.z, order: value.order };
+        if (value.isQuaternion) return { __three: 'Quaternion', x: value.x, y: value.y, z: value.z, w: value.w };
+        if (value.isColor) return { __three: 'Color', hex: value.getHex() };
+        if (ArrayBuffer.isView(value)) return Array.from(value);
+
+        // Only ancestors are tracked, so shared (non-cyclic) references are kept
+        seen.add(value);
+        try {
+            if (Array.isArray(value)) {
+                return value.map(item => {
+                    const plain = this.toPlain(item, seen);
+                    return plain === undefined ? null : plain;
+                });
+            }
+            if (value instanceof Map) {
+                return { __map: Array.from(value.entries()).map(([key, item]) => [key, this.toPlain(item, seen)]) };
+            }
+            if (value instanceof Set) {
+                return { __set: Array.from(value).map(item => this.toPlain(item, seen)) };
+            }
+
+            const prototype = Object.getPrototypeOf(value);
+            if (prototype !== Object.prototype && prototype !== null) {
+                return undefined;
+            }
+
+            const result = {};
+            Object.keys(value).forEach(key => {
+                const plain = this.toPlain(value[key], seen);
+                if (plain !== undefined) {
+                    result[key] = plain;
+                }
+            });
+            return result;
+        } finally {
+            seen.delete(value);
+        }
+    }
+
+    /**
+     * Reverse toPlain(): rebuild tagged THREE types, Maps and Sets
+     * @param {*} value - Plain value
+     * @returns {*} Restored value
+     */
+    static fromPlain(value) {
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.fromPlain(item));
+        }
+
+        switch (value.__three) {
+            case 'Vector2': return new THREE.Vector2(value.x, value.y);
+            case 'Vector3': return new THREE.Vector3(value.x, value.y, value.z);
+            case 'Euler': return new THREE.Euler(value.x, value.y, value.z, value.order);
+            case 'Quaternion': return new THREE.Quaternion(value.x, value.y, value.z, value.w);
+            case 'Color': return new THREE.Color(value.hex);
+        }
+        if (Array.isArray(value.__map)) {
+            return new Map(value.__map.map(([key, item]) => [key, this.fromPlain(item)]));
+        }
+        if (Array.isArray(value.__set)) {
+            return new Set(value.__set.map(item => this.fromPlain(item)));
+        }
+
+        const result = {};
+        Object.keys(value).forEach(key => {
+            result[key] = this.fromPlain(value[key]);
+        });
+        return result;
+    }
+}
+
+// Export for use in main application
+window.CommandFactory = CommandFactory;
@@ -0,0 +1,80 @@
+// Modler V2 - Composite Command
+// Groups the commands of a HistoryManager transaction into a single undo step
+
+class CompositeCommand extends BaseCommand {
+    /**
+     * @param {Array<BaseCommand>} commands - Already executed commands, in execution order
+     * @param {string} description - History entry label
+     */
+    constructor(commands, description = 'Multiple changes') {
+        super('composite', description);
+        this.commands = commands.slice();
+    }
+
+    /**
+     * Steps were executed individually inside the transaction - nothing to do
+     */
+    execute() {
+        return true;
+    }
+
+    /**
+     * Undo every step, last first
+     */
+    undo() {
+        let success = true;
+        for (let i = this.commands.length - 1; i >= 0; i--) {
+            if (!this.commands[i].undo()) {
+                console.warn('CompositeCommand: Step undo failed:', this.commands[i].getInfo());
+                success = false;
+            }
+        }
+        return success;
+    }
+
+    /**
+     * Re-apply every step in order
+     */
+    redo() {
+        let success = true;
+        this.commands.forEach(command => {
+            const applied = typeof command.redo === 'function' ? command.redo() : command.execute();
+            if (!applied) {
+                console.warn('CompositeCommand: Step redo failed:', command.getInfo());
+                success = false;
+            }
+        });
+        return success;
+    }
+
+    canUndo() {
+        return this.commands.every(command => command.canUndo());
+    }
+
+    /**
+     * Saved only if every step can be saved
+     */
+    serializeState() {
+        const commands = this.commands.map(command => CommandFactory.serialize(command));
+        return commands.every(Boolean) ? { commands } : null;
+    }
+
+    restoreState(state) {
+        this.commands = (state.commands || []).map(data => CommandFactory.deserialize(data));
+        if (!this.commands.every(Boolean)) {
+            throw new Error('CompositeCommand: Failed to restore a step');
+        }
+    }
+
+    cleanup() {
+        this.commands.forEach(command => {
+            if (typeof command.cleanup === 'function') {
+                command.cleanup();
+            }
+        });
+        this.commands = [];
+    }
+}
+
+// Export for use in main application
+window.CompositeCommand = CompositeCommand;
@@ -3,6 +3,10 @@ import * as THREE from 'three';
 // Command pattern implementation for container creation with undo/redo support
 
 class CreateContainerCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['selectedObjectIds', 'containerId', 'originalParents', 'originalPositions'];
+    }
+
     constructor(selectedObjects, containerData = null) {
         super('create-container', 'Create container from selection');
 
@@ -207,6 +211,21 @@ class CreateContainerCommand extends BaseCommand {
         return !!containerData;
     }
 
+    /**
+     * Re-resolve selected meshes and the container by ID from the loaded scene
+     */
+    restoreState(state) {
+        super.restoreState(state);
+
+        const sceneController = window.modlerComponents?.sceneController;
+        this.containerData = this.containerId !== null ? { id: this.containerId } : null;
+        const meshes = (this.selectedObjectIds || [])
+            .map(id => sceneController?.getObject(id)?.mesh)
+            .filter(Boolean);
+        this.selectedObjects = meshes;
+        this.originalSelection = meshes.slice();
+    }
+
     /**
      * Clean up resources when command is removed from history
      */
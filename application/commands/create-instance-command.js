@@ -0,0 +1,86 @@
+// Modler V2 - Create Instance Command
+// Command pattern implementation for creating linked component instances
+
+class CreateInstanceCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['sourceObjectId', 'options', 'instanceId', 'partIds', 'convertedMasterId'];
+    }
+
+    /**
+     * @param {string} sourceObjectId - Master, instance, or plain object (converted to a master first)
+     * @param {Object} options - { position }
+     */
+    constructor(sourceObjectId, options = {}) {
+        super('create-instance', 'Create component instance');
+
+        this.sourceObjectId = sourceObjectId;
+        this.options = options;
+        this.instanceId = null;
+        this.partIds = null; // master part ID → instance part ID, reused on redo
+        this.convertedMasterId = null;
+    }
+
+    execute() {
+        const componentManager = window.modlerComponents?.componentManager;
+        if (!componentManager) {
+            console.error('CreateInstanceCommand: ComponentManager not available');
+            return false;
+        }
+
+        const resolved = componentManager.resolveInstanceSource(this.sourceObjectId);
+        if (resolved.error) {
+            componentManager.notifyError(resolved.error);
+            return false;
+        }
+
+        this.convertedMasterId = null;
+        if (resolved.convert) {
+            componentManager.applyLinks([{ objectId: resolved.masterId, link: { isMaster: true, componentType: 'custom' } }]);
+            this.convertedMasterId = resolved.masterId;
+        }
+
+        // Redo rebuilds the instance under the IDs it had, so later steps still find it
+        const instance = componentManager.buildInstance(resolved.masterId, {
+            id: this.instanceId ?? undefined,
+            partIds: this.partIds,
+            sourceId: this.sourceObjectId,
+            position: this.options.position
+        });
+
+        if (!instance) {
+            console.error('CreateInstanceCommand: Failed to create instance');
+            this.revertConversion(componentManager);
+            return false;
+        }
+
+        this.instanceId = instance.id;
+        this.partIds = componentManager.getPartIds(instance);
+        return true;
+    }
+
+    undo() {
+        const componentManager = window.modlerComponents?.componentManager;
+        if (!componentManager) {
+            console.error('CreateInstanceCommand: ComponentManager not available for undo');
+            return false;
+        }
+
+        if (this.instanceId !== null) {
+            componentManager.removeInstance(this.instanceId);
+        }
+        this.revertConversion(componentManager);
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    revertConversion(componentManager) {
+        if (this.convertedMasterId === null) return;
+
+        componentManager.applyLinks([{ objectId: this.convertedMasterId, link: null }]);
+        this.convertedMasterId = null;
+    }
+}
+
+window.CreateInstanceCommand = CreateInstanceCommand;
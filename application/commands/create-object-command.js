@@ -5,13 +5,17 @@ const logger = window.logger;
  * Undoable command for creating new objects in the scene
  */
 class CreateObjectCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['options', 'createdObjectId', 'objectSnapshot'];
+    }
+
     /**
      * @param {Object} geometry - THREE.js geometry for the object
      * @param {Object} material - THREE.js material for the object
      * @param {Object} options - Object creation options (name, type, position, etc.)
      */
     constructor(geometry, material, options = {}) {
-        super();
+        super('create-object', 'Create object');
         this.geometry = geometry;
         this.material = material;
         this.options = options;
@@ -165,11 +169,50 @@ class CreateObjectCommand extends BaseCommand {
             material: {
                 color: mesh.material.color.getHex(),
                 opacity: mesh.material.opacity,
-                transparent: mesh.material.transparent
+                transparent: mesh.material.transparent,
+                materialId: mesh.material.userData?.libraryMaterialId || null,
+                grain: mesh.material.userData?.grain || null
             }
         };
     }
 
+    /**
+     * Rebuild geometry and material from the snapshot - they aren't saved with history
+     */
+    restoreState(state) {
+        super.restoreState(state);
+
+        const snapshot = this.objectSnapshot;
+        if (!snapshot) return;
+
+        const geometryFactory = window.modlerComponents?.geometryFactory;
+        const materialManager = window.modlerComponents?.materialManager;
+        const dims = snapshot.dimensions;
+        const type = this.options.type || snapshot.type;
+
+        if (['cylinder', 'sphere', 'extrusion', 'mesh'].includes(type) && geometryFactory) {
+            this.geometry = geometryFactory.createObjectGeometry(type, dims, this.options.primitive);
+        } else {
+            this.geometry = geometryFactory
+                ? geometryFactory.createBoxGeometry(dims.x, dims.y, dims.z)
+                : new THREE.BoxGeometry(dims.x, dims.y, dims.z);
+        }
+
+        const materialConfig = {
+            color: snapshot.material?.color ?? 0x808080,
+            opacity: snapshot.material?.opacity ?? 1.0,
+            transparent: snapshot.material?.transparent ?? false
+        };
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        if (snapshot.material?.materialId && materialLibraryManager) {
+            this.material = materialLibraryManager.createObjectMaterial({ ...snapshot.material, ...materialConfig }, this.geometry);
+            return;
+        }
+        this.material = materialManager
+            ? materialManager.createMeshLambertMaterial(materialConfig)
+            : new THREE.MeshLambertMaterial(materialConfig);
+    }
+
     getDescription() {
         return `Create ${this.options.name || 'object'}`;
     }
@@ -3,6 +3,10 @@ import * as THREE from 'three';
 // Reversible object deletion for undo/redo system
 
 class DeleteObjectCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['objectIds', 'deletedObjects'];
+    }
+
     constructor(objectIds) {
         super('delete-object', `Delete ${Array.isArray(objectIds) ? objectIds.length : 1} object(s)`);
 
@@ -204,9 +208,13 @@ class DeleteObjectCommand extends BaseCommand {
             rotation: objectData.rotation ? { ...objectData.rotation } : null,
             scale: objectData.scale ? { ...objectData.scale } : null,
             dimensions: objectData.dimensions ? { ...objectData.dimensions } : null,
+            primitive: ObjectDataFormat.clonePrimitive(objectData.primitive),
+            yardItemId: objectData.yardItemId,
 
-            // Material data
-            materialConfig: objectData.materialConfig ? { ...objectData.materialConfig } : null,
+            // Material data (colour, opacity and scene material library entry)
+            materialConfig: objectData.mesh?.material && !objectData.isContainer && window.MaterialLibraryManager
+                ? window.MaterialLibraryManager.getMaterialData(objectData.mesh.material)
+                : (objectData.materialConfig ? { ...objectData.materialConfig } : null),
 
             // Container-specific data
             containerMode: objectData.containerMode || null,
@@ -218,6 +226,9 @@ class DeleteObjectCommand extends BaseCommand {
             // Metadata (safe serialization)
             metadata: objectData.metadata ? this.safeCloneObject(objectData.metadata) : {},
 
+            // Component master/instance link
+            componentLink: window.modlerComponents?.componentManager?.getLink(objectData) || null,
+
             // Additional object properties
             selectable: objectData.selectable,
             visible: objectData.visible,
@@ -423,6 +434,10 @@ class DeleteObjectCommand extends BaseCommand {
         switch (snapshot.type) {
             case 'box':
             case 'cube':
+            case 'cylinder':
+            case 'sphere':
+            case 'extrusion':
+            case 'mesh':
                 restoredObjectData = this.restoreBox(snapshot);
                 break;
             case 'test':
@@ -446,7 +461,7 @@ class DeleteObjectCommand extends BaseCommand {
     }
 
     /**
-     * Restore a box object
+     * Restore a box object (or a primitive rebuilt from its parameters)
      */
     restoreBox(snapshot) {
         try {
@@ -454,18 +469,24 @@ class DeleteObjectCommand extends BaseCommand {
             const geometryFactory = window.modlerComponents?.geometryFactory;
             const dims = snapshot.dimensions || { x: 1, y: 1, z: 1 };
             const geometry = geometryFactory
-                ? geometryFactory.createBoxGeometry(dims.x, dims.y, dims.z)
+                ? geometryFactory.createObjectGeometry(snapshot.type, dims, snapshot.primitive)
                 : new THREE.BoxGeometry(dims.x, dims.y, dims.z);
 
             // Create material using captured data
             const materialManager = window.modlerComponents?.materialManager;
-            const material = materialManager
-                ? materialManager.createMeshLambertMaterial({
-                    color: snapshot.materialConfig?.color || 0x808080
-                  })
-                : new THREE.MeshLambertMaterial({
-                    color: snapshot.materialConfig?.color || 0x808080
-                  });
+            const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+            let material;
+            if (materialLibraryManager && snapshot.materialConfig) {
+                material = materialLibraryManager.createObjectMaterial(snapshot.materialConfig, geometry);
+            } else {
+                material = materialManager
+                    ? materialManager.createMeshLambertMaterial({
+                        color: snapshot.materialConfig?.color || 0x808080
+                      })
+                    : new THREE.MeshLambertMaterial({
+                        color: snapshot.materialConfig?.color || 0x808080
+                      });
+            }
 
             // Add object using SceneController's addObject method with original position
             // Priority: meshData.position > position > default
@@ -478,6 +499,8 @@ class DeleteObjectCommand extends BaseCommand {
                     id: snapshot.id,
                     name: snapshot.name,
                     type: snapshot.type,
+                    primitive: ObjectDataFormat.clonePrimitive(snapshot.primitive),
+                    yardItemId: snapshot.yardItemId,
                     position: { x: position.x, y: position.y, z: position.z },
                     parentContainer: snapshot.parentContainer || null
                 }
@@ -683,6 +706,11 @@ class DeleteObjectCommand extends BaseCommand {
             restoredObjectData.materialConfig = snapshot.materialConfig;
         }
 
+        // Restore component master/instance link
+        if (snapshot.componentLink) {
+            window.modlerComponents?.componentManager?.restoreLink(restoredObjectData.id, snapshot.componentLink);
+        }
+
         // Dimensions automatically restored via DimensionManager getter from geometry
 
         // Restore the exact mesh positioning and properties
@@ -725,6 +753,18 @@ class DeleteObjectCommand extends BaseCommand {
         }
     }
 
+    /**
+     * Restore snapshots from a saved history and re-resolve the component
+     * references undo() relies on (normally captured by execute())
+     */
+    restoreState(state) {
+        super.restoreState(state);
+
+        this.sceneController = window.modlerComponents?.sceneController;
+        this.selectionController = window.modlerComponents?.selectionController;
+        this.visualizationManager = window.modlerComponents?.visualizationManager;
+    }
+
     /**
      * Clean up stored object data
      */
@@ -5,13 +5,18 @@ const logger = window.logger;
  * Undoable command for duplicating objects in the scene
  */
 class DuplicateObjectCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['sourceObjectId', 'options', 'duplicatedObjectId', 'childIds', 'objectSnapshot'];
+    }
+
     /**
      * @param {number} sourceObjectId - ID of the object to duplicate
      */
     constructor(sourceObjectId, options = {}) {
-        super();
+        super('duplicate-object', 'Duplicate object');
         this.sourceObjectId = sourceObjectId;
         this.duplicatedObjectId = null;
+        this.childIds = null; // source child ID → duplicate child ID (containers), reused on redo
         this.objectSnapshot = null;
         this.options = options; // { position, customName, skipChildren }
     }
@@ -31,14 +36,10 @@ class DuplicateObjectCommand extends BaseCommand {
                 return geometryFactory.createBoxGeometry(dims.x, dims.y, dims.z);
 
             case 'sphere':
-                // Calculate radius from dimensions (assuming spherical)
-                const radius = Math.max(dims.x, dims.y, dims.z) / 2;
-                return geometryFactory.createSphereGeometry(radius);
-
             case 'cylinder':
-                // TODO: Add cylinder support when GeometryFactory implements it
-                logger.warn('Cylinder duplication not yet implemented, using box fallback');
-                return geometryFactory.createBoxGeometry(dims.x, dims.y, dims.z);
+            case 'extrusion':
+            case 'mesh':
+                return geometryFactory.createObjectGeometry(objectData.type, dims, objectData.primitive);
 
             default:
                 // Default fallback for unknown types
@@ -80,8 +81,11 @@ class DuplicateObjectCommand extends BaseCommand {
         // Create geometry based on object type (supports box, sphere, cylinder, etc.)
         const geometry = this.createGeometryForType(sourceObject);
 
-        // Clone material
-        const material = sourceObject.mesh.material.clone();
+        // Clone material (library materials are rebuilt per object)
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        const material = materialLibraryManager
+            ? materialLibraryManager.cloneObjectMaterial(sourceObject.mesh.material, geometry)
+            : sourceObject.mesh.material.clone();
 
         // Use custom position if provided, otherwise use source position
         const position = this.options.position || (sourceObject.mesh ? {
@@ -104,6 +108,8 @@ class DuplicateObjectCommand extends BaseCommand {
         const options = {
             name: this.options.customName || `${sourceObject.name} Copy`,
             type: sourceObject.type,
+            primitive: ObjectDataFormat.clonePrimitive(sourceObject.primitive),
+            yardItemId: sourceObject.yardItemId,
             position: position,
             dimensions: { ...sourceObject.dimensions },
             parentContainer: sourceObject.parentContainer, // Keep in same container
@@ -185,7 +191,9 @@ class DuplicateObjectCommand extends BaseCommand {
         }
 
         // Create the container copy with all container properties
+        // Redo duplicates again under the IDs of the first run, so later steps still find them
         const containerOptions = {
+            id: this.duplicatedObjectId ?? undefined,
             name: this.options.customName || `${sourceContainer.name} Copy`,
             type: sourceContainer.type,
             position: position,
@@ -202,7 +210,18 @@ class DuplicateObjectCommand extends BaseCommand {
                 padding: { ...sourceContainer.autoLayout.padding },
                 alignment: sourceContainer.autoLayout.alignment,
                 sizing: sourceContainer.autoLayout.sizing ? { ...sourceContainer.autoLayout.sizing } : undefined,
-                tileMode: sourceContainer.autoLayout.tileMode ? { ...sourceContainer.autoLayout.tileMode } : undefined
+                tileMode: sourceContainer.autoLayout.tileMode ? { ...sourceContainer.autoLayout.tileMode } : undefined,
+                flow: sourceContainer.autoLayout.flow ? { ...sourceContainer.autoLayout.flow } : undefined,
+                grid: sourceContainer.autoLayout.grid ? {
+                    ...sourceContainer.autoLayout.grid,
+                    columns: (sourceContainer.autoLayout.grid.columns || []).map(track => ({ ...track })),
+                    rows: (sourceContainer.autoLayout.grid.rows || []).map(track => ({ ...track }))
+                } : undefined,
+                radial: sourceContainer.autoLayout.radial ? { ...sourceContainer.autoLayout.radial } : undefined,
+                path: sourceContainer.autoLayout.path ? {
+                    ...sourceContainer.autoLayout.path,
+                    points: (sourceContainer.autoLayout.path.points || []).map(point => ({ ...point }))
+                } : undefined
             } : {
                 enabled: false,
                 mode: 'manual',
@@ -260,7 +279,7 @@ class DuplicateObjectCommand extends BaseCommand {
             logger.info(`    -> Local position relative to new container: (${localPosition.x}, ${localPosition.y}, ${localPosition.z})`);
 
             // Pass local position directly - no coordinate conversion needed
-            const childDuplicate = this.duplicateChild(child, duplicatedContainer.id, localPosition, sceneController);
+            const childDuplicate = this.duplicateChild(child, duplicatedContainer.id, localPosition, sceneController, this.childIds?.[child.id]);
             if (childDuplicate) {
                 childIdMap.set(child.id, childDuplicate.id);
                 const childMesh = childDuplicate.mesh;
@@ -279,6 +298,8 @@ class DuplicateObjectCommand extends BaseCommand {
             }
         }
 
+        this.childIds = Object.fromEntries(childIdMap);
+
         // Rebuild childrenOrder array with new child IDs
         if (sourceContainer.childrenOrder && sourceContainer.childrenOrder.length > 0) {
             const newChildrenOrder = sourceContainer.childrenOrder
@@ -314,11 +335,14 @@ class DuplicateObjectCommand extends BaseCommand {
         return true;
     }
 
-    duplicateChild(sourceChild, newParentId, localPosition, sceneController) {
+    duplicateChild(sourceChild, newParentId, localPosition, sceneController, id = undefined) {
         // Create geometry based on child's type (supports box, sphere, cylinder, etc.)
         const geometry = this.createGeometryForType(sourceChild);
 
-        const material = sourceChild.mesh.material.clone();
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        const material = materialLibraryManager
+            ? materialLibraryManager.cloneObjectMaterial(sourceChild.mesh.material, geometry)
+            : sourceChild.mesh.material.clone();
 
         // Use pre-calculated local position (passed from duplicateContainer)
         // This position is already relative to the new parent container
@@ -334,10 +358,13 @@ class DuplicateObjectCommand extends BaseCommand {
         } : null;
 
         const options = {
+            id,
             name: sourceChild.name, // Keep original name for children
             type: sourceChild.type,
             position: position,
             dimensions: { ...sourceChild.dimensions },
+            primitive: ObjectDataFormat.clonePrimitive(sourceChild.primitive),
+            yardItemId: sourceChild.yardItemId,
             parentContainer: newParentId,
             fillAxes: sourceChild.fillAxes ? [...sourceChild.fillAxes] : []
         };
@@ -391,6 +418,11 @@ class DuplicateObjectCommand extends BaseCommand {
     }
 
     redo() {
+        // Containers are duplicated again from the source (execute() reuses their IDs)
+        if (!this.objectSnapshot && this.childIds) {
+            return this.execute();
+        }
+
         // For redo, we can't use the original execute() because geometry/material might be disposed
         // Instead, we need to recreate from the snapshot
         const sceneController = window.modlerComponents?.sceneController;
@@ -404,14 +436,20 @@ class DuplicateObjectCommand extends BaseCommand {
             const geometry = this.createGeometryForType(this.objectSnapshot);
 
             // Recreate material from snapshot
-            const material = new THREE.MeshLambertMaterial({
-                color: this.objectSnapshot.material.color
-            });
-
-            // Recreate with same options
+            const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+            const material = materialLibraryManager
+                ? materialLibraryManager.createObjectMaterial(this.objectSnapshot.material, geometry)
+                : new THREE.MeshLambertMaterial({
+                    color: this.objectSnapshot.material.color
+                });
+
+            // Recreate with same options and ID
             const options = {
+                id: this.objectSnapshot.id,
                 name: this.objectSnapshot.name,
                 type: this.objectSnapshot.type,
+                primitive: ObjectDataFormat.clonePrimitive(this.objectSnapshot.primitive),
+                yardItemId: this.objectSnapshot.yardItemId,
                 position: { ...this.objectSnapshot.position },
                 dimensions: { ...this.objectSnapshot.dimensions },
                 parentContainer: this.objectSnapshot.parentContainer,
@@ -478,12 +516,16 @@ class DuplicateObjectCommand extends BaseCommand {
             id: objectData.id,
             name: objectData.name,
             type: objectData.type,
+            primitive: ObjectDataFormat.clonePrimitive(objectData.primitive),
+            yardItemId: objectData.yardItemId,
             position: position,
             dimensions: { ...objectData.dimensions },
             parentContainer: objectData.parentContainer,
             fillAxes: objectData.fillAxes ? [...objectData.fillAxes] : [],
             material: {
-                color: objectData.mesh.material.color.getHex()
+                color: objectData.mesh.material.color.getHex(),
+                materialId: objectData.mesh.material.userData?.libraryMaterialId || null,
+                grain: objectData.mesh.material.userData?.grain || null
             }
         };
 
@@ -4,13 +4,17 @@ const logger = window.logger;
  * Undoable command for moving objects
  */
 class MoveObjectCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['objectId', 'oldPosition', 'newPosition', 'parentContainer', 'wasInLayoutMode'];
+    }
+
     /**
      * @param {string} objectId - ID of the object being moved
      * @param {Object} oldPosition - Original position {x, y, z}
      * @param {Object} newPosition - New position {x, y, z}
      */
     constructor(objectId, oldPosition, newPosition) {
-        super();
+        super('move-object', 'Move object');
         this.objectId = objectId;
         this.oldPosition = { ...oldPosition };
         this.newPosition = { ...newPosition };
@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+// Modler V2 - Paste Objects Command
+// Recreates copied objects (with their subtrees) from clipboard data as one undo step
+
+class PasteObjectsCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['objects', 'rootIds', 'parentId', 'rootPositions', 'idMap'];
+    }
+
+    /**
+     * @param {Array<Object>} objects - Serialized objects (DataExtractor format), parents before children
+     * @param {Array<Object>} roots - Top-level copied objects: [{ id, worldPosition }]
+     * @param {Object} options
+     * @param {string|null} options.parentId - Container to paste into, or null for root
+     * @param {Object|null} options.offset - World offset applied to every root (paste at cursor)
+     */
+    constructor(objects, roots, options = {}) {
+        super('paste-objects', `Paste ${roots.length} object(s)`);
+
+        this.objects = objects;
+        this.rootIds = roots.map(root => root.id);
+        this.parentId = options.parentId ?? null;
+
+        // Copied id → pasted id; filled on first execute and reused on redo so
+        // later history entries keep pointing at the same objects
+        this.idMap = null;
+
+        // Copied root id → position local to the paste target
+        this.rootPositions = this.computeRootPositions(roots, options.offset);
+    }
+
+    /**
+     * @private
+     */
+    computeRootPositions(roots, offset) {
+        const sceneController = window.modlerComponents?.sceneController;
+        const parentMesh = this.parentId !== null ? sceneController?.getObject(this.parentId)?.mesh : null;
+        if (parentMesh) {
+            parentMesh.updateMatrixWorld(true);
+        }
+
+        const positions = {};
+        roots.forEach(root => {
+            const position = new THREE.Vector3(
+                (root.worldPosition?.x ?? 0) + (offset?.x ?? 0),
+                (root.worldPosition?.y ?? 0) + (offset?.y ?? 0),
+                (root.worldPosition?.z ?? 0) + (offset?.z ?? 0)
+            );
+            if (parentMesh) {
+                parentMesh.worldToLocal(position);
+            }
+            positions[root.id] = { x: position.x, y: position.y, z: position.z };
+        });
+        return positions;
+    }
+
+    execute() {
+        const sceneController = window.modlerComponents?.sceneController;
+        if (!sceneController) {
+            console.error('PasteObjectsCommand: SceneController not available');
+            return false;
+        }
+
+        if (this.parentId !== null && !sceneController.getObject(this.parentId)) {
+            console.warn('PasteObjectsCommand: Target container no longer exists');
+            return false;
+        }
+
+        try {
+            const idMap = {};
+            const pasted = [];
+
+            // Create every object unparented (hierarchy is linked once all exist)
+            for (const objData of this.objects) {
+                const isRoot = this.rootIds.includes(objData.id);
+                if (!isRoot && idMap[objData.parentContainer] === undefined) {
+                    continue; // Parent failed to paste
+                }
+
+                const objectData = this.createObject(objData, isRoot, sceneController);
+                if (objectData) {
+                    idMap[objData.id] = objectData.id;
+                    pasted.push({ objData, objectData, isRoot });
+                }
+            }
+
+            if (pasted.length === 0) {
+                return false;
+            }
+
+            // Link hierarchy, then restore local positions (same order as SceneDeserializer)
+            for (const { objData, objectData, isRoot } of pasted) {
+                const parentId = isRoot ? this.parentId : idMap[objData.parentContainer];
+                if (parentId === null || parentId === undefined) continue;
+
+                sceneController.setParentContainer(objectData.id, parentId, false, { skipCoordinateConversion: true });
+
+                const position = isRoot ? this.rootPositions[objData.id] : objData.position;
+                if (position) {
+                    sceneController.updateObject(objectData.id, {
+                        position: { x: position.x ?? 0, y: position.y ?? 0, z: position.z ?? 0 }
+                    });
+                }
+            }
+
+            // Children keep their copied order
+            for (const { objData, objectData } of pasted) {
+                if (objectData.isContainer && Array.isArray(objData.childrenOrder)) {
+                    objectData.childrenOrder = objData.childrenOrder
+                        .map(childId => idMap[childId])
+                        .filter(childId => childId !== undefined);
+                }
+            }
+
+            for (const { objectData } of pasted) {
+                if (objectData.containerMode === 'layout' && objectData.childrenOrder?.length > 0) {
+                    sceneController.updateContainer(objectData.id);
+                }
+            }
+
+            if (this.parentId !== null) {
+                sceneController.updateContainer(this.parentId, { reason: 'hierarchy-changed' });
+            }
+
+            if (pasted.some(({ objData }) => objData.parametric?.formulas)) {
+                window.modlerComponents?.formulaManager?.rebuildGraph();
+            }
+
+            this.idMap = idMap;
+            return true;
+
+        } catch (error) {
+            console.error('PasteObjectsCommand: Error during execution:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Create one object from serialized data (mirrors SceneDeserializer.restoreObject)
+     * Component links are not pasted: copies of masters and instances are plain objects
+     * @private
+     */
+    createObject(objData, isRoot, sceneController) {
+        const geometryFactory = window.modlerComponents?.geometryFactory;
+        const materialManager = window.modlerComponents?.materialManager;
+        const dimensions = objData.dimensions || { x: 1, y: 1, z: 1 };
+
+        let geometry;
+        if (!objData.isContainer && ['cylinder', 'sphere', 'extrusion', 'mesh'].includes(objData.type) && geometryFactory) {
+            geometry = geometryFactory.createObjectGeometry(objData.type, dimensions, objData.primitive);
+        } else {
+            geometry = geometryFactory
+                ? geometryFactory.createBoxGeometry(dimensions.x, dimensions.y, dimensions.z)
+                : new THREE.BoxGeometry(dimensions.x, dimensions.y, dimensions.z);
+        }
+
+        let material;
+        if (objData.isContainer) {
+            material = materialManager
+                ? materialManager.createInvisibleRaycastMaterial({ wireframe: false })
+                : new THREE.MeshBasicMaterial({ transparent: true, opacity: 0.0, colorWrite: false, depthWrite: false });
+        } else if (window.modlerComponents?.materialLibraryManager) {
+            material = window.modlerComponents.materialLibraryManager.createObjectMaterial(objData.material || {}, geometry);
+        } else {
+            const materialOptions = {
+                color: objData.material?.color || '#808080',
+                opacity: objData.material?.opacity ?? 1.0,
+                transparent: objData.material?.transparent ?? false
+            };
+            material = materialManager
+                ? materialManager.createMeshLambertMaterial(materialOptions)
+                : new THREE.MeshLambertMaterial(materialOptions);
+        }
+
+        // Root-level roots are placed directly; everything else gets its local
+        // position after setParentContainer()
+        const rootPosition = isRoot && this.parentId === null ? this.rootPositions[objData.id] : null;
+
+        const objectData = sceneController.addObject(geometry, material, {
+            name: objData.name,
+            type: objData.type || 'box',
+            primitive: ObjectDataFormat.clonePrimitive(objData.primitive),
+            yardItemId: objData.yardItemId || undefined,
+            id: this.idMap?.[objData.id],
+            isContainer: objData.isContainer || false,
+            selectable: !(objData.isContainer || false),
+            position: rootPosition || { x: 0, y: 0, z: 0 },
+            rotation: {
+                x: objData.rotation?.x ?? 0,
+                y: objData.rotation?.y ?? 0,
+                z: objData.rotation?.z ?? 0,
+                order: 'XYZ'
+            },
+            autoLayout: objData.autoLayout ? JSON.parse(JSON.stringify(objData.autoLayout)) : objData.autoLayout,
+            containerMode: objData.containerMode || 'hug',
+            isHug: objData.isHug || false,
+            layoutMode: objData.layoutMode,
+            layoutProperties: objData.layoutProperties ? { ...objData.layoutProperties } : objData.layoutProperties
+        });
+
+        if (!objectData) {
+            return null;
+        }
+
+        if (objData.isContainer) {
+            Object.assign(objectData, ObjectStateManager.buildContainerModeUpdate(objectData.containerMode));
+        }
+
+        objectData.visible = objData.visible ?? true;
+        objectData.locked = objData.locked || false;
+
+        if (objData.parametric?.formulas) {
+            objectData.parametricProperties = {
+                formulas: { ...objData.parametric.formulas },
+                formulaUnits: { ...(objData.parametric.units || {}) }
+            };
+        }
+
+        if (window.dimensionManager) {
+            window.dimensionManager.restoreDimensionsFromSerialization(objectData.id, dimensions);
+        }
+
+        return objectData;
+    }
+
+    undo() {
+        const sceneController = window.modlerComponents?.sceneController;
+        if (!sceneController || !this.idMap) {
+            console.error('PasteObjectsCommand: Nothing to undo');
+            return false;
+        }
+
+        try {
+            window.modlerComponents?.selectionController?.clearSelection();
+
+            // Removing a container removes its pasted children with it
+            const objectStateManager = window.modlerComponents?.objectStateManager;
+            for (const pastedId of this.getPastedRootIds()) {
+                if (sceneController.removeObject(pastedId) && objectStateManager) {
+                    objectStateManager.notifyObjectDeleted(pastedId);
+                }
+            }
+
+            if (this.parentId !== null && sceneController.getObject(this.parentId)) {
+                sceneController.updateContainer(this.parentId, { reason: 'hierarchy-changed' });
+            }
+
+            if (this.objects.some(objData => objData.parametric?.formulas)) {
+                window.modlerComponents?.formulaManager?.rebuildGraph();
+            }
+
+            return true;
+
+        } catch (error) {
+            console.error('PasteObjectsCommand: Error during undo:', error);
+            return false;
+        }
+    }
+
+    /**
+     * IDs of the pasted top-level objects (empty before the first execute)
+     * @returns {Array<number>}
+     */
+    getPastedRootIds() {
+        if (!this.idMap) return [];
+        return this.rootIds
+            .map(rootId => this.idMap[rootId])
+            .filter(pastedId => pastedId !== undefined);
+    }
+}
+
+// Export for use in main application
+window.PasteObjectsCommand = PasteObjectsCommand;
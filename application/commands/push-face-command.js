@@ -5,6 +5,21 @@ const logger = window.logger;
  * Supports hug→layout transition undo/redo when push triggers mode change
  */
 class PushFaceCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return [
+            'objectId',
+            'faceNormal',
+            'pushDistance',
+            'oldDimensions',
+            'newDimensions',
+            'oldPosition',
+            'newPosition',
+            'hugTransitionState',
+            'fillTransitionState',
+            'parentHugTransitionState'
+        ];
+    }
+
     /**
      * @param {string|number} objectId - ID of the object being pushed
      * @param {Object} faceNormal - Face normal direction {x, y, z}
@@ -0,0 +1,45 @@
+// Modler V2 - Reorder Children Command
+// Command pattern implementation for changing the order of a container's children
+
+class ReorderChildrenCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['parentId', 'newOrder', 'oldOrder'];
+    }
+
+    /**
+     * @param {string|null} parentId - Container ID, or null for root
+     * @param {Array<string>} childrenOrder - Child IDs in the new order
+     */
+    constructor(parentId, childrenOrder) {
+        super('reorder-children', 'Reorder');
+
+        this.parentId = parentId || null;
+        this.newOrder = childrenOrder.slice();
+
+        const sceneController = window.modlerComponents?.sceneController;
+        this.oldOrder = sceneController ? sceneController.getChildrenOrder(this.parentId) : [];
+    }
+
+    execute() {
+        const sceneController = window.modlerComponents?.sceneController;
+        if (!sceneController) {
+            console.error('ReorderChildrenCommand: SceneController not available');
+            return false;
+        }
+
+        return sceneController.setChildrenOrder(this.parentId, this.newOrder.slice());
+    }
+
+    undo() {
+        const sceneController = window.modlerComponents?.sceneController;
+        if (!sceneController) {
+            console.error('ReorderChildrenCommand: SceneController not available for undo');
+            return false;
+        }
+
+        return sceneController.setChildrenOrder(this.parentId, this.oldOrder.slice());
+    }
+}
+
+// Export for use in main application
+window.ReorderChildrenCommand = ReorderChildrenCommand;
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+// Modler V2 - Reparent Object Command
+// Command pattern implementation for moving an object into another container (or to root)
+
+class ReparentObjectCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['objectId', 'parentId', 'deferLayout', 'oldParentId', 'oldOrder', 'oldPosition'];
+    }
+
+    /**
+     * @param {string} objectId - Object to move
+     * @param {string|null} parentId - Target container, or null for root
+     * @param {Object} options
+     * @param {boolean} options.deferLayout - Skip the target container layout
+     *        (a following ReorderChildrenCommand lays it out)
+     */
+    constructor(objectId, parentId, options = {}) {
+        super('reparent-object', 'Move to container');
+
+        this.objectId = objectId;
+        this.parentId = parentId || null;
+        this.deferLayout = !!options.deferLayout;
+
+        const sceneController = window.modlerComponents?.sceneController;
+        const objectData = sceneController?.getObject(objectId);
+
+        // Original placement, for undo
+        this.oldParentId = objectData?.parentContainer || null;
+        this.oldOrder = sceneController ? sceneController.getChildrenOrder(this.oldParentId) : [];
+        this.oldPosition = objectData?.mesh ? objectData.mesh.position.clone() : null;
+    }
+
+    execute() {
+        const sceneController = window.modlerComponents?.sceneController;
+        if (!sceneController) {
+            console.error('ReparentObjectCommand: SceneController not available');
+            return false;
+        }
+
+        if (this.parentId === this.oldParentId) {
+            return true;
+        }
+
+        if (this.parentId && sceneController.wouldCreateCircularReference(this.objectId, this.parentId)) {
+            console.warn('ReparentObjectCommand: Would create circular reference');
+            return false;
+        }
+
+        if (!sceneController.setParentContainer(this.objectId, this.parentId, false)) {
+            return false;
+        }
+
+        if (this.parentId && !this.deferLayout) {
+            sceneController.updateContainer(this.parentId, { reason: 'hierarchy-changed' });
+        }
+
+        // Remaining children of the old parent need repositioning
+        if (this.oldParentId) {
+            sceneController.updateContainer(this.oldParentId, { reason: 'hierarchy-changed' });
+        }
+
+        return true;
+    }
+
+    undo() {
+        const sceneController = window.modlerComponents?.sceneController;
+        if (!sceneController) {
+            console.error('ReparentObjectCommand: SceneController not available for undo');
+            return false;
+        }
+
+        if (this.parentId === this.oldParentId) {
+            return true;
+        }
+
+        if (!sceneController.setParentContainer(this.objectId, this.oldParentId, false)) {
+            return false;
+        }
+
+        // Back to the original local position and slot
+        const objectData = sceneController.getObject(this.objectId);
+        if (objectData?.mesh && this.oldPosition) {
+            objectData.mesh.position.copy(this.oldPosition);
+            objectData.mesh.updateMatrixWorld(true);
+        }
+
+        sceneController.setChildrenOrder(this.oldParentId, this.oldOrder.slice());
+
+        if (this.parentId) {
+            sceneController.updateContainer(this.parentId, { reason: 'hierarchy-changed' });
+        }
+
+        const objectStateManager = window.modlerComponents?.objectStateManager;
+        if (objectStateManager && objectData?.mesh) {
+            objectStateManager.updateObject(this.objectId, {
+                position: {
+                    x: objectData.mesh.position.x,
+                    y: objectData.mesh.position.y,
+                    z: objectData.mesh.position.z
+                }
+            });
+        }
+
+        return true;
+    }
+
+    getDescription() {
+        return this.parentId ? 'Move to container' : 'Move to root';
+    }
+}
+
+// Export for use in main application
+window.ReparentObjectCommand = ReparentObjectCommand;
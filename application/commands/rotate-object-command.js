@@ -0,0 +1,86 @@
+const logger = window.logger;
+/**
+ * Rotate Object Command
+ * Undoable command for rotating objects (rotation in degrees)
+ * Position is stored too - rotating about the object centre shifts the mesh origin
+ */
+class RotateObjectCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['objectId', 'oldRotation', 'newRotation', 'oldPosition', 'newPosition'];
+    }
+
+    /**
+     * @param {string} objectId - ID of the object being rotated
+     * @param {Object} oldRotation - Original rotation {x, y, z} in degrees
+     * @param {Object} newRotation - New rotation {x, y, z} in degrees
+     * @param {Object} oldPosition - Original position {x, y, z}
+     * @param {Object} newPosition - New position {x, y, z}
+     */
+    constructor(objectId, oldRotation, newRotation, oldPosition, newPosition) {
+        super('rotate-object', 'Rotate object');
+        this.objectId = objectId;
+        this.oldRotation = { ...oldRotation };
+        this.newRotation = { ...newRotation };
+        this.oldPosition = { ...oldPosition };
+        this.newPosition = { ...newPosition };
+    }
+
+    execute() {
+        // Rotation already happened interactively, just store the state
+        return true;
+    }
+
+    undo() {
+        return this.applyState(this.oldRotation, this.oldPosition, 'undo');
+    }
+
+    redo() {
+        return this.applyState(this.newRotation, this.newPosition, 'redo');
+    }
+
+    /**
+     * Restore rotation and position through ObjectStateManager
+     * @param {Object} rotation - {x, y, z} in degrees
+     * @param {Object} position - {x, y, z}
+     * @param {string} operation - 'undo' | 'redo' (for logging)
+     * @returns {boolean} Success
+     */
+    applyState(rotation, position, operation) {
+        const objectStateManager = window.modlerComponents?.objectStateManager;
+        const sceneController = window.modlerComponents?.sceneController;
+
+        if (!objectStateManager || !sceneController) {
+            logger.error(`RotateObjectCommand: Required components not available for ${operation}`);
+            return false;
+        }
+
+        try {
+            if (!sceneController.getObject(this.objectId)) {
+                logger.error(`RotateObjectCommand: Object not found for ${operation}:`, this.objectId);
+                return false;
+            }
+
+            objectStateManager.updateObject(this.objectId, {
+                rotation: { ...rotation },
+                position: { ...position }
+            });
+
+            logger.info(`${operation === 'undo' ? '↩️ Undid' : '↪️ Redid'} rotate: ${this.objectId}`);
+            return true;
+
+        } catch (error) {
+            logger.error(`RotateObjectCommand: ${operation} failed:`, error);
+            return false;
+        }
+    }
+
+    getDescription() {
+        const delta = ['x', 'y', 'z']
+            .map(axis => ({ axis, value: this.newRotation[axis] - this.oldRotation[axis] }))
+            .filter(({ value }) => Math.abs(value) > 0.001)
+            .map(({ axis, value }) => `${axis}: ${value.toFixed(1)}°`);
+        return `Rotate object${delta.length ? ` (${delta.join(', ')})` : ''}`;
+    }
+}
+
+window.RotateObjectCommand = RotateObjectCommand;
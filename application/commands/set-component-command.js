@@ -0,0 +1,40 @@
+// Modler V2 - Set Component Command
+// Command pattern implementation for converting, detaching and relinking component objects
+
+class SetComponentCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['changes'];
+    }
+
+    /**
+     * @param {string} description - History label
+     * @param {Array<Object>} changes - [{ objectId, before, after }] component links (null = unlinked)
+     */
+    constructor(description, changes) {
+        super('set-component', description);
+
+        this.changes = JSON.parse(JSON.stringify(changes));
+    }
+
+    execute() {
+        const componentManager = window.modlerComponents?.componentManager;
+        if (!componentManager) {
+            console.error('SetComponentCommand: ComponentManager not available');
+            return false;
+        }
+
+        return componentManager.applyLinks(this.changes.map(change => ({ objectId: change.objectId, link: change.after })));
+    }
+
+    undo() {
+        const componentManager = window.modlerComponents?.componentManager;
+        if (!componentManager) {
+            console.error('SetComponentCommand: ComponentManager not available for undo');
+            return false;
+        }
+
+        return componentManager.applyLinks(this.changes.map(change => ({ objectId: change.objectId, link: change.before })));
+    }
+}
+
+window.SetComponentCommand = SetComponentCommand;
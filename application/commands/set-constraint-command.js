@@ -0,0 +1,44 @@
+// Modler V2 - Set Constraint Command
+// Command pattern implementation for adding and removing cross-object constraints
+
+class SetConstraintCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['constraintId', 'newValue', 'oldValue'];
+    }
+
+    /**
+     * @param {string} constraintId - Constraint ID
+     * @param {Object|null} newConstraint - Constraint record or null to remove
+     * @param {Object|null} oldConstraint - Previous record or null if newly added
+     */
+    constructor(constraintId, newConstraint, oldConstraint) {
+        const constraint = newConstraint || oldConstraint;
+        super('set-constraint', `${newConstraint ? 'Add' : 'Remove'} ${constraint?.type || ''} constraint`);
+
+        this.constraintId = constraintId;
+        this.newValue = newConstraint ? JSON.parse(JSON.stringify(newConstraint)) : null;
+        this.oldValue = oldConstraint ? JSON.parse(JSON.stringify(oldConstraint)) : null;
+    }
+
+    execute() {
+        const constraintManager = window.modlerComponents?.constraintManager;
+        if (!constraintManager) {
+            console.error('SetConstraintCommand: ConstraintManager not available');
+            return false;
+        }
+
+        return constraintManager.applyConstraint(this.constraintId, this.newValue);
+    }
+
+    undo() {
+        const constraintManager = window.modlerComponents?.constraintManager;
+        if (!constraintManager) {
+            console.error('SetConstraintCommand: ConstraintManager not available for undo');
+            return false;
+        }
+
+        return constraintManager.applyConstraint(this.constraintId, this.oldValue);
+    }
+}
+
+window.SetConstraintCommand = SetConstraintCommand;
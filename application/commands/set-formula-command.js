@@ -0,0 +1,64 @@
+// Modler V2 - Set Formula Command
+// Command pattern implementation for binding and removing per-field formulas
+
+class SetFormulaCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['objectId', 'property', 'newValue', 'oldValue', 'oldPropertyValue'];
+    }
+
+    /**
+     * @param {string} objectId - Object owning the formula
+     * @param {string} property - Property path (e.g. 'dimensions.x')
+     * @param {Object|null} newFormula - { expression, unit } or null to remove
+     * @param {Object|null} oldFormula - Previous binding or null if there was none
+     * @param {number|null} oldValue - Property value before the change (restored when undo removes the formula)
+     */
+    constructor(objectId, property, newFormula, oldFormula, oldValue) {
+        super('set-formula', `${newFormula ? 'Set' : 'Remove'} formula on ${property}`);
+
+        this.objectId = objectId;
+        this.property = property;
+        this.newValue = newFormula ? { ...newFormula } : null;
+        this.oldValue = oldFormula ? { ...oldFormula } : null;
+        this.oldPropertyValue = oldValue ?? null;
+    }
+
+    execute() {
+        const formulaManager = window.modlerComponents?.formulaManager;
+        if (!formulaManager) {
+            console.error('SetFormulaCommand: FormulaManager not available');
+            return false;
+        }
+
+        return formulaManager.applyFormula(this.objectId, this.property, this.newValue);
+    }
+
+    undo() {
+        const formulaManager = window.modlerComponents?.formulaManager;
+        if (!formulaManager) {
+            console.error('SetFormulaCommand: FormulaManager not available for undo');
+            return false;
+        }
+
+        if (!formulaManager.applyFormula(this.objectId, this.property, this.oldValue)) {
+            return false;
+        }
+
+        // No formula to recompute the field - put back the value it had before
+        if (!this.oldValue && this.oldPropertyValue !== null) {
+            const [group, axis] = this.property.split('.');
+            window.modlerComponents?.objectStateManager?.updateObject(this.objectId, {
+                [group]: { [axis]: this.oldPropertyValue }
+            });
+        }
+        return true;
+    }
+
+    getDescription() {
+        return this.newValue
+            ? `Set formula ${this.property} = ${this.newValue.expression}`
+            : `Remove formula from ${this.property}`;
+    }
+}
+
+window.SetFormulaCommand = SetFormulaCommand;
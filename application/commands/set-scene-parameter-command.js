@@ -0,0 +1,44 @@
+// Modler V2 - Set Scene Parameter Command
+// Command pattern implementation for adding, editing and deleting named scene parameters
+
+class SetSceneParameterCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['name', 'newValue', 'oldValue'];
+    }
+
+    /**
+     * @param {string} name - Parameter name
+     * @param {Object|null} newParameter - { name, value, kind } or null to delete
+     * @param {Object|null} oldParameter - Previous record or null if newly added
+     */
+    constructor(name, newParameter, oldParameter) {
+        const action = !oldParameter ? 'Add' : (!newParameter ? 'Delete' : 'Update');
+        super('set-scene-parameter', `${action} parameter ${name}`);
+
+        this.name = name;
+        this.newValue = newParameter ? { ...newParameter } : null;
+        this.oldValue = oldParameter ? { ...oldParameter } : null;
+    }
+
+    execute() {
+        const sceneParameterManager = window.modlerComponents?.sceneParameterManager;
+        if (!sceneParameterManager) {
+            console.error('SetSceneParameterCommand: SceneParameterManager not available');
+            return false;
+        }
+
+        return sceneParameterManager.applyParameter(this.name, this.newValue);
+    }
+
+    undo() {
+        const sceneParameterManager = window.modlerComponents?.sceneParameterManager;
+        if (!sceneParameterManager) {
+            console.error('SetSceneParameterCommand: SceneParameterManager not available for undo');
+            return false;
+        }
+
+        return sceneParameterManager.applyParameter(this.name, this.oldValue);
+    }
+}
+
+window.SetSceneParameterCommand = SetSceneParameterCommand;
@@ -2,6 +2,20 @@
 // Command pattern implementation for container layout property changes with undo/redo support
 
 class UpdateLayoutPropertyCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return [
+            'containerId',
+            'property',
+            'newValue',
+            'oldValue',
+            'originalLayoutState',
+            'newLayoutState',
+            'originalContainerMode',
+            'newContainerMode',
+            'childPositionSnapshots'
+        ];
+    }
+
     constructor(containerId, property, newValue, oldValue) {
         super('update-layout-property', `Update ${property} for container`);
 
@@ -4,6 +4,10 @@ const logger = window.logger;
  * Undoable command for property changes from the property panel
  */
 class UpdatePropertyCommand extends BaseCommand {
+    static get SERIALIZED_FIELDS() {
+        return ['objectId', 'property', 'oldValue', 'newValue', 'parentContainer', 'wasInLayoutMode'];
+    }
+
     /**
      * @param {string} objectId - ID of the object being modified
      * @param {string} property - Property path (e.g., "position.x", "dimensions.y", "material.color")
@@ -11,7 +15,7 @@ class UpdatePropertyCommand extends BaseCommand {
      * @param {*} newValue - New value
      */
     constructor(objectId, property, oldValue, newValue) {
-        super();
+        super('update-property', 'Update property');
         this.objectId = objectId;
         this.property = property;
         this.oldValue = oldValue;
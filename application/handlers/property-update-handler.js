@@ -21,6 +21,10 @@ class PropertyUpdateHandler {
         return window.modlerComponents?.containerCrudManager;
     }
 
+    get formulaManager() {
+        return window.modlerComponents?.formulaManager;
+    }
+
     /**
      * Convert dot-notation property path to nested object
      * Example: ('dimensions.x', 1.5) → { dimensions: { x: 1.5 } }
@@ -82,6 +86,13 @@ class PropertyUpdateHandler {
             return this.handleContainerSizingChange(objectId, property, value);
         }
 
+        // Parametric formulas: "=expr" binds a formula, a plain value replaces it
+        const formulaManager = this.formulaManager;
+        if (formulaManager?.isFormulaInput(value)) {
+            return formulaManager.setFormula(objectId, property, value);
+        }
+        formulaManager?.clearFormula(objectId, property);
+
         // Generic property update: route to ObjectStateManager
         // ObjectStateManager.updateObject() handles:
         // - State update
@@ -249,6 +260,10 @@ class PropertyUpdateHandler {
                         updatedAutoLayout.padding = { width: 0, height: 0, depth: 0 };
                     }
                     updatedAutoLayout.padding = { ...updatedAutoLayout.padding, [paddingDirection]: newValue };
+                } else if (['flow', 'grid', 'radial', 'path'].includes(nestedProperty) && property.split('.')[2]) {
+                    // Handle flow/grid/radial/path sub-properties (e.g. flow.crossGap, radial.radius)
+                    const subProperty = property.split('.')[2];
+                    updatedAutoLayout[nestedProperty] = { ...(updatedAutoLayout[nestedProperty] || {}), [subProperty]: newValue };
                 } else {
                     updatedAutoLayout[nestedProperty] = newValue;
                 }
@@ -0,0 +1,503 @@
+import * as THREE from 'three';
+/**
+ * ClipboardManager - Copy, Cut and Paste of Objects
+ *
+ * Copy serializes the selected objects and their whole subtrees (ObjectSerializer)
+ * into one JSON payload and writes it to the system clipboard. The same text is kept
+ * in memory as a fallback for browsers that deny clipboard access (and for copies
+ * triggered from a panel iframe, which has no user activation in the main window).
+ * Neither copy is tied to the open scene, so objects paste into any scene loaded
+ * later through FileManager.loadScene().
+ *
+ * Payload: { format: 'modler/objects', version: 1, roots: [{ id, worldPosition }], objects }
+ *          objects are DataExtractor records, parents before children
+ *
+ * Paste target: inside a container context the objects become children of that
+ * container (in place); at root level they are centered on the cursor's ground-plane
+ * point, or pasted in place when the cursor is outside the viewport.
+ * Each paste is one PasteObjectsCommand (new IDs, one undo step); cut is copy
+ * followed by a regular DeleteObjectCommand.
+ *
+ * Flow: KeyboardRouter Cmd+C/X/V or CommandRouter 'clipboard-*' → copySelection()/
+ *       cutSelection()/paste() → HistoryManager → SelectionController.setSelection()
+ *
+ * Paste special: copyProperties() remembers one object's property groups (transform,
+ * dimensions, material, autoLayout, layoutProperties); pasteProperties() applies the
+ * chosen groups to every target through PropertyUpdateHandler, recorded as a single
+ * history transaction. The property clipboard is in-memory only.
+ *
+ * Flow: property panel / Cmd+Alt+C/V → CommandRouter 'properties-*' → copyProperties()/
+ *       pasteProperties() → PropertyUpdateHandler + HistoryManager.runTransaction()
+ */
+
+class ClipboardManager {
+    constructor() {
+        // Last copied payload text
+        this.memoryClipboard = null;
+
+        // Paste special: { sourceId, sourceName, values: { group: { path: value } } }
+        this.propertyClipboard = null;
+    }
+
+    static get FORMAT() {
+        return 'modler/objects';
+    }
+
+    get sceneController() {
+        return window.modlerComponents?.sceneController;
+    }
+
+    get selectionController() {
+        return window.modlerComponents?.selectionController;
+    }
+
+    get navigationController() {
+        return window.modlerComponents?.navigationController;
+    }
+
+    get historyManager() {
+        return window.modlerComponents?.historyManager;
+    }
+
+    get propertyUpdateHandler() {
+        return window.modlerComponents?.propertyUpdateHandler;
+    }
+
+    /**
+     * Property groups for paste special → property paths
+     * (autoLayout and layoutProperties are applied as whole objects; the library material
+     * goes before colour, which it would otherwise reset)
+     */
+    static get PROPERTY_GROUPS() {
+        return {
+            transform: ['position.x', 'position.y', 'position.z', 'rotation.x', 'rotation.y', 'rotation.z'],
+            dimensions: ['dimensions.x', 'dimensions.y', 'dimensions.z'],
+            material: ['material.materialId', 'material.grain', 'material.color', 'material.opacity'],
+            autoLayout: ['autoLayout'],
+            layoutProperties: ['layoutProperties']
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // COPY / CUT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Copy the selected objects (with their children) to the clipboard
+     * @returns {boolean} True if anything was copied
+     */
+    copySelection() {
+        const rootIds = this.getSelectedRootIds();
+        const sceneController = this.sceneController;
+        if (rootIds.length === 0 || !sceneController) return false;
+
+        const objectSerializer = window.modlerComponents?.objectSerializer;
+        const serialize = objectSerializer
+            ? objectData => objectSerializer.serializeObject(objectData, { useCache: false })
+            : objectData => window.DataExtractor.extractSerializableData(objectData);
+
+        const payload = ClipboardManager.buildPayload(sceneController, rootIds, serialize);
+        const text = JSON.stringify(payload);
+
+        this.memoryClipboard = text;
+        this.writeSystemClipboard(text);
+        return true;
+    }
+
+    /**
+     * Copy the selected objects, then delete them (one undo step for the delete)
+     * @returns {boolean} True if anything was cut
+     */
+    cutSelection() {
+        const rootIds = this.getSelectedRootIds();
+        if (!this.copySelection() || !this.historyManager) return false;
+
+        return this.historyManager.executeCommand(new DeleteObjectCommand(rootIds));
+    }
+
+    /**
+     * @private
+     */
+    getSelectedIds() {
+        const selectionController = this.selectionController;
+        const sceneController = this.sceneController;
+        if (!selectionController || !sceneController) return [];
+
+        return selectionController.getSelectedObjects()
+            .map(mesh => sceneController.getObjectByMesh(mesh)?.id)
+            .filter(objectId => objectId !== undefined && objectId !== null);
+    }
+
+    /**
+     * Selected object IDs, minus objects whose ancestor is also selected
+     * (the ancestor's subtree already contains them)
+     * @private
+     */
+    getSelectedRootIds() {
+        const sceneController = this.sceneController;
+        const selectedIds = new Set(this.getSelectedIds());
+
+        return [...selectedIds].filter(objectId => {
+            let parentId = sceneController.getObject(objectId)?.parentContainer;
+            while (parentId) {
+                if (selectedIds.has(parentId)) return false;
+                parentId = sceneController.getObject(parentId)?.parentContainer;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * @private
+     */
+    writeSystemClipboard(text) {
+        if (!navigator.clipboard?.writeText) return;
+
+        navigator.clipboard.writeText(text).catch(error => {
+            console.warn('ClipboardManager: System clipboard unavailable, keeping copy in memory:', error?.message || error);
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PASTE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Paste clipboard objects into the current container context or at the cursor
+     * @returns {Promise<boolean>} True if anything was pasted
+     */
+    async paste() {
+        const payload = await this.readPayload();
+        if (!payload) {
+            this.notifyError('Nothing to paste - copy objects first');
+            return false;
+        }
+
+        const sceneController = this.sceneController;
+        const historyManager = this.historyManager;
+        if (!sceneController || !historyManager) return false;
+
+        const command = new PasteObjectsCommand(payload.objects, payload.roots, this.getPastePlacement(payload));
+        if (!historyManager.executeCommand(command)) {
+            this.notifyError('Paste failed');
+            return false;
+        }
+
+        const pastedMeshes = command.getPastedRootIds()
+            .map(objectId => sceneController.getObject(objectId)?.mesh)
+            .filter(Boolean);
+        this.selectionController?.setSelection(pastedMeshes);
+        return true;
+    }
+
+    /**
+     * Clipboard payload: the system clipboard when it holds Modler objects,
+     * otherwise the last in-memory copy
+     * @private
+     */
+    async readPayload() {
+        if (navigator.clipboard?.readText) {
+            try {
+                const payload = ClipboardManager.parsePayload(await navigator.clipboard.readText());
+                if (payload) return payload;
+            } catch (error) {
+                // Permission denied or not focused - fall back to the in-memory copy
+            }
+        }
+
+        return ClipboardManager.parsePayload(this.memoryClipboard);
+    }
+
+    /**
+     * @private
+     */
+    getPastePlacement(payload) {
+        const navigationController = this.navigationController;
+        if (navigationController?.isInContainerContext()) {
+            return { parentId: navigationController.getCurrentContainer()?.id ?? null, offset: null };
+        }
+
+        const point = window.modlerComponents?.inputController?.getGroundPlanePoint();
+        if (!point) {
+            return { parentId: null, offset: null };
+        }
+
+        const center = ClipboardManager.getRootsCenter(payload.roots);
+        return {
+            parentId: null,
+            offset: { x: point.x - center.x, y: 0, z: point.z - center.z }
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PROPERTIES (PASTE SPECIAL)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Remember an object's property groups for pasteProperties()
+     * @param {number|null} objectId - Source object (defaults to the first selected object)
+     * @returns {boolean} True if copied
+     */
+    copyProperties(objectId = null) {
+        const sceneController = this.sceneController;
+        const sourceId = objectId ?? this.getSelectedIds()[0];
+        const objectData = sceneController?.getObject(sourceId);
+        if (!objectData) {
+            this.notifyError('Select an object to copy its properties');
+            return false;
+        }
+
+        this.propertyClipboard = {
+            sourceId,
+            sourceName: objectData.name,
+            values: ClipboardManager.captureProperties(window.DataExtractor.extractSerializableData(objectData))
+        };
+
+        this.broadcastPropertyClipboard();
+        return true;
+    }
+
+    /**
+     * Apply copied property groups to targets as one undo step
+     * @param {Array<string>} groups - Keys of PROPERTY_GROUPS (defaults to every copied group)
+     * @param {Array<number>|null} objectIds - Targets (defaults to the selection)
+     * @returns {boolean} True if anything changed
+     */
+    pasteProperties(groups = null, objectIds = null) {
+        const clipboard = this.propertyClipboard;
+        if (!clipboard) {
+            this.notifyError('Copy properties from an object first');
+            return false;
+        }
+
+        const sceneController = this.sceneController;
+        const historyManager = this.historyManager;
+        const propertyUpdateHandler = this.propertyUpdateHandler;
+        if (!sceneController || !historyManager || !propertyUpdateHandler) return false;
+
+        const targets = (objectIds ?? this.getSelectedIds())
+            .map(objectId => sceneController.getObject(objectId))
+            .filter(Boolean)
+            .map(objectData => window.DataExtractor.extractSerializableData(objectData));
+
+        const changes = ClipboardManager.planPropertyPaste(clipboard.values, groups ?? Object.keys(clipboard.values), targets);
+        if (changes.length === 0) {
+            this.notifyError(targets.length === 0 ? 'Select objects to paste properties to' : 'Selected objects already match');
+            return false;
+        }
+
+        const applied = historyManager.runTransaction('Paste properties', () =>
+            changes.every(change => this.applyPropertyChange(change))
+        );
+        return applied !== false;
+    }
+
+    /**
+     * @private
+     */
+    applyPropertyChange({ objectId, property, oldValue, newValue }) {
+        const historyManager = this.historyManager;
+
+        // Layout settings go through the command so children are re-laid out (and restored on undo)
+        if (property === 'autoLayout') {
+            return historyManager.executeCommand(new UpdateLayoutPropertyCommand(objectId, 'autoLayout', newValue, oldValue));
+        }
+
+        if (!this.propertyUpdateHandler.handlePropertyUpdate({ objectId, property, value: newValue, source: 'paste-properties' })) {
+            return false;
+        }
+        return historyManager.executeCommand(new UpdatePropertyCommand(objectId, property, oldValue, newValue));
+    }
+
+    /**
+     * Copy the property groups that apply to a serialized object
+     * (autoLayout only for containers, layoutProperties only when set)
+     * @param {Object} serialized - DataExtractor record
+     * @returns {Object} { group: { path: value } }
+     */
+    static captureProperties(serialized) {
+        const values = {};
+
+        Object.entries(ClipboardManager.PROPERTY_GROUPS).forEach(([group, paths]) => {
+            if (group === 'autoLayout' && !(serialized.isContainer && serialized.autoLayout)) return;
+            if (group === 'layoutProperties' && !serialized.layoutProperties) return;
+
+            values[group] = {};
+            paths.forEach(path => {
+                values[group][path] = ClipboardManager.clonePropertyValue(ClipboardManager.getPropertyValue(serialized, path));
+            });
+        });
+
+        return values;
+    }
+
+    /**
+     * List the property changes a paste would make (values that already match are skipped)
+     * @param {Object} values - Copied values from captureProperties()
+     * @param {Array<string>} groups - Groups to apply
+     * @param {Array<Object>} targets - DataExtractor records of the targets
+     * @returns {Array<Object>} [{ objectId, property, oldValue, newValue }]
+     */
+    static planPropertyPaste(values, groups, targets) {
+        const changes = [];
+
+        targets.forEach(target => {
+            groups.forEach(group => {
+                if (!values[group]) return;
+                if (group === 'autoLayout' && !target.isContainer) return;
+                if (group === 'layoutProperties' && !target.parentContainer) return;
+
+                Object.entries(values[group]).forEach(([property, newValue]) => {
+                    const oldValue = ClipboardManager.getPropertyValue(target, property);
+                    if (newValue === undefined || JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+                    changes.push({
+                        objectId: target.id,
+                        property,
+                        oldValue: ClipboardManager.clonePropertyValue(oldValue),
+                        newValue: ClipboardManager.clonePropertyValue(newValue)
+                    });
+                });
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * @private
+     */
+    static getPropertyValue(record, path) {
+        return path.split('.').reduce((value, key) => value?.[key], record);
+    }
+
+    /**
+     * @private
+     */
+    static clonePropertyValue(value) {
+        return value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PAYLOAD
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Serialize objects and their subtrees into a clipboard payload
+     * @param {Object} sceneController - SceneController (or compatible)
+     * @param {Array<number>} rootIds - Top-level objects to copy
+     * @param {Function} serialize - objectData → serialized record
+     * @returns {Object} Payload (roots are detached: parentContainer null)
+     */
+    static buildPayload(sceneController, rootIds, serialize) {
+        const roots = [];
+        const objects = [];
+
+        const addSubtree = (objectData) => {
+            const record = serialize(objectData);
+            if (!record) return;
+            objects.push(record);
+
+            if (objectData.isContainer) {
+                sceneController.getChildObjects(objectData.id).forEach(addSubtree);
+            }
+        };
+
+        rootIds.forEach(rootId => {
+            const objectData = sceneController.getObject(rootId);
+            if (!objectData?.mesh) return;
+
+            objectData.mesh.updateMatrixWorld(true);
+            const worldPosition = objectData.mesh.getWorldPosition(new THREE.Vector3());
+            roots.push({ id: rootId, worldPosition: { x: worldPosition.x, y: worldPosition.y, z: worldPosition.z } });
+
+            const start = objects.length;
+            addSubtree(objectData);
+            if (objects[start]) {
+                objects[start] = { ...objects[start], parentContainer: null };
+            }
+        });
+
+        return { format: ClipboardManager.FORMAT, version: 1, roots, objects };
+    }
+
+    /**
+     * Parse clipboard text into a payload
+     * @param {string|null} text - Clipboard contents
+     * @returns {Object|null} Payload, or null if the text isn't copied Modler objects
+     */
+    static parsePayload(text) {
+        if (typeof text !== 'string' || text.length === 0) return null;
+
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+
+        if (payload?.format !== ClipboardManager.FORMAT ||
+            !Array.isArray(payload.roots) || payload.roots.length === 0 ||
+            !Array.isArray(payload.objects)) {
+            return null;
+        }
+
+        const objectIds = new Set(payload.objects.map(objData => objData?.id));
+        if (!payload.roots.every(root => objectIds.has(root?.id))) {
+            return null;
+        }
+
+        return payload;
+    }
+
+    /**
+     * Center of the copied roots' world positions on the ground plane
+     * @param {Array<Object>} roots - Payload roots
+     * @returns {{x: number, z: number}}
+     */
+    static getRootsCenter(roots) {
+        const sum = roots.reduce((total, root) => ({
+            x: total.x + (root.worldPosition?.x ?? 0),
+            z: total.z + (root.worldPosition?.z ?? 0)
+        }), { x: 0, z: 0 });
+
+        return { x: sum.x / roots.length, z: sum.z / roots.length };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Property clipboard state for the property panel's paste special picker
+     * @returns {Object|null} { sourceId, sourceName, values }
+     */
+    getPropertyClipboard() {
+        return this.propertyClipboard ? {
+            ...this.propertyClipboard,
+            values: ClipboardManager.clonePropertyValue(this.propertyClipboard.values)
+        } : null;
+    }
+
+    /**
+     * Send the property clipboard to all UI panels
+     */
+    broadcastPropertyClipboard() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'property-clipboard-updated',
+            data: { propertyClipboard: this.getPropertyClipboard() }
+        });
+    }
+
+    /**
+     * @private
+     */
+    notifyError(message) {
+        console.warn(`ClipboardManager: ${message}`);
+        window.notificationManager?.warning(message);
+    }
+}
+
+window.ClipboardManager = ClipboardManager;
@@ -0,0 +1,1007 @@
+/**
+ * ComponentManager - Component Masters and Linked Instances
+ *
+ * Any box or container can be converted to a component master. Instances are
+ * real scene objects linked to the master: edits to the master's dimensions,
+ * material and child structure are pushed to every instance, while each
+ * instance keeps its own position, rotation, parent and explicit overrides.
+ *
+ * Link fields live on the scene objects themselves (and round-trip through
+ * DataExtractor / SceneDeserializer):
+ *   master:         { isMaster: true, componentType }
+ *   instance root:  { masterId, instanceType: 'component', instanceOverrides: [keys] }
+ *   instance part:  { masterId: <master descendant id>, instanceType: 'component-part', instanceOverrides }
+ *
+ * Flow: master (or descendant) changed → ObjectEventBus → scheduleMaster() →
+ *       PropertySchemaRegistry.propagateMasterChange() → INSTANCE_UPDATE 'sync_from_master' →
+ *       syncInstance() → ObjectStateManager (source 'component')
+ * Master changes made by a command (or its undo/redo) sync the instances right away,
+ * inside the same history step, so undo and redo replay the same sync.
+ *
+ * Direct edits on a linked object become overrides: the property stops following
+ * the master until its value matches the master again. Layout-driven changes
+ * (fill sizes, layout positions, hug recentering) never do.
+ */
+
+class ComponentManager {
+    constructor() {
+        // Component references (initialized lazily)
+        this.sceneController = null;
+        this.objectStateManager = null;
+        this.objectEventBus = null;
+        this.registry = null;
+
+        // Masters whose instances need syncing (flushed once per microtask)
+        this.pendingMasters = new Set();
+        this.flushScheduled = false;
+
+        // Re-entrancy guard: updates applied while syncing must not re-trigger syncing
+        this.isSyncing = false;
+
+        // IDs of removed parts, reused when the part comes back ('instanceId:masterPartId' → id)
+        this.partIds = new Map();
+
+        this.initialized = false;
+    }
+
+    static get EPSILON() {
+        return 0.0001;
+    }
+
+    static get DIMENSION_KEYS() {
+        return ['dimensions.x', 'dimensions.y', 'dimensions.z'];
+    }
+
+    /**
+     * Initialize with required components
+     */
+    initialize() {
+        this.sceneController = window.modlerComponents?.sceneController;
+        this.objectStateManager = window.modlerComponents?.objectStateManager;
+        this.objectEventBus = window.objectEventBus;
+        this.registry = window.propertySchemaRegistry || null;
+
+        if (this.objectEventBus) {
+            const { EVENT_TYPES } = this.objectEventBus;
+            const changeHandler = (event) => this.handleObjectChanged(event);
+
+            this.objectEventBus.subscribe(EVENT_TYPES.GEOMETRY, changeHandler, { subscriberId: 'ComponentManager_geometry' });
+            this.objectEventBus.subscribe(EVENT_TYPES.MATERIAL, changeHandler, { subscriberId: 'ComponentManager_material' });
+            this.objectEventBus.subscribe(EVENT_TYPES.TRANSFORM, changeHandler, { subscriberId: 'ComponentManager_transform' });
+            this.objectEventBus.subscribe(EVENT_TYPES.HIERARCHY, changeHandler, { subscriberId: 'ComponentManager_hierarchy' });
+            this.objectEventBus.subscribe(EVENT_TYPES.LIFECYCLE, changeHandler, { subscriberId: 'ComponentManager_lifecycle' });
+            this.objectEventBus.subscribe(EVENT_TYPES.INSTANCE_UPDATE, (event) => {
+                if (event.changeData?.action === 'sync_from_master') {
+                    this.syncInstance(event.objectId);
+                }
+            }, { subscriberId: 'ComponentManager_instance' });
+        }
+
+        this.initialized = true;
+    }
+
+    get historyManager() {
+        return window.modlerComponents?.historyManager;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Get all masters and instances for the UI
+     * @returns {Object} { masters: [{id, name, componentType, instanceIds}], instances: [{id, masterId, masterName, overrides, orphaned}] }
+     */
+    getComponents() {
+        const objects = this.sceneController?.getAllObjects() || [];
+        const masters = [];
+        const instances = [];
+
+        objects.forEach(obj => {
+            if (obj.isMaster) {
+                masters.push({
+                    id: obj.id,
+                    name: obj.name,
+                    componentType: obj.componentType || 'custom',
+                    instanceIds: this.getInstanceIds(obj.id)
+                });
+            } else if (obj.instanceType === 'component') {
+                const master = this.sceneController.getObject(obj.masterId);
+                instances.push({
+                    id: obj.id,
+                    masterId: obj.masterId,
+                    masterName: master?.name || null,
+                    overrides: [...(obj.instanceOverrides || [])],
+                    orphaned: !master?.isMaster
+                });
+            }
+        });
+
+        return { masters, instances };
+    }
+
+    /**
+     * Get the IDs of a master's instances
+     * @param {string} masterId - Master object ID
+     * @returns {Array<string>}
+     */
+    getInstanceIds(masterId) {
+        if (this.registry?.getInstances) {
+            return this.registry.getInstances(masterId);
+        }
+        return (this.sceneController?.getAllObjects() || [])
+            .filter(obj => obj.instanceType === 'component' && obj.masterId === masterId)
+            .map(obj => obj.id);
+    }
+
+    /**
+     * Get an object's component link for snapshots (delete/undo, serialization)
+     * @param {Object} obj - Scene object
+     * @returns {Object|null} { isMaster, componentType } or { masterId, instanceType, overrides }
+     */
+    getLink(obj) {
+        if (!obj) return null;
+        if (obj.isMaster) {
+            return { isMaster: true, componentType: obj.componentType || 'custom' };
+        }
+        if (obj.masterId !== undefined && obj.masterId !== null) {
+            return {
+                masterId: obj.masterId,
+                instanceType: obj.instanceType || 'component',
+                overrides: [...(obj.instanceOverrides || [])]
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Find the master an object belongs to (itself or the nearest master ancestor)
+     * @param {Object} obj - Scene object
+     * @returns {Object|null} Master object
+     */
+    getMasterRoot(obj) {
+        let current = obj;
+        while (current) {
+            if (current.isMaster) return current;
+            current = current.parentContainer ? this.sceneController.getObject(current.parentContainer) : null;
+        }
+        return null;
+    }
+
+    /**
+     * Find the instance root a linked object belongs to
+     * @param {Object} obj - Instance root or part
+     * @returns {Object|null} Instance root
+     */
+    getInstanceRoot(obj) {
+        let current = obj;
+        while (current?.instanceType === 'component-part') {
+            current = current.parentContainer ? this.sceneController.getObject(current.parentContainer) : null;
+        }
+        return current?.instanceType === 'component' ? current : null;
+    }
+
+    /**
+     * Collect an instance root and all of its linked parts
+     * @param {Object} root - Instance root
+     * @returns {Array<Object>}
+     */
+    getInstanceObjects(root) {
+        const objects = [root];
+        if (root.isContainer) {
+            this.sceneController.getChildObjects(root.id)
+                .filter(child => child.instanceType === 'component-part')
+                .forEach(child => objects.push(...this.getInstanceObjects(child)));
+        }
+        return objects;
+    }
+
+    /**
+     * Work out which master a new instance of an object would link to
+     * @param {string} objectId - Master, instance, or plain object to convert
+     * @returns {Object} { masterId, convert } or { error }
+     */
+    resolveInstanceSource(objectId) {
+        const obj = this.sceneController?.getObject(objectId);
+        if (!obj) {
+            return { error: 'Object not found' };
+        }
+        if (obj.isMaster) {
+            return { masterId: obj.id, convert: false };
+        }
+        if (obj.instanceType === 'component') {
+            const master = this.sceneController.getObject(obj.masterId);
+            return master?.isMaster
+                ? { masterId: master.id, convert: false }
+                : { error: 'The master of this instance no longer exists' };
+        }
+
+        const error = this.validateConversion(obj);
+        return error ? { error } : { masterId: obj.id, convert: true };
+    }
+
+    /**
+     * Check whether an object can be converted to a component master
+     * @param {Object} obj - Scene object
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateConversion(obj) {
+        if (!obj || obj.isTemporary || obj.isPreview) {
+            return 'Object not found';
+        }
+        if (obj.isMaster) {
+            return `${obj.name} is already a component`;
+        }
+        if (obj.instanceType === 'component') {
+            return `${obj.name} is an instance - detach it first`;
+        }
+        if (obj.instanceType === 'component-part') {
+            return `${obj.name} is part of a component instance`;
+        }
+
+        const parent = obj.parentContainer ? this.sceneController.getObject(obj.parentContainer) : null;
+        const masterAncestor = parent ? this.getMasterRoot(parent) : null;
+        if (masterAncestor) {
+            return `${obj.name} is already part of component ${masterAncestor.name}`;
+        }
+        return null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EDITING (undoable)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Convert a box or container to a component master
+     * @param {string} objectId - Object ID
+     * @returns {boolean} True if converted
+     */
+    convertToComponent(objectId) {
+        const obj = this.sceneController?.getObject(objectId);
+        const error = this.validateConversion(obj);
+        if (error) {
+            this.notifyError(error);
+            return false;
+        }
+
+        return this.executeChange(`Convert ${obj.name} to component`, [{
+            objectId: obj.id,
+            before: null,
+            after: { isMaster: true, componentType: 'custom' }
+        }]);
+    }
+
+    /**
+     * Create a linked instance next to a master or instance
+     * (a plain object is converted to a master first)
+     * @param {string} sourceObjectId - Source object ID
+     * @param {Object} options - { position }
+     * @returns {string|null} New instance ID
+     */
+    createInstance(sourceObjectId, options = {}) {
+        const resolved = this.resolveInstanceSource(sourceObjectId);
+        if (resolved.error) {
+            this.notifyError(resolved.error);
+            return null;
+        }
+
+        const historyManager = this.historyManager;
+        if (historyManager && window.CreateInstanceCommand) {
+            const command = new CreateInstanceCommand(sourceObjectId, options);
+            return historyManager.executeCommand(command) ? command.instanceId : null;
+        }
+
+        if (resolved.convert) {
+            this.applyLinks([{ objectId: resolved.masterId, link: { isMaster: true, componentType: 'custom' } }]);
+        }
+        return this.buildInstance(resolved.masterId, { ...options, sourceId: sourceObjectId })?.id ?? null;
+    }
+
+    /**
+     * Break the link between an instance and its master, keeping its current state
+     * @param {string} objectId - Instance root or one of its parts
+     * @returns {boolean} True if detached
+     */
+    detachInstance(objectId) {
+        const obj = this.sceneController?.getObject(objectId);
+        const root = this.getInstanceRoot(obj);
+        if (!root) {
+            this.notifyError('Only component instances can be detached');
+            return false;
+        }
+
+        const changes = this.getInstanceObjects(root).map(part => ({
+            objectId: part.id,
+            before: this.getLink(part),
+            after: null
+        }));
+        return this.executeChange(`Detach ${root.name}`, changes);
+    }
+
+    /**
+     * Route a change through HistoryManager (direct apply when history is unavailable)
+     * @private
+     */
+    executeChange(description, changes) {
+        const historyManager = this.historyManager;
+        if (historyManager && window.SetComponentCommand) {
+            return historyManager.executeCommand(new SetComponentCommand(description, changes));
+        }
+        return this.applyLinks(changes.map(change => ({ objectId: change.objectId, link: change.after })));
+    }
+
+    /**
+     * Apply component links directly (used by SetComponentCommand and CreateInstanceCommand)
+     * @param {Array<Object>} records - [{ objectId, link }] where link is a getLink() result or null
+     * @returns {boolean} Always true
+     */
+    applyLinks(records) {
+        records.forEach(({ objectId, link }) => this.setLink(objectId, link));
+        this.broadcastUpdate();
+        return true;
+    }
+
+    /**
+     * Restore a link captured before deletion (DeleteObjectCommand undo)
+     * @param {string} objectId - Restored object ID
+     * @param {Object|null} link - getLink() result
+     */
+    restoreLink(objectId, link) {
+        if (!link) return;
+        this.applyLinks([{ objectId, link }]);
+    }
+
+    /**
+     * @private
+     */
+    setLink(objectId, link) {
+        const obj = this.sceneController?.getObject(objectId);
+        if (!obj) return;
+
+        if (obj.instanceType === 'component') {
+            this.registry?.removeInstanceRelationship(obj.id);
+        }
+
+        delete obj.isMaster;
+        delete obj.componentType;
+        delete obj.masterId;
+        delete obj.instanceType;
+        delete obj.instanceOverrides;
+
+        if (link?.isMaster) {
+            obj.isMaster = true;
+            obj.componentType = link.componentType || 'custom';
+        } else if (link?.masterId !== undefined && link?.masterId !== null) {
+            obj.masterId = link.masterId;
+            obj.instanceType = link.instanceType || 'component';
+            obj.instanceOverrides = [...(link.overrides || [])];
+
+            if (obj.instanceType === 'component') {
+                this.registry?.createInstanceRelationship(obj.id, obj.masterId);
+            }
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // INSTANCE CREATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Build a linked instance of a master (no history - used by CreateInstanceCommand)
+     * The instance is placed in the source object's parent, right after it.
+     * @param {string} masterId - Master object ID
+     * @param {Object} options - { sourceId, position, id, partIds } (id/partIds reuse a previous build's IDs)
+     * @returns {Object|null} Instance root object
+     */
+    buildInstance(masterId, options = {}) {
+        const master = this.sceneController?.getObject(masterId);
+        if (!master?.isMaster) return null;
+
+        const source = this.sceneController.getObject(options.sourceId) || master;
+        const position = options.position || {
+            x: source.mesh.position.x + (window.dimensionManager?.getDimension(source.mesh, 'x') || 0) * 1.25,
+            y: source.mesh.position.y,
+            z: source.mesh.position.z
+        };
+
+        let instance = null;
+        this.isSyncing = true;
+        try {
+            instance = this.createLinkedObject(master, {
+                id: this.isFreeId(options.id) ? options.id : undefined,
+                parentContainer: source.parentContainer || null,
+                position,
+                rotation: this.readProperty(source, 'rotation'),
+                name: `${master.name} Instance`,
+                instanceType: 'component'
+            });
+
+            if (instance) {
+                this.registry?.createInstanceRelationship(instance.id, master.id);
+                Object.entries(options.partIds || {}).forEach(([masterPartId, partId]) => {
+                    this.partIds.set(`${instance.id}:${masterPartId}`, partId);
+                });
+                if (master.isContainer) {
+                    this.syncStructure(instance, master, this.indexParts(instance));
+                }
+            }
+        } finally {
+            this.isSyncing = false;
+        }
+
+        if (!instance) return null;
+
+        // Keep the instance next to its source in the parent's order
+        const parent = instance.parentContainer ? this.sceneController.getObject(instance.parentContainer) : null;
+        if (parent?.childrenOrder) {
+            const order = parent.childrenOrder.filter(id => id !== instance.id);
+            const sourceIndex = order.indexOf(source.id);
+            order.splice(sourceIndex === -1 ? order.length : sourceIndex + 1, 0, instance.id);
+            parent.childrenOrder = order;
+            this.sceneController.updateContainer(parent.id, { reason: 'hierarchy-changed' });
+        }
+
+        this.broadcastUpdate();
+        return instance;
+    }
+
+    /**
+     * Get the IDs of an instance's parts by the master part they copy
+     * @param {Object} root - Instance root
+     * @returns {Object} { masterPartId: partId }
+     */
+    getPartIds(root) {
+        const partIds = {};
+        this.getInstanceObjects(root).slice(1).forEach(part => {
+            partIds[part.masterId] = part.id;
+        });
+        return partIds;
+    }
+
+    /**
+     * Remove an instance and all of its parts (CreateInstanceCommand undo)
+     * @param {string} instanceId - Instance root ID
+     * @returns {boolean} True if removed
+     */
+    removeInstance(instanceId) {
+        const instance = this.sceneController?.getObject(instanceId);
+        if (!instance) return false;
+
+        const parentId = instance.parentContainer;
+        this.sceneController.removeObject(instanceId);
+
+        if (parentId && this.sceneController.getObject(parentId)) {
+            this.sceneController.updateContainer(parentId, { reason: 'hierarchy-changed' });
+        }
+
+        this.broadcastUpdate();
+        return true;
+    }
+
+    /**
+     * Create a scene object copying a source's geometry, material and container setup
+     * @private
+     */
+    createLinkedObject(source, { id, parentContainer, position, rotation, name, instanceType }) {
+        const dimensions = window.dimensionManager?.getDimensions(source.mesh) || { ...source.dimensions };
+        const options = {
+            id,
+            name,
+            type: source.type,
+            position,
+            rotation,
+            dimensions: { ...dimensions },
+            parentContainer,
+            layoutProperties: source.layoutProperties ? JSON.parse(JSON.stringify(source.layoutProperties)) : undefined
+        };
+
+        let created = null;
+        if (source.isContainer) {
+            const containerCrudManager = window.modlerComponents?.containerCrudManager;
+            const containerData = containerCrudManager?.createContainerGeometryWithFactories(dimensions);
+            if (!containerData?.mesh) return null;
+
+            created = this.sceneController.addObject(containerData.mesh, null, {
+                ...options,
+                isContainer: true,
+                selectable: true,
+                containerMode: source.containerMode || 'hug',
+                autoLayout: source.autoLayout ? JSON.parse(JSON.stringify(source.autoLayout)) : undefined
+            });
+        } else {
+            created = this.sceneController.addObject(source.mesh.geometry.clone(), source.mesh.material.clone(), options);
+        }
+
+        if (created) {
+            created.masterId = source.id;
+            created.instanceType = instanceType;
+            created.instanceOverrides = [];
+        }
+        return created;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SYNCING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * React to scene changes: master edits are queued for propagation,
+     * direct edits on linked objects become overrides
+     */
+    handleObjectChanged(event) {
+        if (!this.initialized || this.isSyncing) return;
+
+        const { objectId, eventType, changeData } = event;
+        if (objectId === null || objectId === undefined) return;
+
+        const { EVENT_TYPES } = this.objectEventBus;
+        if (eventType === EVENT_TYPES.LIFECYCLE && changeData?.operation === 'deleted') {
+            this.handleObjectDeleted(objectId);
+            return;
+        }
+
+        const obj = this.sceneController?.getObject(objectId);
+        if (!obj) return;
+
+        // Master side - the master root's own placement is not shared with instances
+        const masterRoot = this.getMasterRoot(obj);
+        if (masterRoot && !(eventType === EVENT_TYPES.TRANSFORM && masterRoot === obj)) {
+            this.scheduleMaster(masterRoot.id);
+        }
+        if (eventType === EVENT_TYPES.HIERARCHY && changeData?.previousParentId) {
+            const previousParent = this.sceneController.getObject(changeData.previousParentId);
+            const previousMaster = previousParent ? this.getMasterRoot(previousParent) : null;
+            if (previousMaster) {
+                this.scheduleMaster(previousMaster.id);
+            }
+        }
+
+        // Instance side
+        if (obj.instanceType === 'component-part' && eventType === EVENT_TYPES.HIERARCHY && changeData?.type === 'parent-changed') {
+            // A part dragged out of its instance becomes an ordinary object
+            const previousParent = this.sceneController.getObject(changeData.previousParentId);
+            const previousRoot = previousParent ? this.getInstanceRoot(previousParent) : null;
+            this.applyLinks(this.getInstanceObjects(obj).map(part => ({ objectId: part.id, link: null })));
+            if (previousRoot) {
+                this.scheduleMaster(previousRoot.masterId);
+            }
+        } else if (obj.instanceType && !this.isLayoutDriven(changeData)) {
+            this.refreshOverrides(obj, this.getOverrideScope(eventType));
+        }
+    }
+
+    /**
+     * Changes applied by a layout pass follow from the container, not from a direct edit
+     * @private
+     */
+    isLayoutDriven(changeData) {
+        return changeData?.source === 'layout-drag-update' ||
+            !!window.modlerComponents?.sceneLayoutManager?.isUpdating?.();
+    }
+
+    /**
+     * @private
+     */
+    handleObjectDeleted(objectId) {
+        let changed = false;
+
+        if (this.registry?.instanceMasters?.has(objectId)) {
+            this.registry.removeInstanceRelationship(objectId);
+            changed = true;
+        }
+        if (this.registry?.masterInstances?.has(objectId)) {
+            // Instances of a deleted master keep their state and stay linked (inactive) until undo
+            changed = true;
+        }
+
+        // Parts copied from a deleted master descendant are removed by the next sync
+        (this.sceneController?.getAllObjects() || []).forEach(obj => {
+            if (obj.instanceType === 'component-part' && obj.masterId === objectId) {
+                const root = this.getInstanceRoot(obj);
+                if (root) this.scheduleMaster(root.masterId);
+            }
+        });
+
+        if (changed) {
+            this.broadcastUpdate();
+        }
+    }
+
+    /**
+     * Queue a master for propagation (batched so multi-property edits sync once)
+     * @param {string} masterId - Master object ID
+     */
+    scheduleMaster(masterId) {
+        this.pendingMasters.add(masterId);
+        if (this.isHistoryStep()) {
+            this.flushPendingMasters();
+            return;
+        }
+        if (this.flushScheduled) return;
+
+        this.flushScheduled = true;
+        queueMicrotask(() => this.flushPendingMasters());
+    }
+
+    /**
+     * @private
+     */
+    flushPendingMasters() {
+        const masterIds = Array.from(this.pendingMasters);
+        this.pendingMasters.clear();
+        this.flushScheduled = false;
+
+        // Registry events can be throttled past the end of the history step - sync directly
+        const direct = this.isHistoryStep();
+        masterIds.forEach(masterId => {
+            const master = this.sceneController?.getObject(masterId);
+            if (!master?.isMaster) return;
+
+            if (this.registry && !direct) {
+                this.registry.propagateMasterChange(masterId, { action: 'master_changed' });
+            } else {
+                this.getInstanceIds(masterId).forEach(instanceId => this.syncInstance(instanceId));
+            }
+        });
+    }
+
+    /**
+     * Check whether a remembered ID can be given to a new object
+     * @private
+     */
+    isFreeId(id) {
+        return id !== undefined && id !== null && !this.sceneController.getObject(id);
+    }
+
+    /**
+     * Check whether a command, its undo/redo or a transaction is running
+     * @private
+     */
+    isHistoryStep() {
+        const historyManager = this.historyManager;
+        return !!historyManager && (historyManager.isExecuting || !!historyManager.isInTransaction?.());
+    }
+
+    /**
+     * Bring an instance up to date with its master
+     * @param {string} instanceId - Instance root ID
+     */
+    syncInstance(instanceId) {
+        const instance = this.sceneController?.getObject(instanceId);
+        if (!instance || instance.instanceType !== 'component' || this.isSyncing) return;
+
+        const master = this.sceneController.getObject(instance.masterId);
+        if (!master?.isMaster) return;
+
+        this.isSyncing = true;
+        try {
+            const parts = this.indexParts(instance);
+            this.syncObject(instance, master, true, parts);
+            this.removeUnclaimedParts(instance, parts);
+        } finally {
+            this.isSyncing = false;
+        }
+    }
+
+    /**
+     * Index an instance's parts by the master part they copy
+     * @private
+     * @returns {Object} { byMaster: Map<masterPartId, part>, unclaimed: Set<part> }
+     */
+    indexParts(root) {
+        const byMaster = new Map();
+        const unclaimed = new Set();
+
+        this.getInstanceObjects(root).slice(1).forEach(part => {
+            if (!byMaster.has(part.masterId)) {
+                byMaster.set(part.masterId, part);
+            }
+            unclaimed.add(part);
+        });
+        return { byMaster, unclaimed };
+    }
+
+    /**
+     * Remove parts no master part claimed (deleted from the master, or duplicates),
+     * remembering their IDs in case the master part comes back
+     * @private
+     */
+    removeUnclaimedParts(root, parts) {
+        parts.unclaimed.forEach(part => {
+            if (parts.byMaster.get(part.masterId) === part) {
+                this.partIds.set(`${root.id}:${part.masterId}`, part.id);
+            }
+            // Already gone with a removed parent part
+            if (!this.sceneController.getObject(part.id)) return;
+
+            const parentId = part.parentContainer;
+            this.sceneController.removeObject(part.id);
+            if (parentId && this.sceneController.getObject(parentId)) {
+                this.sceneController.updateContainer(parentId, { reason: 'hierarchy-changed' });
+            }
+        });
+    }
+
+    /**
+     * Copy shared, non-overridden properties from a master object onto its linked copy
+     * @private
+     */
+    syncObject(copy, source, isRoot, parts) {
+        const overrides = new Set(copy.instanceOverrides || []);
+        const updates = {};
+
+        this.getSyncedKeys(copy, source, isRoot).forEach(key => {
+            if (overrides.has(key)) return;
+
+            const value = this.readProperty(source, key);
+            if (!this.valuesEqual(value, this.readProperty(copy, key))) {
+                this.assignUpdate(updates, key, value);
+            }
+        });
+
+        if (Object.keys(updates).length > 0) {
+            this.objectStateManager.updateObject(copy.id, updates, { source: 'component', immediate: true });
+        }
+
+        if (source.isContainer && copy.isContainer) {
+            this.syncStructure(copy, source, parts);
+        }
+    }
+
+    /**
+     * Mirror a master container's children: match each master part to the instance part
+     * copying it (moving it here if needed), create missing ones, sync each part and
+     * match the master's child order (user-added children go last)
+     * @private
+     */
+    syncStructure(copy, source, parts) {
+        const root = this.getInstanceRoot(copy);
+        const sourceChildren = this.sceneController.getChildObjects(source.id);
+        const partsBySource = new Map();
+        let changed = false;
+
+        sourceChildren.forEach(sourceChild => {
+            let part = parts.byMaster.get(sourceChild.id);
+            if (part && parts.unclaimed.has(part)) {
+                parts.unclaimed.delete(part);
+                if (part.parentContainer !== copy.id) {
+                    this.sceneController.setParentContainer(part.id, copy.id, false, { skipCoordinateConversion: true });
+                    changed = true;
+                }
+            } else {
+                const key = `${root?.id}:${sourceChild.id}`;
+                const id = this.partIds.get(key);
+                part = this.createLinkedObject(sourceChild, {
+                    id: this.isFreeId(id) ? id : undefined,
+                    parentContainer: copy.id,
+                    position: this.readProperty(sourceChild, 'position'),
+                    rotation: this.readProperty(sourceChild, 'rotation'),
+                    name: sourceChild.name,
+                    instanceType: 'component-part'
+                });
+                if (!part) return;
+                this.partIds.delete(key);
+                changed = true;
+            }
+            partsBySource.set(sourceChild.id, part);
+            this.syncObject(part, sourceChild, false, parts);
+        });
+
+        const sourceOrder = (source.childrenOrder?.length ? source.childrenOrder : sourceChildren.map(child => child.id))
+            .map(id => partsBySource.get(id)?.id)
+            .filter(id => id !== undefined);
+        const extras = (copy.childrenOrder || []).filter(id => {
+            const child = this.sceneController.getObject(id);
+            return child && child.parentContainer === copy.id && child.instanceType !== 'component-part';
+        });
+        const order = [...sourceOrder, ...extras];
+
+        if (changed || !this.valuesEqual(order, copy.childrenOrder || [])) {
+            copy.childrenOrder = order;
+            this.sceneController.updateContainer(copy.id, { reason: 'hierarchy-changed' });
+        }
+    }
+
+    /**
+     * Record (or clear) overrides after a direct edit on a linked object
+     * @private
+     */
+    refreshOverrides(obj, inScope) {
+        const source = this.sceneController.getObject(obj.masterId);
+        if (!source || !inScope) return;
+
+        const isRoot = obj.instanceType === 'component';
+        if (isRoot && !source.isMaster) return;
+
+        const overrides = new Set(obj.instanceOverrides || []);
+        this.getSyncedKeys(obj, source, isRoot).filter(inScope).forEach(key => {
+            if (this.valuesEqual(this.readProperty(source, key), this.readProperty(obj, key))) {
+                overrides.delete(key);
+            } else {
+                overrides.add(key);
+            }
+        });
+
+        const next = Array.from(overrides);
+        if (!this.valuesEqual(next, obj.instanceOverrides || [])) {
+            obj.instanceOverrides = next;
+            this.broadcastUpdate();
+        }
+    }
+
+    /**
+     * Which synced keys an event type can touch
+     * @private
+     */
+    getOverrideScope(eventType) {
+        const { EVENT_TYPES } = this.objectEventBus;
+        switch (eventType) {
+            case EVENT_TYPES.GEOMETRY:
+                return key => key.startsWith('dimensions.');
+            case EVENT_TYPES.MATERIAL:
+                return key => key.startsWith('material.');
+            case EVENT_TYPES.TRANSFORM:
+                return key => key === 'position' || key === 'rotation';
+            case EVENT_TYPES.HIERARCHY:
+                return key => ['name', 'containerMode', 'autoLayout', 'layoutProperties'].includes(key);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Keys shared between a master object and its copy.
+     * Roots keep their own name, placement and layout role; layout-driven
+     * positions and hug-driven sizes are left to the layout engine.
+     * @private
+     */
+    getSyncedKeys(copy, source, isRoot) {
+        const keys = [];
+
+        if (!(source.isContainer && source.containerMode === 'hug')) {
+            keys.push(...ComponentManager.DIMENSION_KEYS);
+        }
+        if (source.isContainer) {
+            keys.push('containerMode', 'autoLayout');
+        } else {
+            keys.push('material.materialId', 'material.grain', 'material.color', 'material.opacity');
+        }
+
+        if (!isRoot) {
+            keys.push('name', 'layoutProperties');
+
+            const parent = copy.parentContainer ? this.sceneController.getObject(copy.parentContainer) : null;
+            if (parent?.containerMode !== 'layout') {
+                keys.push('position', 'rotation');
+            }
+        }
+
+        return keys;
+    }
+
+    /**
+     * @private
+     */
+    readProperty(obj, key) {
+        const mesh = obj.mesh;
+        const [group, axis] = key.split('.');
+
+        switch (group) {
+            case 'dimensions':
+                return window.dimensionManager?.getDimension(mesh, axis) ?? obj.dimensions?.[axis];
+            case 'material':
+                if (!mesh?.material || Array.isArray(mesh.material)) return undefined;
+                if (axis === 'materialId') return mesh.material.userData?.libraryMaterialId || null;
+                if (axis === 'grain') return mesh.material.userData?.grain || null;
+                return axis === 'color' ? `#${mesh.material.color.getHexString()}` : mesh.material.opacity;
+            case 'position':
+                return { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z };
+            case 'rotation':
+                return {
+                    x: (mesh.rotation.x * 180) / Math.PI,
+                    y: (mesh.rotation.y * 180) / Math.PI,
+                    z: (mesh.rotation.z * 180) / Math.PI
+                };
+            case 'autoLayout':
+            case 'layoutProperties':
+                return obj[group] ? JSON.parse(JSON.stringify(obj[group])) : null;
+            default:
+                return obj[group] ?? null;
+        }
+    }
+
+    /**
+     * Add a synced value to an ObjectStateManager update
+     * @private
+     */
+    assignUpdate(updates, key, value) {
+        // null is a real value for the library material and grain (none / automatic)
+        const nullable = key === 'material.materialId' || key === 'material.grain';
+        if (value === undefined || (value === null && !nullable)) return;
+
+        const [group, axis] = key.split('.');
+        if (group === 'dimensions' || group === 'material') {
+            updates[group] = { ...(updates[group] || {}), [axis]: value };
+        } else if (key === 'containerMode' && window.ObjectStateManager?.buildContainerModeUpdate) {
+            Object.assign(updates, window.ObjectStateManager.buildContainerModeUpdate(value));
+        } else {
+            updates[key] = value;
+        }
+    }
+
+    /**
+     * Deep comparison with numeric tolerance
+     * @private
+     */
+    valuesEqual(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.abs(a - b) < ComponentManager.EPSILON;
+        }
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            return Array.from(keys).every(key => this.valuesEqual(a[key], b[key]));
+        }
+        return (a ?? null) === (b ?? null);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PERSISTENCE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Rebuild registry relationships from link fields after a scene load.
+     * Instances whose master is missing are detached.
+     */
+    rebuildRelationships() {
+        this.registry?.clearInstanceRelationships();
+
+        (this.sceneController?.getAllObjects() || []).forEach(obj => {
+            if (obj.instanceType !== 'component') return;
+
+            const master = this.sceneController.getObject(obj.masterId);
+            if (master?.isMaster) {
+                this.registry?.createInstanceRelationship(obj.id, master.id);
+            } else {
+                this.getInstanceObjects(obj).forEach(part => this.setLink(part.id, null));
+            }
+        });
+
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Drop all relationships (scene cleared)
+     */
+    clear() {
+        this.pendingMasters.clear();
+        this.registry?.clearInstanceRelationships();
+        this.broadcastUpdate();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send masters and instances to all UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'components-updated',
+            data: this.getComponents()
+        });
+    }
+
+    /**
+     * Warn the user (also used by CreateInstanceCommand)
+     * @param {string} message - Message text
+     */
+    notifyError(message) {
+        console.warn(`ComponentManager: ${message}`);
+        window.notificationManager?.warning(message);
+    }
+}
+
+window.ComponentManager = ComponentManager;
@@ -0,0 +1,475 @@
+/**
+ * ConstraintManager - Persistent Cross-Object Constraints
+ *
+ * Keeps parts attached to each other: "left face of A flush with right face of B",
+ * "A.height == B.height", "A is 20mm above B". Constraints are scene-level
+ * relations solved by ConstraintSolver.solveRelational().
+ *
+ * Constraint shape:
+ *   { id, type, axis, target: { objectId, anchor }, reference: { objectId, anchor }, offset }
+ *   anchor: 'min' | 'max' | 'center' (world-space face/center) or 'size' (dimension)
+ *   The target is adjusted so that target = reference + offset (meters).
+ *
+ * Types:
+ *   align  - same anchor on both objects (faces coplanar, centers aligned)
+ *   mate   - opposite faces touching (target.min = reference.max)
+ *   equal  - same size along an axis
+ *   offset - any face/center anchors with a distance between them
+ *
+ * Flow: ObjectStateManager.updateObject() → ObjectEventBus → participant changed →
+ *       solve() → ObjectStateManager (source 'constraint') → status broadcast to UI
+ *
+ * Faces are read from world-space bounding boxes; moves are applied to local position,
+ * which assumes participants' parent containers are not rotated or scaled.
+ */
+
+class ConstraintManager {
+    constructor() {
+        // Component references (initialized lazily)
+        this.sceneController = null;
+        this.objectStateManager = null;
+        this.objectEventBus = null;
+        this.constraintSolver = null;
+
+        // id → constraint (insertion order = display order)
+        this.constraints = new Map();
+        this.nextId = 1;
+
+        // id → { state: 'satisfied'|'conflict'|'over-constrained'|'inactive', residual }
+        this.status = new Map();
+
+        // Re-entrancy guard: updates applied by the solver must not re-trigger solving
+        this.isSolving = false;
+
+        this.initialized = false;
+    }
+
+    static get TYPES() {
+        return ['align', 'mate', 'equal', 'offset'];
+    }
+
+    static get AXES() {
+        return ['x', 'y', 'z'];
+    }
+
+    static get ANCHORS() {
+        return ['min', 'max', 'center', 'size'];
+    }
+
+    /**
+     * Initialize with required components
+     */
+    initialize() {
+        this.sceneController = window.modlerComponents?.sceneController;
+        this.objectStateManager = window.modlerComponents?.objectStateManager;
+        this.objectEventBus = window.objectEventBus;
+        this.constraintSolver = window.propertySchemaRegistry?.constraintSolver ||
+            (window.ConstraintSolver ? new window.ConstraintSolver() : null);
+
+        if (!this.constraintSolver) {
+            console.warn('ConstraintManager: ConstraintSolver not loaded - constraints disabled');
+            return;
+        }
+
+        if (this.objectEventBus) {
+            const { EVENT_TYPES } = this.objectEventBus;
+            const changeHandler = (event) => this.handleObjectChanged(event);
+
+            this.objectEventBus.subscribe(EVENT_TYPES.TRANSFORM, changeHandler, { subscriberId: 'ConstraintManager_transform' });
+            this.objectEventBus.subscribe(EVENT_TYPES.GEOMETRY, changeHandler, { subscriberId: 'ConstraintManager_geometry' });
+            this.objectEventBus.subscribe(EVENT_TYPES.HIERARCHY, changeHandler, { subscriberId: 'ConstraintManager_hierarchy' });
+            this.objectEventBus.subscribe(EVENT_TYPES.LIFECYCLE, changeHandler, { subscriberId: 'ConstraintManager_lifecycle' });
+        }
+
+        this.initialized = true;
+    }
+
+    get historyManager() {
+        return window.modlerComponents?.historyManager;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Get all constraints with their current status
+     * @returns {Array<Object>}
+     */
+    getConstraints() {
+        return Array.from(this.constraints.values()).map(constraint => ({
+            ...this.cloneConstraint(constraint),
+            status: this.status.get(constraint.id)?.state || 'satisfied'
+        }));
+    }
+
+    /**
+     * Get constraints an object participates in
+     * @param {string} objectId - Object ID
+     * @returns {Array<Object>}
+     */
+    getConstraintsForObject(objectId) {
+        return this.getConstraints().filter(constraint => this.involves(constraint, objectId));
+    }
+
+    involves(constraint, objectId) {
+        return String(constraint.target.objectId) === String(objectId) ||
+            String(constraint.reference.objectId) === String(objectId);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EDITING (undoable)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Add a constraint between two objects
+     * @param {Object} data - { type, axis, target: {objectId, anchor?}, reference: {objectId, anchor?}, offset? }
+     * @returns {string|null} New constraint ID, or null if invalid
+     */
+    addConstraint(data) {
+        const result = this.normalizeConstraint(data);
+        if (result.error) {
+            this.notifyError(result.error);
+            return null;
+        }
+
+        const constraint = { ...result.constraint, id: `c${this.nextId++}` };
+        return this.executeChange(constraint.id, constraint, null) ? constraint.id : null;
+    }
+
+    /**
+     * Remove a constraint
+     * @param {string} constraintId - Constraint ID
+     * @returns {boolean} True if removed
+     */
+    removeConstraint(constraintId) {
+        const existing = this.constraints.get(constraintId);
+        if (!existing) return false;
+
+        return this.executeChange(constraintId, null, this.cloneConstraint(existing));
+    }
+
+    /**
+     * Route a change through HistoryManager (direct apply when history is unavailable)
+     * @private
+     */
+    executeChange(constraintId, newConstraint, oldConstraint) {
+        const historyManager = this.historyManager;
+        if (historyManager && window.SetConstraintCommand) {
+            const command = new SetConstraintCommand(constraintId, newConstraint, oldConstraint);
+            return historyManager.executeCommand(command);
+        }
+        return this.applyConstraint(constraintId, newConstraint);
+    }
+
+    /**
+     * Apply a constraint state directly (used by SetConstraintCommand)
+     * @param {string} constraintId - Constraint ID
+     * @param {Object|null} constraint - Constraint record, or null to delete
+     * @returns {boolean} Always true
+     */
+    applyConstraint(constraintId, constraint) {
+        if (constraint) {
+            this.constraints.set(constraintId, this.cloneConstraint(constraint));
+        } else {
+            this.constraints.delete(constraintId);
+            this.status.delete(constraintId);
+        }
+
+        this.solve();
+        return true;
+    }
+
+    /**
+     * Validate and fill in defaults for a constraint definition
+     * @param {Object} data - Raw constraint data
+     * @returns {Object} { constraint } or { error }
+     */
+    normalizeConstraint(data) {
+        const { type, axis } = data || {};
+        if (!ConstraintManager.TYPES.includes(type)) {
+            return { error: `Unknown constraint type "${type}"` };
+        }
+        if (!ConstraintManager.AXES.includes(axis)) {
+            return { error: `Constraint axis must be x, y or z` };
+        }
+
+        const targetId = data.target?.objectId;
+        const referenceId = data.reference?.objectId;
+        if (targetId === undefined || referenceId === undefined || String(targetId) === String(referenceId)) {
+            return { error: 'A constraint needs two different objects' };
+        }
+        if (!this.sceneController?.getObject(targetId) || !this.sceneController?.getObject(referenceId)) {
+            return { error: 'Constraint objects not found' };
+        }
+
+        let targetAnchor = data.target.anchor;
+        let referenceAnchor = data.reference.anchor;
+
+        switch (type) {
+            case 'equal':
+                targetAnchor = 'size';
+                referenceAnchor = 'size';
+                break;
+            case 'mate':
+                targetAnchor = targetAnchor === 'max' ? 'max' : 'min';
+                referenceAnchor = targetAnchor === 'min' ? 'max' : 'min';
+                break;
+            case 'align':
+                targetAnchor = targetAnchor || 'center';
+                referenceAnchor = targetAnchor;
+                break;
+            case 'offset':
+                targetAnchor = targetAnchor || 'min';
+                referenceAnchor = referenceAnchor || 'max';
+                break;
+        }
+
+        if (![targetAnchor, referenceAnchor].every(anchor => ConstraintManager.ANCHORS.includes(anchor))) {
+            return { error: 'Invalid constraint anchor' };
+        }
+        if (type !== 'equal' && (targetAnchor === 'size' || referenceAnchor === 'size')) {
+            return { error: 'Only equal constraints can relate sizes' };
+        }
+
+        const offset = Number(data.offset ?? 0);
+        if (!Number.isFinite(offset)) {
+            return { error: 'Constraint offset must be a number' };
+        }
+
+        return {
+            constraint: {
+                type,
+                axis,
+                target: { objectId: targetId, anchor: targetAnchor },
+                reference: { objectId: referenceId, anchor: referenceAnchor },
+                offset
+            }
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SOLVING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Re-solve when a participant changes
+     */
+    handleObjectChanged(event) {
+        if (!this.initialized || this.isSolving || this.constraints.size === 0) return;
+        if (event.objectId === null || event.objectId === undefined) return;
+
+        const participates = Array.from(this.constraints.values())
+            .some(constraint => this.involves(constraint, event.objectId));
+        if (participates) {
+            this.solve();
+        }
+    }
+
+    /**
+     * Solve all active constraints and publish their status
+     */
+    solve() {
+        if (!this.initialized || this.isSolving) return;
+
+        const active = [];
+        const nextStatus = new Map();
+
+        this.constraints.forEach(constraint => {
+            const hasParticipants = this.sceneController.getObject(constraint.target.objectId) &&
+                this.sceneController.getObject(constraint.reference.objectId);
+            if (hasParticipants) {
+                active.push(constraint);
+                nextStatus.set(constraint.id, { state: 'satisfied', residual: 0 });
+            } else {
+                // Participant deleted - kept so undoing the delete restores the relation
+                nextStatus.set(constraint.id, { state: 'inactive', residual: 0 });
+            }
+        });
+
+        if (active.length > 0) {
+            this.isSolving = true;
+            try {
+                const result = this.constraintSolver.solveRelational(active, this.createAccessor());
+                result.conflicts.forEach(conflict => {
+                    nextStatus.set(conflict.constraintId, { state: conflict.reason, residual: conflict.residual });
+                });
+            } finally {
+                this.isSolving = false;
+            }
+        }
+
+        this.reportNewConflicts(nextStatus);
+        this.status = nextStatus;
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Scene accessor handed to ConstraintSolver.solveRelational()
+     * @private
+     */
+    createAccessor() {
+        return {
+            read: (ref) => this.readAnchor(ref),
+            write: (ref, value) => this.writeAnchor(ref, value),
+            key: (ref) => `${ref.objectId}.${ref.anchor === 'size' ? 'dimensions' : 'position'}.${ref.axis}`
+        };
+    }
+
+    /**
+     * Read a face, center or size of an object along the constraint axis
+     * @param {Object} ref - { objectId, anchor, axis }
+     * @returns {number|null}
+     */
+    readAnchor(ref) {
+        const mesh = this.sceneController?.getObject(ref.objectId)?.mesh;
+        if (!mesh?.geometry) return null;
+
+        if (ref.anchor === 'size') {
+            return window.dimensionManager?.getDimension(mesh, ref.axis) ?? null;
+        }
+
+        mesh.updateWorldMatrix(true, false);
+        if (!mesh.geometry.boundingBox) {
+            mesh.geometry.computeBoundingBox();
+        }
+        const box = mesh.geometry.boundingBox.clone().applyMatrix4(mesh.matrixWorld);
+
+        if (ref.anchor === 'min') return box.min[ref.axis];
+        if (ref.anchor === 'max') return box.max[ref.axis];
+        return (box.min[ref.axis] + box.max[ref.axis]) / 2;
+    }
+
+    /**
+     * Drive a face/center (by moving) or size (by resizing) to a value
+     * @returns {boolean} True if the object was updated
+     */
+    writeAnchor(ref, value) {
+        const obj = this.sceneController?.getObject(ref.objectId);
+        if (!obj?.mesh || obj.locked) return false;
+
+        if (ref.anchor === 'size') {
+            return this.objectStateManager?.updateObject(obj.id, {
+                dimensions: { [ref.axis]: Math.max(value, 0.001) }
+            }, { source: 'constraint', immediate: true }) !== false;
+        }
+
+        // Children of layout containers are positioned by the layout engine
+        const parent = obj.parentContainer ? this.sceneController.getObject(obj.parentContainer) : null;
+        if (parent?.containerMode === 'layout') return false;
+
+        const current = this.readAnchor(ref);
+        if (current === null) return false;
+
+        return this.objectStateManager?.updateObject(obj.id, {
+            position: { [ref.axis]: obj.mesh.position[ref.axis] + (value - current) }
+        }, { source: 'constraint', immediate: true }) !== false;
+    }
+
+    /**
+     * Warn once when a constraint becomes unsatisfiable
+     * @private
+     */
+    reportNewConflicts(nextStatus) {
+        const newlyFailing = [];
+        nextStatus.forEach((status, id) => {
+            const failing = status.state === 'conflict' || status.state === 'over-constrained';
+            const previous = this.status.get(id)?.state;
+            if (failing && previous !== status.state) {
+                newlyFailing.push(status.state);
+            }
+        });
+
+        if (newlyFailing.length > 0) {
+            const overConstrained = newlyFailing.includes('over-constrained');
+            this.notifyError(overConstrained
+                ? 'Over-constrained: some parts are driven by conflicting constraints'
+                : 'Some constraints cannot be satisfied');
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PERSISTENCE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Serialize constraints for SceneSerializer
+     * @returns {Array<Object>}
+     */
+    serialize() {
+        return Array.from(this.constraints.values()).map(constraint => this.cloneConstraint(constraint));
+    }
+
+    /**
+     * Replace all constraints from serialized data (no history) and solve
+     * @param {Array<Object>} constraints - Serialized constraints
+     */
+    deserialize(constraints) {
+        this.constraints.clear();
+        this.status.clear();
+        this.nextId = 1;
+
+        (Array.isArray(constraints) ? constraints : []).forEach(constraint => {
+            if (!constraint?.id || !ConstraintManager.TYPES.includes(constraint.type)) return;
+            this.constraints.set(constraint.id, this.cloneConstraint(constraint));
+
+            const number = parseInt(String(constraint.id).replace(/^c/, ''), 10);
+            if (Number.isFinite(number) && number >= this.nextId) {
+                this.nextId = number + 1;
+            }
+        });
+
+        if (this.initialized) {
+            this.solve();
+        } else {
+            this.broadcastUpdate();
+        }
+    }
+
+    /**
+     * Remove all constraints (scene cleared)
+     */
+    clear() {
+        this.deserialize([]);
+    }
+
+    /**
+     * @private
+     */
+    cloneConstraint(constraint) {
+        return {
+            id: constraint.id,
+            type: constraint.type,
+            axis: constraint.axis,
+            target: { objectId: constraint.target.objectId, anchor: constraint.target.anchor, axis: constraint.axis },
+            reference: { objectId: constraint.reference.objectId, anchor: constraint.reference.anchor, axis: constraint.axis },
+            offset: constraint.offset || 0
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send constraints and their status to all UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'scene-constraints-updated',
+            data: { constraints: this.getConstraints() }
+        });
+    }
+
+    /**
+     * @private
+     */
+    notifyError(message) {
+        console.warn(`ConstraintManager: ${message}`);
+        window.notificationManager?.warning(message);
+    }
+}
+
+window.ConstraintManager = ConstraintManager;
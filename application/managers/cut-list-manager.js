@@ -0,0 +1,393 @@
+/**
+ * CutListManager - Cut List / Bill of Materials
+ *
+ * Builds a parts report from ObjectStateManager.getAllObjects(): identical parts
+ * (same type, dimensions and material) are grouped into one row with a quantity,
+ * and each part's dimensions are sorted into length ≥ width ≥ thickness so a
+ * board reads the same whichever way it is oriented in the model.
+ *
+ * Report shape (internal units - meters, m², m³):
+ *   { parts: [{ key, name, type, quantity, length, width, thickness, material,
+ *               materialId, color, yardItemId, volume, sheetArea, objectIds }],
+ *     containers: [{ id, name, depth, partCount, volume, sheetArea }],
+ *     totals: { partCount, uniqueParts, volume, sheetArea } }
+ *
+ * Volume is the stock (bounding box) volume, sheet area the length × width face.
+ * material is the library material name, else the yard item's, else the colour.
+ * Container subtotals include nested containers.
+ *
+ * Flow: panel asks once ('cut-list-get') → ObjectEventBus changes → debounced
+ *       recompute → broadcast to panels; CSV/JSON export converts lengths to the
+ *       user unit and areas/volumes to m² / m³ (ft² / ft³ for imperial units)
+ */
+
+class CutListManager {
+    constructor() {
+        this.objectEventBus = null;
+        this.report = null;
+
+        // Recompute only once a panel has asked for the report
+        this.active = false;
+        this.recomputeTimer = null;
+
+        this.initialized = false;
+    }
+
+    // Coalesces drag updates (push, move) into one recompute
+    static get RECOMPUTE_DELAY() {
+        return 150;
+    }
+
+    // Grouping tolerance for dimensions (meters → 0.1 mm)
+    static get DIMENSION_PRECISION() {
+        return 4;
+    }
+
+    static get EXPORT_FORMATS() {
+        return ['csv', 'json'];
+    }
+
+    // Imperial lengths report areas and volumes in ft² / ft³, metric ones in m² / m³
+    static get IMPERIAL_UNITS() {
+        return ['in', 'ft', 'yd', 'mil'];
+    }
+
+    /**
+     * Initialize with required components
+     */
+    initialize() {
+        this.objectEventBus = window.objectEventBus;
+
+        if (this.objectEventBus) {
+            const { EVENT_TYPES } = this.objectEventBus;
+            const changeHandler = () => this.scheduleRecompute();
+
+            this.objectEventBus.subscribe(EVENT_TYPES.GEOMETRY, changeHandler, { subscriberId: 'CutListManager_geometry' });
+            this.objectEventBus.subscribe(EVENT_TYPES.MATERIAL, changeHandler, { subscriberId: 'CutListManager_material' });
+            this.objectEventBus.subscribe(EVENT_TYPES.HIERARCHY, changeHandler, { subscriberId: 'CutListManager_hierarchy' });
+            this.objectEventBus.subscribe(EVENT_TYPES.LIFECYCLE, changeHandler, { subscriberId: 'CutListManager_lifecycle' });
+        }
+
+        this.initialized = true;
+    }
+
+    get objectStateManager() {
+        return window.modlerComponents?.objectStateManager;
+    }
+
+    get sceneController() {
+        return window.modlerComponents?.sceneController;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // REPORT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Get the current report, building it on first use
+     * @returns {Object} Report (see class doc)
+     */
+    getReport() {
+        this.active = true;
+        if (!this.report) {
+            this.report = this.buildReport();
+        }
+        return this.report;
+    }
+
+    scheduleRecompute() {
+        if (!this.active) return;
+
+        clearTimeout(this.recomputeTimer);
+        this.recomputeTimer = setTimeout(() => {
+            this.recomputeTimer = null;
+            this.report = this.buildReport();
+            this.broadcastUpdate();
+        }, CutListManager.RECOMPUTE_DELAY);
+    }
+
+    /**
+     * Build the report from the current scene
+     * @returns {Object} Report (see class doc)
+     */
+    buildReport() {
+        const objects = (this.objectStateManager?.getAllObjects() || []).filter(obj => this.isReportable(obj));
+        const byId = new Map(objects.map(obj => [String(obj.id), obj]));
+
+        const groups = new Map();
+        const containerTotals = new Map();
+
+        objects.forEach(obj => {
+            if (obj.isContainer) return;
+
+            const part = this.describePart(obj);
+            if (!part) return;
+
+            const group = groups.get(part.key);
+            if (group) {
+                group.quantity++;
+                group.objectIds.push(obj.id);
+                if (!group.names.includes(part.name)) group.names.push(part.name);
+            } else {
+                groups.set(part.key, { ...part, names: [part.name], quantity: 1, objectIds: [obj.id] });
+            }
+
+            // Count the part in every ancestor container
+            let parentId = obj.parentContainer;
+            while (parentId !== null && parentId !== undefined && byId.has(String(parentId))) {
+                const totals = containerTotals.get(String(parentId)) || { partCount: 0, volume: 0, sheetArea: 0 };
+                totals.partCount++;
+                totals.volume += part.volume;
+                totals.sheetArea += part.sheetArea;
+                containerTotals.set(String(parentId), totals);
+                parentId = byId.get(String(parentId)).parentContainer;
+            }
+        });
+
+        const parts = Array.from(groups.values())
+            .map(({ names, ...group }) => ({ ...group, name: names.join(', ') }))
+            .sort((a, b) => a.material.localeCompare(b.material) ||
+                b.thickness - a.thickness ||
+                b.length - a.length ||
+                b.width - a.width);
+
+        const containers = objects
+            .filter(obj => obj.isContainer)
+            .map(obj => ({
+                id: obj.id,
+                name: obj.name,
+                depth: this.getDepth(obj, byId),
+                ...(containerTotals.get(String(obj.id)) || { partCount: 0, volume: 0, sheetArea: 0 })
+            }));
+
+        const totals = parts.reduce((sum, part) => ({
+            partCount: sum.partCount + part.quantity,
+            uniqueParts: sum.uniqueParts + 1,
+            volume: sum.volume + part.volume * part.quantity,
+            sheetArea: sum.sheetArea + part.sheetArea * part.quantity
+        }), { partCount: 0, uniqueParts: 0, volume: 0, sheetArea: 0 });
+
+        return { parts, containers, totals };
+    }
+
+    isReportable(obj) {
+        if (!obj) return false;
+
+        // State flags live on the SceneController record
+        const sceneObject = this.sceneController?.getObject(obj.id) || obj;
+        return sceneObject.visible !== false &&
+            sceneObject.category !== 'system' &&
+            obj.type !== 'grid' &&
+            !sceneObject.isTemporary &&
+            !sceneObject.isPreview;
+    }
+
+    /**
+     * Describe one part with its grouping key
+     * @param {Object} obj - ObjectStateManager object
+     * @returns {Object|null} Part row without quantity, or null without dimensions
+     */
+    describePart(obj) {
+        const dimensions = window.dimensionManager?.getDimensions(obj.mesh) || obj.dimensions;
+        if (!dimensions) return null;
+
+        const factor = Math.pow(10, CutListManager.DIMENSION_PRECISION);
+        const [length, width, thickness] = [dimensions.x, dimensions.y, dimensions.z]
+            .map(value => Math.round(Math.abs(value) * factor) / factor)
+            .sort((a, b) => b - a);
+
+        const sceneObject = this.sceneController?.getObject(obj.id);
+        const yardItemId = sceneObject?.yardItemId || obj.yardItemId || null;
+        const yardItem = yardItemId ? window.modlerComponents?.yardManager?.getItem(yardItemId) : null;
+        const color = this.getColor(obj);
+        const materialId = this.getMaterialId(obj);
+        const libraryMaterial = materialId ? window.modlerComponents?.materialLibraryManager?.get(materialId) : null;
+        const material = libraryMaterial?.name || (yardItem ? (yardItem.material?.name || yardItem.name) : color);
+
+        return {
+            key: [obj.type, length, width, thickness, yardItemId || '', materialId || '', material].join('|'),
+            name: obj.name || 'Object',
+            type: obj.type,
+            length,
+            width,
+            thickness,
+            material,
+            materialId,
+            color,
+            yardItemId,
+            volume: length * width * thickness,
+            sheetArea: length * width
+        };
+    }
+
+    /**
+     * Displayed colour as '#rrggbb' (mesh material first, it is always current)
+     */
+    getColor(obj) {
+        const meshMaterial = Array.isArray(obj.mesh?.material) ? obj.mesh.material[0] : obj.mesh?.material;
+        if (meshMaterial?.color) return `#${meshMaterial.color.getHexString()}`;
+
+        const color = obj.material?.color;
+        if (typeof color === 'number') return `#${color.toString(16).padStart(6, '0')}`;
+        return color || '#888888';
+    }
+
+    /**
+     * Library material id of the part, or null for a flat colour
+     */
+    getMaterialId(obj) {
+        const meshMaterial = Array.isArray(obj.mesh?.material) ? obj.mesh.material[0] : obj.mesh?.material;
+        return meshMaterial?.userData?.libraryMaterialId || obj.material?.materialId || null;
+    }
+
+    getDepth(obj, byId) {
+        let depth = 0;
+        let parentId = obj.parentContainer;
+        while (parentId !== null && parentId !== undefined && byId.has(String(parentId))) {
+            depth++;
+            parentId = byId.get(String(parentId)).parentContainer;
+        }
+        return depth;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EXPORT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Download the report as CSV or JSON in the user's display unit
+     * @param {string} format - 'csv' | 'json'
+     * @returns {boolean} Success
+     */
+    exportReport(format) {
+        if (!CutListManager.EXPORT_FORMATS.includes(format)) {
+            console.warn(`CutListManager: Unknown export format '${format}'`);
+            return false;
+        }
+
+        const unit = window.unitConverter?.getUserUnit() || 'm';
+        const report = this.convertReport(this.getReport(), unit);
+        const baseName = String(window.modlerComponents?.fileManager?.currentFileName || 'modler-scene')
+            .trim().replace(/[\\/:*?"<>|]+/g, '_') || 'modler-scene';
+
+        const content = format === 'csv' ? this.toCSV(report) : JSON.stringify(report, null, 2);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        this.downloadFile(`${baseName}-cut-list.${format}`, new Blob([content], { type }));
+        return true;
+    }
+
+    /**
+     * Report with lengths in the given unit, areas and volumes in its area unit
+     * @param {Object} report - Report in meters
+     * @param {string} unit - Target unit code
+     * @returns {Object} Converted report with `unit` and `areaUnit`
+     */
+    convertReport(report, unit) {
+        const unitConverter = window.unitConverter;
+        const scaleFor = (code) => (unitConverter?.isValidUnit(code) ? unitConverter.conversionFromMeters[code] : 1);
+        const areaUnit = this.getAreaUnit(unit);
+        const scale = scaleFor(unit);
+        const areaScale = scaleFor(areaUnit);
+
+        // Lengths keep the grouping resolution (0.1 mm), areas and volumes six significant digits
+        const lengthDigits = Math.max(0, CutListManager.DIMENSION_PRECISION - Math.floor(Math.log10(scale)));
+        const round = (value, power) => power === 1
+            ? Number((value * scale).toFixed(lengthDigits))
+            : Number((value * Math.pow(areaScale, power)).toPrecision(6));
+
+        return {
+            unit,
+            areaUnit,
+            parts: report.parts.map(part => ({
+                ...part,
+                objectIds: [...part.objectIds],
+                length: round(part.length, 1),
+                width: round(part.width, 1),
+                thickness: round(part.thickness, 1),
+                volume: round(part.volume, 3),
+                sheetArea: round(part.sheetArea, 2)
+            })),
+            containers: report.containers.map(container => ({
+                ...container,
+                volume: round(container.volume, 3),
+                sheetArea: round(container.sheetArea, 2)
+            })),
+            totals: {
+                ...report.totals,
+                volume: round(report.totals.volume, 3),
+                sheetArea: round(report.totals.sheetArea, 2)
+            }
+        };
+    }
+
+    getAreaUnit(unit) {
+        return CutListManager.IMPERIAL_UNITS.includes(unit) ? 'ft' : 'm';
+    }
+
+    /**
+     * CSV with a parts table, container subtotals and totals
+     * @param {Object} report - Converted report (see convertReport)
+     * @returns {string}
+     */
+    toCSV(report) {
+        const { unit, areaUnit } = report;
+        const cell = (value) => {
+            const text = String(value ?? '');
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const row = (values) => values.map(cell).join(',');
+
+        const lines = [
+            row(['Qty', 'Name', 'Type', `Length (${unit})`, `Width (${unit})`, `Thickness (${unit})`,
+                'Material', 'Material ID', `Area each (${areaUnit}²)`, `Volume each (${areaUnit}³)`])
+        ];
+        report.parts.forEach(part => {
+            lines.push(row([part.quantity, part.name, part.type, part.length, part.width, part.thickness,
+                part.material, part.materialId, part.sheetArea, part.volume]));
+        });
+
+        if (report.containers.length > 0) {
+            lines.push('', row(['Container', 'Parts', `Area (${areaUnit}²)`, `Volume (${areaUnit}³)`]));
+            report.containers.forEach(container => {
+                lines.push(row([`${'  '.repeat(container.depth)}${container.name}`, container.partCount,
+                    container.sheetArea, container.volume]));
+            });
+        }
+
+        lines.push('', row(['Total parts', report.totals.partCount]),
+            row(['Unique parts', report.totals.uniqueParts]),
+            row([`Total area (${areaUnit}²)`, report.totals.sheetArea]),
+            row([`Total volume (${areaUnit}³)`, report.totals.volume]));
+
+        return lines.join('\n') + '\n';
+    }
+
+    downloadFile(name, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send the report to all UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication || !this.report) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'cut-list-updated',
+            data: { report: this.report }
+        });
+    }
+}
+
+window.CutListManager = CutListManager;
@@ -9,6 +9,7 @@
  * - Current file tracking and dirty state
  * - Auto-save scheduling
  * - Unsaved changes warnings
+ * - Per-file version history (every save keeps a timestamped snapshot)
  */
 
 class FileManager extends EventTarget {
@@ -43,6 +44,15 @@ class FileManager extends EventTarget {
         this.autoSaveInterval = 30000; // 30 seconds
         this.autoSaveTimer = null;
 
+        // Version history retention - newest versions are always kept,
+        // older ones thin out to one per hour, then one per day
+        this.versionRetention = {
+            keepRecent: 10,
+            hourlyFor: 24 * 60 * 60 * 1000,      // 1 day
+            dailyFor: 30 * 24 * 60 * 60 * 1000,  // 30 days
+            maxVersions: 50
+        };
+
         // Component references
         this.storage = null;
         this.serializer = null;
@@ -337,6 +347,12 @@ class FileManager extends EventTarget {
                 // Save to storage
                 await this.storage.set(fileId, sceneData);
 
+                // Keep a snapshot so a bad edit followed by an auto-save can be undone
+                await this.recordVersion(fileId, sceneData, {
+                    isAutoSave: isAutoSave,
+                    skipThumbnail: options.skipThumbnail
+                });
+
                 // Update state
                 this.currentFileId = fileId;
                 this.currentFileName = fileName;
@@ -504,6 +520,7 @@ class FileManager extends EventTarget {
         try {
             console.log(`FileManager.deleteScene: Deleting file ${fileId}`);
             await this.storage.delete(fileId);
+            await this.storage.deleteFileVersions(fileId);
             console.log(`FileManager.deleteScene: File deleted from IndexedDB`);
 
             // If deleting current file, reset state
@@ -583,6 +600,265 @@ class FileManager extends EventTarget {
         }
     }
 
+    /**
+     * Store a timestamped version of a saved file and apply retention rules
+     * Failures are logged only - the save itself already succeeded
+     * @param {string} fileId - File ID
+     * @param {Object} sceneData - Scene data just written to storage
+     * @param {Object} options - { isAutoSave, skipThumbnail, restoredFrom }
+     */
+    async recordVersion(fileId, sceneData, options = {}) {
+        try {
+            // Thumbnail lives on the version metadata, not in its scene data
+            const data = { ...sceneData };
+            delete data.thumbnail;
+            const timestamp = sceneData.metadata?.modified || Date.now();
+
+            const version = {
+                id: `${fileId}_v${timestamp}`,
+                fileId: fileId,
+                timestamp: timestamp,
+                name: sceneData.metadata?.name || 'Untitled',
+                isAutoSave: !!options.isAutoSave,
+                restoredFrom: options.restoredFrom || null,
+                objectCount: sceneData.scene?.objects?.length || 0,
+                size: JSON.stringify(data).length,
+                thumbnail: sceneData.thumbnail || null
+            };
+
+            // Retention is decided on metadata before anything is captured or written
+            const existing = await this.storage.getVersions(fileId);
+            const prune = this.getVersionsToPrune([version, ...existing.filter(v => v.id !== version.id)], Date.now());
+            if (prune.includes(version)) {
+                return;
+            }
+
+            // Manual saves already captured a thumbnail; other kept versions get a smaller one
+            if (!version.thumbnail && this.thumbnailCapture && !options.skipThumbnail) {
+                try {
+                    version.thumbnail = await this.thumbnailCapture.captureSceneThumbnail(160, 90);
+                } catch (thumbnailError) {
+                    // Throttled or renderer unavailable - keep the version without one
+                }
+            }
+
+            await this.storage.addVersion(version, data);
+            await this.storage.deleteVersions(prune.map(pruned => pruned.id));
+
+        } catch (error) {
+            console.warn('FileManager: Failed to record version:', error);
+        }
+    }
+
+    /**
+     * Apply retention rules to a version list
+     * Every version falls into one slot: the keepRecent newest, one slot per hour
+     * for the last hourlyFor, one per day up to dailyFor, or expired. Each slot keeps
+     * only its newest version - recent versions fill the slot they fall in, so the
+     * hour they were saved in doesn't keep an extra copy.
+     * @param {Array<Object>} versions - Version metadata, newest first
+     * @param {number} now - Current timestamp
+     * @returns {Array<Object>} Versions to delete
+     */
+    getVersionsToPrune(versions, now) {
+        const { keepRecent, hourlyFor, dailyFor, maxVersions } = this.versionRetention;
+        const hour = 60 * 60 * 1000;
+        const day = 24 * hour;
+
+        const slots = new Set();
+        const prune = [];
+        let kept = 0;
+
+        versions.forEach((version, index) => {
+            const age = now - version.timestamp;
+            let slot = null;
+            if (age <= hourlyFor) {
+                slot = `h${Math.floor(version.timestamp / hour)}`;
+            } else if (age <= dailyFor) {
+                slot = `d${Math.floor(version.timestamp / day)}`;
+            }
+
+            const isRecent = index < keepRecent;
+            const isNewestInSlot = slot !== null && !slots.has(slot);
+            if (slot !== null) {
+                slots.add(slot);
+            }
+
+            if ((isRecent || isNewestInSlot) && kept < maxVersions) {
+                kept++;
+            } else {
+                prune.push(version);
+            }
+        });
+
+        return prune;
+    }
+
+    /**
+     * List the saved versions of a file, newest first
+     * @param {string} fileId - File ID
+     * @returns {Promise<Array>} Version metadata (without scene data)
+     */
+    async listVersions(fileId) {
+        try {
+            const versions = await this.storage.getVersions(fileId);
+            return versions.map(version => ({
+                id: version.id,
+                fileId: version.fileId,
+                timestamp: version.timestamp,
+                name: version.name,
+                isAutoSave: version.isAutoSave,
+                restoredFrom: version.restoredFrom || null,
+                objectCount: version.objectCount,
+                size: version.size || 0,
+                thumbnail: version.thumbnail || null
+            }));
+
+        } catch (error) {
+            console.error('FileManager: Failed to list versions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Replace a file with one of its versions and open it
+     * The state being replaced is saved as a version first, so restoring can be undone
+     * @param {string} versionId - Version ID
+     * @returns {Promise<Object>} Result { success: boolean, fileId?: string, error?: string }
+     */
+    async restoreVersion(versionId) {
+        try {
+            const version = await this.storage.getVersion(versionId);
+            if (!version) {
+                throw new Error('Version not found');
+            }
+
+            const fileId = version.fileId;
+
+            // Unsaved edits to the file being restored become their own version
+            if (fileId === this.currentFileId && this.isDirty) {
+                await this.saveScene();
+            }
+
+            const existing = await this.storage.get(fileId);
+            const now = Date.now();
+            const sceneData = {
+                ...version.data,
+                metadata: {
+                    ...version.data.metadata,
+                    name: existing?.metadata?.name || version.data.metadata?.name,
+                    modified: now
+                },
+                thumbnail: version.thumbnail || existing?.thumbnail || null
+            };
+
+            await this.storage.set(fileId, sceneData);
+            await this.recordVersion(fileId, sceneData, { restoredFrom: versionId, skipThumbnail: true });
+
+            // Reload even if it's the open file - its scene just changed underneath
+            const result = await this.loadScene(fileId, { force: fileId === this.currentFileId });
+            if (!result.success) {
+                return result;
+            }
+
+            return { success: true, fileId: fileId };
+
+        } catch (error) {
+            console.error('FileManager: Failed to restore version:', error);
+
+            if (window.notificationManager) {
+                window.notificationManager.error(
+                    `Failed to restore version: ${error.message}`,
+                    'Restore Failed'
+                );
+            }
+
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Save a version as a new file and open it, leaving the original untouched
+     * @param {string} versionId - Version ID
+     * @returns {Promise<Object>} Result { success: boolean, fileId?: string, error?: string }
+     */
+    async openVersionAsCopy(versionId) {
+        try {
+            const version = await this.storage.getVersion(versionId);
+            if (!version) {
+                throw new Error('Version not found');
+            }
+
+            const files = await this.listFiles();
+            const existingNames = new Set(files.map(f => f.name));
+            const stamp = new Date(version.timestamp).toLocaleString();
+            let name = `${version.name} (${stamp})`;
+            for (let n = 2; existingNames.has(name); n++) {
+                name = `${version.name} (${stamp}) ${n}`;
+            }
+
+            const now = Date.now();
+            const fileId = this.generateFileId();
+            const sceneData = {
+                ...version.data,
+                metadata: {
+                    ...version.data.metadata,
+                    name: name,
+                    created: now,
+                    modified: now
+                },
+                thumbnail: version.thumbnail || null
+            };
+
+            await this.storage.set(fileId, sceneData);
+            await this.recordVersion(fileId, sceneData, { restoredFrom: versionId, skipThumbnail: true });
+
+            const result = await this.loadScene(fileId);
+            if (!result.success) {
+                return result;
+            }
+
+            return { success: true, fileId: fileId };
+
+        } catch (error) {
+            console.error('FileManager: Failed to open version as copy:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Structural diff between two versions
+     * @param {string} fromVersionId - Older version ID
+     * @param {string} toVersionId - Newer version ID, or 'current' for the saved file
+     * @returns {Promise<Object>} Result { success: boolean, diff?: Object, error?: string }
+     */
+    async diffVersions(fromVersionId, toVersionId) {
+        try {
+            const from = await this.storage.getVersion(fromVersionId);
+            if (!from) {
+                throw new Error('Version not found');
+            }
+
+            let toData;
+            if (toVersionId === 'current') {
+                toData = await this.storage.get(from.fileId);
+            } else {
+                toData = (await this.storage.getVersion(toVersionId))?.data;
+            }
+            if (!toData) {
+                throw new Error('Version not found');
+            }
+
+            // Compare both sides in the current format so upgrades don't show up as edits
+            const { migrateSceneData } = window.SceneMigrations;
+            return { success: true, diff: SceneDiff.diff(migrateSceneData(from.data), migrateSceneData(toData)) };
+
+        } catch (error) {
+            console.error('FileManager: Failed to diff versions:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Start auto-save timer
      */
@@ -0,0 +1,586 @@
+/**
+ * FormulaManager - Live Per-Field Formulas
+ *
+ * Binds FormulaEvaluator expressions to object properties (position/dimensions)
+ * and keeps them up to date through the DependencyGraph.
+ *
+ * Storage: sceneObject.parametricProperties.formulas = { 'dimensions.x': 'parent.width / 3 - gap' }
+ *          sceneObject.parametricProperties.formulaUnits = { 'dimensions.x': 'mm' }
+ * Graph nodes: `${objectId}.${property}` (e.g. "12.dimensions.x", "4.autoLayout.gap"),
+ *              `param.${name}` for scene parameters
+ *
+ * Units: a formula is evaluated in the display unit it was typed in (UnitConverter),
+ * so with mm display "parent.width / 3 - 18" subtracts 18 mm. Lengths in the
+ * context and the result are converted; formulas without a unit are in meters.
+ *
+ * Formula vocabulary (lengths in the formula's unit):
+ *   width, height, depth      - own dimensions
+ *   x, y, z                   - own position
+ *   parent.width/height/depth - parent container dimensions
+ *   parent.x/y/z              - parent container position
+ *   gap, parent.gap           - parent container layout gap
+ *   <name>                    - scene parameter (SceneParameterManager)
+ *
+ * Flow: UI "=expr" → PropertyUpdateHandler → setFormula() → SetFormulaCommand (undoable)
+ *       → applyFormula() → evaluate → ObjectStateManager
+ *       ObjectEventBus change → getUpdateOrder() → re-evaluate dependents in order
+ */
+
+class FormulaManager {
+    constructor() {
+        // Component references (initialized lazily)
+        this.sceneController = null;
+        this.objectStateManager = null;
+        this.objectEventBus = null;
+
+        // Parametric systems (shared with PropertySchemaRegistry when available)
+        this.formulaEvaluator = null;
+        this.dependencyGraph = null;
+
+        // Re-entrancy guard: updates applied by formulas must not re-trigger evaluation
+        this.isEvaluating = false;
+
+        this.initialized = false;
+    }
+
+    /**
+     * Properties that can be driven by a formula
+     */
+    static get FORMULA_PROPERTIES() {
+        return [
+            'position.x', 'position.y', 'position.z',
+            'dimensions.x', 'dimensions.y', 'dimensions.z'
+        ];
+    }
+
+    /**
+     * Formula property → context variable holding its current value
+     */
+    static get PROPERTY_NAMES() {
+        return {
+            'dimensions.x': 'width',
+            'dimensions.y': 'height',
+            'dimensions.z': 'depth',
+            'position.x': 'x',
+            'position.y': 'y',
+            'position.z': 'z'
+        };
+    }
+
+    /**
+     * Formula variable → object property path
+     */
+    static get REFERENCE_PATHS() {
+        return {
+            width: 'dimensions.x',
+            height: 'dimensions.y',
+            depth: 'dimensions.z',
+            x: 'position.x',
+            y: 'position.y',
+            z: 'position.z',
+            gap: 'autoLayout.gap'
+        };
+    }
+
+    /**
+     * Initialize with required components
+     */
+    initialize() {
+        this.sceneController = window.modlerComponents?.sceneController;
+        this.objectStateManager = window.modlerComponents?.objectStateManager;
+        this.objectEventBus = window.objectEventBus;
+
+        const registry = window.propertySchemaRegistry;
+        this.formulaEvaluator = registry?.formulaEvaluator ||
+            (window.FormulaEvaluator ? new window.FormulaEvaluator() : null);
+        this.dependencyGraph = registry?.dependencyGraph ||
+            (window.DependencyGraph ? new window.DependencyGraph() : null);
+
+        if (!this.formulaEvaluator || !this.dependencyGraph) {
+            console.warn('FormulaManager: Parametric systems not loaded - formulas disabled');
+            return;
+        }
+
+        if (this.objectEventBus) {
+            const { EVENT_TYPES } = this.objectEventBus;
+            const changeHandler = (event) => this.handleObjectChanged(event);
+
+            this.objectEventBus.subscribe(EVENT_TYPES.TRANSFORM, changeHandler, { subscriberId: 'FormulaManager_transform' });
+            this.objectEventBus.subscribe(EVENT_TYPES.GEOMETRY, changeHandler, { subscriberId: 'FormulaManager_geometry' });
+            this.objectEventBus.subscribe(EVENT_TYPES.HIERARCHY, (event) => {
+                // Reparenting changes what "parent.*" points at
+                if (event.objectId !== null && event.objectId !== undefined) {
+                    this.registerDependencies(event.objectId);
+                }
+                this.handleObjectChanged(event);
+            }, { subscriberId: 'FormulaManager_hierarchy' });
+            this.objectEventBus.subscribe(EVENT_TYPES.LIFECYCLE, (event) => {
+                if (event.changeData?.operation === 'deleted') {
+                    this.removeObjectNodes(event.objectId);
+                }
+            }, { subscriberId: 'FormulaManager_lifecycle' });
+        }
+
+        this.initialized = true;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PUBLIC API
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Check whether a value typed into a field is a formula ("=expr")
+     * @param {*} value - Raw field value
+     * @returns {boolean}
+     */
+    isFormulaInput(value) {
+        return typeof value === 'string' && value.trim().startsWith('=');
+    }
+
+    /**
+     * Check whether a property can be driven by a formula
+     * @param {string} property - Property path
+     * @returns {boolean}
+     */
+    supportsProperty(property) {
+        return FormulaManager.FORMULA_PROPERTIES.includes(property);
+    }
+
+    /**
+     * Get the formula bound to a property
+     * @param {string} objectId - Object ID
+     * @param {string} property - Property path
+     * @returns {string|null} Expression (without leading "=") or null
+     */
+    getFormula(objectId, property) {
+        const obj = this.sceneController?.getObject(objectId);
+        return obj?.parametricProperties?.formulas?.[property] || null;
+    }
+
+    /**
+     * Get the unit a formula was typed in
+     * @param {string} objectId - Object ID
+     * @param {string} property - Property path
+     * @returns {string} Unit code ('m' for formulas stored without one)
+     */
+    getFormulaUnit(objectId, property) {
+        const obj = this.sceneController?.getObject(objectId);
+        return obj?.parametricProperties?.formulaUnits?.[property] || 'm';
+    }
+
+    /**
+     * Bind a formula to an object property and apply its value (one undo step)
+     * Literals are in the current display unit
+     * @param {string} objectId - Object ID
+     * @param {string} property - Property path (e.g. 'dimensions.x')
+     * @param {string} input - Expression, with or without leading "="
+     * @returns {boolean} True if the formula was stored and applied
+     */
+    setFormula(objectId, property, input) {
+        if (!this.initialized) return false;
+
+        if (!this.supportsProperty(property)) {
+            console.warn(`FormulaManager: Formulas not supported on ${property}`);
+            return false;
+        }
+
+        const obj = this.sceneController?.getObject(objectId);
+        if (!obj) return false;
+
+        const expression = String(input).trim().replace(/^=/, '').trim();
+        if (!expression) {
+            return this.clearFormula(objectId, property);
+        }
+
+        // Validate references against the current context before storing anything
+        const unit = window.unitConverter?.getUserUnit() || 'm';
+        const context = this.buildContext(objectId, unit);
+        const validation = this.formulaEvaluator.validateFormula(expression, context);
+        if (!validation.valid) {
+            this.notifyError(`Formula error: ${validation.error}`);
+            return false;
+        }
+
+        return this.executeChange(obj, property, { expression, unit });
+    }
+
+    /**
+     * Remove the formula from a property (value stays at its last result, one undo step)
+     * @param {string} objectId - Object ID
+     * @param {string} property - Property path
+     * @returns {boolean} True if a formula was removed
+     */
+    clearFormula(objectId, property) {
+        const obj = this.sceneController?.getObject(objectId);
+        if (!obj || !this.getFormula(objectId, property)) return false;
+
+        return this.executeChange(obj, property, null);
+    }
+
+    /**
+     * Apply a formula binding directly (used by SetFormulaCommand)
+     * @param {string} objectId - Object ID
+     * @param {string} property - Property path
+     * @param {Object|null} formula - { expression, unit }, or null to remove
+     * @returns {boolean} False if the object is gone or the formula is circular
+     */
+    applyFormula(objectId, property, formula) {
+        if (!this.initialized) return false;
+
+        const obj = this.sceneController?.getObject(objectId);
+        if (!obj) return false;
+
+        const previous = this.getFormulaRecord(obj, property);
+        this.storeFormula(obj, property, formula);
+
+        if (!this.registerDependencies(objectId)) {
+            // Circular reference - restore the previous binding
+            this.storeFormula(obj, property, previous);
+            this.registerDependencies(objectId);
+            this.notifyError(`Formula for ${property} creates a circular reference`);
+            return false;
+        }
+
+        if (formula) {
+            this.evaluateNodes([this.getNodeId(objectId, property)]);
+        }
+        return true;
+    }
+
+    /**
+     * Route a formula change through HistoryManager (direct apply when history is unavailable)
+     * @private
+     */
+    executeChange(obj, property, formula) {
+        const historyManager = window.modlerComponents?.historyManager;
+        if (historyManager && window.SetFormulaCommand) {
+            const oldValue = this.getObjectValues(obj)[FormulaManager.PROPERTY_NAMES[property]];
+            const command = new SetFormulaCommand(obj.id, property, formula, this.getFormulaRecord(obj, property), oldValue);
+            return historyManager.executeCommand(command);
+        }
+        return this.applyFormula(obj.id, property, formula);
+    }
+
+    /**
+     * Re-evaluate formulas that reference a scene parameter
+     * @param {string} name - Parameter name
+     */
+    handleParameterChanged(name) {
+        if (!this.initialized) return;
+
+        const nodeId = this.getParameterNodeId(name);
+        if (!this.dependencyGraph.nodes.has(nodeId)) return;
+
+        const updateOrder = this.dependencyGraph.getUpdateOrder(nodeId);
+        if (updateOrder.length > 0) {
+            this.evaluateNodes(updateOrder);
+        }
+    }
+
+    /**
+     * Get formula nodes that reference a scene parameter
+     * @param {string} name - Parameter name
+     * @returns {Array<string>} Dependent node IDs
+     */
+    getParameterDependents(name) {
+        if (!this.initialized) return [];
+        return this.dependencyGraph.getDependents(this.getParameterNodeId(name));
+    }
+
+    /**
+     * Rebuild the dependency graph from formulas stored on scene objects
+     * Called after a scene is loaded
+     */
+    rebuildGraph() {
+        if (!this.initialized || !this.sceneController) return;
+
+        this.dependencyGraph.clear();
+
+        const formulaNodes = [];
+        this.sceneController.getAllObjects().forEach(obj => {
+            const formulas = obj.parametricProperties?.formulas;
+            if (!formulas || Object.keys(formulas).length === 0) return;
+
+            this.registerDependencies(obj.id);
+            Object.keys(formulas).forEach(property => {
+                formulaNodes.push(this.getNodeId(obj.id, property));
+            });
+        });
+
+        this.evaluateNodes(formulaNodes);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // DEPENDENCY TRACKING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Build graph node ID for an object property
+     */
+    getNodeId(objectId, property) {
+        return `${objectId}.${property}`;
+    }
+
+    /**
+     * Build graph node ID for a scene parameter
+     */
+    getParameterNodeId(name) {
+        return `param.${name}`;
+    }
+
+    /**
+     * Split a graph node ID back into object ID and property path
+     */
+    parseNodeId(nodeId) {
+        const match = FormulaManager.FORMULA_PROPERTIES.find(property => nodeId.endsWith(`.${property}`));
+        if (!match) return null;
+        return { objectId: nodeId.slice(0, -(match.length + 1)), property: match };
+    }
+
+    /**
+     * Resolve a formula variable to the graph node that provides it
+     * @param {string} objectId - Object owning the formula
+     * @param {string} reference - Variable name (e.g. 'parent.width', 'gap')
+     * @returns {string|null} Node ID or null if unknown
+     */
+    resolveReference(objectId, reference) {
+        const obj = this.sceneController?.getObject(objectId);
+        if (!obj) return null;
+
+        const isParentReference = reference.startsWith('parent.');
+        const name = isParentReference ? reference.slice('parent.'.length) : reference;
+        const path = FormulaManager.REFERENCE_PATHS[name];
+        if (!path) {
+            const parameterManager = window.modlerComponents?.sceneParameterManager;
+            return !isParentReference && parameterManager?.has(name) ? this.getParameterNodeId(name) : null;
+        }
+
+        // gap always comes from the parent container's layout
+        const targetId = (isParentReference || name === 'gap') ? obj.parentContainer : objectId;
+        if (targetId === null || targetId === undefined) return null;
+
+        return this.getNodeId(targetId, path);
+    }
+
+    /**
+     * Re-register all graph edges for an object's formulas
+     * @param {string} objectId - Object ID
+     * @returns {boolean} False if an edge was rejected (circular reference)
+     */
+    registerDependencies(objectId) {
+        const formulas = this.sceneController?.getObject(objectId)?.parametricProperties?.formulas || {};
+        let allAdded = true;
+
+        FormulaManager.FORMULA_PROPERTIES.forEach(property => {
+            const nodeId = this.getNodeId(objectId, property);
+
+            // Drop existing incoming edges, keep outgoing ones (other formulas depending on this value)
+            this.dependencyGraph.getDependencies(nodeId).forEach(sourceId => {
+                this.dependencyGraph.removeDependency(sourceId, nodeId);
+            });
+
+            const expression = formulas[property];
+            if (!expression) return;
+
+            this.dependencyGraph.addNode(nodeId, { type: 'formula', objectId, property });
+            this.formulaEvaluator.extractDependencies(expression).forEach(reference => {
+                const sourceId = this.resolveReference(objectId, reference);
+                if (sourceId && !this.dependencyGraph.addDependency(sourceId, nodeId)) {
+                    allAdded = false;
+                }
+            });
+        });
+
+        return allAdded;
+    }
+
+    /**
+     * Remove all graph nodes belonging to a deleted object
+     */
+    removeObjectNodes(objectId) {
+        if (!this.initialized) return;
+
+        const prefix = `${objectId}.`;
+        Array.from(this.dependencyGraph.nodes.keys())
+            .filter(nodeId => nodeId.startsWith(prefix))
+            .forEach(nodeId => this.dependencyGraph.removeNode(nodeId));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EVALUATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Re-evaluate formulas downstream of a changed object
+     */
+    handleObjectChanged(event) {
+        if (!this.initialized || this.isEvaluating) return;
+        if (event.objectId === null || event.objectId === undefined) return;
+
+        const changedNodes = [
+            ...FormulaManager.FORMULA_PROPERTIES,
+            'autoLayout.gap'
+        ].map(property => this.getNodeId(event.objectId, property))
+            .filter(nodeId => this.dependencyGraph.nodes.has(nodeId));
+
+        if (changedNodes.length === 0) return;
+
+        const updateOrder = this.dependencyGraph.getUpdateOrder(changedNodes);
+        if (updateOrder.length > 0) {
+            this.evaluateNodes(updateOrder);
+        }
+    }
+
+    /**
+     * Evaluate formula nodes in the given order, plus everything downstream of them
+     * @param {Array<string>} nodeIds - Formula nodes to evaluate first
+     */
+    evaluateNodes(nodeIds) {
+        if (this.isEvaluating) return;
+
+        const ordered = [...nodeIds];
+        this.dependencyGraph.getUpdateOrder(nodeIds).forEach(nodeId => {
+            if (!ordered.includes(nodeId)) ordered.push(nodeId);
+        });
+
+        this.isEvaluating = true;
+        try {
+            ordered.forEach(nodeId => {
+                const parsed = this.parseNodeId(nodeId);
+                if (parsed) {
+                    this.evaluateProperty(parsed.objectId, parsed.property);
+                }
+            });
+        } finally {
+            this.isEvaluating = false;
+        }
+    }
+
+    /**
+     * Evaluate a single property formula and apply the result
+     * @returns {boolean} True if a value was applied
+     */
+    evaluateProperty(objectId, property) {
+        const obj = this.sceneController?.getObject(objectId);
+        const expression = obj?.parametricProperties?.formulas?.[property];
+        if (!expression) return false;
+
+        const unit = this.getFormulaUnit(obj.id, property);
+        let value = this.formulaEvaluator.evaluate(expression, this.buildContext(obj.id, unit));
+        if (value === null) return false;
+        value *= this.getUnitScale(unit);
+
+        // Dimensions must stay positive (matches property panel minimum)
+        if (property.startsWith('dimensions.')) {
+            value = Math.max(value, 0.001);
+        }
+
+        this.objectStateManager?.updateObject(obj.id, {
+            [property.split('.')[0]]: { [property.split('.')[1]]: value }
+        }, { source: 'formula', immediate: true });
+
+        return true;
+    }
+
+    /**
+     * Build evaluation context for an object's formulas
+     * @param {string} objectId - Object ID
+     * @param {string} [unit] - Unit for lengths (default meters)
+     * @returns {Object} Variable name → value (unitless parameters as stored)
+     */
+    buildContext(objectId, unit = 'm') {
+        const scale = this.getUnitScale(unit);
+        const toUnit = (meters) => meters / scale;
+
+        // Scene parameters first; reserved names keep them from shadowing object values
+        const context = {};
+        (window.modlerComponents?.sceneParameterManager?.getParameters() || []).forEach(parameter => {
+            context[parameter.name] = parameter.kind === 'length' ? toUnit(parameter.value) : parameter.value;
+        });
+        const obj = this.sceneController?.getObject(objectId);
+        if (!obj) return context;
+
+        Object.entries(this.getObjectValues(obj)).forEach(([name, value]) => {
+            context[name] = toUnit(value);
+        });
+
+        const parent = obj.parentContainer ? this.sceneController.getObject(obj.parentContainer) : null;
+        if (parent) {
+            const parentValues = this.getObjectValues(parent);
+            Object.entries(parentValues).forEach(([name, value]) => {
+                context[`parent.${name}`] = toUnit(value);
+            });
+            context.gap = toUnit(parentValues.gap);
+        }
+
+        return context;
+    }
+
+    /**
+     * Meters per unit (1 for meters or when UnitConverter isn't loaded)
+     * @private
+     */
+    getUnitScale(unit) {
+        const unitConverter = window.unitConverter;
+        return unit === 'm' || !unitConverter?.isValidUnit(unit) ? 1 : unitConverter.toInternalUnits(1, unit);
+    }
+
+    /**
+     * Read the current values of an object that formulas can reference
+     * @private
+     */
+    getObjectValues(obj) {
+        const dimensions = window.dimensionManager?.getDimensions(obj.mesh) || obj.dimensions || { x: 0, y: 0, z: 0 };
+        const position = obj.mesh?.position || { x: 0, y: 0, z: 0 };
+
+        return {
+            width: dimensions.x,
+            height: dimensions.y,
+            depth: dimensions.z,
+            x: position.x,
+            y: position.y,
+            z: position.z,
+            gap: obj.autoLayout?.gap ?? 0
+        };
+    }
+
+    /**
+     * Formula binding of a property as stored by storeFormula()
+     * @private
+     * @returns {Object|null} { expression, unit }
+     */
+    getFormulaRecord(obj, property) {
+        const expression = obj.parametricProperties?.formulas?.[property];
+        return expression ? { expression, unit: obj.parametricProperties.formulaUnits?.[property] || 'm' } : null;
+    }
+
+    /**
+     * Store (or remove, when formula is null) a formula on the scene object
+     * @private
+     */
+    storeFormula(obj, property, formula) {
+        const formulas = { ...(obj.parametricProperties?.formulas || {}) };
+        const formulaUnits = { ...(obj.parametricProperties?.formulaUnits || {}) };
+        if (formula) {
+            formulas[property] = formula.expression;
+            formulaUnits[property] = formula.unit;
+        } else {
+            delete formulas[property];
+            delete formulaUnits[property];
+        }
+
+        obj.parametricProperties = { ...(obj.parametricProperties || {}), formulas, formulaUnits };
+    }
+
+    /**
+     * Surface a formula error to the user
+     * @private
+     */
+    notifyError(message) {
+        console.warn(`FormulaManager: ${message}`);
+        window.notificationManager?.warning(message);
+    }
+}
+
+// Export for use in main application
+window.FormulaManager = FormulaManager;
@@ -1,5 +1,7 @@
 // Modler V2 - History Manager
 // Command pattern implementation for undo/redo functionality
+// Also owns named checkpoints, the alternate redo branch, history persistence
+// and transactions that group several commands into one undo step
 
 class HistoryManager {
     constructor() {
@@ -15,8 +17,20 @@ class HistoryManager {
         this.isExecuting = false; // Prevent recursive command execution
         this.isUndoing = false;   // Flag to indicate undo in progress
         this.isRedoing = false;   // Flag to indicate redo in progress
+        this.isJumping = false;   // Batch notifications while stepping through history
         this.initialized = false;
 
+        // Named checkpoints: command id → name
+        this.checkpoints = new Map();
+
+        // Redo stack discarded by the last new command, kept so the user can switch back
+        // { position: undo depth where the histories diverged, redoStack }
+        this.branch = null;
+
+        // Open transaction: commands executed until commit become a single undo step
+        // { description, commands, depth, failed }
+        this.transaction = null;
+
         // Component references
         this.configManager = null;
         this.sceneController = null;
@@ -80,21 +94,8 @@ class HistoryManager {
             return false;
         }
 
-        // SCHEMA VALIDATION: Validate command metadata if validator available
-        if (window.commandMetadataValidator && command.type) {
-            // Extract command parameters from command object (if available)
-            const commandParams = this.extractCommandParameters(command);
-            const validation = window.commandMetadataValidator.validate(command.type, commandParams);
-
-            if (!validation.isValid) {
-                console.error('❌ Command validation failed:', {
-                    commandType: command.type,
-                    commandId: command.id,
-                    errors: validation.errors
-                });
-                // Log but continue execution (graceful degradation)
-                // In strict mode, you might want to return false here
-            }
+        if (this.transaction) {
+            return this.executeInTransaction(command);
         }
 
         this.isExecuting = true;
@@ -104,12 +105,12 @@ class HistoryManager {
             const success = command.execute();
 
             if (success) {
+                // New command starts a new branch - keep the old redo stack restorable
+                this.stashRedoBranch();
+
                 // Add to undo stack
                 this.undoStack.push(command);
 
-                // Clear redo stack when new command is executed
-                this.clearRedoStack();
-
                 // Trim history if needed
                 this.trimHistory();
 
@@ -129,12 +130,174 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Execute a command as part of the open transaction
+     * A failed step rolls back the steps before it and fails the rest of the transaction
+     * @private
+     */
+    executeInTransaction(command) {
+        const transaction = this.transaction;
+        if (transaction.failed) {
+            return false;
+        }
+
+        this.isExecuting = true;
+        let success = false;
+
+        try {
+            success = command.execute();
+            if (!success) {
+                console.warn('HistoryManager: Transaction step failed:', command.getInfo());
+            }
+        } catch (error) {
+            console.error('HistoryManager: Error executing transaction step:', error, command.getInfo());
+        } finally {
+            this.isExecuting = false;
+        }
+
+        if (success) {
+            transaction.commands.push(command);
+            return true;
+        }
+
+        this.undoTransactionSteps(transaction);
+        transaction.failed = true;
+        return false;
+    }
+
+    /**
+     * Start grouping commands into one undo step
+     * Nested calls join the outer transaction - only the outermost commit records it
+     * @param {string} [description] - History entry label for the group
+     */
+    beginTransaction(description = 'Multiple changes') {
+        if (this.transaction) {
+            this.transaction.depth++;
+            return;
+        }
+
+        this.transaction = { description, commands: [], depth: 1, failed: false };
+    }
+
+    /**
+     * Close the current transaction level
+     * The outermost commit pushes the collected commands as one undo step
+     * @returns {boolean} True if the transaction was recorded (or a nested level closed)
+     */
+    commitTransaction() {
+        const transaction = this.transaction;
+        if (!transaction) {
+            console.warn('HistoryManager: commitTransaction called without an open transaction');
+            return false;
+        }
+
+        if (--transaction.depth > 0) {
+            return !transaction.failed;
+        }
+
+        this.transaction = null;
+
+        if (transaction.failed || transaction.commands.length === 0) {
+            return false;
+        }
+
+        const command = transaction.commands.length === 1
+            ? transaction.commands[0]
+            : new CompositeCommand(transaction.commands, transaction.description);
+
+        this.stashRedoBranch();
+        this.undoStack.push(command);
+        this.trimHistory();
+        this.notifyHistoryChanged();
+        return true;
+    }
+
+    /**
+     * Abandon the current transaction level, undoing every step already executed
+     * From a nested level the whole transaction fails - the outer levels still
+     * need to commit or roll back, but nothing further is recorded
+     */
+    rollbackTransaction() {
+        const transaction = this.transaction;
+        if (!transaction) return;
+
+        this.undoTransactionSteps(transaction);
+        transaction.failed = true;
+
+        if (--transaction.depth === 0) {
+            this.transaction = null;
+        }
+    }
+
+    /**
+     * Run a function inside a transaction
+     * Commits when it finishes, rolls back if it returns false or throws
+     * @param {string} description - History entry label for the group
+     * @param {Function} fn - Work that executes commands through executeCommand()
+     * @returns {*} Return value of fn (false if it threw)
+     */
+    runTransaction(description, fn) {
+        this.beginTransaction(description);
+
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            console.error('HistoryManager: Error in transaction:', error);
+            this.rollbackTransaction();
+            return false;
+        }
+
+        if (result === false || this.transaction?.failed) {
+            this.rollbackTransaction();
+            return false;
+        }
+
+        this.commitTransaction();
+        return result;
+    }
+
+    /**
+     * Check if a transaction is open
+     */
+    isInTransaction() {
+        return !!this.transaction;
+    }
+
+    /**
+     * Undo the executed steps of a transaction in reverse order and discard them
+     * @private
+     */
+    undoTransactionSteps(transaction) {
+        this.isExecuting = true;
+        this.isUndoing = true;
+
+        try {
+            for (let i = transaction.commands.length - 1; i >= 0; i--) {
+                const command = transaction.commands[i];
+                try {
+                    if (!command.undo()) {
+                        console.warn('HistoryManager: Transaction rollback step failed:', command.getInfo());
+                    }
+                } catch (error) {
+                    console.error('HistoryManager: Error rolling back transaction step:', error, command.getInfo());
+                }
+                this.discardCommand(command);
+            }
+        } finally {
+            this.isExecuting = false;
+            this.isUndoing = false;
+        }
+
+        transaction.commands = [];
+    }
+
     /**
      * Undo the last command
      * @returns {boolean} True if undo was successful
      */
     undo() {
-        if (!this.enabled || !this.initialized || this.isExecuting || this.undoStack.length === 0) {
+        if (!this.enabled || !this.initialized || this.isExecuting || this.transaction || this.undoStack.length === 0) {
             return false;
         }
 
@@ -176,7 +339,7 @@ class HistoryManager {
      * @returns {boolean} True if redo was successful
      */
     redo() {
-        if (!this.enabled || !this.initialized || this.isExecuting || this.redoStack.length === 0) {
+        if (!this.enabled || !this.initialized || this.isExecuting || this.transaction || this.redoStack.length === 0) {
             return false;
         }
 
@@ -186,7 +349,9 @@ class HistoryManager {
         this.isRedoing = true;
 
         try {
-            const success = command.execute();
+            // Commands that record already-applied changes (move, push, ...) have a
+            // no-op execute() - their redo() re-applies the change
+            const success = typeof command.redo === 'function' ? command.redo() : command.execute();
 
             if (success) {
                 // Add back to undo stack
@@ -213,12 +378,120 @@ class HistoryManager {
         }
     }
 
+    /**
+     * Undo or redo until `position` commands are applied
+     * @param {number} position - Target undo stack depth (0 = before the oldest kept command)
+     * @returns {boolean} True if the target position was reached
+     */
+    jumpTo(position) {
+        const reached = this.stepTo(position);
+        this.notifyHistoryChanged();
+        return reached;
+    }
+
+    /**
+     * Step through history without notifying listeners for every step
+     * @private
+     */
+    stepTo(position) {
+        const total = this.undoStack.length + this.redoStack.length;
+        if (!Number.isInteger(position) || position < 0 || position > total) {
+            return false;
+        }
+
+        this.isJumping = true;
+        try {
+            let stepped = true;
+            while (stepped && this.undoStack.length > position) {
+                stepped = this.undo();
+            }
+            while (stepped && this.undoStack.length < position) {
+                stepped = this.redo();
+            }
+        } finally {
+            this.isJumping = false;
+        }
+
+        return this.undoStack.length === position;
+    }
+
+    /**
+     * Name the current state - the checkpoint is attached to the last applied command
+     * @param {string} [name] - Checkpoint name (defaults to "Checkpoint N")
+     * @returns {string|null} Command id the checkpoint is attached to, or null if history is empty
+     */
+    addCheckpoint(name) {
+        const command = this.undoStack[this.undoStack.length - 1];
+        if (!command) return null;
+
+        const label = (typeof name === 'string' && name.trim()) || `Checkpoint ${this.checkpoints.size + 1}`;
+        this.checkpoints.set(command.id, label);
+        this.notifyHistoryChanged();
+        return command.id;
+    }
+
+    /**
+     * Remove a named checkpoint
+     * @param {string} commandId - Command the checkpoint is attached to
+     * @returns {boolean} True if a checkpoint was removed
+     */
+    removeCheckpoint(commandId) {
+        const removed = this.checkpoints.delete(commandId);
+        if (removed) {
+            this.notifyHistoryChanged();
+        }
+        return removed;
+    }
+
+    /**
+     * Switch to the alternate branch: step back to where the histories diverged,
+     * then swap the current redo stack with the stashed one
+     * @returns {boolean} True if the branch was restored
+     */
+    restoreBranch() {
+        const branch = this.branch;
+        if (!branch || this.isExecuting || this.transaction) return false;
+
+        if (!this.stepTo(branch.position)) {
+            this.notifyHistoryChanged();
+            return false;
+        }
+
+        // The commands just undone become the alternate branch
+        this.branch = this.redoStack.length > 0
+            ? { position: branch.position, redoStack: this.redoStack }
+            : null;
+        this.redoStack = branch.redoStack;
+
+        this.notifyHistoryChanged();
+        return true;
+    }
+
+    /**
+     * Move the redo stack a new command would discard into the branch slot
+     * (replacing any older branch)
+     * @private
+     */
+    stashRedoBranch() {
+        if (this.redoStack.length === 0) return;
+
+        this.discardBranch();
+        this.branch = { position: this.undoStack.length, redoStack: this.redoStack };
+        this.redoStack = [];
+    }
+
     /**
      * Clear all history
      */
     clear() {
+        if (this.transaction) {
+            this.transaction.commands.forEach(command => this.discardCommand(command));
+            this.transaction = null;
+        }
         this.clearUndoStack();
         this.clearRedoStack();
+        this.discardBranch();
+        this.checkpoints.clear();
         this.notifyHistoryChanged();
     }
 
@@ -226,11 +499,7 @@ class HistoryManager {
      * Clear undo stack and cleanup commands
      */
     clearUndoStack() {
-        this.undoStack.forEach(command => {
-            if (typeof command.cleanup === 'function') {
-                command.cleanup();
-            }
-        });
+        this.undoStack.forEach(command => this.discardCommand(command));
         this.undoStack = [];
     }
 
@@ -238,22 +507,41 @@ class HistoryManager {
      * Clear redo stack and cleanup commands
      */
     clearRedoStack() {
-        this.redoStack.forEach(command => {
-            if (typeof command.cleanup === 'function') {
-                command.cleanup();
-            }
-        });
+        this.redoStack.forEach(command => this.discardCommand(command));
         this.redoStack = [];
     }
 
+    /**
+     * Drop the alternate branch and cleanup its commands
+     */
+    discardBranch() {
+        if (!this.branch) return;
+
+        this.branch.redoStack.forEach(command => this.discardCommand(command));
+        this.branch = null;
+    }
+
+    /**
+     * Cleanup a command leaving history, along with its checkpoint
+     * @private
+     */
+    discardCommand(command) {
+        this.checkpoints.delete(command.id);
+        if (typeof command.cleanup === 'function') {
+            command.cleanup();
+        }
+    }
+
     /**
      * Trim history to maxSteps limit
      */
     trimHistory() {
         while (this.undoStack.length > this.maxSteps) {
-            const removedCommand = this.undoStack.shift();
-            if (typeof removedCommand.cleanup === 'function') {
-                removedCommand.cleanup();
+            this.discardCommand(this.undoStack.shift());
+
+            // Branch point shifts with the stack - drop it once it falls off the bottom
+            if (this.branch && --this.branch.position < 0) {
+                this.discardBranch();
             }
         }
     }
@@ -276,129 +564,151 @@ class HistoryManager {
     }
 
     /**
-     * Extract command parameters from command object for validation
-     * @private
+     * History list for the history panel, oldest first
+     * @returns {{entries: Array<Object>, position: number, branch: Object|null}}
+     *          entries: [{ id, type, description, timestamp, checkpoint, applied }]
+     *          position: number of applied entries (0 = nothing to undo)
+     *          branch: { position, length } of the alternate redo branch
      */
-    extractCommandParameters(command) {
-        // Extract known command properties
-        const params = {};
-
-        // Common properties across all commands
-        if (command.objectId !== undefined) params.objectId = command.objectId;
-        if (command.objectIds !== undefined) params.objectIds = command.objectIds;
-        if (command.objectType !== undefined) params.objectType = command.objectType;
-        if (command.property !== undefined) params.property = command.property;
-        if (command.oldValue !== undefined) params.oldValue = command.oldValue;
-        if (command.newValue !== undefined) params.newValue = command.newValue;
-        if (command.position !== undefined) params.position = command.position;
-        if (command.dimensions !== undefined) params.dimensions = command.dimensions;
-        if (command.oldPosition !== undefined) params.oldPosition = command.oldPosition;
-        if (command.newPosition !== undefined) params.newPosition = command.newPosition;
-        if (command.oldDimensions !== undefined) params.oldDimensions = command.oldDimensions;
-        if (command.newDimensions !== undefined) params.newDimensions = command.newDimensions;
-        if (command.faceNormal !== undefined) params.faceNormal = command.faceNormal;
-        if (command.pushDistance !== undefined) params.pushDistance = command.pushDistance;
-        if (command.containerId !== undefined) params.containerId = command.containerId;
-        if (command.autoLayout !== undefined) params.autoLayout = command.autoLayout;
-        if (command.material !== undefined) params.material = command.material;
-        if (command.name !== undefined) params.name = command.name;
-        if (command.selectedObjects !== undefined) params.selectedObjects = command.selectedObjects;
-        if (command.containerData !== undefined) params.containerData = command.containerData;
-
-        return params;
-    }
-
-    /**
-     * Serialize history to JSON (for saving/loading)
-     * Only serializes commands that are marked as serializable in schema
-     * @returns {string} JSON string of serialized history
+    getEntries() {
+        const describe = (command, applied) => {
+            const info = command.getInfo();
+            return {
+                id: info.id,
+                type: info.type,
+                description: info.description || info.type,
+                timestamp: info.timestamp,
+                checkpoint: this.checkpoints.get(command.id) || null,
+                applied
+            };
+        };
+
+        return {
+            entries: [
+                ...this.undoStack.map(command => describe(command, true)),
+                ...[...this.redoStack].reverse().map(command => describe(command, false))
+            ],
+            position: this.undoStack.length,
+            branch: this.branch
+                ? { position: this.branch.position, length: this.branch.redoStack.length }
+                : null
+        };
+    }
+
+    /**
+     * Serialize history for the scene file
+     * Commands are rebuilt through CommandFactory on load
+     * @returns {Object} Serialized history
      */
     serializeHistory() {
-        if (!window.commandMetadataValidator) {
-            console.warn('Command metadata validator not available for serialization');
-            return null;
-        }
-
-        const serializedUndo = this.undoStack
-            .map(command => {
-                if (!command.type) return null;
-                const params = this.extractCommandParameters(command);
-                return window.commandMetadataValidator.serialize(command.type, params, {
-                    timestamp: command.timestamp,
-                    id: command.id
-                });
-            })
-            .filter(Boolean);
-
-        const serializedRedo = this.redoStack
-            .map(command => {
-                if (!command.type) return null;
-                const params = this.extractCommandParameters(command);
-                return window.commandMetadataValidator.serialize(command.type, params, {
-                    timestamp: command.timestamp,
-                    id: command.id
-                });
-            })
-            .filter(Boolean);
-
-        return JSON.stringify({
+        const undoStack = this.serializeStack(this.undoStack);
+        const droppedCount = this.undoStack.length - undoStack.length;
+        const branchPosition = this.branch ? this.branch.position - droppedCount : -1;
+        const branchStack = branchPosition >= 0 ? this.serializeStack(this.branch.redoStack) : [];
+
+        return {
             version: '1.0.0',
-            timestamp: Date.now(),
-            undoStack: serializedUndo,
-            redoStack: serializedRedo
-        });
+            undoStack,
+            redoStack: this.serializeStack(this.redoStack),
+            checkpoints: Array.from(this.checkpoints.entries()).map(([commandId, name]) => ({ commandId, name })),
+            branch: branchStack.length > 0 ? { position: branchPosition, redoStack: branchStack } : null
+        };
     }
 
     /**
-     * Deserialize history from JSON (for loading)
-     * @param {string} jsonData - JSON string of serialized history
-     * @returns {boolean} True if deserialization succeeded
+     * Serialize a stack from the top down, stopping at the first command that
+     * can't be saved - commands below it couldn't be replayed correctly anyway
+     * @private
+     * @returns {Array<Object>} Serialized commands, bottom first
      */
-    deserializeHistory(jsonData) {
-        if (!window.commandMetadataValidator) {
-            console.warn('Command metadata validator not available for deserialization');
+    serializeStack(stack) {
+        const serialized = [];
+        for (let i = stack.length - 1; i >= 0; i--) {
+            const data = CommandFactory.serialize(stack[i]);
+            if (!data) break;
+            serialized.unshift(data);
+        }
+        return serialized;
+    }
+
+    /**
+     * Replace history with one saved by serializeHistory()
+     * @param {Object|string|null} data - Serialized history (null just clears)
+     * @returns {boolean} True if history was restored
+     */
+    deserializeHistory(data) {
+        this.clearUndoStack();
+        this.clearRedoStack();
+        this.discardBranch();
+        this.checkpoints.clear();
+
+        if (!data) {
+            this.notifyHistoryChanged();
             return false;
         }
 
         try {
-            const data = JSON.parse(jsonData);
+            const history = typeof data === 'string' ? JSON.parse(data) : data;
 
-            // Clear current history
-            this.clear();
+            this.undoStack = this.deserializeStack(history.undoStack);
+            this.redoStack = this.deserializeStack(history.redoStack);
 
-            // Deserialize commands (validation happens in deserialize)
-            const undoCommands = data.undoStack
-                .map(serialized => window.commandMetadataValidator.deserialize(serialized))
-                .filter(Boolean);
+            const droppedCount = (history.undoStack?.length || 0) - this.undoStack.length;
+            const branchPosition = history.branch ? history.branch.position - droppedCount : -1;
+            const branchStack = branchPosition >= 0 ? this.deserializeStack(history.branch.redoStack) : [];
+            this.branch = branchStack.length > 0 ? { position: branchPosition, redoStack: branchStack } : null;
 
-            const redoCommands = data.redoStack
-                .map(serialized => window.commandMetadataValidator.deserialize(serialized))
-                .filter(Boolean);
-
-            // Note: Deserialized commands would need to be reconstructed as actual Command objects
-            // This is a simplified version - full implementation would need command factory
-            console.log(`Deserialized ${undoCommands.length} undo commands and ${redoCommands.length} redo commands`);
+            const commandIds = new Set([...this.undoStack, ...this.redoStack, ...branchStack].map(command => command.id));
+            (history.checkpoints || []).forEach(({ commandId, name }) => {
+                if (commandIds.has(commandId)) {
+                    this.checkpoints.set(commandId, name);
+                }
+            });
 
+            this.trimHistory();
             return true;
 
         } catch (error) {
-            console.error('Failed to deserialize history:', error);
+            console.error('HistoryManager: Failed to deserialize history:', error);
+            this.undoStack = [];
+            this.redoStack = [];
+            this.branch = null;
+            this.checkpoints.clear();
             return false;
+        } finally {
+            this.notifyHistoryChanged();
         }
     }
 
+    /**
+     * Rebuild a stack from the top down, stopping at the first command that can't be restored
+     * @private
+     * @returns {Array<BaseCommand>} Commands, bottom first
+     */
+    deserializeStack(list) {
+        const commands = [];
+        if (!Array.isArray(list)) return commands;
+
+        for (let i = list.length - 1; i >= 0; i--) {
+            const command = CommandFactory.deserialize(list[i]);
+            if (!command) break;
+            commands.unshift(command);
+        }
+        return commands;
+    }
+
     /**
      * Check if undo is available
      */
     canUndo() {
-        return this.enabled && this.undoStack.length > 0 && !this.isExecuting;
+        return this.enabled && this.undoStack.length > 0 && !this.isExecuting && !this.transaction;
     }
 
     /**
      * Check if redo is available
      */
     canRedo() {
-        return this.enabled && this.redoStack.length > 0 && !this.isExecuting;
+        return this.enabled && this.redoStack.length > 0 && !this.isExecuting && !this.transaction;
     }
 
     /**
@@ -414,6 +724,9 @@ class HistoryManager {
      * Notify all listeners that history has changed
      */
     notifyHistoryChanged() {
+        // jumpTo() notifies once when it's done
+        if (this.isJumping) return;
+
         const state = this.getHistoryState();
         this.callbacks.onHistoryChanged.forEach(callback => {
             try {
@@ -422,6 +735,20 @@ class HistoryManager {
                 console.error('HistoryManager: Error in history change callback:', error);
             }
         });
+
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Send the history list to UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'history-updated',
+            data: { history: this.getEntries() }
+        });
     }
 
     /**
@@ -434,6 +761,11 @@ class HistoryManager {
             maxSteps: this.maxSteps,
             undoStack: this.undoStack.map(cmd => cmd.getInfo()),
             redoStack: this.redoStack.map(cmd => cmd.getInfo()),
+            checkpoints: Object.fromEntries(this.checkpoints),
+            branch: this.branch ? this.branch.redoStack.map(cmd => cmd.getInfo()) : null,
+            transaction: this.transaction
+                ? { description: this.transaction.description, steps: this.transaction.commands.length, depth: this.transaction.depth }
+                : null,
             isExecuting: this.isExecuting
         };
     }
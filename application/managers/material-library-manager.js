@@ -0,0 +1,668 @@
+import * as THREE from 'three';
+
+/**
+ * MaterialLibraryManager - Scene Material Library (PBR)
+ *
+ * Named, physically based materials that objects reference by id instead of
+ * carrying a flat colour: roughness, metalness, an optional base-colour texture
+ * and normal map, and an optional procedural wood grain.
+ *
+ * Material shape: { id, name, color, roughness, metalness, map, normalMap,
+ *                   textureSize, woodGrain: { color, density, contrast } | null }
+ *   map / normalMap  image URLs (data URLs work too), null for none
+ *   textureSize      meters covered by one repeat of the textures
+ *   woodGrain        line colour, growth rings per meter, strength 0-1
+ *
+ * Objects keep { materialId, grain } in their material data next to colour and
+ * opacity, which stay per-object overrides. grain is the object axis the grain
+ * runs along ('x' | 'y' | 'z'), null for the longest side. Textures and grain are
+ * mapped in object space, so side faces show grain along that axis and the ends
+ * show end grain whatever the proportions of the part.
+ *
+ * Every object gets its own MeshStandardMaterial (textures are shared), so colour
+ * edits never leak between objects. The library starts from BUILTIN_MATERIALS; a
+ * scene file stores the materials its objects use plus custom and edited ones
+ * (scene.materials), and built-ins missing from a file come from the defaults.
+ *
+ * Flow: property panel → CommandRouter ('material-assign', 'material-set-grain',
+ *       'material-library-save') → assignMaterial()/setGrain()/saveMaterial()
+ *       → ObjectStateManager.applyMaterialUpdate() → applyToMesh() → broadcast
+ */
+
+class MaterialLibraryManager {
+    constructor() {
+        // id → material definition (insertion order = display order)
+        this.materials = new Map();
+        this.nextId = 1;
+
+        // 'color|url' / 'normal|url' → THREE.Texture, shared by every object using it
+        this.textures = new Map();
+
+        // material → shader uniforms (grain frame, grain look)
+        this.uniforms = new WeakMap();
+
+        this.objectEventBus = null;
+        this.initialized = false;
+
+        this.resetLibrary();
+    }
+
+    static get BUILTIN_MATERIALS() {
+        return [
+            { id: 'oak', name: 'Oak', color: '#c8a06e', roughness: 0.65, metalness: 0, woodGrain: { color: '#8c6238', density: 45, contrast: 0.45 } },
+            { id: 'walnut', name: 'Walnut', color: '#6e4a32', roughness: 0.55, metalness: 0, woodGrain: { color: '#3d2618', density: 35, contrast: 0.5 } },
+            { id: 'pine', name: 'Pine', color: '#e2c28e', roughness: 0.7, metalness: 0, woodGrain: { color: '#b5854e', density: 18, contrast: 0.55 } },
+            { id: 'birch-plywood', name: 'Birch plywood', color: '#e6d3b0', roughness: 0.6, metalness: 0, woodGrain: { color: '#c9ad80', density: 60, contrast: 0.3 } },
+            { id: 'mdf', name: 'MDF', color: '#b79a76', roughness: 0.9, metalness: 0 },
+            { id: 'white-laminate', name: 'White laminate', color: '#f2f2ee', roughness: 0.35, metalness: 0 },
+            { id: 'brushed-aluminium', name: 'Brushed aluminium', color: '#c4c8cc', roughness: 0.35, metalness: 1 },
+            { id: 'black-steel', name: 'Black steel', color: '#2e3033', roughness: 0.45, metalness: 0.9 }
+        ];
+    }
+
+    static get GRAIN_AXES() {
+        return ['x', 'y', 'z'];
+    }
+
+    static get DEFAULT_TEXTURE_SIZE() {
+        return 0.5;
+    }
+
+    /**
+     * Initialize with required components
+     */
+    initialize() {
+        this.objectEventBus = window.objectEventBus;
+
+        // Automatic grain follows the longest side when parts are resized
+        if (this.objectEventBus) {
+            this.objectEventBus.subscribe(this.objectEventBus.EVENT_TYPES.GEOMETRY, (event) => {
+                const mesh = this.sceneController?.getObject(event.objectId)?.mesh;
+                if (mesh) this.updateGrainFrame(mesh.material, mesh.geometry);
+            }, { subscriberId: 'MaterialLibraryManager_geometry' });
+        }
+
+        this.initialized = true;
+    }
+
+    get sceneController() {
+        return window.modlerComponents?.sceneController;
+    }
+
+    get historyManager() {
+        return window.modlerComponents?.historyManager;
+    }
+
+    get propertyUpdateHandler() {
+        return window.modlerComponents?.propertyUpdateHandler;
+    }
+
+    get materialManager() {
+        return window.modlerComponents?.materialManager;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════
+
+    has(id) {
+        return this.materials.has(id);
+    }
+
+    get(id) {
+        const material = this.materials.get(id);
+        return material ? MaterialLibraryManager.cloneMaterial(material) : null;
+    }
+
+    /**
+     * Get all materials in display order
+     * @returns {Array<Object>} Copies of material definitions plus `builtin`
+     */
+    getMaterials() {
+        const builtinIds = MaterialLibraryManager.BUILTIN_MATERIALS.map(material => material.id);
+        return Array.from(this.materials.values()).map(material => ({
+            ...MaterialLibraryManager.cloneMaterial(material),
+            builtin: builtinIds.includes(material.id)
+        }));
+    }
+
+    /**
+     * Scene objects whose mesh uses a library material
+     * @param {string} id - Material id
+     * @returns {Array<Object>} SceneController object data
+     */
+    getObjectsUsing(id) {
+        return (this.sceneController?.getAllObjects() || [])
+            .filter(objectData => objectData.mesh?.material?.userData?.libraryMaterialId === id);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // LIBRARY EDITING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Add a material, or update one (objects using it pick up the change)
+     * @param {Object} definition - Material fields; without an id a custom material is created
+     * @returns {Object|null} The saved material
+     */
+    saveMaterial(definition) {
+        if (!definition || typeof definition !== 'object') return null;
+
+        const id = definition.id && this.materials.has(definition.id) ? definition.id : `m${this.nextId++}`;
+        const previous = this.materials.get(id);
+        const material = MaterialLibraryManager.normalizeMaterial({
+            ...previous,
+            ...definition,
+            id,
+            name: definition.name ?? previous?.name ?? `Material ${this.materials.size + 1}`
+        });
+
+        this.materials.set(id, material);
+        if (previous) {
+            this.refreshObjects(id, previous.color !== material.color);
+        }
+
+        this.handleChanged();
+        return MaterialLibraryManager.cloneMaterial(material);
+    }
+
+    /**
+     * Remove a custom material that no object uses
+     * @param {string} id - Material id
+     * @returns {boolean} True if removed
+     */
+    removeMaterial(id) {
+        const material = this.materials.get(id);
+        if (!material) return false;
+
+        if (MaterialLibraryManager.BUILTIN_MATERIALS.some(builtin => builtin.id === id)) {
+            this.notifyError('Built-in materials cannot be removed');
+            return false;
+        }
+
+        const users = this.getObjectsUsing(id).length;
+        if (users > 0) {
+            this.notifyError(`"${material.name}" is used by ${users} object${users === 1 ? '' : 's'}`);
+            return false;
+        }
+
+        this.materials.delete(id);
+        this.handleChanged();
+        return true;
+    }
+
+    /**
+     * Rebuild the materials of every object using a library entry
+     * @private
+     */
+    refreshObjects(id, colorChanged) {
+        const material = this.materials.get(id);
+        const objectStateManager = window.modlerComponents?.objectStateManager;
+
+        this.getObjectsUsing(id).forEach(objectData => {
+            const mesh = objectData.mesh;
+            this.replaceMeshMaterial(mesh, this.createObjectMaterial(MaterialLibraryManager.getMaterialData(mesh.material), mesh.geometry));
+
+            // A new library colour replaces per-object colour overrides (panels update through the material event)
+            if (colorChanged) {
+                objectStateManager?.updateObject(objectData.id, { material: { color: material.color } });
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    handleChanged() {
+        window.modlerComponents?.fileManager?.markAsDirty();
+        this.broadcastUpdate();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // ASSIGNING (UNDOABLE)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Give objects a library material (null returns them to a flat colour), one undo step
+     * @param {Array<number>} objectIds - Target objects
+     * @param {string|null} materialId - Library material id
+     * @returns {boolean} True if anything changed
+     */
+    assignMaterial(objectIds, materialId) {
+        if (materialId !== null && !this.materials.has(materialId)) {
+            this.notifyError(`Unknown material: ${materialId}`);
+            return false;
+        }
+        return this.updateObjects(objectIds, 'material.materialId', materialId, 'Assign material');
+    }
+
+    /**
+     * Set the grain direction of objects (null follows the longest side), one undo step
+     * @param {Array<number>} objectIds - Target objects
+     * @param {string|null} grain - 'x' | 'y' | 'z' | null
+     * @returns {boolean} True if anything changed
+     */
+    setGrain(objectIds, grain) {
+        if (grain !== null && !MaterialLibraryManager.GRAIN_AXES.includes(grain)) {
+            this.notifyError(`Unknown grain direction: ${grain}`);
+            return false;
+        }
+        return this.updateObjects(objectIds, 'material.grain', grain, 'Set grain direction');
+    }
+
+    /**
+     * Update one material data key on objects as one undo step
+     * Switching material also takes the library colour, so the old colour is
+     * recorded in the same step and undo restores it
+     * @private
+     */
+    updateObjects(objectIds, property, value, description) {
+        const sceneController = this.sceneController;
+        const historyManager = this.historyManager;
+        const propertyUpdateHandler = this.propertyUpdateHandler;
+        if (!sceneController || !historyManager || !propertyUpdateHandler) return false;
+
+        const key = property.split('.')[1];
+        const changes = (Array.isArray(objectIds) ? objectIds : [])
+            .map(objectId => sceneController.getObject(objectId))
+            .filter(objectData => objectData?.mesh && !objectData.isContainer)
+            .map(objectData => ({ objectData, before: MaterialLibraryManager.getMaterialData(objectData.mesh.material) }))
+            .filter(({ before }) => before[key] !== value);
+        if (changes.length === 0) return false;
+
+        const applied = historyManager.runTransaction(description, () => changes.every(({ objectData, before }) => {
+            const objectId = objectData.id;
+            if (!propertyUpdateHandler.handlePropertyUpdate({ objectId, property, value, source: 'material-library' })) {
+                return false;
+            }
+            if (!historyManager.executeCommand(new UpdatePropertyCommand(objectId, property, before[key], value))) {
+                return false;
+            }
+
+            // Undo runs last-first: the colour comes back before the material is switched back
+            const color = MaterialLibraryManager.getMaterialData(objectData.mesh.material).color;
+            return color === before.color ||
+                historyManager.executeCommand(new UpdatePropertyCommand(objectId, 'material.color', before.color, color));
+        }));
+        return applied !== false;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // MESH MATERIALS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Material for a regular object from its material data: a library material when
+     * materialId names one, otherwise the flat-colour Lambert material
+     * @param {Object} materialData - { color, opacity, transparent, materialId, grain }
+     * @param {THREE.BufferGeometry} geometry - Object geometry (resolves automatic grain)
+     * @returns {THREE.Material}
+     */
+    createObjectMaterial(materialData = {}, geometry = null) {
+        const definition = materialData.materialId ? this.materials.get(materialData.materialId) : null;
+        const opacity = materialData.opacity ?? 1;
+        const transparent = materialData.transparent ?? opacity < 1;
+
+        if (!definition) {
+            const options = { color: materialData.color ?? '#808080', opacity, transparent };
+            return this.materialManager
+                ? this.materialManager.createMeshLambertMaterial(options)
+                : new THREE.MeshLambertMaterial(options);
+        }
+
+        const material = new THREE.MeshStandardMaterial({
+            color: materialData.color ?? definition.color,
+            roughness: definition.roughness,
+            metalness: definition.metalness,
+            opacity,
+            transparent,
+            map: definition.map ? this.getTexture(definition.map, true) : null,
+            normalMap: definition.normalMap ? this.getTexture(definition.normalMap, false) : null,
+            clippingPlanes: [] // Disable clipping - always render objects
+        });
+        material.name = definition.name;
+        material.userData.libraryMaterialId = definition.id;
+        material.userData.grain = materialData.grain ?? null;
+
+        const grainColor = definition.woodGrain?.color ?? definition.color;
+        const uniforms = {
+            modlerGrainFrame: { value: new THREE.Matrix3() },
+            modlerTextureSize: { value: definition.textureSize },
+            modlerGrainColor: { value: new THREE.Color(grainColor) },
+            modlerGrainDensity: { value: definition.woodGrain?.density ?? 0 },
+            modlerGrainContrast: { value: definition.woodGrain?.contrast ?? 0 }
+        };
+        this.uniforms.set(material, uniforms);
+        this.updateGrainFrame(material, geometry);
+
+        if (definition.woodGrain) {
+            material.defines = { ...material.defines, MODLER_WOOD_GRAIN: '' };
+        }
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, uniforms);
+            shader.vertexShader = MaterialLibraryManager.patchVertexShader(shader.vertexShader);
+            shader.fragmentShader = MaterialLibraryManager.patchFragmentShader(shader.fragmentShader);
+        };
+        material.customProgramCacheKey = () => `modler-library${definition.woodGrain ? '-wood' : ''}`;
+
+        return material;
+    }
+
+    /**
+     * Copy of an object's material for a duplicate (library materials are per object)
+     * @param {THREE.Material} material - Source mesh material
+     * @param {THREE.BufferGeometry} geometry - Geometry of the copy
+     * @returns {THREE.Material}
+     */
+    cloneObjectMaterial(material, geometry = null) {
+        if (!material?.userData?.libraryMaterialId) return material.clone();
+        return this.createObjectMaterial(MaterialLibraryManager.getMaterialData(material), geometry);
+    }
+
+    /**
+     * Apply material data changes to a mesh (called by ObjectStateManager.applyMaterialUpdate)
+     * Choosing a library material takes its colour; grain changes keep the object's colour
+     * @param {THREE.Mesh} mesh - Target mesh
+     * @param {Object} updates - { materialId?, grain?, color?, opacity? }
+     */
+    applyToMesh(mesh, updates) {
+        if (!mesh?.material || Array.isArray(mesh.material)) return;
+
+        const current = MaterialLibraryManager.getMaterialData(mesh.material);
+        const materialId = updates.materialId !== undefined ? updates.materialId : current.materialId;
+        const definition = materialId ? this.materials.get(materialId) : null;
+        const switched = (definition?.id ?? null) !== current.materialId;
+        const opacity = updates.opacity ?? current.opacity;
+
+        this.replaceMeshMaterial(mesh, this.createObjectMaterial({
+            materialId: definition?.id ?? null,
+            grain: updates.grain !== undefined ? updates.grain : current.grain,
+            color: updates.color ?? (definition && switched ? definition.color : current.color),
+            opacity,
+            transparent: opacity < 1
+        }, mesh.geometry));
+    }
+
+    /**
+     * @private
+     */
+    replaceMeshMaterial(mesh, material) {
+        const previous = mesh.material;
+        mesh.material = material;
+
+        // Library materials belong to one mesh; cached Lambert materials are shared
+        if (previous !== material && previous?.userData?.libraryMaterialId) {
+            previous.dispose();
+        }
+    }
+
+    /**
+     * Point the grain frame at the grain axis (automatic grain: the longest side)
+     * @private
+     */
+    updateGrainFrame(material, geometry) {
+        const uniforms = material ? this.uniforms.get(material) : null;
+        if (!uniforms) return;
+
+        let size = null;
+        if (geometry) {
+            geometry.computeBoundingBox();
+            size = geometry.boundingBox?.getSize(new THREE.Vector3()) || null;
+        }
+
+        const axis = MaterialLibraryManager.resolveGrain(material.userData.grain, size);
+        uniforms.modlerGrainFrame.value.copy(MaterialLibraryManager.getGrainFrame(axis));
+    }
+
+    /**
+     * @private
+     */
+    getTexture(url, isColor) {
+        const key = `${isColor ? 'color' : 'normal'}|${url}`;
+        if (!this.textures.has(key)) {
+            const texture = new THREE.TextureLoader().load(url, undefined, undefined, () => {
+                console.warn(`MaterialLibraryManager: Could not load texture ${url}`);
+            });
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.encoding = isColor ? THREE.sRGBEncoding : THREE.LinearEncoding;
+            this.textures.set(key, texture);
+        }
+        return this.textures.get(key);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // SHADER
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Pass object-space position and normal to the fragment shader
+     */
+    static patchVertexShader(vertexShader) {
+        return [
+            'varying vec3 vModlerPosition;',
+            'varying vec3 vModlerNormal;',
+            vertexShader
+                .replace('#include <beginnormal_vertex>', '#include <beginnormal_vertex>\n\tvModlerNormal = objectNormal;')
+                .replace('#include <begin_vertex>', '#include <begin_vertex>\n\tvModlerPosition = position;')
+        ].join('\n');
+    }
+
+    /**
+     * Box-project textures in object space with u along the grain, and add wood grain
+     * (growth rings around an axis beside the part, fibre streaks along it)
+     */
+    static patchFragmentShader(fragmentShader) {
+        const withObjectUv = (chunk) => THREE.ShaderChunk[chunk].replace(/vUv/g, 'modlerUv');
+
+        const header = `
+uniform mat3 modlerGrainFrame;
+uniform float modlerTextureSize;
+uniform vec3 modlerGrainColor;
+uniform float modlerGrainDensity;
+uniform float modlerGrainContrast;
+varying vec3 vModlerPosition;
+varying vec3 vModlerNormal;
+vec2 modlerUv;
+`;
+
+        const mainStart = `void main() {
+	vec3 modlerPosition = modlerGrainFrame * vModlerPosition; // x runs along the grain
+	vec3 modlerFace = abs( modlerGrainFrame * vModlerNormal );
+	modlerUv = ( modlerFace.x > max( modlerFace.y, modlerFace.z ) ? modlerPosition.yz
+		: modlerFace.y > modlerFace.z ? modlerPosition.xz : modlerPosition.xy ) / modlerTextureSize;
+`;
+
+        const woodGrain = `
+#ifdef MODLER_WOOD_GRAIN
+	vec2 modlerRingCenter = modlerPosition.yz + vec2( 0.31, -0.47 );
+	float modlerWobble = sin( modlerPosition.x * 2.3 + modlerPosition.y * 5.1 ) * 0.012
+		+ sin( modlerPosition.x * 7.7 - modlerPosition.z * 3.3 ) * 0.004;
+	float modlerRing = fract( ( length( modlerRingCenter ) + modlerWobble ) * modlerGrainDensity );
+	float modlerFibre = fract( sin( dot( floor( modlerPosition.yz * 800.0 ), vec2( 12.9898, 78.233 ) ) ) * 43758.5453 );
+	float modlerGrain = clamp( pow( 1.0 - modlerRing, 4.0 ) * 0.85 + modlerFibre * 0.15, 0.0, 1.0 );
+	diffuseColor.rgb = mix( diffuseColor.rgb, modlerGrainColor, modlerGrain * modlerGrainContrast );
+#endif
+`;
+
+        return header + fragmentShader
+            .replace('void main() {', mainStart)
+            .replace('#include <normalmap_pars_fragment>', withObjectUv('normalmap_pars_fragment'))
+            .replace('#include <map_fragment>', withObjectUv('map_fragment') + woodGrain)
+            .replace('#include <normal_fragment_maps>', withObjectUv('normal_fragment_maps'));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Material data of a mesh material, as stored with objects
+     * @param {THREE.Material} material - Mesh material
+     * @returns {Object} { color, opacity, transparent, materialId, grain }
+     */
+    static getMaterialData(material) {
+        return {
+            color: material?.color ? `#${material.color.getHexString()}` : '#888888',
+            opacity: material?.opacity ?? 1,
+            transparent: material?.transparent ?? false,
+            materialId: material?.userData?.libraryMaterialId || null,
+            grain: material?.userData?.grain || null
+        };
+    }
+
+    /**
+     * Grain axis: the chosen one, or the longest side
+     * @param {string|null} grain - 'x' | 'y' | 'z' | null
+     * @param {Object|null} size - Object size { x, y, z }
+     * @returns {string} Axis
+     */
+    static resolveGrain(grain, size) {
+        if (MaterialLibraryManager.GRAIN_AXES.includes(grain)) return grain;
+        if (!size) return 'x';
+        return MaterialLibraryManager.GRAIN_AXES.reduce((longest, axis) => (size[axis] > size[longest] ? axis : longest), 'x');
+    }
+
+    /**
+     * Rows reorder object coordinates so x runs along the grain
+     * @param {string} axis - Grain axis
+     * @returns {THREE.Matrix3}
+     */
+    static getGrainFrame(axis) {
+        const frames = {
+            x: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+            y: [0, 1, 0, 0, 0, 1, 1, 0, 0],
+            z: [0, 0, 1, 1, 0, 0, 0, 1, 0]
+        };
+        return new THREE.Matrix3().set(...(frames[axis] || frames.x));
+    }
+
+    /**
+     * Validated copy of a material definition (missing values filled in)
+     * @param {Object} definition - Material fields
+     * @returns {Object|null} Normalized material, or null without an id
+     */
+    static normalizeMaterial(definition) {
+        if (!definition?.id) return null;
+
+        const clamp = (value, min, max, fallback) => {
+            const number = Number(value);
+            return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+        };
+        const color = (value, fallback) => (/^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback);
+        const url = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+        const woodGrain = definition.woodGrain && typeof definition.woodGrain === 'object' ? definition.woodGrain : null;
+        const baseColor = color(definition.color, '#888888');
+
+        return {
+            id: String(definition.id),
+            name: String(definition.name || definition.id).trim().slice(0, 80),
+            color: baseColor,
+            roughness: clamp(definition.roughness, 0, 1, 0.6),
+            metalness: clamp(definition.metalness, 0, 1, 0),
+            map: url(definition.map),
+            normalMap: url(definition.normalMap),
+            textureSize: clamp(definition.textureSize, 0.001, 100, MaterialLibraryManager.DEFAULT_TEXTURE_SIZE),
+            woodGrain: woodGrain ? {
+                color: color(woodGrain.color, baseColor),
+                density: clamp(woodGrain.density, 1, 500, 40),
+                contrast: clamp(woodGrain.contrast, 0, 1, 0.4)
+            } : null
+        };
+    }
+
+    /**
+     * @private
+     */
+    static cloneMaterial(material) {
+        return { ...material, woodGrain: material.woodGrain ? { ...material.woodGrain } : null };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PERSISTENCE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Serialize the materials the scene needs: used by objects, custom, or edited built-ins
+     * @returns {Array<Object>} Material definitions
+     */
+    serialize() {
+        const usedIds = new Set((this.sceneController?.getAllObjects() || [])
+            .map(objectData => objectData.mesh?.material?.userData?.libraryMaterialId)
+            .filter(Boolean));
+        const builtins = new Map(MaterialLibraryManager.BUILTIN_MATERIALS
+            .map(builtin => [builtin.id, JSON.stringify(MaterialLibraryManager.normalizeMaterial(builtin))]));
+
+        return Array.from(this.materials.values())
+            .filter(material => usedIds.has(material.id) ||
+                builtins.get(material.id) !== JSON.stringify(material))
+            .map(material => MaterialLibraryManager.cloneMaterial(material));
+    }
+
+    /**
+     * Replace the library: built-ins, then the scene's materials (invalid records are skipped)
+     * Must run before objects are restored - their materials are built from the library
+     * @param {Array<Object>} materials - Serialized materials
+     */
+    deserialize(materials) {
+        this.resetLibrary();
+
+        (Array.isArray(materials) ? materials : []).forEach(definition => {
+            const material = MaterialLibraryManager.normalizeMaterial(definition);
+            if (!material) return;
+            this.materials.set(material.id, material);
+
+            const number = parseInt(String(material.id).replace(/^m/, ''), 10);
+            if (/^m\d+$/.test(material.id) && number >= this.nextId) {
+                this.nextId = number + 1;
+            }
+        });
+
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Back to the built-in materials only (scene cleared)
+     */
+    clear() {
+        this.deserialize([]);
+    }
+
+    /**
+     * @private
+     */
+    resetLibrary() {
+        this.materials.clear();
+        this.nextId = 1;
+        MaterialLibraryManager.BUILTIN_MATERIALS.forEach(builtin => {
+            const material = MaterialLibraryManager.normalizeMaterial(builtin);
+            this.materials.set(material.id, material);
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send the library to all UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'material-library-updated',
+            data: { materials: this.getMaterials() }
+        });
+    }
+
+    /**
+     * @private
+     */
+    notifyError(message) {
+        console.warn(`MaterialLibraryManager: ${message}`);
+        window.notificationManager?.warning(message);
+    }
+}
+
+window.MaterialLibraryManager = MaterialLibraryManager;
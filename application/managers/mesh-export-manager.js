@@ -0,0 +1,369 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/exporters/GLTFExporter';
+import { STLExporter } from 'three/exporters/STLExporter';
+import { OBJExporter } from 'three/exporters/OBJExporter';
+
+/**
+ * MeshExportManager - Interchange export (glTF/GLB, STL, OBJ+MTL)
+ *
+ * Builds a clean export graph from SceneController object data rather than
+ * traversing the live scene, so support meshes (face highlights, wireframes,
+ * collision boxes) and visualization helpers never reach the file.
+ *
+ * Options: { format, selectionOnly, unit, flattenContainers, stlMode, fileName }
+ *   format            'glb' | 'gltf' | 'stl' | 'obj'
+ *   selectionOnly     export the selected objects (and their container contents) only
+ *   unit              output unit for coordinates ('m', 'mm', 'in', ... via UnitConverter)
+ *   flattenContainers drop container nodes, keep meshes with baked world transforms
+ *   stlMode           'merged' (one file) | 'per-object' (one file per mesh)
+ *
+ * Library materials keep their id as the export material name and roughness /
+ * metalness; glTF also carries { materialId, materialName } as material extras
+ * and the object's grain direction as node extras.
+ *
+ * Flow: UI panel → CommandRouter ('export-mesh') → exportScene() → download
+ */
+
+class MeshExportManager {
+    static get FORMATS() {
+        return ['glb', 'gltf', 'stl', 'obj'];
+    }
+
+    static get DEFAULT_OPTIONS() {
+        return {
+            format: 'glb',
+            selectionOnly: false,
+            unit: 'm',
+            flattenContainers: false,
+            stlMode: 'merged',
+            fileName: null
+        };
+    }
+
+    get sceneController() {
+        return window.modlerComponents?.sceneController;
+    }
+
+    get selectionController() {
+        return window.modlerComponents?.selectionController;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EXPORT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Export the scene (or selection) and download the result
+     * @param {Object} options - See class doc
+     * @returns {Promise<{success: boolean, files?: string[], error?: string}>}
+     */
+    async exportScene(options = {}) {
+        const settings = { ...MeshExportManager.DEFAULT_OPTIONS, ...options };
+
+        try {
+            if (!MeshExportManager.FORMATS.includes(settings.format)) {
+                throw new Error(`Unknown export format: ${settings.format}`);
+            }
+
+            const root = this.buildExportRoot(settings);
+            if (root.children.length === 0) {
+                throw new Error(settings.selectionOnly ? 'Nothing selected to export' : 'Scene is empty');
+            }
+
+            const baseName = this.sanitizeFileName(settings.fileName || this.getDefaultFileName());
+            const files = await this.serialize(root, settings, baseName);
+            this.disposeExportRoot(root);
+
+            files.forEach(file => this.downloadFile(file));
+            return { success: true, files: files.map(file => file.name) };
+
+        } catch (error) {
+            console.error('MeshExportManager: Export failed:', error);
+            window.notificationManager?.error(`Failed to export: ${error.message}`, 'Export Failed');
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Serialize the export root into downloadable files
+     * @returns {Promise<Array<{name: string, blob: Blob}>>}
+     */
+    async serialize(root, settings, baseName) {
+        switch (settings.format) {
+            case 'glb':
+            case 'gltf': {
+                const binary = settings.format === 'glb';
+                const result = await this.parseGLTF(root, binary);
+                const blob = binary
+                    ? new Blob([result], { type: 'model/gltf-binary' })
+                    : new Blob([JSON.stringify(result, null, 2)], { type: 'model/gltf+json' });
+                return [{ name: `${baseName}.${settings.format}`, blob }];
+            }
+
+            case 'stl': {
+                const exporter = new STLExporter();
+                const stlBlob = (object) => new Blob([exporter.parse(object, { binary: true })], { type: 'model/stl' });
+
+                if (settings.stlMode === 'per-object') {
+                    const meshes = [];
+                    root.traverse(child => { if (child.isMesh) meshes.push(child); });
+                    return meshes.map(mesh => ({ name: `${baseName}-${mesh.name}.stl`, blob: stlBlob(mesh) }));
+                }
+                return [{ name: `${baseName}.stl`, blob: stlBlob(root) }];
+            }
+
+            case 'obj': {
+                const materialLibrary = `${baseName}.mtl`;
+                const obj = `mtllib ${materialLibrary}\n` + new OBJExporter().parse(root);
+                return [
+                    { name: `${baseName}.obj`, blob: new Blob([obj], { type: 'text/plain' }) },
+                    { name: materialLibrary, blob: new Blob([this.buildMTL(root)], { type: 'text/plain' }) }
+                ];
+            }
+        }
+
+        return [];
+    }
+
+    parseGLTF(root, binary) {
+        return new Promise((resolve, reject) => {
+            new GLTFExporter().parse(root, resolve, reject, { binary });
+        });
+    }
+
+    /**
+     * Material library for OBJ export (one entry per unique export material)
+     */
+    buildMTL(root) {
+        const materials = new Map();
+        root.traverse(child => {
+            if (child.isMesh && !materials.has(child.material.name)) {
+                materials.set(child.material.name, child.material);
+            }
+        });
+
+        const lines = ['# Modler material library'];
+        materials.forEach((material, name) => {
+            const { r, g, b } = material.color;
+            lines.push(
+                '',
+                `newmtl ${name}`,
+                `Kd ${r.toFixed(6)} ${g.toFixed(6)} ${b.toFixed(6)}`,
+                'Ka 0.000000 0.000000 0.000000',
+                'Ks 0.000000 0.000000 0.000000',
+                `d ${material.opacity.toFixed(6)}`,
+                'illum 1',
+                `Pr ${material.roughness.toFixed(6)}`,
+                `Pm ${material.metalness.toFixed(6)}`
+            );
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EXPORT GRAPH
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Build the export graph: a unit-scaled root holding object clones
+     * Containers become empty nodes (or are dropped when flattening)
+     * @returns {THREE.Group}
+     */
+    buildExportRoot(settings) {
+        const root = new THREE.Group();
+        root.name = 'Modler';
+        root.scale.setScalar(this.getUnitScale(settings.unit));
+
+        const context = {
+            flatten: settings.flattenContainers,
+            materials: new Map(),
+            names: new Map()
+        };
+
+        this.getExportRoots(settings.selectionOnly).forEach(objectData => {
+            this.appendObject(root, objectData, context);
+        });
+
+        root.updateMatrixWorld(true);
+        return root;
+    }
+
+    /**
+     * Top-level objects to export: scene roots, or the selection without
+     * objects whose ancestor is also selected
+     */
+    getExportRoots(selectionOnly) {
+        const sceneController = this.sceneController;
+        if (!sceneController) return [];
+
+        if (!selectionOnly) {
+            return sceneController.getAllObjects()
+                .filter(objectData => !objectData.parentContainer && this.isExportable(objectData));
+        }
+
+        const selectedIds = new Set(
+            (this.selectionController?.getSelectedObjects() || [])
+                .map(mesh => sceneController.getObjectByMesh(mesh)?.id)
+                .filter(id => id !== undefined && id !== null)
+        );
+
+        const hasSelectedAncestor = (objectData) => {
+            let parentId = objectData.parentContainer;
+            while (parentId) {
+                if (selectedIds.has(parentId)) return true;
+                parentId = sceneController.getObject(parentId)?.parentContainer;
+            }
+            return false;
+        };
+
+        return Array.from(selectedIds)
+            .map(id => sceneController.getObject(id))
+            .filter(objectData => objectData && this.isExportable(objectData) && !hasSelectedAncestor(objectData));
+    }
+
+    isExportable(objectData) {
+        return !!objectData.mesh &&
+            objectData.visible !== false &&
+            objectData.category !== 'system' &&
+            objectData.type !== 'grid' &&
+            !objectData.isTemporary &&
+            !objectData.isPreview;
+    }
+
+    /**
+     * Append an object (and its container contents) to the export graph
+     * @param {THREE.Object3D} parent - Export node to attach to
+     * @param {Object} objectData - SceneController object data
+     * @param {Object} context - { flatten, materials, names }
+     */
+    appendObject(parent, objectData, context) {
+        const sourceMesh = objectData.mesh;
+        let target = parent;
+
+        if (objectData.isContainer) {
+            if (!context.flatten) {
+                const group = new THREE.Group();
+                group.name = this.getUniqueName(objectData.name, context.names);
+                this.copyTransform(group, sourceMesh, parent, context.flatten);
+                parent.add(group);
+                target = group;
+            }
+        } else if (sourceMesh.geometry) {
+            const mesh = new THREE.Mesh(sourceMesh.geometry.clone(), this.getExportMaterial(sourceMesh.material, context.materials));
+            mesh.name = this.getUniqueName(objectData.name, context.names);
+            if (mesh.material.userData.materialId) {
+                mesh.userData = { grain: sourceMesh.material.userData.grain || null };
+            }
+            this.copyTransform(mesh, sourceMesh, parent, context.flatten);
+            parent.add(mesh);
+        }
+
+        if (objectData.isContainer) {
+            this.sceneController.getChildObjects(objectData.id)
+                .filter(child => this.isExportable(child))
+                .forEach(child => this.appendObject(target, child, context));
+        }
+    }
+
+    /**
+     * Copy the source transform: local when nested, world when flattened or
+     * when the export parent is the root (selection roots may live inside containers)
+     */
+    copyTransform(target, sourceMesh, exportParent, flatten) {
+        if (flatten || !exportParent.parent) {
+            sourceMesh.updateMatrixWorld(true);
+            sourceMesh.matrixWorld.decompose(target.position, target.quaternion, target.scale);
+        } else {
+            target.position.copy(sourceMesh.position);
+            target.quaternion.copy(sourceMesh.quaternion);
+            target.scale.copy(sourceMesh.scale);
+        }
+    }
+
+    /**
+     * Shared standard material per library material/colour/opacity
+     */
+    getExportMaterial(sourceMaterial, materials) {
+        const material = Array.isArray(sourceMaterial) ? sourceMaterial[0] : sourceMaterial;
+        const color = material?.color ? material.color.getHexString() : 'cccccc';
+        const opacity = material?.opacity ?? 1;
+        const materialId = material?.userData?.libraryMaterialId || null;
+        const key = `${materialId || ''}_${color}_${opacity.toFixed(3)}`;
+
+        if (!materials.has(key)) {
+            const libraryMaterial = materialId ? window.modlerComponents?.materialLibraryManager?.get(materialId) : null;
+            const exportMaterial = new THREE.MeshStandardMaterial({
+                color: `#${color}`,
+                opacity,
+                transparent: opacity < 1,
+                roughness: libraryMaterial?.roughness ?? 0.8,
+                metalness: libraryMaterial?.metalness ?? 0
+            });
+
+            if (libraryMaterial) {
+                const variants = Array.from(materials.values()).filter(other => other.userData.materialId === materialId).length;
+                exportMaterial.name = variants === 0 ? materialId : `${materialId}_${variants + 1}`;
+                exportMaterial.userData = { materialId, materialName: libraryMaterial.name };
+            } else {
+                exportMaterial.name = `material_${materials.size + 1}`;
+            }
+            materials.set(key, exportMaterial);
+        }
+        return materials.get(key);
+    }
+
+    /**
+     * File-safe node names, unique across the export (OBJ groups and STL files use them)
+     */
+    getUniqueName(name, names) {
+        const base = String(name || 'object').trim().replace(/[^\w.-]+/g, '_') || 'object';
+        const count = names.get(base) || 0;
+        names.set(base, count + 1);
+        return count === 0 ? base : `${base}_${count + 1}`;
+    }
+
+    disposeExportRoot(root) {
+        const materials = new Set();
+        root.traverse(child => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                materials.add(child.material);
+            }
+        });
+        materials.forEach(material => material.dispose());
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // HELPERS
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Scale from internal meters to the output unit
+     */
+    getUnitScale(unit) {
+        const unitConverter = window.unitConverter;
+        if (!unitConverter || !unitConverter.isValidUnit(unit)) return 1;
+        return unitConverter.conversionFromMeters[unit];
+    }
+
+    getDefaultFileName() {
+        return window.modlerComponents?.fileManager?.currentFileName || 'modler-scene';
+    }
+
+    sanitizeFileName(name) {
+        return String(name).trim().replace(/[\\/:*?"<>|]+/g, '_') || 'modler-scene';
+    }
+
+    downloadFile({ name, blob }) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+window.MeshExportManager = MeshExportManager;
@@ -0,0 +1,222 @@
+import * as THREE from 'three';
+import { STLLoader } from 'three/loaders/STLLoader';
+import { OBJLoader } from 'three/loaders/OBJLoader';
+import { GLTFLoader } from 'three/loaders/GLTFLoader';
+
+/**
+ * MeshImportManager - External mesh import (STL, OBJ, glTF/GLB)
+ *
+ * Imports vendor CAD meshes (hinges, appliances) as `mesh` objects: reference
+ * geometry that is sized by its bounding box, can live in layout containers and
+ * be moved and snapped to, but is read-only for the push tool.
+ *
+ * All meshes in a file are merged into one triangle soup (world transforms
+ * baked), converted to meters, optionally turned Z-up → Y-up and centred.
+ * The triangles are stored in objectData.primitive.positions so the scene file
+ * carries the geometry; GeometryFactory.createObjectGeometry('mesh', ...)
+ * rebuilds it and maps it onto the object's dimensions.
+ *
+ * Flow: UI panel reads the file → CommandRouter ('import-mesh') → importMesh()
+ *       → CreateObjectCommand (undoable)
+ */
+
+class MeshImportManager {
+    static get FORMATS() {
+        return ['stl', 'obj', 'gltf', 'glb'];
+    }
+
+    // Files this large make scene files and snapping sluggish
+    static get MAX_TRIANGLES() {
+        return 200000;
+    }
+
+    // Stored coordinate precision (decimal places, meters → 0.001 mm)
+    static get PRECISION() {
+        return 6;
+    }
+
+    get sceneController() {
+        return window.modlerComponents?.sceneController;
+    }
+
+    get historyManager() {
+        return window.modlerComponents?.historyManager;
+    }
+
+    get geometryFactory() {
+        return window.modlerComponents?.geometryFactory;
+    }
+
+    get materialManager() {
+        return window.modlerComponents?.materialManager;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // IMPORT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Import a mesh file as a new `mesh` object
+     * @param {Object} params
+     * @param {string} params.fileName - Original file name (format from extension)
+     * @param {ArrayBuffer} params.data - File contents
+     * @param {string} [params.unit] - Source unit; defaults to 'm' for glTF, 'mm' otherwise
+     * @param {string} [params.upAxis='y'] - Source up axis ('y' | 'z')
+     * @returns {Promise<{success: boolean, objectId?: number, error?: string}>}
+     */
+    async importMesh({ fileName, data, unit = null, upAxis = 'y' }) {
+        try {
+            const format = this.getFormat(fileName);
+            if (!format) {
+                throw new Error(`Unsupported file type: ${fileName}`);
+            }
+            if (!data || !data.byteLength) {
+                throw new Error('File is empty');
+            }
+
+            const source = await this.parse(format, data);
+            const positions = this.extractPositions(source);
+            const sourceUnit = unit || (format === 'gltf' || format === 'glb' ? 'm' : 'mm');
+            const { geometryPositions, size } = this.normalizePositions(positions, sourceUnit, upAxis);
+
+            const objectId = this.createMeshObject(fileName, geometryPositions, size);
+            if (objectId === null) {
+                throw new Error('Could not create the mesh object');
+            }
+
+            return { success: true, objectId };
+
+        } catch (error) {
+            console.error('MeshImportManager: Import failed:', error);
+            window.notificationManager?.error(`Failed to import ${fileName || 'mesh'}: ${error.message}`, 'Import Failed');
+            return { success: false, error: error.message };
+        }
+    }
+
+    getFormat(fileName) {
+        const extension = String(fileName || '').split('.').pop().toLowerCase();
+        return MeshImportManager.FORMATS.includes(extension) ? extension : null;
+    }
+
+    /**
+     * Parse file contents with the matching three.js loader
+     * @returns {Promise<THREE.Object3D|THREE.BufferGeometry>}
+     */
+    parse(format, data) {
+        switch (format) {
+            case 'stl':
+                return Promise.resolve(new STLLoader().parse(data));
+
+            case 'obj':
+                return Promise.resolve(new OBJLoader().parse(new TextDecoder().decode(data)));
+
+            case 'gltf':
+            case 'glb':
+                return new Promise((resolve, reject) => {
+                    new GLTFLoader().parse(data, '', gltf => resolve(gltf.scene), reject);
+                });
+        }
+
+        return Promise.reject(new Error(`Unsupported format: ${format}`));
+    }
+
+    /**
+     * Merge every mesh into one non-indexed triangle position array (transforms baked)
+     * @param {THREE.Object3D|THREE.BufferGeometry} source - Loader result
+     * @returns {Float32Array} xyz triplets, three vertices per triangle
+     */
+    extractPositions(source) {
+        const geometries = [];
+
+        if (source.isBufferGeometry) {
+            geometries.push(source);
+        } else {
+            source.updateMatrixWorld(true);
+            source.traverse(child => {
+                if (!child.isMesh || !child.geometry?.getAttribute('position')) return;
+                geometries.push(child.geometry.clone().applyMatrix4(child.matrixWorld));
+            });
+        }
+
+        const triangleSoups = geometries.map(geometry => (geometry.index ? geometry.toNonIndexed() : geometry)
+            .getAttribute('position'));
+        const vertexCount = triangleSoups.reduce((sum, attribute) => sum + attribute.count, 0);
+
+        if (vertexCount < 3) {
+            throw new Error('No triangles found');
+        }
+        if (vertexCount / 3 > MeshImportManager.MAX_TRIANGLES) {
+            throw new Error(`Too many triangles (${Math.round(vertexCount / 3)}, max ${MeshImportManager.MAX_TRIANGLES})`);
+        }
+
+        const positions = new Float32Array(vertexCount * 3);
+        let offset = 0;
+        triangleSoups.forEach(attribute => {
+            for (let i = 0; i < attribute.count; i++) {
+                positions[offset++] = attribute.getX(i);
+                positions[offset++] = attribute.getY(i);
+                positions[offset++] = attribute.getZ(i);
+            }
+        });
+
+        return positions;
+    }
+
+    /**
+     * Convert to meters and Y-up, centre on the origin and round for storage
+     * @returns {{geometryPositions: number[], size: {x: number, y: number, z: number}}}
+     */
+    normalizePositions(positions, unit, upAxis) {
+        const unitConverter = window.unitConverter;
+        const scale = unitConverter?.isValidUnit(unit) ? unitConverter.conversionToMeters[unit] : 1;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.scale(scale, scale, scale);
+        if (upAxis === 'z') {
+            geometry.rotateX(-Math.PI / 2);
+        }
+        geometry.center();
+        geometry.computeBoundingBox();
+
+        const size = geometry.boundingBox.getSize(new THREE.Vector3());
+        if (Math.min(size.x, size.y, size.z) <= 0) {
+            throw new Error('Mesh is flat (zero thickness)');
+        }
+
+        const factor = Math.pow(10, MeshImportManager.PRECISION);
+        const geometryPositions = Array.from(geometry.getAttribute('position').array, value => Math.round(value * factor) / factor);
+        geometry.dispose();
+
+        return { geometryPositions, size: { x: size.x, y: size.y, z: size.z } };
+    }
+
+    /**
+     * Create the `mesh` object resting on the ground at the origin
+     * @returns {number|null} Object ID
+     */
+    createMeshObject(fileName, positions, size) {
+        const sceneController = this.sceneController;
+        const historyManager = this.historyManager;
+        if (!sceneController || !historyManager || !this.geometryFactory) return null;
+
+        const primitive = { positions, source: fileName };
+        const geometry = this.geometryFactory.createObjectGeometry('mesh', size, primitive);
+        const material = this.materialManager
+            ? this.materialManager.createMeshLambertMaterial({ color: 0x9aa4ad })
+            : new THREE.MeshLambertMaterial({ color: 0x9aa4ad });
+
+        const command = new CreateObjectCommand(geometry, material, {
+            name: fileName.replace(/\.[^.]+$/, '') || 'Mesh',
+            type: 'mesh',
+            primitive,
+            position: new THREE.Vector3(0, size.y / 2, 0),
+            selectable: true
+        });
+
+        if (!historyManager.executeCommand(command)) return null;
+        return command.createdObjectId;
+    }
+}
+
+window.MeshImportManager = MeshImportManager;
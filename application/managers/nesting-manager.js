@@ -0,0 +1,421 @@
+/**
+ * NestingManager - Sheet-Goods Nesting for Cut-List Parts
+ *
+ * Collects box parts whose thickness matches the chosen sheet thickness and
+ * packs their two larger faces onto stock sheets with SheetNester, one nesting
+ * run per material (library material, yard material name or colour) since each
+ * needs its own stock.
+ * Part sizes, material and yard metadata come from CutListManager.describePart(),
+ * i.e. from DimensionManager.
+ *
+ * Config (meters): { sheetLength, sheetWidth, thickness, kerf, edgeTrim, grainLock, allowRotation }
+ *   sheetLength, sheetWidth  > 0; kerf, edgeTrim >= 0, with trimmed edges leaving sheet area
+ *   thickness     > 0, or null = most common box thickness in the scene
+ *   grainLock     part length runs along the sheet length (grain), never rotated
+ *   allowRotation without grain lock: let the nester turn parts by 90°;
+ *                 off keeps the orientation as modelled
+ *
+ * Result (meters):
+ *   { config, errors: [message], thicknesses: [{ thickness, count }],
+ *     groups: [{ material, color, sheetCount, waste, sheets: [{ index, utilization,
+ *                placements: [{ objectId, name, x, y, width, height, rotated }] }],
+ *                unplaced: [{ objectId, name, width, height }] }],
+ *     totals: { sheetCount, partCount, unplacedCount, waste } }
+ *   Invalid stock settings are listed in errors and nothing is nested.
+ *
+ * SVG and DXF exports are drawn in millimeters, the unit CNC and CAD tools expect.
+ *
+ * Flow: panel → CommandRouter ('nesting-run' / 'nesting-export') → nest() → reply / download
+ */
+
+class NestingManager {
+    static get DEFAULT_CONFIG() {
+        return {
+            sheetLength: 2.44,
+            sheetWidth: 1.22,
+            thickness: null,
+            kerf: 0.003,
+            edgeTrim: 0.01,
+            grainLock: false,
+            allowRotation: true
+        };
+    }
+
+    // Names used in config error messages
+    static get CONFIG_LABELS() {
+        return {
+            sheetLength: 'Sheet length',
+            sheetWidth: 'Sheet width',
+            thickness: 'Thickness',
+            kerf: 'Kerf',
+            edgeTrim: 'Edge trim'
+        };
+    }
+
+    // Parts count as this thickness within ±0.2 mm
+    static get THICKNESS_TOLERANCE() {
+        return 0.0002;
+    }
+
+    static get PART_TYPES() {
+        return ['box', 'cube'];
+    }
+
+    static get EXPORT_FORMATS() {
+        return ['svg', 'dxf'];
+    }
+
+    // Gap between sheets in exported drawings (meters)
+    static get SHEET_SPACING() {
+        return 0.2;
+    }
+
+    get objectStateManager() {
+        return window.modlerComponents?.objectStateManager;
+    }
+
+    get cutListManager() {
+        return window.modlerComponents?.cutListManager;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // NESTING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Nest the scene's flat parts onto stock sheets
+     * @param {Object} [options] - Config overrides (see class doc)
+     * @returns {Object} Result (see class doc)
+     */
+    nest(options = {}) {
+        const { config, errors } = this.normalizeConfig(options);
+        const parts = this.collectParts();
+        const thicknesses = this.getThicknesses(parts);
+
+        if (errors.length > 0) {
+            return {
+                config,
+                errors,
+                thicknesses,
+                groups: [],
+                totals: { sheetCount: 0, partCount: 0, unplacedCount: 0, waste: 0 }
+            };
+        }
+
+        if (config.thickness === null && thicknesses.length > 0) {
+            config.thickness = [...thicknesses].sort((a, b) => b.count - a.count)[0].thickness;
+        }
+
+        const matching = parts.filter(({ part }) =>
+            config.thickness !== null &&
+            Math.abs(part.thickness - config.thickness) <= NestingManager.THICKNESS_TOLERANCE);
+
+        // One stock material per group
+        const byMaterial = new Map();
+        matching.forEach(entry => {
+            const group = byMaterial.get(entry.part.material) || [];
+            group.push(entry);
+            byMaterial.set(entry.part.material, group);
+        });
+
+        const groups = Array.from(byMaterial.entries()).map(([material, entries]) => {
+            const pieces = entries.map(entry => this.createPiece(entry, config));
+            const result = window.SheetNester.nest(pieces, {
+                sheetLength: config.sheetLength,
+                sheetWidth: config.sheetWidth,
+                kerf: config.kerf,
+                edgeTrim: config.edgeTrim,
+                allowRotation: !config.grainLock && config.allowRotation
+            });
+
+            return {
+                material,
+                color: entries[0].part.color,
+                yardItemId: entries[0].part.yardItemId,
+                sheetCount: result.sheetCount,
+                usedArea: result.usedArea,
+                waste: result.waste,
+                sheets: result.sheets.map(sheet => ({
+                    index: sheet.index,
+                    utilization: sheet.utilization,
+                    placements: sheet.placements.map(placement => ({
+                        objectId: placement.piece.objectId,
+                        name: placement.piece.name,
+                        x: placement.x,
+                        y: placement.y,
+                        width: placement.width,
+                        height: placement.height,
+                        rotated: placement.rotated
+                    }))
+                })),
+                unplaced: result.unplaced.map(piece => ({
+                    objectId: piece.objectId,
+                    name: piece.name,
+                    width: piece.width,
+                    height: piece.height
+                }))
+            };
+        }).sort((a, b) => a.material.localeCompare(b.material));
+
+        const sheetArea = config.sheetLength * config.sheetWidth;
+        const sheetCount = groups.reduce((sum, group) => sum + group.sheetCount, 0);
+        const usedArea = groups.reduce((sum, group) => sum + group.usedArea, 0);
+
+        return {
+            config,
+            errors,
+            thicknesses,
+            groups,
+            totals: {
+                sheetCount,
+                partCount: matching.length,
+                unplacedCount: groups.reduce((sum, group) => sum + group.unplaced.length, 0),
+                waste: sheetCount > 0 && sheetArea > 0 ? 1 - usedArea / (sheetCount * sheetArea) : 0
+            }
+        };
+    }
+
+    /**
+     * Merge config overrides over the defaults and check the stock
+     * @param {Object} options - Config overrides
+     * @returns {Object} { config, errors } - invalid settings keep their default and get an error message
+     */
+    normalizeConfig(options) {
+        const config = { ...NestingManager.DEFAULT_CONFIG };
+        const labels = NestingManager.CONFIG_LABELS;
+        const errors = [];
+
+        Object.keys(config).forEach(key => {
+            const value = options[key];
+            if (value === undefined) return;
+            if (typeof config[key] === 'boolean') {
+                config[key] = !!value;
+                return;
+            }
+            if (key === 'thickness' && value === null) {
+                config[key] = null;
+                return;
+            }
+
+            // Sheet sizes and thickness must be positive; kerf and trim may be 0
+            const positive = ['sheetLength', 'sheetWidth', 'thickness'].includes(key);
+            if (typeof value === 'number' && isFinite(value) && (positive ? value > 0 : value >= 0)) {
+                config[key] = value;
+            } else {
+                errors.push(`${labels[key]} must be ${positive ? 'greater than 0' : '0 or more'}`);
+            }
+        });
+
+        if (errors.length === 0 && config.edgeTrim * 2 >= Math.min(config.sheetLength, config.sheetWidth)) {
+            errors.push(`${labels.edgeTrim} leaves no usable sheet area`);
+        }
+        return { config, errors };
+    }
+
+    /**
+     * Box parts in the scene with their cut-list description
+     * @returns {Array<{obj: Object, part: Object}>}
+     */
+    collectParts() {
+        const cutListManager = this.cutListManager;
+        if (!cutListManager) return [];
+
+        return (this.objectStateManager?.getAllObjects() || [])
+            .filter(obj => !obj.isContainer &&
+                NestingManager.PART_TYPES.includes(obj.type) &&
+                cutListManager.isReportable(obj))
+            .map(obj => ({ obj, part: cutListManager.describePart(obj) }))
+            .filter(({ part }) => part !== null);
+    }
+
+    /**
+     * Distinct part thicknesses, thickest first
+     * @returns {Array<{thickness: number, count: number}>}
+     */
+    getThicknesses(parts) {
+        const counts = new Map();
+        parts.forEach(({ part }) => counts.set(part.thickness, (counts.get(part.thickness) || 0) + 1));
+        return Array.from(counts.entries())
+            .map(([thickness, count]) => ({ thickness, count }))
+            .sort((a, b) => b.thickness - a.thickness);
+    }
+
+    /**
+     * Nesting piece for a part, oriented for grain lock or as modelled
+     * (width runs along the sheet length)
+     */
+    createPiece({ obj, part }, config) {
+        let width = part.length;
+        let height = part.width;
+
+        if (!config.grainLock && !config.allowRotation) {
+            // As modelled: the two larger axes in x, y, z order
+            const dimensions = window.dimensionManager?.getDimensions(obj.mesh) || obj.dimensions;
+            const axes = ['x', 'y', 'z']
+                .map(axis => Math.abs(dimensions[axis]))
+                .map((value, index) => ({ value, index }));
+            const thinnest = axes.reduce((min, axis) => (axis.value < min.value ? axis : min));
+            const faceAxes = axes.filter(axis => axis !== thinnest);
+            width = faceAxes[0].value;
+            height = faceAxes[1].value;
+        }
+
+        return { objectId: obj.id, name: part.name, width, height };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EXPORT
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Download the sheet layouts as SVG or DXF
+     * @param {string} format - 'svg' | 'dxf'
+     * @param {Object} [options] - Nesting config
+     * @returns {boolean} Success
+     */
+    exportLayouts(format, options = {}) {
+        if (!NestingManager.EXPORT_FORMATS.includes(format)) {
+            console.warn(`NestingManager: Unknown export format '${format}'`);
+            return false;
+        }
+
+        const result = this.nest(options);
+        if (result.errors.length > 0) {
+            window.notificationManager?.warning(result.errors.join('. '), 'Export');
+            return false;
+        }
+        if (result.totals.sheetCount === 0) {
+            window.notificationManager?.warning('No parts to nest at this thickness', 'Export');
+            return false;
+        }
+
+        const baseName = String(window.modlerComponents?.fileManager?.currentFileName || 'modler-scene')
+            .trim().replace(/[\\/:*?"<>|]+/g, '_') || 'modler-scene';
+        const content = format === 'svg' ? this.toSVG(result) : this.toDXF(result);
+        const type = format === 'svg' ? 'image/svg+xml' : 'application/dxf';
+        this.downloadFile(`${baseName}-sheets.${format}`, new Blob([content], { type }));
+        return true;
+    }
+
+    /**
+     * Every sheet of every material with its drawing offset (meters), stacked along y
+     * @returns {Array<{group, sheet, offsetY, title}>}
+     */
+    getDrawingSheets(result) {
+        const { sheetWidth } = result.config;
+        const drawings = [];
+        result.groups.forEach(group => {
+            group.sheets.forEach(sheet => {
+                drawings.push({
+                    group,
+                    sheet,
+                    offsetY: drawings.length * (sheetWidth + NestingManager.SHEET_SPACING),
+                    title: `${group.material} - sheet ${sheet.index + 1}/${group.sheetCount} ` +
+                        `(${Math.round(sheet.utilization * 100)}% used)`
+                });
+            });
+        });
+        return drawings;
+    }
+
+    toSVG(result) {
+        const { sheetLength, sheetWidth } = result.config;
+        const mm = (value) => Number((value * 1000).toFixed(2));
+        const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const drawings = this.getDrawingSheets(result);
+        const totalHeight = drawings.length * (sheetWidth + NestingManager.SHEET_SPACING);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${mm(sheetLength)}mm" height="${mm(totalHeight)}mm" ` +
+                `viewBox="0 0 ${mm(sheetLength)} ${mm(totalHeight)}">`
+        ];
+
+        drawings.forEach(({ group, sheet, offsetY, title }) => {
+            const top = offsetY + NestingManager.SHEET_SPACING;
+            lines.push(`  <g>`,
+                `    <text x="0" y="${mm(top - 0.04)}" font-family="sans-serif" font-size="50">${escape(title)}</text>`,
+                `    <rect x="0" y="${mm(top)}" width="${mm(sheetLength)}" height="${mm(sheetWidth)}" fill="none" stroke="#000" stroke-width="2"/>`);
+
+            sheet.placements.forEach(placement => {
+                // SVG y runs down: flip within the sheet so the drawing matches the DXF
+                const y = top + sheetWidth - placement.y - placement.height;
+                const fontSize = Math.min(40, mm(Math.min(placement.width, placement.height)) / 4);
+                lines.push(
+                    `    <rect x="${mm(placement.x)}" y="${mm(y)}" width="${mm(placement.width)}" height="${mm(placement.height)}" ` +
+                        `fill="${group.color}" fill-opacity="0.5" stroke="#000" stroke-width="1"/>`,
+                    `    <text x="${mm(placement.x + placement.width / 2)}" y="${mm(y + placement.height / 2)}" font-family="sans-serif" ` +
+                        `font-size="${fontSize.toFixed(1)}" text-anchor="middle" dominant-baseline="middle">` +
+                        `${escape(placement.name)} ${mm(placement.width)}×${mm(placement.height)}</text>`
+                );
+            });
+            lines.push('  </g>');
+        });
+
+        lines.push('</svg>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * AutoCAD R12 ASCII DXF: sheet outlines, part outlines and labels on separate layers
+     */
+    toDXF(result) {
+        const { sheetLength, sheetWidth } = result.config;
+        const mm = (value) => (value * 1000).toFixed(3);
+        const drawings = this.getDrawingSheets(result);
+        const entities = [];
+
+        const rectangle = (layer, x, y, width, height) => {
+            const corners = [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+            corners.forEach(([x1, y1], i) => {
+                const [x2, y2] = corners[(i + 1) % 4];
+                entities.push('0', 'LINE', '8', layer,
+                    '10', mm(x1), '20', mm(y1), '30', '0',
+                    '11', mm(x2), '21', mm(y2), '31', '0');
+            });
+        };
+        const text = (x, y, height, value) => {
+            entities.push('0', 'TEXT', '8', 'LABELS',
+                '10', mm(x), '20', mm(y), '30', '0',
+                '40', mm(height), '1', String(value).replace(/[\r\n]+/g, ' '));
+        };
+
+        // DXF y runs up: stack sheets downwards so sheet 1 is on top
+        drawings.forEach(({ sheet, offsetY, title }) => {
+            const bottom = -offsetY - sheetWidth;
+            rectangle('SHEETS', 0, bottom, sheetLength, sheetWidth);
+            text(0, bottom + sheetWidth + 0.03, 0.05, title);
+
+            sheet.placements.forEach(placement => {
+                rectangle('PARTS', placement.x, bottom + placement.y, placement.width, placement.height);
+                const height = Math.min(0.04, Math.min(placement.width, placement.height) / 4);
+                text(placement.x + 0.01, bottom + placement.y + placement.height / 2, height,
+                    `${placement.name} ${mm(placement.width).replace(/\.?0+$/, '')}x${mm(placement.height).replace(/\.?0+$/, '')}`);
+            });
+        });
+
+        return [
+            '0', 'SECTION', '2', 'HEADER',
+            '9', '$ACADVER', '1', 'AC1009',
+            '9', '$INSUNITS', '70', '4',
+            '0', 'ENDSEC',
+            '0', 'SECTION', '2', 'ENTITIES',
+            ...entities,
+            '0', 'ENDSEC',
+            '0', 'EOF'
+        ].join('\n') + '\n';
+    }
+
+    downloadFile(name, blob) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+window.NestingManager = NestingManager;
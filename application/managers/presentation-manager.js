@@ -0,0 +1,395 @@
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/environments/RoomEnvironment';
+
+/**
+ * PresentationManager - Presentation Render Mode
+ *
+ * A view mode for showing a design rather than editing it: only the model's
+ * objects are drawn, lit by a hemisphere light, an environment map and a sun
+ * casting soft shadows onto a ground plane, with filmic tone mapping.
+ *
+ * Nothing owned by VisualizationManager or MaterialManager is touched. Each
+ * presentation frame renders through PRESENTATION_LAYER: model meshes join the
+ * layer (and cast / receive shadows) for that one render call only, so the grid,
+ * wireframes, support meshes and modelling lights simply aren't drawn. Renderer
+ * settings changed on entering are saved and put back on exit.
+ *
+ * Settings: { shadows, environment, exposure, background }
+ *   shadows      sun shadows on the model and the ground plane
+ *   environment  image-based lighting (affects library PBR materials)
+ *   exposure     tone mapping exposure
+ *   background   presentation background colour (transparent in still captures)
+ *
+ * Flow: panel → CommandRouter ('presentation-set' / 'presentation-capture')
+ *       → enter()/exit()/captureStill() → SceneFoundation.renderScene() → render()
+ */
+
+class PresentationManager {
+    constructor() {
+        this.active = false;
+        this.settings = { ...PresentationManager.DEFAULT_SETTINGS };
+
+        // Renderer / scene state from before entering, restored on exit
+        this.savedState = null;
+
+        // Lights and ground plane, built on first use
+        this.stage = null;
+        this.environmentTexture = null;
+
+        // Still capture in progress: render without background
+        this.transparentBackground = false;
+
+        this.thumbnailCapture = window.ThumbnailCapture ? new ThumbnailCapture() : null;
+    }
+
+    static get DEFAULT_SETTINGS() {
+        return {
+            shadows: true,
+            environment: true,
+            exposure: 1,
+            background: '#d9d9d6'
+        };
+    }
+
+    /**
+     * Camera layer used only by presentation renders (0 = objects, 1 = container interactive meshes)
+     */
+    static get PRESENTATION_LAYER() {
+        return 2;
+    }
+
+    // Sun comes from front-top-right, like the modelling key light
+    static get SUN_DIRECTION() {
+        return new THREE.Vector3(0.5, 1, 0.4).normalize();
+    }
+
+    get sceneFoundation() {
+        return window.modlerComponents?.sceneFoundation;
+    }
+
+    get sceneController() {
+        return window.modlerComponents?.sceneController;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════
+
+    isActive() {
+        return this.active;
+    }
+
+    getState() {
+        return { active: this.active, settings: { ...this.settings } };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // MODE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Switch to presentation rendering
+     * @returns {boolean} True if the mode changed
+     */
+    enter() {
+        const sceneFoundation = this.sceneFoundation;
+        if (this.active || !sceneFoundation) return false;
+
+        const { renderer, scene } = sceneFoundation;
+        this.savedState = {
+            toneMapping: renderer.toneMapping,
+            toneMappingExposure: renderer.toneMappingExposure,
+            outputEncoding: renderer.outputEncoding,
+            shadowMapEnabled: renderer.shadowMap.enabled,
+            shadowMapType: renderer.shadowMap.type,
+            environment: scene.environment
+        };
+
+        renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        renderer.outputEncoding = THREE.sRGBEncoding;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        scene.add(this.getStage());
+        this.active = true;
+        this.applySettings();
+
+        this.handleChanged();
+        return true;
+    }
+
+    /**
+     * Back to modelling visuals, exactly as they were before enter()
+     * @returns {boolean} True if the mode changed
+     */
+    exit() {
+        const sceneFoundation = this.sceneFoundation;
+        if (!this.active || !sceneFoundation) return false;
+
+        const { renderer, scene } = sceneFoundation;
+        const saved = this.savedState;
+        renderer.toneMapping = saved.toneMapping;
+        renderer.toneMappingExposure = saved.toneMappingExposure;
+        renderer.outputEncoding = saved.outputEncoding;
+        renderer.shadowMap.enabled = saved.shadowMapEnabled;
+        renderer.shadowMap.type = saved.shadowMapType;
+        scene.environment = saved.environment;
+        scene.remove(this.stage);
+
+        this.savedState = null;
+        this.active = false;
+
+        this.handleChanged();
+        return true;
+    }
+
+    toggle() {
+        return this.active ? this.exit() : this.enter();
+    }
+
+    /**
+     * Change presentation settings (kept while modelling, applied on the next enter)
+     * @param {Object} changes - Subset of the settings (see class doc)
+     */
+    updateSettings(changes = {}) {
+        const exposure = Number(changes.exposure);
+        this.settings = {
+            shadows: typeof changes.shadows === 'boolean' ? changes.shadows : this.settings.shadows,
+            environment: typeof changes.environment === 'boolean' ? changes.environment : this.settings.environment,
+            exposure: Number.isFinite(exposure) ? Math.min(4, Math.max(0.1, exposure)) : this.settings.exposure,
+            background: /^#[0-9a-f]{6}$/i.test(changes.background) ? changes.background : this.settings.background
+        };
+
+        this.applySettings();
+        this.handleChanged();
+    }
+
+    /**
+     * @private
+     */
+    applySettings() {
+        if (!this.active) return;
+
+        const { renderer, scene } = this.sceneFoundation;
+        renderer.toneMappingExposure = this.settings.exposure;
+        renderer.shadowMap.enabled = this.settings.shadows;
+        this.stage.userData.sun.castShadow = this.settings.shadows;
+        this.stage.userData.ground.visible = this.settings.shadows;
+        scene.environment = this.settings.environment ? this.getEnvironmentTexture(renderer) : this.savedState.environment;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // RENDERING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Render one presentation frame (called by SceneFoundation.renderScene while active)
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     * @param {THREE.Camera} camera - Active camera
+     */
+    render(renderer, scene, camera) {
+        const layer = PresentationManager.PRESENTATION_LAYER;
+        const meshes = this.getModelMeshes();
+        const saved = meshes.map(mesh => ({
+            mask: mesh.layers.mask,
+            castShadow: mesh.castShadow,
+            receiveShadow: mesh.receiveShadow
+        }));
+        const cameraMask = camera.layers.mask;
+        const background = scene.background;
+
+        meshes.forEach(mesh => {
+            mesh.layers.enable(layer);
+            mesh.castShadow = this.settings.shadows;
+            mesh.receiveShadow = this.settings.shadows;
+        });
+        this.fitStage(meshes);
+        camera.layers.set(layer);
+        scene.background = this.transparentBackground ? null : new THREE.Color(this.settings.background);
+
+        try {
+            renderer.render(scene, camera);
+        } finally {
+            scene.background = background;
+            camera.layers.mask = cameraMask;
+            meshes.forEach((mesh, index) => {
+                mesh.layers.mask = saved[index].mask;
+                mesh.castShadow = saved[index].castShadow;
+                mesh.receiveShadow = saved[index].receiveShadow;
+            });
+        }
+    }
+
+    /**
+     * Visible meshes of regular objects (containers only group them)
+     * @private
+     */
+    getModelMeshes() {
+        return (this.sceneController?.getAllObjects() || [])
+            .filter(objectData => !objectData.isContainer && objectData.mesh?.isMesh && !objectData.isTemporary && !objectData.isPreview)
+            .map(objectData => objectData.mesh)
+            .filter(mesh => {
+                for (let node = mesh; node; node = node.parent) {
+                    if (!node.visible) return false;
+                }
+                return true;
+            });
+    }
+
+    /**
+     * Lights and shadow-catching ground plane, on the presentation layer only
+     * (never seen by modelling renders or raycasts)
+     * @private
+     */
+    getStage() {
+        if (this.stage) return this.stage;
+
+        const layer = PresentationManager.PRESENTATION_LAYER;
+        const stage = new THREE.Group();
+        stage.name = 'Presentation Stage';
+
+        const hemisphere = new THREE.HemisphereLight(0xffffff, 0x8d8a84, 0.6);
+
+        const sun = new THREE.DirectionalLight(0xffffff, 1.6);
+        sun.shadow.mapSize.set(2048, 2048);
+        sun.shadow.bias = -0.0005;
+        sun.shadow.normalBias = 0.02;
+
+        const ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.ShadowMaterial({ opacity: 0.28 })
+        );
+        ground.rotation.x = -Math.PI / 2;
+        ground.receiveShadow = true;
+
+        [hemisphere, sun, sun.target, ground].forEach(object => {
+            object.layers.set(layer);
+            stage.add(object);
+        });
+
+        stage.userData = { sun, ground };
+        this.stage = stage;
+        return stage;
+    }
+
+    /**
+     * Ground plane under the model, sun shadow frustum around it
+     * @private
+     */
+    fitStage(meshes) {
+        const bounds = new THREE.Box3();
+        meshes.forEach(mesh => bounds.expandByObject(mesh));
+        if (bounds.isEmpty()) {
+            bounds.set(new THREE.Vector3(-1, 0, -1), new THREE.Vector3(1, 1, 1));
+        }
+
+        const center = bounds.getCenter(new THREE.Vector3());
+        const radius = Math.max(bounds.getSize(new THREE.Vector3()).length() / 2, 0.1);
+        const { sun, ground } = this.stage.userData;
+
+        // Objects sit on the grid (y = 0) unless they reach below it
+        ground.position.set(center.x, Math.min(0, bounds.min.y), center.z);
+        ground.scale.setScalar(radius * 8);
+
+        sun.target.position.copy(center);
+        sun.position.copy(center).addScaledVector(PresentationManager.SUN_DIRECTION, radius * 3);
+        const shadowCamera = sun.shadow.camera;
+        shadowCamera.left = -radius * 1.5;
+        shadowCamera.right = radius * 1.5;
+        shadowCamera.top = radius * 1.5;
+        shadowCamera.bottom = -radius * 1.5;
+        shadowCamera.near = radius * 0.5;
+        shadowCamera.far = radius * 6;
+        shadowCamera.updateProjectionMatrix();
+    }
+
+    /**
+     * @private
+     */
+    getEnvironmentTexture(renderer) {
+        if (!this.environmentTexture) {
+            const pmremGenerator = new THREE.PMREMGenerator(renderer);
+            const room = new RoomEnvironment();
+            this.environmentTexture = pmremGenerator.fromScene(room, 0.04).texture;
+            pmremGenerator.dispose();
+        }
+        return this.environmentTexture;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // STILL CAPTURE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Render the current view in presentation mode at any size and download it as PNG
+     * Works from modelling mode too (presentation is switched on for the capture)
+     * @param {Object} options - { width, height, transparent, fileName }
+     * @returns {Promise<{success: boolean, width?: number, height?: number, error?: string}>}
+     */
+    async captureStill(options = {}) {
+        const width = Math.round(Number(options.width));
+        const height = Math.round(Number(options.height));
+        const wasActive = this.active;
+
+        try {
+            if (!this.thumbnailCapture) {
+                throw new Error('Capture not available');
+            }
+            if (!(width > 0 && height > 0)) {
+                throw new Error('Image size must be positive');
+            }
+
+            this.enter();
+            this.transparentBackground = !!options.transparent;
+            const dataUrl = await this.thumbnailCapture.captureStill(width, height, { transparent: !!options.transparent });
+
+            const baseName = window.modlerComponents?.fileManager?.currentFileName || 'modler-scene';
+            const name = options.fileName || `${String(baseName).trim().replace(/[\\/:*?"<>|]+/g, '_')}-${width}x${height}.png`;
+            this.downloadFile(name, dataUrl);
+            return { success: true, width, height };
+
+        } catch (error) {
+            console.error('PresentationManager: Capture failed:', error);
+            window.notificationManager?.error(`Failed to capture image: ${error.message}`, 'Capture Failed');
+            return { success: false, error: error.message };
+
+        } finally {
+            this.transparentBackground = false;
+            if (!wasActive) this.exit();
+        }
+    }
+
+    downloadFile(name, url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * @private
+     */
+    handleChanged() {
+        this.sceneFoundation?.requestRender();
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Send mode and settings to all UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'presentation-updated',
+            data: this.getState()
+        });
+    }
+}
+
+window.PresentationManager = PresentationManager;
@@ -0,0 +1,287 @@
+/**
+ * SceneParameterManager - Named Scene Parameters (Design Variables)
+ *
+ * Document-wide table of named values (e.g. boardThickness = 0.018, shelfCount = 5)
+ * that any object formula can reference by name.
+ *
+ * Parameter shape: { name, value, kind }
+ *   kind 'length' - value stored in meters, entered/displayed via UnitConverter
+ *   kind 'number' - unitless value (counts, ratios)
+ *
+ * Graph nodes: `param.${name}` in FormulaManager's DependencyGraph
+ *
+ * Flow: UI panel → CommandRouter → setParameter() → SetSceneParameterCommand (undoable)
+ *       → applyParameter() → FormulaManager re-evaluates dependents → broadcast to panels
+ */
+
+class SceneParameterManager {
+    constructor() {
+        // name → { name, value, kind } (insertion order = display order)
+        this.parameters = new Map();
+    }
+
+    /**
+     * Names that collide with formula vocabulary and cannot be used for parameters
+     */
+    static get RESERVED_NAMES() {
+        return ['width', 'height', 'depth', 'x', 'y', 'z', 'gap', 'parent'];
+    }
+
+    static get KINDS() {
+        return ['length', 'number'];
+    }
+
+    get formulaManager() {
+        return window.modlerComponents?.formulaManager;
+    }
+
+    get historyManager() {
+        return window.modlerComponents?.historyManager;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════
+
+    has(name) {
+        return this.parameters.has(name);
+    }
+
+    get(name) {
+        const parameter = this.parameters.get(name);
+        return parameter ? { ...parameter } : null;
+    }
+
+    /**
+     * Get all parameters in display order
+     * @returns {Array<Object>} Copies of parameter records
+     */
+    getParameters() {
+        return Array.from(this.parameters.values()).map(parameter => ({ ...parameter }));
+    }
+
+    /**
+     * Get parameter values as a formula evaluation context
+     * @returns {Object} name → value
+     */
+    getValues() {
+        const values = {};
+        this.parameters.forEach((parameter, name) => {
+            values[name] = parameter.value;
+        });
+        return values;
+    }
+
+    /**
+     * Validate a parameter name
+     * @param {string} name - Proposed name
+     * @returns {string|null} Error message or null if valid
+     */
+    validateName(name) {
+        if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            return 'Parameter names must start with a letter or underscore and contain only letters, digits and underscores';
+        }
+        if (SceneParameterManager.RESERVED_NAMES.includes(name)) {
+            return `"${name}" is reserved for object properties`;
+        }
+        const evaluator = this.formulaManager?.formulaEvaluator;
+        if (evaluator?.functions && name in evaluator.functions) {
+            return `"${name}" is a built-in formula function`;
+        }
+        return null;
+    }
+
+    /**
+     * Parse a raw input into an internal value
+     * @param {string|number} input - Raw value ("18mm", "1ft 6in", "5")
+     * @param {string} kind - 'length' or 'number'
+     * @returns {number|null} Internal value or null if invalid
+     */
+    parseValue(input, kind) {
+        if (typeof input === 'number') {
+            return isFinite(input) ? input : null;
+        }
+
+        const text = String(input ?? '').trim();
+        if (!text) return null;
+
+        if (kind === 'length') {
+            const unitConverter = window.unitConverter;
+            const hasUnitSuffix = /[a-zA-Z]/.test(text);
+            if (!unitConverter) {
+                return hasUnitSuffix ? null : this.parseNumber(text);
+            }
+            if (hasUnitSuffix) {
+                // parseMixedUnits() ignores signs, so handle a leading minus here
+                const negative = text.startsWith('-');
+                const meters = unitConverter.parseMixedUnits(negative ? text.slice(1) : text);
+                return meters === null ? null : (negative ? -meters : meters);
+            }
+            const number = this.parseNumber(text);
+            return number === null ? null : unitConverter.toInternalUnits(number);
+        }
+
+        return this.parseNumber(text);
+    }
+
+    /**
+     * @private
+     */
+    parseNumber(text) {
+        const number = Number(text);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EDITING (undoable)
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Add or update a parameter
+     * @param {string} name - Parameter name
+     * @param {string|number} input - Raw value (parsed according to kind)
+     * @param {string} kind - 'length' or 'number'
+     * @returns {boolean} True if the change was applied
+     */
+    setParameter(name, input, kind = 'length') {
+        const existing = this.get(name);
+
+        if (!existing) {
+            const nameError = this.validateName(name);
+            if (nameError) {
+                this.notifyError(nameError);
+                return false;
+            }
+        }
+
+        if (!SceneParameterManager.KINDS.includes(kind)) {
+            this.notifyError(`Unknown parameter kind "${kind}"`);
+            return false;
+        }
+
+        const value = this.parseValue(input, kind);
+        if (value === null) {
+            this.notifyError(`Invalid value for ${name}: ${input}`);
+            return false;
+        }
+
+        if (existing && existing.value === value && existing.kind === kind) {
+            return true;
+        }
+
+        return this.executeChange(name, { name, value, kind }, existing);
+    }
+
+    /**
+     * Remove a parameter (refused while formulas still reference it)
+     * @param {string} name - Parameter name
+     * @returns {boolean} True if removed
+     */
+    removeParameter(name) {
+        const existing = this.get(name);
+        if (!existing) return false;
+
+        const dependents = this.formulaManager?.getParameterDependents(name) || [];
+        if (dependents.length > 0) {
+            this.notifyError(`${name} is used by ${dependents.length} formula${dependents.length === 1 ? '' : 's'}`);
+            return false;
+        }
+
+        return this.executeChange(name, null, existing);
+    }
+
+    /**
+     * Route a change through HistoryManager (direct apply when history is unavailable)
+     * @private
+     */
+    executeChange(name, newParameter, oldParameter) {
+        const historyManager = this.historyManager;
+        if (historyManager && window.SetSceneParameterCommand) {
+            const command = new SetSceneParameterCommand(name, newParameter, oldParameter);
+            return historyManager.executeCommand(command);
+        }
+        return this.applyParameter(name, newParameter);
+    }
+
+    /**
+     * Apply a parameter state directly (used by SetSceneParameterCommand)
+     * @param {string} name - Parameter name
+     * @param {Object|null} parameter - New record, or null to delete
+     * @returns {boolean} Always true
+     */
+    applyParameter(name, parameter) {
+        if (parameter) {
+            this.parameters.set(name, { name, value: parameter.value, kind: parameter.kind });
+        } else {
+            this.parameters.delete(name);
+        }
+
+        // Cascade to every formula that references this parameter
+        this.formulaManager?.handleParameterChanged(name);
+
+        this.broadcastUpdate();
+        return true;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PERSISTENCE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Serialize parameters for SceneSerializer
+     * @returns {Array<Object>} [{ name, value, kind }]
+     */
+    serialize() {
+        return this.getParameters();
+    }
+
+    /**
+     * Replace all parameters from serialized data (no history, no evaluation)
+     * FormulaManager.rebuildGraph() evaluates formulas once objects are restored
+     * @param {Array<Object>} parameters - Serialized parameters
+     */
+    deserialize(parameters) {
+        this.parameters.clear();
+
+        (Array.isArray(parameters) ? parameters : []).forEach(parameter => {
+            if (!parameter || typeof parameter.name !== 'string' || typeof parameter.value !== 'number') return;
+            const kind = SceneParameterManager.KINDS.includes(parameter.kind) ? parameter.kind : 'number';
+            this.parameters.set(parameter.name, { name: parameter.name, value: parameter.value, kind });
+        });
+
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Remove all parameters (scene cleared)
+     */
+    clear() {
+        this.deserialize([]);
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send the parameter table to all UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'scene-parameters-updated',
+            data: { parameters: this.getParameters() }
+        });
+    }
+
+    /**
+     * @private
+     */
+    notifyError(message) {
+        console.warn(`SceneParameterManager: ${message}`);
+        window.notificationManager?.warning(message);
+    }
+}
+
+window.SceneParameterManager = SceneParameterManager;
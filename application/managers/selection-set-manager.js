@@ -0,0 +1,292 @@
+/**
+ * SelectionSetManager - Named Selection Sets
+ *
+ * Document-wide list of named object selections ('Shelf pins', 'Drawer fronts')
+ * saved with the scene and recalled from the left panel.
+ *
+ * Set shape: { id, name, objectIds }
+ *
+ * Recall respects container context: when every member shares a parent container,
+ * NavigationController steps into it first so the members are selected as children;
+ * otherwise recall happens at root level. Members deleted from the scene are skipped
+ * on recall and dropped on save.
+ *
+ * Flow: UI panel → CommandRouter → addSelectionSet()/recallSelectionSet()/...
+ *       → SelectionController.setSelection() → broadcast to panels
+ */
+
+class SelectionSetManager {
+    constructor() {
+        // id → set (insertion order = display order)
+        this.sets = new Map();
+        this.nextId = 1;
+    }
+
+    get sceneController() {
+        return window.modlerComponents?.sceneController;
+    }
+
+    get selectionController() {
+        return window.modlerComponents?.selectionController;
+    }
+
+    get navigationController() {
+        return window.modlerComponents?.navigationController;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════
+
+    has(id) {
+        return this.sets.has(id);
+    }
+
+    get(id) {
+        const set = this.sets.get(id);
+        return set ? this.cloneSet(set) : null;
+    }
+
+    /**
+     * Get all sets in display order, with the number of members still in the scene
+     * @returns {Array<Object>} Copies of set records plus `count`
+     */
+    getSelectionSets() {
+        return Array.from(this.sets.values()).map(set => ({
+            ...this.cloneSet(set),
+            count: this.getExistingObjectIds(set).length
+        }));
+    }
+
+    /**
+     * @private
+     */
+    getExistingObjectIds(set) {
+        const sceneController = this.sceneController;
+        if (!sceneController) return [...set.objectIds];
+        return set.objectIds.filter(objectId => sceneController.getObject(objectId));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EDITING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Save the current selection as a new set
+     * @param {string} name - Display name (defaults to "Set N")
+     * @returns {Object|null} The new set, or null if nothing is selected
+     */
+    addSelectionSet(name) {
+        const objectIds = this.captureSelection();
+        if (objectIds.length === 0) {
+            this.notifyError('Select objects to save a selection set');
+            return null;
+        }
+
+        const id = `s${this.nextId++}`;
+        const set = {
+            id,
+            name: this.normalizeName(name) || `Set ${this.sets.size + 1}`,
+            objectIds
+        };
+
+        this.sets.set(id, set);
+        this.handleChanged();
+        return this.cloneSet(set);
+    }
+
+    /**
+     * Replace a set's members with the current selection
+     * @param {string} id - Set id
+     * @returns {boolean} True if updated
+     */
+    updateSelectionSet(id) {
+        const set = this.sets.get(id);
+        if (!set) return false;
+
+        const objectIds = this.captureSelection();
+        if (objectIds.length === 0) {
+            this.notifyError('Select objects to update the selection set');
+            return false;
+        }
+
+        set.objectIds = objectIds;
+        this.handleChanged();
+        return true;
+    }
+
+    /**
+     * @param {string} id - Set id
+     * @param {string} name - New display name
+     * @returns {boolean} True if renamed
+     */
+    renameSelectionSet(id, name) {
+        const set = this.sets.get(id);
+        const normalized = this.normalizeName(name);
+        if (!set) return false;
+        if (!normalized) {
+            this.notifyError('Selection set name cannot be empty');
+            return false;
+        }
+        if (normalized === set.name) return true;
+
+        set.name = normalized;
+        this.handleChanged();
+        return true;
+    }
+
+    /**
+     * @param {string} id - Set id
+     * @returns {boolean} True if removed
+     */
+    removeSelectionSet(id) {
+        if (!this.sets.delete(id)) return false;
+        this.handleChanged();
+        return true;
+    }
+
+    /**
+     * Select a set's members, stepping into their shared container if they have one
+     * @param {string} id - Set id
+     * @returns {boolean} True if anything was selected
+     */
+    recallSelectionSet(id) {
+        const set = this.sets.get(id);
+        const sceneController = this.sceneController;
+        const selectionController = this.selectionController;
+        if (!set || !sceneController || !selectionController) return false;
+
+        const members = this.getExistingObjectIds(set).map(objectId => sceneController.getObject(objectId));
+        if (members.length === 0) {
+            this.notifyError(`"${set.name}" has no objects left in the scene`);
+            return false;
+        }
+
+        const parentIds = new Set(members.map(objectData => objectData.parentContainer ?? null));
+        const sharedParentId = parentIds.size === 1 ? [...parentIds][0] : null;
+
+        const navigationController = this.navigationController;
+        if (navigationController) {
+            const currentId = navigationController.getCurrentContainer()?.id ?? null;
+            if (sharedParentId !== null && currentId !== sharedParentId) {
+                navigationController.navigateToContainer(sharedParentId);
+            } else if (sharedParentId === null && currentId !== null) {
+                navigationController.navigateToRoot();
+            }
+        }
+
+        selectionController.setSelection(members.map(objectData => objectData.mesh));
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    captureSelection() {
+        const selectionController = this.selectionController;
+        const sceneController = this.sceneController;
+        if (!selectionController || !sceneController) return [];
+
+        return selectionController.getSelectedObjects()
+            .map(mesh => sceneController.getObjectByMesh(mesh)?.id)
+            .filter(objectId => objectId !== undefined && objectId !== null);
+    }
+
+    /**
+     * @private
+     */
+    normalizeName(name) {
+        return typeof name === 'string' ? name.trim().slice(0, 80) : '';
+    }
+
+    /**
+     * @private
+     */
+    handleChanged() {
+        window.modlerComponents?.fileManager?.markAsDirty();
+        this.broadcastUpdate();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PERSISTENCE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Serialize sets for SceneSerializer (members no longer in the scene are dropped)
+     * @returns {Array<Object>} [{ id, name, objectIds }]
+     */
+    serialize() {
+        return Array.from(this.sets.values()).map(set => ({
+            ...this.cloneSet(set),
+            objectIds: this.getExistingObjectIds(set)
+        }));
+    }
+
+    /**
+     * Replace all sets from serialized data (invalid records are skipped)
+     * @param {Array<Object>} sets - Serialized sets
+     */
+    deserialize(sets) {
+        this.sets.clear();
+        this.nextId = 1;
+
+        (Array.isArray(sets) ? sets : []).forEach(set => {
+            if (!set?.id || !Array.isArray(set.objectIds)) return;
+
+            const record = this.cloneSet(set);
+            record.name = this.normalizeName(set.name) || record.id;
+            this.sets.set(record.id, record);
+
+            const number = parseInt(String(record.id).replace(/^s/, ''), 10);
+            if (Number.isFinite(number) && number >= this.nextId) {
+                this.nextId = number + 1;
+            }
+        });
+
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Remove all sets (scene cleared)
+     */
+    clear() {
+        this.deserialize([]);
+    }
+
+    /**
+     * @private
+     */
+    cloneSet(set) {
+        return {
+            id: String(set.id),
+            name: set.name,
+            objectIds: [...set.objectIds]
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send the set list to all UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'selection-sets-updated',
+            data: { selectionSets: this.getSelectionSets() }
+        });
+    }
+
+    /**
+     * @private
+     */
+    notifyError(message) {
+        console.warn(`SelectionSetManager: ${message}`);
+        window.notificationManager?.warning(message);
+    }
+}
+
+window.SelectionSetManager = SelectionSetManager;
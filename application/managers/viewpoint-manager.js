@@ -0,0 +1,307 @@
+/**
+ * ViewpointManager - Saved Camera Viewpoints (Named Views)
+ *
+ * Document-wide list of named camera views ('Front elevation', 'Drawer detail')
+ * that are saved with the scene and recalled with a smooth camera transition.
+ *
+ * Viewpoint shape: { id, name, camera, hiddenObjectIds }
+ *   camera          - CameraController.getViewState(): { position, quaternion, orbitTarget, projection }
+ *   hiddenObjectIds - objects hidden when the view was captured, or null when the
+ *                     viewpoint does not store visibility (recall leaves visibility alone)
+ *
+ * Flow: UI panel → CommandRouter → addViewpoint()/recallViewpoint()/...
+ *       → CameraController.setViewState() → broadcast to panels
+ */
+
+class ViewpointManager {
+    constructor() {
+        // id → viewpoint (insertion order = display order)
+        this.viewpoints = new Map();
+        this.nextId = 1;
+    }
+
+    get cameraController() {
+        return window.modlerComponents?.cameraController;
+    }
+
+    get sceneController() {
+        return window.modlerComponents?.sceneController;
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // QUERIES
+    // ═══════════════════════════════════════════════════════════════
+
+    has(id) {
+        return this.viewpoints.has(id);
+    }
+
+    get(id) {
+        const viewpoint = this.viewpoints.get(id);
+        return viewpoint ? this.cloneViewpoint(viewpoint) : null;
+    }
+
+    /**
+     * Get all viewpoints in display order
+     * @returns {Array<Object>} Copies of viewpoint records
+     */
+    getViewpoints() {
+        return Array.from(this.viewpoints.values()).map(viewpoint => this.cloneViewpoint(viewpoint));
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // EDITING
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Save the current view as a new viewpoint
+     * @param {string} name - Display name (defaults to "View N")
+     * @param {Object} options - { includeVisibility: store which objects are hidden }
+     * @returns {Object|null} The new viewpoint, or null if the camera is unavailable
+     */
+    addViewpoint(name, options = {}) {
+        const camera = this.captureCamera();
+        if (!camera) {
+            this.notifyError('Camera not available');
+            return null;
+        }
+
+        const id = `v${this.nextId++}`;
+        const viewpoint = {
+            id,
+            name: this.normalizeName(name) || `View ${this.viewpoints.size + 1}`,
+            camera,
+            hiddenObjectIds: options.includeVisibility ? this.captureHiddenObjectIds() : null
+        };
+
+        this.viewpoints.set(id, viewpoint);
+        this.handleChanged();
+        return this.cloneViewpoint(viewpoint);
+    }
+
+    /**
+     * Replace a viewpoint's camera (and stored visibility, if it has any) with the current view
+     * @param {string} id - Viewpoint id
+     * @returns {boolean} True if updated
+     */
+    updateViewpoint(id) {
+        const viewpoint = this.viewpoints.get(id);
+        const camera = this.captureCamera();
+        if (!viewpoint || !camera) return false;
+
+        viewpoint.camera = camera;
+        if (viewpoint.hiddenObjectIds) {
+            viewpoint.hiddenObjectIds = this.captureHiddenObjectIds();
+        }
+
+        this.handleChanged();
+        return true;
+    }
+
+    /**
+     * @param {string} id - Viewpoint id
+     * @param {string} name - New display name
+     * @returns {boolean} True if renamed
+     */
+    renameViewpoint(id, name) {
+        const viewpoint = this.viewpoints.get(id);
+        const normalized = this.normalizeName(name);
+        if (!viewpoint) return false;
+        if (!normalized) {
+            this.notifyError('Viewpoint name cannot be empty');
+            return false;
+        }
+        if (normalized === viewpoint.name) return true;
+
+        viewpoint.name = normalized;
+        this.handleChanged();
+        return true;
+    }
+
+    /**
+     * @param {string} id - Viewpoint id
+     * @returns {boolean} True if removed
+     */
+    removeViewpoint(id) {
+        if (!this.viewpoints.delete(id)) return false;
+        this.handleChanged();
+        return true;
+    }
+
+    /**
+     * Move the camera to a viewpoint and restore its visibility state (if stored)
+     * @param {string} id - Viewpoint id
+     * @param {boolean} animate - Animate the camera transition (default: true)
+     * @returns {boolean} True if recalled
+     */
+    recallViewpoint(id, animate = true) {
+        const viewpoint = this.viewpoints.get(id);
+        const cameraController = this.cameraController;
+        if (!viewpoint || !cameraController?.setViewState) return false;
+
+        if (!cameraController.setViewState(viewpoint.camera, animate)) {
+            this.notifyError(`Viewpoint "${viewpoint.name}" has no usable camera data`);
+            return false;
+        }
+
+        if (viewpoint.hiddenObjectIds) {
+            this.applyHiddenObjectIds(viewpoint.hiddenObjectIds);
+        }
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    captureCamera() {
+        const viewState = this.cameraController?.getViewState?.();
+        if (!viewState) return null;
+
+        const round = (vector) => {
+            const rounded = {};
+            Object.entries(vector).forEach(([key, value]) => {
+                rounded[key] = Math.round(value * 1e6) / 1e6;
+            });
+            return rounded;
+        };
+
+        return {
+            position: round(viewState.position),
+            quaternion: round(viewState.quaternion),
+            orbitTarget: round(viewState.orbitTarget),
+            projection: viewState.projection
+        };
+    }
+
+    /**
+     * @private
+     */
+    captureHiddenObjectIds() {
+        const objects = this.sceneController?.getAllObjects() || [];
+        return objects
+            .filter(object => object.visible === false)
+            .map(object => object.id);
+    }
+
+    /**
+     * Hide the listed objects and show every other object
+     * @private
+     */
+    applyHiddenObjectIds(hiddenObjectIds) {
+        const sceneController = this.sceneController;
+        if (!sceneController) return;
+
+        const hidden = new Set(hiddenObjectIds);
+        sceneController.getAllObjects().forEach(object => {
+            const visible = !hidden.has(object.id);
+            if ((object.visible !== false) !== visible) {
+                sceneController.setObjectVisible(object.id, visible);
+            }
+        });
+
+        window.modlerComponents?.sceneFoundation?.requestRender();
+    }
+
+    /**
+     * @private
+     */
+    normalizeName(name) {
+        return typeof name === 'string' ? name.trim().slice(0, 80) : '';
+    }
+
+    /**
+     * @private
+     */
+    handleChanged() {
+        window.modlerComponents?.fileManager?.markAsDirty();
+        this.broadcastUpdate();
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // PERSISTENCE
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Serialize viewpoints for SceneSerializer
+     * @returns {Array<Object>} Viewpoint records
+     */
+    serialize() {
+        return this.getViewpoints();
+    }
+
+    /**
+     * Replace all viewpoints from serialized data (invalid records are skipped)
+     * @param {Array<Object>} viewpoints - Serialized viewpoints
+     */
+    deserialize(viewpoints) {
+        this.viewpoints.clear();
+        this.nextId = 1;
+
+        (Array.isArray(viewpoints) ? viewpoints : []).forEach(viewpoint => {
+            const camera = viewpoint?.camera;
+            if (!viewpoint?.id || !camera?.position || !camera?.quaternion || !camera?.orbitTarget) return;
+
+            const record = this.cloneViewpoint(viewpoint);
+            record.name = this.normalizeName(viewpoint.name) || record.id;
+            this.viewpoints.set(record.id, record);
+
+            const number = parseInt(String(record.id).replace(/^v/, ''), 10);
+            if (Number.isFinite(number) && number >= this.nextId) {
+                this.nextId = number + 1;
+            }
+        });
+
+        this.broadcastUpdate();
+    }
+
+    /**
+     * Remove all viewpoints (scene cleared)
+     */
+    clear() {
+        this.deserialize([]);
+    }
+
+    /**
+     * @private
+     */
+    cloneViewpoint(viewpoint) {
+        const { position, quaternion, orbitTarget, projection } = viewpoint.camera;
+        return {
+            id: String(viewpoint.id),
+            name: viewpoint.name,
+            camera: {
+                position: { x: position.x, y: position.y, z: position.z },
+                quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
+                orbitTarget: { x: orbitTarget.x, y: orbitTarget.y, z: orbitTarget.z },
+                projection: projection === 'orthographic' ? 'orthographic' : 'perspective'
+            },
+            hiddenObjectIds: Array.isArray(viewpoint.hiddenObjectIds) ? [...viewpoint.hiddenObjectIds] : null
+        };
+    }
+
+    // ═══════════════════════════════════════════════════════════════
+    // UI COMMUNICATION
+    // ═══════════════════════════════════════════════════════════════
+
+    /**
+     * Send the viewpoint list to all UI panels
+     */
+    broadcastUpdate() {
+        if (!window.simpleCommunication) return;
+
+        window.simpleCommunication.sendToAllIframes({
+            type: 'viewpoints-updated',
+            data: { viewpoints: this.getViewpoints() }
+        });
+    }
+
+    /**
+     * @private
+     */
+    notifyError(message) {
+        console.warn(`ViewpointManager: ${message}`);
+        window.notificationManager?.warning(message);
+    }
+}
+
+window.ViewpointManager = ViewpointManager;
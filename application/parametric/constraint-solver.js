@@ -7,6 +7,7 @@
  * - Iterative solving for interdependent constraints
  * - Constraint priority system
  * - Convergence detection
+ * - Relational constraints between scene objects (align, mate, equal, offset)
  *
  * Starts with simple sequential solving and can be extended to
  * iterative/numerical methods for complex constraint systems.
@@ -104,6 +105,23 @@ class ConstraintSolver {
             }
         });
 
+        // Relational constraints (value = reference + offset)
+        // Scalar form of cross-object constraints - ConstraintManager resolves
+        // faces/sizes to scalars and solveRelational() iterates them to convergence
+        ['align', 'mate', 'equal'].forEach(typeName => {
+            this.registerConstraintType(typeName, {
+                priority: 3,
+                solve: (value, constraint, context) => {
+                    const otherValue = context[constraint.referenceProperty];
+                    if (otherValue !== undefined) {
+                        return otherValue + (constraint.offset || 0);
+                    }
+                    return value;
+                },
+                metadata: { relational: true }
+            });
+        });
+
         // Locked constraint (value cannot change)
         this.registerConstraintType('locked', {
             priority: 10,
@@ -357,6 +375,14 @@ class ConstraintSolver {
                     return { valid: false, error: 'offset constraint requires referenceProperty and offset' };
                 }
                 break;
+
+            case 'align':
+            case 'mate':
+            case 'equal':
+                if (constraint.referenceProperty === undefined) {
+                    return { valid: false, error: `${type} constraint requires referenceProperty` };
+                }
+                break;
         }
 
         return { valid: true, error: null };
@@ -380,6 +406,91 @@ class ConstraintSolver {
         return solver.solve(value, constraint, context);
     }
 
+    /**
+     * Solve relational constraints between scene objects
+     * Each constraint drives one scalar on its target (face, center or size)
+     * from one scalar on its reference: target = reference + offset.
+     * Passes repeat until nothing moves, so chains (A → B → C) settle.
+     *
+     * @param {Array<Object>} constraints - [{id, type, target, reference, offset}]
+     * @param {Object} accessor - Scene access
+     *   read(ref) → number|null, write(ref, value) → boolean, key(ref) → degree-of-freedom key
+     * @returns {Object} {converged, iterations, conflicts: [{constraintId, residual, reason}]}
+     */
+    solveRelational(constraints, accessor) {
+        this.stats.solveAttempts++;
+
+        // Constraints that drive the same degree of freedom must agree
+        const driversByKey = new Map();
+        constraints.forEach(constraint => {
+            const key = accessor.key(constraint.target);
+            driversByKey.set(key, (driversByKey.get(key) || 0) + 1);
+        });
+
+        const targetValue = (constraint) => {
+            const current = accessor.read(constraint.target);
+            const referenceValue = accessor.read(constraint.reference);
+            if (current === null || referenceValue === null) return null;
+
+            return this.applyConstraint(current, {
+                type: constraint.type,
+                referenceProperty: 'reference',
+                offset: constraint.offset || 0
+            }, { reference: referenceValue });
+        };
+
+        let converged = false;
+        let iterations = 0;
+
+        while (iterations < this.config.maxIterations) {
+            iterations++;
+            this.stats.iterations++;
+            let changed = false;
+
+            for (const constraint of constraints) {
+                const solved = targetValue(constraint);
+                if (solved === null) continue;
+
+                const current = accessor.read(constraint.target);
+                if (Math.abs(solved - current) > this.config.convergenceThreshold) {
+                    if (accessor.write(constraint.target, solved)) {
+                        changed = true;
+                        this.stats.constraintsApplied++;
+                    }
+                }
+            }
+
+            if (!changed) {
+                converged = true;
+                break;
+            }
+        }
+
+        // Anything still unsatisfied is reported back to the caller
+        const conflicts = [];
+        constraints.forEach(constraint => {
+            const solved = targetValue(constraint);
+            if (solved === null) return;
+
+            const residual = Math.abs(solved - accessor.read(constraint.target));
+            if (residual > this.config.convergenceThreshold) {
+                conflicts.push({
+                    constraintId: constraint.id,
+                    residual,
+                    reason: driversByKey.get(accessor.key(constraint.target)) > 1 ? 'over-constrained' : 'conflict'
+                });
+            }
+        });
+
+        if (conflicts.length === 0) {
+            this.stats.successes++;
+        } else {
+            this.stats.failures++;
+        }
+
+        return { converged, iterations, conflicts };
+    }
+
     /**
      * Get solver statistics
      * @returns {Object} Statistics
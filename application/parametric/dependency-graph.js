@@ -173,15 +173,21 @@ class DependencyGraph {
     }
 
     /**
-     * Get update order for a changed parameter using topological sort
-     * @param {string} changedNodeId - Node that changed
-     * @returns {Array<string>} Ordered list of nodes to update (excluding the changed node)
+     * Get update order for changed parameters using topological sort
+     * @param {string|Array<string>} changedNodeIds - Node (or nodes) that changed
+     * @returns {Array<string>} Ordered list of nodes to update (excluding the changed nodes)
      */
-    getUpdateOrder(changedNodeId) {
+    getUpdateOrder(changedNodeIds) {
         this.stats.topologicalSorts++;
 
-        // Get all nodes affected by this change (descendants)
-        const affectedNodes = this.getDescendants(changedNodeId);
+        // Get all nodes affected by this change (descendants of every changed node)
+        const changedNodes = Array.isArray(changedNodeIds) ? changedNodeIds : [changedNodeIds];
+        const affectedNodes = new Set();
+        for (const nodeId of changedNodes) {
+            for (const descendant of this.getDescendants(nodeId)) {
+                affectedNodes.add(descendant);
+            }
+        }
 
         if (affectedNodes.size === 0) {
             return []; // No dependencies
@@ -171,9 +171,10 @@ class FormulaEvaluator {
         for (const variable of variables) {
             const value = context[variable];
             if (typeof value === 'number') {
-                // Replace variable with its value
-                const regex = new RegExp(`\\b${variable}\\b`, 'g');
-                processedExpression = processedExpression.replace(regex, value.toString());
+                // Replace variable with its value (negatives parenthesized so "a-b" stays valid)
+                const regex = new RegExp(`\\b${variable.replace(/\./g, '\\.')}\\b`, 'g');
+                const literal = value < 0 ? `(${value})` : value.toString();
+                processedExpression = processedExpression.replace(regex, literal);
             }
         }
 
@@ -327,6 +327,60 @@ class PropertySchemaRegistry {
         }
     }
 
+    /**
+     * Remove a component instance relationship (instance detached or deleted)
+     * @param {string} instanceId - Instance object ID
+     * @returns {boolean} True if a relationship was removed
+     */
+    removeInstanceRelationship(instanceId) {
+        const masterId = this.instanceMasters.get(instanceId);
+        if (masterId === undefined) {
+            return false;
+        }
+
+        this.instanceMasters.delete(instanceId);
+
+        const instances = this.masterInstances.get(masterId);
+        if (instances) {
+            instances.delete(instanceId);
+            if (instances.size === 0) {
+                this.masterInstances.delete(masterId);
+            }
+        }
+
+        if (window.objectEventBus) {
+            window.objectEventBus.emit(
+                window.objectEventBus.EVENT_TYPES.INSTANCE_UPDATE,
+                instanceId,
+                {
+                    action: 'remove_relationship',
+                    masterId: masterId,
+                    instanceId: instanceId
+                },
+                { source: 'PropertySchemaRegistry' }
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Get instance IDs of a master component
+     * @param {string} masterId - Master component ID
+     * @returns {Array<string>} Instance IDs
+     */
+    getInstances(masterId) {
+        return Array.from(this.masterInstances.get(masterId) || []);
+    }
+
+    /**
+     * Remove all instance relationships (scene cleared or reloaded)
+     */
+    clearInstanceRelationships() {
+        this.masterInstances.clear();
+        this.instanceMasters.clear();
+    }
+
     /**
      * Propagate master component changes to all instances
      * @param {string} masterId - Master component ID
@@ -57,7 +57,10 @@ function extractSerializableData(sceneObject) {
             ? `#${mesh.material.color.getHex().toString(16).padStart(6, '0')}`
             : (sceneObject.material?.color || '#888888'),
         opacity: mesh.material.opacity ?? 1,
-        transparent: mesh.material.transparent ?? false
+        transparent: mesh.material.transparent ?? false,
+        // Scene material library entry and grain axis (MaterialLibraryManager)
+        materialId: mesh.material.userData?.libraryMaterialId || null,
+        grain: mesh.material.userData?.grain || null
     } : (sceneObject.material || { color: '#888888', opacity: 1, transparent: false });
 
     // CRITICAL: Deep copy of autoLayout - NO transformation, NO defaults
@@ -66,7 +69,18 @@ function extractSerializableData(sceneObject) {
         ...sceneObject.autoLayout,
         padding: sceneObject.autoLayout.padding ? { ...sceneObject.autoLayout.padding } : undefined,
         alignment: sceneObject.autoLayout.alignment ? { ...sceneObject.autoLayout.alignment } : undefined,
-        tileMode: sceneObject.autoLayout.tileMode ? { ...sceneObject.autoLayout.tileMode } : undefined
+        tileMode: sceneObject.autoLayout.tileMode ? { ...sceneObject.autoLayout.tileMode } : undefined,
+        flow: sceneObject.autoLayout.flow ? { ...sceneObject.autoLayout.flow } : undefined,
+        grid: sceneObject.autoLayout.grid ? {
+            ...sceneObject.autoLayout.grid,
+            columns: (sceneObject.autoLayout.grid.columns || []).map(track => ({ ...track })),
+            rows: (sceneObject.autoLayout.grid.rows || []).map(track => ({ ...track }))
+        } : undefined,
+        radial: sceneObject.autoLayout.radial ? { ...sceneObject.autoLayout.radial } : undefined,
+        path: sceneObject.autoLayout.path ? {
+            ...sceneObject.autoLayout.path,
+            points: (sceneObject.autoLayout.path.points || []).map(point => ({ ...point }))
+        } : undefined
     } : null;
 
     // Use containerMode as canonical source of truth
@@ -93,6 +107,12 @@ function extractSerializableData(sceneObject) {
         dimensions: sceneObject.dimensions || { x: 1, y: 1, z: 1 },
         material,
 
+        // Primitive build parameters (cylinder axis, extrusion profile), null for boxes
+        primitive: sceneObject.primitive ? window.ObjectDataFormat.clonePrimitive(sceneObject.primitive) : null,
+
+        // Yard library item the part was placed from (cut list material names)
+        yardItemId: sceneObject.yardItemId || null,
+
         // Container properties - DIRECT COPY with validation
         isContainer: sceneObject.isContainer || false,
         containerMode: sceneObject.containerMode || null,
@@ -102,6 +122,27 @@ function extractSerializableData(sceneObject) {
         calculatedGap: sceneObject.calculatedGap, // May be undefined - that's OK
         layoutProperties: sceneObject.layoutProperties || null,
 
+        // Parametric formulas (property path -> expression, and the unit it was typed in)
+        parametric: sceneObject.parametricProperties?.formulas ? {
+            formulas: { ...sceneObject.parametricProperties.formulas },
+            units: { ...(sceneObject.parametricProperties.formulaUnits || {}) }
+        } : null,
+
+        // Component links, maintained by ComponentManager
+        instance: sceneObject.masterId !== undefined && sceneObject.masterId !== null ? {
+            masterId: sceneObject.masterId,
+            instanceType: sceneObject.instanceType || 'component',
+            canModify: true,
+            inheritedProperties: [],
+            overrides: [...(sceneObject.instanceOverrides || [])]
+        } : null,
+        master: sceneObject.isMaster ? {
+            isMaster: true,
+            instanceCount: window.propertySchemaRegistry?.getInstances?.(sceneObject.id).length || 0,
+            instances: window.propertySchemaRegistry?.getInstances?.(sceneObject.id) || [],
+            componentType: sceneObject.componentType || 'custom'
+        } : null,
+
         // State flags
         visible: sceneObject.visible !== undefined ? sceneObject.visible : true,
         selectable: sceneObject.selectable !== undefined ? sceneObject.selectable : true,
@@ -145,7 +186,18 @@ function extractBasicData(sceneObject) {
             ...sceneObject.autoLayout,
             padding: sceneObject.autoLayout.padding ? { ...sceneObject.autoLayout.padding } : undefined,
             alignment: sceneObject.autoLayout.alignment ? { ...sceneObject.autoLayout.alignment } : undefined,
-            tileMode: sceneObject.autoLayout.tileMode ? { ...sceneObject.autoLayout.tileMode } : undefined
+            tileMode: sceneObject.autoLayout.tileMode ? { ...sceneObject.autoLayout.tileMode } : undefined,
+            flow: sceneObject.autoLayout.flow ? { ...sceneObject.autoLayout.flow } : undefined,
+            grid: sceneObject.autoLayout.grid ? {
+                ...sceneObject.autoLayout.grid,
+                columns: (sceneObject.autoLayout.grid.columns || []).map(track => ({ ...track })),
+                rows: (sceneObject.autoLayout.grid.rows || []).map(track => ({ ...track }))
+            } : undefined,
+            radial: sceneObject.autoLayout.radial ? { ...sceneObject.autoLayout.radial } : undefined,
+            path: sceneObject.autoLayout.path ? {
+                ...sceneObject.autoLayout.path,
+                points: (sceneObject.autoLayout.path.points || []).map(point => ({ ...point }))
+            } : undefined
         } : null  // For tileMode check in UI
     };
 }
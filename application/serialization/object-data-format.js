@@ -15,15 +15,39 @@
 /**
  * Format version for migration compatibility
  */
-const OBJECT_DATA_FORMAT_VERSION = '1.0.0';
+const OBJECT_DATA_FORMAT_VERSION = '1.1.0';
 
 /**
  * Object type constants — single source of truth for type strings
  */
 const OBJECT_TYPES = {
     BOX: 'box',
-    CONTAINER: 'container'
-    // Future: CYLINDER: 'cylinder', SPHERE: 'sphere', GROUP: 'group', COMPONENT: 'component'
+    CONTAINER: 'container',
+    CYLINDER: 'cylinder',
+    SPHERE: 'sphere',
+    EXTRUSION: 'extrusion',
+    MESH: 'mesh'
+    // Future: GROUP: 'group', COMPONENT: 'component'
+};
+
+/**
+ * Default build parameters for primitive solids (objectData.primitive).
+ * Geometry is always rebuilt from type + primitive + dimensions, so these only
+ * describe the shape; size comes from dimensions.
+ * - cylinder: axis = length axis, segments = facets around it
+ * - sphere: segments around the equator (half as many rings)
+ * - extrusion: 2D profile extruded along axis; profile {x, y} maps to the plane across
+ *   the axis (axis 'y': x → X, y → Z; axis 'z': x → X, y → Y; axis 'x': x → Z, y → Y)
+ * Imported meshes (type 'mesh') have no defaults: primitive = { positions, source } holds
+ * the triangle soup (xyz triplets, meters, centred) and the original file name.
+ */
+const PRIMITIVE_DEFAULTS = {
+    cylinder: { axis: 'y', segments: 32 },
+    sphere: { segments: 32 },
+    extrusion: {
+        axis: 'y',
+        profile: [{ x: -0.5, y: -0.5 }, { x: 0.5, y: -0.5 }, { x: 0.5, y: 0.5 }, { x: -0.5, y: 0.5 }]
+    }
 };
 
 /**
@@ -45,30 +69,42 @@ const MAX_NESTING_DEPTH = 2;
  * Add new entries when the format changes to ensure old saved files load correctly.
  */
 const FORMAT_MIGRATIONS = {
-    // Example for future use:
-    // '1.0.0': {
-    //     to: '1.1.0',
-    //     migrate: (data) => {
-    //         // Add new required property with default
-    //         if (data.isContainer && !data.containerMode) {
-    //             if (data.autoLayout?.enabled) data.containerMode = 'layout';
-    //             else if (data.isHug) data.containerMode = 'hug';
-    //             else data.containerMode = 'manual';
-    //         }
-    //         data.formatVersion = '1.1.0';
-    //         return data;
-    //     }
-    // }
+    // 1.1.0: containerMode is the single source of truth for container behaviour.
+    // Older containers only carried isHug / layoutMode / autoLayout.enabled - derive
+    // the mode from them (same precedence the loader used) and resync isHug.
+    '1.0.0': {
+        to: '1.1.0',
+        migrate: (data) => {
+            const migrated = { ...data, formatVersion: '1.1.0' };
+            const validModes = Object.values(CONTAINER_MODES);
+
+            if (migrated.isContainer && !validModes.includes(migrated.containerMode)) {
+                if (migrated.autoLayout?.enabled) migrated.containerMode = CONTAINER_MODES.LAYOUT;
+                else if (migrated.isHug) migrated.containerMode = CONTAINER_MODES.HUG;
+                else if (migrated.layoutMode) migrated.containerMode = CONTAINER_MODES.LAYOUT;
+                else migrated.containerMode = CONTAINER_MODES.HUG;
+
+                migrated.isHug = migrated.containerMode === CONTAINER_MODES.HUG;
+            }
+
+            return migrated;
+        }
+    }
 };
 
 /**
  * Apply format migrations to upgrade old data to the current version.
  * Walks the migration chain until data reaches OBJECT_DATA_FORMAT_VERSION.
+ * Migrations return new objects - the input is never mutated.
  * @param {Object} data - Object data (may have old formatVersion)
  * @returns {Object} Migrated data at current version
  */
 function migrateObjectData(data) {
-    let current = data.formatVersion || '1.0.0';
+    // Unversioned data comes from the live scene and is already current -
+    // saved files get their objects stamped with a version by SceneMigrations
+    if (!data.formatVersion) return data;
+
+    let current = data.formatVersion;
     let iterations = 0;
     const MAX_ITERATIONS = 20; // Safety valve
 
@@ -106,7 +142,9 @@ const STANDARD_OBJECT_DATA_SCHEMA = {
     material: {
         color: 'string', // Hex string
         opacity: 'number',
-        transparent: 'boolean'
+        transparent: 'boolean',
+        materialId: 'string|null|undefined', // Scene material library entry (MaterialLibraryManager)
+        grain: 'string|null|undefined' // Grain axis 'x' | 'y' | 'z', null = longest side
     },
 
     // Container properties
@@ -121,10 +159,14 @@ const STANDARD_OBJECT_DATA_SCHEMA = {
         padding: 'object',
         alignment: 'object|undefined', // Alignment: { x: 'left'|'center'|'right', y: 'bottom'|'center'|'top', z: 'back'|'center'|'front' }
         reversed: 'boolean|undefined', // Reverse layout direction
-        tileMode: 'object|undefined' // Tile mode: { enabled: boolean, repeat: number, sourceObjectId: string }
+        tileMode: 'object|undefined', // Tile mode: { enabled: boolean, repeat: number, sourceObjectId: string }
+        flow: 'object|undefined', // Flow (direction 'flow'): { axis: 'x'|'y'|'z', wrapAxis: 'x'|'y'|'z', crossGap: number }
+        grid: 'object|undefined', // Track grid (direction 'grid'): { columns: Track[], rows: Track[], columnAxis, rowAxis, columnGap, rowGap }
+        radial: 'object|undefined', // Radial (direction 'radial'): { radius, startAngle, sweep, axis, faceCenter, distribute }
+        path: 'object|undefined' // Path (direction 'path'): { type: 'polyline'|'arc', points, closed, radius, startAngle, sweep, axis, alignToPath, distribute }
     },
     calculatedGap: 'number|undefined', // Dynamic gap value in space-between mode
-    layoutProperties: 'object|undefined', // Layout properties for children (sizeX, sizeY, sizeZ: 'fixed'|'fill')
+    layoutProperties: 'object|undefined', // Layout properties for children (sizeX, sizeY, sizeZ: 'fixed'|'fill'; gridColumn, gridRow, gridColumnSpan, gridRowSpan)
 
     // State flags
     selected: 'boolean',
@@ -572,7 +614,11 @@ function createDefaultAutoLayout() {
         padding: { width: 0, height: 0, depth: 0 },
         alignment: { x: 'center', y: 'center', z: 'center' },
         reversed: false,
-        tileMode: undefined
+        tileMode: undefined,
+        flow: undefined,
+        grid: undefined,
+        radial: undefined,
+        path: undefined
     };
 }
 
@@ -615,6 +661,20 @@ function createEmptyObjectData(id = null) {
     };
 }
 
+/**
+ * Deep copy primitive build parameters (profile points included)
+ * Imported mesh positions are never edited in place, so the array is shared
+ * @param {Object|null} primitive - objectData.primitive
+ * @returns {Object|null} Copy safe to mutate
+ */
+function clonePrimitive(primitive) {
+    if (!primitive) return null;
+    return {
+        ...primitive,
+        ...(primitive.profile ? { profile: primitive.profile.map(point => ({ ...point })) } : {})
+    };
+}
+
 /**
  * Create complete object metadata using schema defaults
  * SINGLE SOURCE OF TRUTH for object creation
@@ -653,6 +713,8 @@ function createObjectMetadata(options = {}) {
             opacity: 1,
             transparent: false
         },
+        // Primitive build parameters (cylinder/sphere/extrusion only)
+        primitive: options.primitive || (PRIMITIVE_DEFAULTS[type] ? clonePrimitive(PRIMITIVE_DEFAULTS[type]) : null),
 
         // Container properties - ALWAYS use schema defaults
         isContainer: options.isContainer || false,
@@ -688,7 +750,8 @@ function createObjectMetadata(options = {}) {
         userData: options.userData || {},
 
         // Additional options pass-through
-        originalBounds: options.originalBounds || undefined
+        originalBounds: options.originalBounds || undefined,
+        yardItemId: options.yardItemId || undefined
     };
 }
 
@@ -703,6 +766,7 @@ window.ObjectDataFormat = {
     createObjectMetadata,
     createEmptyObjectData,
     createDefaultAutoLayout,
+    clonePrimitive,
 
     // Migration
     migrateObjectData,
@@ -712,6 +776,7 @@ window.ObjectDataFormat = {
     VERSION: OBJECT_DATA_FORMAT_VERSION,
     FORMAT_MIGRATIONS,
     OBJECT_TYPES,
+    PRIMITIVE_DEFAULTS,
     CONTAINER_MODES,
     MAX_NESTING_DEPTH
 };
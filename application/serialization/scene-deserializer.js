@@ -18,11 +18,6 @@ class SceneDeserializer {
         this.materialManager = null;
         this.objectStateManager = null;
 
-        // Version handlers for migration
-        this.versionHandlers = {
-            '1.0.0': this.deserializeV1_0_0.bind(this)
-        };
-
         // Statistics for debugging
         this.stats = {
             deserializations: 0,
@@ -101,6 +96,9 @@ class SceneDeserializer {
             // Restore camera state
             this.restoreCameraState(migratedData.camera);
 
+            // Restore saved viewpoints (recalled later from the Views panel)
+            window.modlerComponents?.viewpointManager?.deserialize(migratedData.viewpoints || []);
+
             // NOTE: Don't restore configuration - visual settings are app-wide, not per-file
             // Configuration (colors, opacity, etc.) persists separately in ConfigurationManager
             // this.restoreConfiguration(migratedData.configuration);
@@ -108,6 +106,9 @@ class SceneDeserializer {
             // Repair any broken references
             this.repairBrokenReferences();
 
+            // Restore undo history once every object it references exists again
+            window.modlerComponents?.historyManager?.deserializeHistory(migratedData.history || null);
+
             // Trigger UI refresh
             this.refreshUI();
 
@@ -175,23 +176,22 @@ class SceneDeserializer {
 
     /**
      * Migrate old file versions to current format
+     * Runs the envelope and per-object migration chains (see SceneMigrations)
      * @param {Object} sceneData - Original scene data
-     * @returns {Object} Migrated scene data
+     * @returns {Object} Migrated copy of the scene data
+     * @throws {Error} When the file version has no migration path
      */
     migrateVersion(sceneData) {
-        const version = sceneData.version;
-
-        // If already current version, no migration needed
-        if (version === '1.0.0') {
-            return sceneData;
+        const sceneMigrations = window.SceneMigrations;
+        if (!sceneMigrations) {
+            throw new Error('SceneMigrations not available');
         }
 
-        console.warn(`SceneDeserializer: Migrating from version ${version} to 1.0.0`);
-
-        // Future: Add version migration logic here
-        // For now, we only support 1.0.0
+        if (sceneData.version !== sceneMigrations.VERSION) {
+            console.warn(`SceneDeserializer: Migrating from version ${sceneData.version} to ${sceneMigrations.VERSION}`);
+        }
 
-        return sceneData;
+        return sceneMigrations.migrateSceneData(sceneData);
     }
 
     /**
@@ -228,6 +228,15 @@ class SceneDeserializer {
         this.sceneController.nextContainerNumber = 1;
         this.sceneController.rootChildrenOrder = [];
 
+        // Scene parameters, constraints, viewpoints, selection sets, materials and undo history belong to the document
+        window.modlerComponents?.sceneParameterManager?.clear();
+        window.modlerComponents?.constraintManager?.clear();
+        window.modlerComponents?.viewpointManager?.clear();
+        window.modlerComponents?.selectionSetManager?.clear();
+        window.modlerComponents?.materialLibraryManager?.clear();
+        window.modlerComponents?.componentManager?.clear();
+        window.modlerComponents?.historyManager?.clear();
+
         // Clear ObjectStateManager if available
         if (this.objectStateManager && this.objectStateManager.objects) {
             this.objectStateManager.objects.clear();
@@ -256,6 +265,12 @@ class SceneDeserializer {
             this.sceneController.nextContainerNumber = sceneContent.nextContainerNumber;
         }
 
+        // Restore scene parameters before formulas that reference them are rebuilt
+        window.modlerComponents?.sceneParameterManager?.deserialize(sceneContent.parameters || []);
+
+        // Restore the material library before objects build their materials from it
+        window.modlerComponents?.materialLibraryManager?.deserialize(sceneContent.materials || []);
+
         // Build dependency graph (parents before children)
         const objects = sceneContent.objects;
         const objectMap = new Map(objects.map(obj => [obj.id, obj]));
@@ -293,6 +308,18 @@ class SceneDeserializer {
         if (sceneContent.rootChildrenOrder) {
             this.sceneController.rootChildrenOrder = [...sceneContent.rootChildrenOrder];
         }
+
+        // Re-register and evaluate parametric formulas now that hierarchy and layouts are final
+        window.modlerComponents?.formulaManager?.rebuildGraph();
+
+        // Relink component instances to their masters
+        window.modlerComponents?.componentManager?.rebuildRelationships();
+
+        // Restore cross-object constraints last so they solve against final positions
+        window.modlerComponents?.constraintManager?.deserialize(sceneContent.constraints || []);
+
+        // Restore selection sets once their members exist (panel counts come from the scene)
+        window.modlerComponents?.selectionSetManager?.deserialize(sceneContent.selectionSets || []);
     }
 
     /**
@@ -390,6 +417,8 @@ class SceneDeserializer {
                         objData.dimensions.y,
                         objData.dimensions.z
                     );
+            } else if (['cylinder', 'sphere', 'extrusion', 'mesh'].includes(objData.type) && this.geometryFactory) {
+                geometry = this.geometryFactory.createObjectGeometry(objData.type, objData.dimensions, objData.primitive);
             } else if (objData.type === 'box') {
                 geometry = this.geometryFactory
                     ? this.geometryFactory.createBoxGeometry(
@@ -422,6 +451,9 @@ class SceneDeserializer {
                         depthWrite: false,
                         wireframe: false
                     });
+            } else if (window.modlerComponents?.materialLibraryManager) {
+                // Regular objects: library material or flat colour
+                material = window.modlerComponents.materialLibraryManager.createObjectMaterial(objData.material || {}, geometry);
             } else {
                 // Regular objects use standard material
                 material = this.materialManager
@@ -447,6 +479,8 @@ class SceneDeserializer {
             const createdObject = this.sceneController.addObject(geometry, material, {
                 name: objData.name,
                 type: objData.type || 'box',
+                primitive: objData.primitive || null,
+                yardItemId: objData.yardItemId || undefined,
                 id: objData.id,
                 isContainer: objData.isContainer || false,
                 selectable: !(objData.isContainer || false), // CRITICAL: Containers not directly selectable (matches creation)
@@ -464,14 +498,10 @@ class SceneDeserializer {
                 },
                 // Pass autoLayout in options so it's stored in objectData
                 autoLayout: objData.autoLayout,
-                // Migrate to containerMode: use saved value, or derive from old flags
-                containerMode: objData.containerMode || (
-                    objData.autoLayout?.enabled ? 'layout' :
-                    objData.isHug ? 'hug' :
-                    (objData.layoutMode ? 'layout' : 'hug')
-                ),
+                // containerMode is set on every container by the format migrations
+                containerMode: objData.containerMode || 'hug',
                 // LEGACY: kept for backward compat
-                isHug: objData.autoLayout?.enabled ? false : (objData.isHug || false),
+                isHug: objData.isHug || false,
                 layoutMode: objData.layoutMode,
                 childrenOrder: objData.childrenOrder,
                 layoutProperties: objData.layoutProperties
@@ -494,6 +524,24 @@ class SceneDeserializer {
                     createdObject.layoutProperties = objData.layoutProperties;
                 }
 
+                // Restore parametric formulas (graph is rebuilt once all objects exist)
+                if (objData.parametric?.formulas) {
+                    createdObject.parametricProperties = {
+                        formulas: { ...objData.parametric.formulas },
+                        formulaUnits: { ...(objData.parametric.units || {}) }
+                    };
+                }
+
+                // Restore component links (registry is rebuilt once all objects exist)
+                if (objData.master?.isMaster) {
+                    createdObject.isMaster = true;
+                    createdObject.componentType = objData.master.componentType || 'custom';
+                } else if (objData.instance?.masterId !== undefined && objData.instance?.masterId !== null) {
+                    createdObject.masterId = objData.instance.masterId;
+                    createdObject.instanceType = objData.instance.instanceType || 'component';
+                    createdObject.instanceOverrides = [...(objData.instance.overrides || [])];
+                }
+
                 // VALIDATION: Verify geometry dimensions match saved dimensions
                 // Use DimensionManager for validation (single source of truth)
                 if (objData.dimensions && window.dimensionManager) {
@@ -553,6 +601,12 @@ class SceneDeserializer {
         if (this.cameraController.updateSphericalFromCamera) {
             this.cameraController.updateSphericalFromCamera();
         }
+
+        // Restore projection (files saved before orthographic views are perspective);
+        // the switch carries the restored position over to the other camera
+        if (this.cameraController.setProjection) {
+            this.cameraController.setProjection(cameraData.projection || 'perspective');
+        }
     }
 
     /**
@@ -652,16 +706,6 @@ class SceneDeserializer {
         }
     }
 
-    /**
-     * Deserialize version 1.0.0 format (current version handler)
-     * @param {Object} sceneData - Scene data
-     * @returns {Object} Deserialized data
-     */
-    deserializeV1_0_0(sceneData) {
-        // No migration needed, current version
-        return sceneData;
-    }
-
     /**
      * Get deserialization statistics
      * @returns {Object} Statistics object
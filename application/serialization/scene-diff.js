@@ -0,0 +1,171 @@
+/**
+ * SceneDiff - Structural Diff Between Two Saved Scenes
+ *
+ * Compares the `scene` section of two SceneSerializer outputs (e.g. two file
+ * versions) object by object, matched by ID.
+ *
+ * Result:
+ * - added:   objects only in the newer scene
+ * - removed: objects only in the older scene
+ * - changed: objects in both, with every differing property as a dot path
+ * - scene:   differing scene-level entries (parameters, constraints, selection sets, materials, root order)
+ *
+ * Used by FileManager.diffVersions() for the file browser's version compare view.
+ */
+
+class SceneDiff {
+    /**
+     * Properties that change on every save without being an edit
+     */
+    static get IGNORED_PROPERTIES() {
+        return ['lastModified', 'selected', 'formatVersion'];
+    }
+
+    /**
+     * Scene-level entries compared as a whole
+     */
+    static get SCENE_PROPERTIES() {
+        return ['parameters', 'constraints', 'selectionSets', 'materials', 'rootChildrenOrder'];
+    }
+
+    /**
+     * Numbers closer than this are treated as equal (float noise from transforms)
+     */
+    static get EPSILON() {
+        return 1e-6;
+    }
+
+    /**
+     * Diff two saved scenes
+     * @param {Object} before - Older scene data (SceneSerializer output)
+     * @param {Object} after - Newer scene data (SceneSerializer output)
+     * @returns {Object} { added, removed, changed, scene, summary }
+     */
+    static diff(before, after) {
+        const beforeObjects = this.indexObjects(before);
+        const afterObjects = this.indexObjects(after);
+
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        afterObjects.forEach((object, id) => {
+            if (!beforeObjects.has(id)) {
+                added.push(this.describeObject(object));
+            }
+        });
+
+        beforeObjects.forEach((object, id) => {
+            const afterObject = afterObjects.get(id);
+            if (!afterObject) {
+                removed.push(this.describeObject(object));
+                return;
+            }
+
+            const changes = this.diffValues(object, afterObject, '', this.IGNORED_PROPERTIES);
+            if (changes.length > 0) {
+                changed.push({ ...this.describeObject(afterObject), changes });
+            }
+        });
+
+        const beforeScene = before?.scene || {};
+        const afterScene = after?.scene || {};
+        const scene = this.SCENE_PROPERTIES
+            .filter(key => !this.isEqual(beforeScene[key] ?? null, afterScene[key] ?? null))
+            .map(key => ({ path: key, before: beforeScene[key] ?? null, after: afterScene[key] ?? null }));
+
+        return {
+            added,
+            removed,
+            changed,
+            scene,
+            summary: {
+                added: added.length,
+                removed: removed.length,
+                changed: changed.length,
+                unchanged: afterObjects.size - added.length - changed.length
+            }
+        };
+    }
+
+    /**
+     * Map of object ID → serialized object
+     * @private
+     */
+    static indexObjects(sceneData) {
+        const objects = new Map();
+        (sceneData?.scene?.objects || []).forEach(object => {
+            if (object?.id !== undefined && object.id !== null) {
+                objects.set(String(object.id), object);
+            }
+        });
+        return objects;
+    }
+
+    /**
+     * Short object description for the diff lists
+     * @private
+     */
+    static describeObject(object) {
+        return {
+            id: String(object.id),
+            name: object.name || String(object.id),
+            type: object.type || null
+        };
+    }
+
+    /**
+     * Recursively collect differing leaf values as { path, before, after }
+     * Arrays are compared as a whole
+     * @param {*} before
+     * @param {*} after
+     * @param {string} path - Dot path of the current value
+     * @param {Array<string>} ignored - Top-level keys to skip
+     * @returns {Array<Object>} Changes
+     */
+    static diffValues(before, after, path = '', ignored = []) {
+        if (this.isPlainObject(before) && this.isPlainObject(after)) {
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            const changes = [];
+
+            keys.forEach(key => {
+                if (ignored.includes(key)) return;
+                const childPath = path ? `${path}.${key}` : key;
+                changes.push(...this.diffValues(before[key], after[key], childPath));
+            });
+
+            return changes;
+        }
+
+        return this.isEqual(before, after)
+            ? []
+            : [{ path, before: before ?? null, after: after ?? null }];
+    }
+
+    /**
+     * Deep equality with float tolerance; undefined and null are equal
+     */
+    static isEqual(a, b) {
+        if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.abs(a - b) < this.EPSILON;
+        }
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, index) => this.isEqual(item, b[index]));
+        }
+        if (this.isPlainObject(a) && this.isPlainObject(b)) {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            return Array.from(keys).every(key => this.isEqual(a[key], b[key]));
+        }
+        return a === b;
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Make globally available
+if (typeof window !== 'undefined') {
+    window.SceneDiff = SceneDiff;
+}
@@ -0,0 +1,153 @@
+/**
+ * SceneMigrations - Versioned Upgrade Chain for Saved Scene Files
+ *
+ * Two independent version numbers live in a saved file:
+ * - sceneData.version: the file envelope (metadata, scene, camera, history...)
+ * - object.formatVersion: each object's data (see ObjectDataFormat.FORMAT_MIGRATIONS)
+ *
+ * migrateSceneData() walks the envelope chain to SCENE_FORMAT_VERSION, then runs
+ * every object through ObjectDataFormat.migrateObjectData(). The input is never
+ * mutated. Files with a version that has no migration path (e.g. saved by a newer
+ * build) are rejected instead of half-loaded.
+ *
+ * Adding a format change:
+ * 1. Bump SCENE_FORMAT_VERSION (envelope) and/or OBJECT_DATA_FORMAT_VERSION (objects)
+ * 2. Register a migration from the previous version
+ * 3. Add a fixture saved in the old format to tests/serialization/fixtures/
+ *
+ * Used by SceneDeserializer.migrateVersion() and SceneSerializer.
+ */
+
+/**
+ * Current scene envelope version written by SceneSerializer
+ */
+const SCENE_FORMAT_VERSION = '1.4.0';
+
+/**
+ * Application version recorded in file metadata.
+ * Keep in sync with package.json (enforced by tests/serialization/scene-migration.test.js).
+ */
+const APP_VERSION = '2.0.0';
+
+/**
+ * Envelope migration registry — each entry upgrades a whole file one version.
+ * Migrations receive a deep copy and may modify it in place.
+ */
+const SCENE_MIGRATIONS = {
+    // 1.1.0: objects carry their own formatVersion, and scene sections added after
+    // 1.0.0 (parameters, constraints, root order, history) are always present.
+    '1.0.0': {
+        to: '1.1.0',
+        migrate: (sceneData) => {
+            const scene = sceneData.scene;
+
+            // Objects saved before per-object versioning are format 1.0.0
+            scene.objects = scene.objects.map(object => (
+                object.formatVersion ? object : { ...object, formatVersion: '1.0.0' }
+            ));
+            scene.parameters = scene.parameters || [];
+            scene.constraints = scene.constraints || [];
+            scene.rootChildrenOrder = scene.rootChildrenOrder || [];
+            sceneData.history = sceneData.history || null;
+
+            sceneData.version = '1.1.0';
+            return sceneData;
+        }
+    },
+
+    // 1.2.0: saved camera viewpoints (named views) next to the single camera pose
+    '1.1.0': {
+        to: '1.2.0',
+        migrate: (sceneData) => {
+            sceneData.viewpoints = sceneData.viewpoints || [];
+
+            sceneData.version = '1.2.0';
+            return sceneData;
+        }
+    },
+
+    // 1.3.0: named selection sets in the scene section
+    '1.2.0': {
+        to: '1.3.0',
+        migrate: (sceneData) => {
+            sceneData.scene.selectionSets = sceneData.scene.selectionSets || [];
+
+            sceneData.version = '1.3.0';
+            return sceneData;
+        }
+    },
+
+    // 1.4.0: scene material library (objects reference entries by material.materialId)
+    '1.3.0': {
+        to: '1.4.0',
+        migrate: (sceneData) => {
+            sceneData.scene.materials = sceneData.scene.materials || [];
+
+            sceneData.version = '1.4.0';
+            return sceneData;
+        }
+    }
+};
+
+/**
+ * Upgrade saved scene data to the current envelope and object formats
+ * @param {Object} sceneData - Parsed scene file (SceneSerializer output, any version)
+ * @returns {Object} Migrated copy at SCENE_FORMAT_VERSION
+ * @throws {Error} When the version has no migration path
+ */
+function migrateSceneData(sceneData) {
+    let migrated = JSON.parse(JSON.stringify(sceneData));
+    let iterations = 0;
+    const MAX_ITERATIONS = 20; // Safety valve
+
+    while (migrated.version !== SCENE_FORMAT_VERSION) {
+        const migration = SCENE_MIGRATIONS[migrated.version];
+        if (!migration || iterations >= MAX_ITERATIONS) {
+            throw new Error(`Unsupported scene format version: ${sceneData.version}`);
+        }
+        migrated = migration.migrate(migrated);
+        iterations++;
+    }
+
+    const objectFormat = window.ObjectDataFormat;
+    if (objectFormat) {
+        migrated.scene.objects = migrated.scene.objects.map(object => {
+            if (object.formatVersion && object.formatVersion !== objectFormat.VERSION &&
+                !objectFormat.FORMAT_MIGRATIONS[object.formatVersion]) {
+                throw new Error(`Unsupported object format version: ${object.formatVersion} (${object.id})`);
+            }
+            return objectFormat.migrateObjectData(object);
+        });
+    }
+
+    return migrated;
+}
+
+/**
+ * Whether a file at this version can be loaded
+ * @param {string} version - sceneData.version
+ * @returns {boolean}
+ */
+function canMigrate(version) {
+    let current = version;
+    let iterations = 0;
+    while (current !== SCENE_FORMAT_VERSION) {
+        if (!SCENE_MIGRATIONS[current] || iterations++ >= 20) return false;
+        current = SCENE_MIGRATIONS[current].to;
+    }
+    return true;
+}
+
+// Export
+window.SceneMigrations = {
+    VERSION: SCENE_FORMAT_VERSION,
+    APP_VERSION,
+    SCENE_MIGRATIONS,
+    migrateSceneData,
+    canMigrate
+};
+
+// Also support CommonJS for tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.SceneMigrations;
+}
@@ -2,7 +2,7 @@
  * SceneSerializer - Complete Scene Export System
  *
  * Exports entire application state to versioned JSON format for file storage.
- * Captures objects, hierarchy, camera, configuration, and metadata.
+ * Captures objects, hierarchy, camera, configuration, undo history, and metadata.
  *
  * Used by FileManager for save operations and auto-save.
  */
@@ -15,8 +15,8 @@ class SceneSerializer {
         this.configurationManager = null;
         this.objectSerializer = null;
 
-        // Current file format version (semantic versioning)
-        this.CURRENT_VERSION = '1.0.0';
+        // Current file format version (semantic versioning, see SceneMigrations)
+        this.CURRENT_VERSION = window.SceneMigrations?.VERSION || '1.4.0';
 
         // Statistics for debugging
         this.stats = {
@@ -76,9 +76,15 @@ class SceneSerializer {
                 // Camera state
                 camera: this.serializeCameraState(),
 
+                // Saved camera viewpoints (named views)
+                viewpoints: window.modlerComponents?.viewpointManager?.serialize() || [],
+
                 // Visual configuration
                 configuration: this.serializeConfiguration(),
 
+                // Undo/redo history and checkpoints (rebuilt via CommandFactory on load)
+                history: window.modlerComponents?.historyManager?.serializeHistory() || null,
+
                 // Marketplace metadata (for future cloud storage)
                 marketplace: this.serializeMarketplaceData()
             };
@@ -143,12 +149,19 @@ class SceneSerializer {
             };
         }
 
+        // Stamp each object with its data format so per-object migrations can run on load
+        const formatVersion = window.ObjectDataFormat?.VERSION;
         const serializedObjects = sceneObjects
             .map(obj => window.DataExtractor.extractSerializableData(obj))
-            .filter(Boolean); // Remove any null entries
+            .filter(Boolean) // Remove any null entries
+            .map(data => (formatVersion ? { ...data, formatVersion } : data));
 
         return {
             objects: serializedObjects,
+            parameters: window.modlerComponents?.sceneParameterManager?.serialize() || [],
+            constraints: window.modlerComponents?.constraintManager?.serialize() || [],
+            selectionSets: window.modlerComponents?.selectionSetManager?.serialize() || [],
+            materials: window.modlerComponents?.materialLibraryManager?.serialize() || [],
             rootChildrenOrder: this.sceneController.rootChildrenOrder || [],
             nextId: this.sceneController.nextId,
             nextBoxNumber: this.sceneController.nextBoxNumber,
@@ -158,7 +171,7 @@ class SceneSerializer {
 
     /**
      * Serialize camera state
-     * @returns {Object} Camera position, rotation, and orbit target
+     * @returns {Object} Camera position, rotation, orbit target and projection
      */
     serializeCameraState() {
         if (!this.cameraController || !this.cameraController.camera) {
@@ -166,7 +179,8 @@ class SceneSerializer {
             return {
                 position: { x: 5, y: 5, z: 5 },
                 rotation: { x: 0, y: 0, z: 0 },
-                orbitTarget: { x: 0, y: 0, z: 0 }
+                orbitTarget: { x: 0, y: 0, z: 0 },
+                projection: 'perspective'
             };
         }
 
@@ -188,7 +202,8 @@ class SceneSerializer {
                 x: this.roundToPrecision(orbitTarget.x, 3),
                 y: this.roundToPrecision(orbitTarget.y, 3),
                 z: this.roundToPrecision(orbitTarget.z, 3)
-            } : { x: 0, y: 0, z: 0 }
+            } : { x: 0, y: 0, z: 0 },
+            projection: this.cameraController.projection || 'perspective'
         };
     }
 
@@ -223,8 +238,8 @@ class SceneSerializer {
      * @returns {string} App version string
      */
     getAppVersion() {
-        // Try to get from package.json or hardcoded version
-        return '2.1.0'; // Update this when app version changes
+        // Informational only - loading keys off sceneData.version, not the app version
+        return window.SceneMigrations?.APP_VERSION || 'unknown';
     }
 
     /**
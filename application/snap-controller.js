@@ -656,7 +656,8 @@ class SnapController {
         if (!object.geometry) return [];
 
         // Check if this is a box-like geometry (most CAD objects)
-        if (this.isBoxLikeGeometry(object.geometry)) {
+        // Imported meshes snap to their bounding box: their triangle soup is too dense to edge-scan
+        if (this.isBoxLikeGeometry(object.geometry) || object.geometry.userData?.primitiveType === 'mesh') {
             // Use logical bounding box edges for clean snapping
             return this.getBoundingBoxEdges(object, travelAxis);
         }
@@ -6,13 +6,17 @@
  *
  * Database: ModlerV2_Files
  * Store: scenes (fileId -> scene data)
+ * Store: versions (versionId -> version metadata: fileId, timestamp, thumbnail, size, ...)
+ * Store: versionData (versionId -> scene snapshot), read only when a version is opened
  */
 
 class IndexedDBWrapper {
     constructor() {
         this.dbName = 'ModlerV2_Files';
         this.storeName = 'scenes';
-        this.version = 1;
+        this.versionStoreName = 'versions';
+        this.versionDataStoreName = 'versionData';
+        this.version = 3;
         this.db = null;
 
         // Statistics
@@ -62,10 +66,51 @@ class IndexedDBWrapper {
                     objectStore.createIndex('modified', 'metadata.modified', { unique: false });
                     objectStore.createIndex('created', 'metadata.created', { unique: false });
                 }
+
+                // v2: Per-file version history
+                if (!db.objectStoreNames.contains(this.versionStoreName)) {
+                    const versionStore = db.createObjectStore(this.versionStoreName, {
+                        keyPath: 'id',
+                        autoIncrement: false
+                    });
+
+                    versionStore.createIndex('fileId', 'fileId', { unique: false });
+                    versionStore.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+
+                // v3: Version snapshots move out of the metadata records
+                if (!db.objectStoreNames.contains(this.versionDataStoreName)) {
+                    const dataStore = db.createObjectStore(this.versionDataStoreName, {
+                        keyPath: 'id',
+                        autoIncrement: false
+                    });
+
+                    if (event.oldVersion >= 2) {
+                        this.migrateVersionData(event.target.transaction.objectStore(this.versionStoreName), dataStore);
+                    }
+                }
             };
         });
     }
 
+    /**
+     * Split v2 version records (metadata + snapshot) into the two version stores
+     * @private
+     */
+    migrateVersionData(versionStore, dataStore) {
+        versionStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const { data, ...metadata } = cursor.value;
+            if (data) {
+                dataStore.put({ id: metadata.id, data });
+                cursor.update({ ...metadata, size: JSON.stringify(data).length });
+            }
+            cursor.continue();
+        };
+    }
+
     /**
      * Store a file in the database
      * @param {string} id - File ID (unique identifier)
@@ -224,24 +269,24 @@ class IndexedDBWrapper {
     }
 
     /**
-     * Clear all files from the database (use with caution!)
+     * Clear all files and their versions from the database (use with caution!)
      * @returns {Promise<void>}
      */
     async clear() {
         await this.initialize();
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readwrite');
-            const objectStore = transaction.objectStore(this.storeName);
-            const request = objectStore.clear();
+            const transaction = this.db.transaction([this.storeName, this.versionStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).clear();
+            transaction.objectStore(this.versionStoreName).clear();
 
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 resolve();
             };
 
-            request.onerror = () => {
+            transaction.onerror = () => {
                 this.stats.errors++;
-                reject(new Error(`Failed to clear database: ${request.error}`));
+                reject(new Error(`Failed to clear database: ${transaction.error}`));
             };
         });
     }
@@ -269,6 +314,124 @@ class IndexedDBWrapper {
         });
     }
 
+    /**
+     * Store a file version
+     * @param {Object} version - Metadata { id, fileId, timestamp, ... }
+     * @param {Object} data - Scene snapshot
+     * @returns {Promise<string>} Version ID
+     */
+    async addVersion(version, data) {
+        await this.initialize();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.versionStoreName, this.versionDataStoreName], 'readwrite');
+            transaction.objectStore(this.versionStoreName).put(version);
+            transaction.objectStore(this.versionDataStoreName).put({ id: version.id, data });
+
+            transaction.oncomplete = () => {
+                this.stats.writes++;
+                resolve(version.id);
+            };
+
+            transaction.onerror = () => {
+                this.stats.errors++;
+                reject(new Error(`Failed to save version: ${transaction.error}`));
+            };
+        });
+    }
+
+    /**
+     * Retrieve a file version with its scene snapshot
+     * @param {string} id - Version ID
+     * @returns {Promise<Object|null>} Version ({ ...metadata, data }) or null if not found
+     */
+    async getVersion(id) {
+        await this.initialize();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.versionStoreName, this.versionDataStoreName], 'readonly');
+            const metadataRequest = transaction.objectStore(this.versionStoreName).get(id);
+            const dataRequest = transaction.objectStore(this.versionDataStoreName).get(id);
+
+            transaction.oncomplete = () => {
+                this.stats.reads++;
+                const metadata = metadataRequest.result;
+                resolve(metadata ? { ...metadata, data: dataRequest.result?.data || null } : null);
+            };
+
+            transaction.onerror = () => {
+                this.stats.errors++;
+                reject(new Error(`Failed to retrieve version: ${transaction.error}`));
+            };
+        });
+    }
+
+    /**
+     * Get the metadata of all versions of a file, newest first (no scene snapshots)
+     * @param {string} fileId - File ID
+     * @returns {Promise<Array>} Array of version metadata
+     */
+    async getVersions(fileId) {
+        await this.initialize();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.versionStoreName], 'readonly');
+            const objectStore = transaction.objectStore(this.versionStoreName);
+            const request = objectStore.index('fileId').getAll(fileId);
+
+            request.onsuccess = () => {
+                this.stats.reads++;
+                resolve((request.result || []).sort((a, b) => b.timestamp - a.timestamp));
+            };
+
+            request.onerror = () => {
+                this.stats.errors++;
+                reject(new Error(`Failed to retrieve versions: ${request.error}`));
+            };
+        });
+    }
+
+    /**
+     * Delete versions by ID
+     * @param {Array<string>} ids - Version IDs
+     * @returns {Promise<number>} Number of versions deleted
+     */
+    async deleteVersions(ids) {
+        await this.initialize();
+        if (!ids || ids.length === 0) return 0;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.versionStoreName, this.versionDataStoreName], 'readwrite');
+            const objectStore = transaction.objectStore(this.versionStoreName);
+            const dataStore = transaction.objectStore(this.versionDataStoreName);
+
+            ids.forEach(id => {
+                objectStore.delete(id);
+                dataStore.delete(id);
+            });
+
+            transaction.oncomplete = () => {
+                this.stats.deletes += ids.length;
+                resolve(ids.length);
+            };
+
+            transaction.onerror = () => {
+                this.stats.errors++;
+                reject(new Error(`Failed to delete versions: ${transaction.error}`));
+            };
+        });
+    }
+
+    /**
+     * Delete every version of a file
+     * @param {string} fileId - File ID
+     * @returns {Promise<number>} Number of versions deleted
+     */
+    async deleteFileVersions(fileId) {
+        const versions = await this.getVersions(fileId);
+        return this.deleteVersions(versions.map(version => version.id));
+    }
+
     /**
      * Get storage statistics
      * @returns {Object} Statistics object
@@ -266,10 +266,10 @@ class ToolController {
 
             if (canNestAIntoB && !canNestBIntoA) {
                 // Only A can go into B
-                return containerCrudManager.addContainerToContainer(containerA, containerB);
+                return this.executeNestContainerCommand(containerA, containerB);
             } else if (canNestBIntoA && !canNestAIntoB) {
                 // Only B can go into A
-                return containerCrudManager.addContainerToContainer(containerB, containerA);
+                return this.executeNestContainerCommand(containerB, containerA);
             } else if (canNestAIntoB && canNestBIntoA) {
                 // Both are possible - choose based on size or hierarchy
                 const depthA = sceneController.getContainerNestingDepth(containerA.id);
@@ -277,10 +277,10 @@ class ToolController {
 
                 if (depthA > depthB) {
                     // A is deeper, put A into B
-                    return containerCrudManager.addContainerToContainer(containerA, containerB);
+                    return this.executeNestContainerCommand(containerA, containerB);
                 } else {
                     // B is deeper or equal, put B into A
-                    return containerCrudManager.addContainerToContainer(containerB, containerA);
+                    return this.executeNestContainerCommand(containerB, containerA);
                 }
             } else {
                 console.error('❌ Cannot nest these containers - would create circular reference');
@@ -345,6 +345,29 @@ class ToolController {
         return success;
     }
 
+    /**
+     * Nest one container inside another as an undoable command
+     * @param {Object} childContainer - Container to move
+     * @param {Object} parentContainer - Container to move it into
+     * @returns {boolean} True if command was executed successfully
+     */
+    executeNestContainerCommand(childContainer, parentContainer) {
+        const historyManager = window.modlerComponents?.historyManager;
+
+        if (!historyManager) {
+            console.warn('ToolController: HistoryManager not available, nesting container without undo support');
+            const containerCrudManager = window.modlerComponents?.containerCrudManager;
+            return containerCrudManager?.addContainerToContainer(childContainer, parentContainer);
+        }
+
+        const success = historyManager.executeCommand(new ReparentObjectCommand(childContainer.id, parentContainer.id));
+        if (!success) {
+            console.error('❌ Failed to nest container');
+        }
+
+        return success;
+    }
+
     /**
      * Get tool capabilities - used by UI to show available actions
      */
@@ -2,16 +2,17 @@ import * as THREE from 'three';
 /**
  * Base Face Tool Behavior - Shared Face Detection and Hover Logic
  *
- * Provides common face-based interaction patterns shared between MoveTool and PushTool.
+ * Provides common face-based interaction patterns shared between MoveTool, PushTool and RotateTool.
  * Centralizes face detection, hover state management, and container interactive mesh handling
  * to eliminate code duplication and ensure consistent behavior.
  *
  * Face Highlight Rules (per-tool via this.rules):
- * | Rule                    | Move  | Push  | Default |
- * |-------------------------|-------|-------|---------|
- * | blockHugModeContainers  | false | false | false   |
- * | showDisabledState       | false | false | false   |
- * | allowLayoutChildren     | false | false | false   |
+ * | Rule                    | Move  | Push  | Rotate | Default |
+ * |-------------------------|-------|-------|--------|---------|
+ * | blockHugModeContainers  | false | false | false  | false   |
+ * | showDisabledState       | false | false | false  | false   |
+ * | allowLayoutChildren     | false | false | false  | false   |
+ * | pushableFacesOnly       | false | true  | false  | false   |
  *
  * Common rules (always applied):
  * - Only selected objects get face highlights
@@ -39,6 +40,7 @@ class BaseFaceToolBehavior {
             blockHugModeContainers: false,
             showDisabledState: false,
             allowLayoutChildren: false,
+            pushableFacesOnly: false,
             ...options.rules
         };
 
@@ -168,7 +170,9 @@ class BaseFaceToolBehavior {
             }
 
             // CONTAINER MODE CHECK: Use declarative rules to determine if action is blocked
-            const isDisabledAction = this.rules.blockHugModeContainers && this.isContainerInHugMode(targetObject);
+            // PRIMITIVE FACE CHECK: curved faces (cylinder sides, spheres) can't be pushed
+            const isDisabledAction = (this.rules.blockHugModeContainers && this.isContainerInHugMode(targetObject)) ||
+                (this.rules.pushableFacesOnly && !this.isPushableFace(targetObject, hitForFaceDetection));
 
             // Store the actual target object for interaction
             this.hoveredObject = targetObject;
@@ -250,7 +254,8 @@ class BaseFaceToolBehavior {
         const isSelectedObject = targetObject && this.selectionController.isSelected(targetObject);
         const hasHighlightedFace = this.hoveredObject === targetObject;
         // Only block for tools that declare blockHugModeContainers (e.g. push)
-        const isNotBlocked = !this.rules.blockHugModeContainers || !this.isContainerInHugMode(targetObject);
+        const isNotBlocked = (!this.rules.blockHugModeContainers || !this.isContainerInHugMode(targetObject)) &&
+            (!this.rules.pushableFacesOnly || this.isPushableFace(targetObject, hit));
 
         return isSelectedObject && hasHighlightedFace && isNotBlocked;
     }
@@ -350,6 +355,35 @@ class BaseFaceToolBehavior {
         return osm?.isHugMode(objectData.id) || false;
     }
 
+    /**
+     * Check if a hit face is a flat, axis-aligned boundary face that push can move
+     * Boxes and containers always qualify; primitives only on their pushable axes
+     * @param {THREE.Object3D} object - Target object
+     * @param {Object} hit - Raycast hit on the object
+     * @returns {boolean} True if the face can be pushed
+     */
+    isPushableFace(object, hit) {
+        if (!object || !hit?.face) return false;
+        if (object.userData?.isContainer) return true;
+
+        const type = object.userData?.type;
+        if (!['cylinder', 'sphere', 'extrusion', 'mesh'].includes(type)) return true;
+
+        const normal = hit.face.normal;
+        const axis = ['x', 'y', 'z'].find(a => Math.abs(normal[a]) > 0.999);
+        if (!axis) return false;
+
+        const pushableAxes = window.dimensionManager?.getPushableAxes(object) || ['x', 'y', 'z'];
+        if (!pushableAxes.includes(axis)) return false;
+
+        // Face must sit on the bounds (an inner notch of an extrusion can't be pushed on its own)
+        const geometry = object.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        const bound = normal[axis] > 0 ? geometry.boundingBox.max[axis] : geometry.boundingBox.min[axis];
+        const vertex = new THREE.Vector3().fromBufferAttribute(geometry.getAttribute('position'), hit.face.a);
+        return Math.abs(vertex[axis] - bound) < 0.0001;
+    }
+
     /**
      * Get world-space face normal, handling all container architectures
      * @param {Object} hit - Raycast hit result with face and object
@@ -162,21 +162,16 @@ class BoxCreationTool extends BaseTool {
         // Store the object ID before we clear it
         const createdObjectId = this.creationObject.userData.id;
 
-        // Calculate dimensions
-        const width = Math.abs(this.currentPosition.x - this.startPosition.x);
-        const depth = Math.abs(this.currentPosition.z - this.startPosition.z);
-        const height = this.currentHeight;
-
-        // Calculate center position
-        const centerX = (this.startPosition.x + this.currentPosition.x) / 2;
-        const centerZ = (this.startPosition.z + this.currentPosition.z) / 2;
+        // Calculate dimensions and center position
+        const { width, depth, centerX, centerZ } = this.getFootprint();
+        const height = this.getShapeHeight();
         const centerY = height / 2;
 
         // Update the existing creation object to be the final box
         // Replace geometry with final dimensions
-        const newGeometry = this.geometryFactory.createBoxGeometry(width, height, depth);
+        const newGeometry = this.createShapeGeometry(width, height, depth);
         if (this.creationObject.geometry) {
-            this.geometryFactory.returnGeometry(this.creationObject.geometry, 'box');
+            this.returnShapeGeometry(this.creationObject.geometry);
         }
         this.creationObject.geometry = newGeometry;
 
@@ -232,7 +227,7 @@ class BoxCreationTool extends BaseTool {
                             dimensions: dims,
                             position: objectData.position
                         },
-                        { immediate: true, source: 'BoxCreationTool.finalizeBox' }
+                        { immediate: true, source: `${this.constructor.name}.finalizeBox` }
                     );
                 }
             }
@@ -243,8 +238,9 @@ class BoxCreationTool extends BaseTool {
         if (historyManager && createdObjectId) {
             // Create a simple command that just tracks the object ID for deletion on undo
             const command = new CreateObjectCommand(newGeometry, this.creationObject.material, {
-                name: sceneController.getObject(createdObjectId)?.name || 'box',
-                type: 'cube',
+                name: sceneController.getObject(createdObjectId)?.name || this.getObjectNameBase(),
+                type: this.getObjectType(),
+                primitive: this.getPrimitive(),
                 position: this.creationObject.position.clone(),
                 selectable: true
             });
@@ -266,6 +262,7 @@ class BoxCreationTool extends BaseTool {
         this.startPosition = null;
         this.currentPosition = null;
         this.heightDragStartY = undefined;
+        this.resetShapeState();
         this.state = BoxCreationState.IDLE;
 
         // Switch to select tool after box creation
@@ -299,9 +296,8 @@ class BoxCreationTool extends BaseTool {
             return;
         }
 
-        const width = Math.abs(this.currentPosition.x - this.startPosition.x);
-        const depth = Math.abs(this.currentPosition.z - this.startPosition.z);
-        const height = this.currentHeight;
+        const { width, depth, centerX, centerZ } = this.getFootprint();
+        const height = this.getShapeHeight();
 
         // Prevent zero-size geometry
         const minSize = 0.01;
@@ -320,8 +316,7 @@ class BoxCreationTool extends BaseTool {
                 opacity: 0.8
             });
 
-            const boxGeometry = this.geometryFactory.createBoxGeometry(actualWidth, actualHeight, actualDepth);
-            const edgeGeometry = this.geometryFactory.createEdgeGeometryFromSource(boxGeometry);
+            const edgeGeometry = this.createPreviewEdgeGeometry(actualWidth, actualHeight, actualDepth);
 
             this.previewBox = this.resourcePool.getLineMesh(edgeGeometry, material);
 
@@ -329,22 +324,16 @@ class BoxCreationTool extends BaseTool {
             if (scene) {
                 scene.add(this.previewBox);
             }
-
-            this.geometryFactory.returnGeometry(boxGeometry, 'box');
         } else {
             // Update existing preview with new geometry
-            const boxGeometry = this.geometryFactory.createBoxGeometry(actualWidth, actualHeight, actualDepth);
-            const edgeGeometry = this.geometryFactory.createEdgeGeometryFromSource(boxGeometry);
+            const edgeGeometry = this.createPreviewEdgeGeometry(actualWidth, actualHeight, actualDepth);
 
             // Return old geometry and update
             this.geometryFactory.returnGeometry(this.previewBox.geometry, 'edge');
             this.previewBox.geometry = edgeGeometry;
-            this.geometryFactory.returnGeometry(boxGeometry, 'box');
         }
 
         // Position preview
-        const centerX = (this.startPosition.x + this.currentPosition.x) / 2;
-        const centerZ = (this.startPosition.z + this.currentPosition.z) / 2;
         const centerY = actualHeight / 2 + 0.001;
         this.previewBox.position.set(centerX, centerY, centerZ);
         this.previewBox.visible = true;
@@ -355,7 +344,7 @@ class BoxCreationTool extends BaseTool {
             // Show rectangle outline during corner setting
             if (this.startPosition && this.currentPosition &&
                 typeof this.startPosition.x === 'number' && typeof this.currentPosition.x === 'number') {
-                this.visualEffects.showRectanglePreview(this.startPosition, this.currentPosition);
+                this.visualEffects.showRectanglePreview(this.startPosition, this.getFootprint().corner);
 
                 // Update invisible box dimensions for property panel
                 this.updateInvisibleBoxDimensions();
@@ -443,9 +432,8 @@ class BoxCreationTool extends BaseTool {
         }
 
         // Recreate geometry properly to avoid wireframe distortion from scaling
-        const width = Math.abs(this.currentPosition.x - this.startPosition.x);
-        const depth = Math.abs(this.currentPosition.z - this.startPosition.z);
-        const height = this.currentHeight;
+        const { width, depth } = this.getFootprint();
+        const height = this.getShapeHeight();
 
         // Prevent zero-size geometry
         const minSize = 0.01;
@@ -459,11 +447,7 @@ class BoxCreationTool extends BaseTool {
         }
 
         // Create new face-edge geometry with correct dimensions
-        const boxGeometry = this.geometryFactory.createBoxGeometry(actualWidth, actualHeight, actualDepth);
-        this.previewBox.geometry = this.geometryFactory.createEdgeGeometryFromSource(boxGeometry);
-
-        // Return the temporary box geometry to pool
-        this.geometryFactory.returnGeometry(boxGeometry, 'box');
+        this.previewBox.geometry = this.createPreviewEdgeGeometry(actualWidth, actualHeight, actualDepth);
 
         // Update position to account for new height
         const centerY = actualHeight / 2 + 0.001;
@@ -527,6 +511,7 @@ class BoxCreationTool extends BaseTool {
         this.startPosition = null;
         this.currentPosition = null;
         this.heightDragStartY = undefined; // Reset height tracking
+        this.resetShapeState();
     }
 
     hasActiveHighlight() {
@@ -539,7 +524,7 @@ class BoxCreationTool extends BaseTool {
         if (!sceneController) return;
 
         // Create minimal geometry
-        const geometry = this.geometryFactory.createBoxGeometry(0.01, 0.01, 0.01);
+        const geometry = this.createShapeGeometry(0.01, 0.01, 0.01);
 
         // CRITICAL: Create a new material instance (not pooled) to avoid affecting other boxes
         // During creation, we need opacity 0, but other boxes need opacity 1
@@ -552,8 +537,9 @@ class BoxCreationTool extends BaseTool {
 
         // Add to scene controller with proper name from the start
         const boxData = sceneController.addObject(geometry, material, {
-            name: sceneController.generateObjectName('box'),
-            type: 'cube',
+            name: sceneController.generateObjectName(this.getObjectNameBase()),
+            type: this.getObjectType(),
+            primitive: this.getPrimitive(),
             position: this.startPosition.clone(),
             selectable: true,
             isTemporary: true  // Hide from object tree during creation
@@ -582,12 +568,11 @@ class BoxCreationTool extends BaseTool {
     updateInvisibleBoxDimensions() {
         if (!this.creationObject || !this.startPosition || !this.currentPosition) return;
 
-        const width = Math.abs(this.currentPosition.x - this.startPosition.x);
-        const depth = Math.abs(this.currentPosition.z - this.startPosition.z);
-        const height = this.currentHeight || 0.01;
+        const { width, depth, centerX, centerZ } = this.getFootprint();
+        const height = this.getShapeHeight() || 0.01;
 
         // Update the geometry
-        const newGeometry = this.geometryFactory.createBoxGeometry(
+        const newGeometry = this.createShapeGeometry(
             Math.max(width, 0.01),
             Math.max(height, 0.01),
             Math.max(depth, 0.01)
@@ -595,14 +580,12 @@ class BoxCreationTool extends BaseTool {
 
         // Return old geometry to pool
         if (this.creationObject.geometry) {
-            this.geometryFactory.returnGeometry(this.creationObject.geometry, 'box');
+            this.returnShapeGeometry(this.creationObject.geometry);
         }
 
         this.creationObject.geometry = newGeometry;
 
         // Update position
-        const centerX = (this.startPosition.x + this.currentPosition.x) / 2;
-        const centerZ = (this.startPosition.z + this.currentPosition.z) / 2;
         const centerY = height / 2;
         this.creationObject.position.set(centerX, centerY, centerZ);
 
@@ -633,14 +616,66 @@ class BoxCreationTool extends BaseTool {
                             dimensions: dims,
                             position: objectData.position
                         },
-                        { immediate: true, source: 'BoxCreationTool.updateInvisibleBoxDimensions' }
+                        { immediate: true, source: `${this.constructor.name}.updateInvisibleBoxDimensions` }
                     );
                 }
             }
         }
     }
 
+    // ===== SHAPE HOOKS =====
+    // Primitive creation tools override these; the click/height flow stays shared
+
+    getObjectType() {
+        return 'cube';
+    }
+
+    getObjectNameBase() {
+        return 'box';
+    }
+
+    getPrimitive() {
+        return null;
+    }
+
+    /**
+     * Ground footprint spanned by the two corners
+     * @returns {{width: number, depth: number, centerX: number, centerZ: number, corner: THREE.Vector3}}
+     */
+    getFootprint() {
+        return {
+            width: Math.abs(this.currentPosition.x - this.startPosition.x),
+            depth: Math.abs(this.currentPosition.z - this.startPosition.z),
+            centerX: (this.startPosition.x + this.currentPosition.x) / 2,
+            centerZ: (this.startPosition.z + this.currentPosition.z) / 2,
+            corner: this.currentPosition
+        };
+    }
+
+    getShapeHeight() {
+        return this.currentHeight;
+    }
+
+    createShapeGeometry(width, height, depth) {
+        return this.geometryFactory.createBoxGeometry(width, height, depth);
+    }
+
+    returnShapeGeometry(geometry) {
+        this.geometryFactory.returnGeometry(geometry, 'box');
+    }
+
+    createPreviewEdgeGeometry(width, height, depth) {
+        const geometry = this.createShapeGeometry(width, height, depth);
+        const edgeGeometry = this.geometryFactory.createEdgeGeometryFromSource(geometry);
+        this.returnShapeGeometry(geometry);
+        return edgeGeometry;
+    }
+
+    // Clear tool-specific state when creation ends
+    resetShapeState() {}
+
 }
 
 // Export for use in main application
+window.BoxCreationState = BoxCreationState;
 window.BoxCreationTool = BoxCreationTool;
\ No newline at end of file
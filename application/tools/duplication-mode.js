@@ -3,23 +3,33 @@ import * as THREE from 'three';
  * Duplication Mode - Visual state management for Cmd+drag duplication
  *
  * Manages ghost object display, measurement lines, and cleanup for the
- * duplication workflow. Used by MoveTool when Command key is held during drag.
+ * duplication workflow. Used by MoveTool when Command key is held during drag
+ * (plain copy) or Option key (linked component instance).
  */
 
 class DuplicationMode {
     constructor() {
         this.isActive = false;
         this.ghostObject = null;
+
+        // Linked mode: drop creates a component instance instead of a copy
+        this.linked = false;
+    }
+
+    static get GHOST_COLORS() {
+        return { copy: 0x888888, linked: 0xa78bfa };
     }
 
     /**
      * Enter duplication mode - create ghost wireframe at original position
      * Visual: dragged object = duplicate (being positioned), ghost = original (stays at start)
+     * @param {boolean} linked - Create a linked instance instead of a copy
      */
-    enter(dragObject, dragStartPosition) {
+    enter(dragObject, dragStartPosition, linked = false) {
         if (!dragObject || this.isActive) return;
 
         this.isActive = true;
+        this.linked = linked;
 
         // Store current position of dragged object
         const currentDragPosition = dragObject.position.clone();
@@ -32,7 +42,7 @@ class DuplicationMode {
             // Create a temporary ghost wireframe (not pooled - short-lived visualization)
             const ghostEdgesGeometry = new THREE.EdgesGeometry(dragObject.geometry);
             const ghostMaterial = new THREE.LineBasicMaterial({
-                color: 0x888888,
+                color: linked ? DuplicationMode.GHOST_COLORS.linked : DuplicationMode.GHOST_COLORS.copy,
                 opacity: 0.5,
                 transparent: true
             });
@@ -90,6 +100,19 @@ class DuplicationMode {
         this.showMeasurement(dragObject);
     }
 
+    /**
+     * Switch between copy and linked instance while the drag continues
+     * @param {boolean} linked - Create a linked instance instead of a copy
+     */
+    setLinked(linked) {
+        if (!this.isActive || this.linked === linked) return;
+
+        this.linked = linked;
+        if (this.ghostObject?.material) {
+            this.ghostObject.material.color.setHex(linked ? DuplicationMode.GHOST_COLORS.linked : DuplicationMode.GHOST_COLORS.copy);
+        }
+    }
+
     /**
      * Exit duplication mode - clean up ghost object and measurement
      */
@@ -97,6 +120,7 @@ class DuplicationMode {
         if (!this.isActive) return;
 
         this.isActive = false;
+        this.linked = false;
 
         // Clear measurement visualization
         const measurementTool = window.modlerComponents?.measurementTool;
@@ -219,6 +219,14 @@ class MoveTool extends BaseTool {
         return keyboardRouter?.keys.has('MetaLeft') || keyboardRouter?.keys.has('MetaRight') || false;
     }
 
+    /**
+     * Check if Option/Alt key is currently pressed (Option-drag creates a linked instance)
+     */
+    isOptionKeyPressed() {
+        const keyboardRouter = window.modlerComponents?.keyboardRouter;
+        return keyboardRouter?.keys.has('AltLeft') || keyboardRouter?.keys.has('AltRight') || false;
+    }
+
     /**
      * Update object position through unified state management
      */
@@ -421,9 +429,9 @@ class MoveTool extends BaseTool {
             this.lastMousePos = inputController.mouse.clone();
         }
 
-        // Check if Command/Meta key is already pressed when starting drag
-        if (this.isCommandKeyPressed()) {
-            this.duplicationMode.enter(targetObject, this.dragStartPosition);
+        // Check if Command/Meta (copy) or Option (linked instance) is already pressed when starting drag
+        if (this.isCommandKeyPressed() || this.isOptionKeyPressed()) {
+            this.duplicationMode.enter(targetObject, this.dragStartPosition, this.isOptionKeyPressed());
         }
 
         // Store arrow gizmo offset in object local space so it moves with the object
@@ -456,12 +464,15 @@ class MoveTool extends BaseTool {
 
         if (!inputController || !camera || !this.lastMousePos || !window.CameraMathUtils) return;
 
-        // Check Command/Meta key state each frame - toggle duplication mode dynamically
-        const isCommandPressed = this.isCommandKeyPressed();
-        if (isCommandPressed && !this.duplicationMode.isActive) {
-            this.duplicationMode.enter(this.dragObject, this.dragStartPosition);
-        } else if (!isCommandPressed && this.duplicationMode.isActive) {
+        // Check Command/Meta and Option key state each frame - toggle duplication mode dynamically
+        const isOptionPressed = this.isOptionKeyPressed();
+        const isDuplicatePressed = this.isCommandKeyPressed() || isOptionPressed;
+        if (isDuplicatePressed && !this.duplicationMode.isActive) {
+            this.duplicationMode.enter(this.dragObject, this.dragStartPosition, isOptionPressed);
+        } else if (!isDuplicatePressed && this.duplicationMode.isActive) {
             this.duplicationMode.exit();
+        } else if (this.duplicationMode.isActive) {
+            this.duplicationMode.setLinked(isOptionPressed);
         }
 
         // Update duplication measurement during drag
@@ -651,7 +662,7 @@ class MoveTool extends BaseTool {
     }
 
     /**
-     * Finalize duplication mode: create duplicate at final position, restore original
+     * Finalize duplication mode: create duplicate (or linked instance) at final position, restore original
      */
     finalizeDuplication(draggedObject) {
         const sceneController = this.sceneController;
@@ -675,11 +686,15 @@ class MoveTool extends BaseTool {
         if (!historyManager) return;
 
         // Create duplicate BEFORE moving source back (children's world positions must be correct)
-        const command = new DuplicateObjectCommand(objectData.id, {
-            position: finalPosition,
-            customName: `${objectData.name} copy`
-        });
+        const linked = this.duplicationMode.linked && window.CreateInstanceCommand;
+        const command = linked
+            ? new CreateInstanceCommand(objectData.id, { position: finalPosition })
+            : new DuplicateObjectCommand(objectData.id, {
+                position: finalPosition,
+                customName: `${objectData.name} copy`
+            });
         const success = historyManager.executeCommand(command);
+        const newObjectId = linked ? command.instanceId : command.duplicatedObjectId;
 
         // Restore original to start position
         draggedObject.position.copy(this.dragStartPosition);
@@ -689,8 +704,8 @@ class MoveTool extends BaseTool {
         });
 
         // Select the new duplicate
-        if (success && command.duplicatedObjectId) {
-            const duplicateData = sceneController.getObject(command.duplicatedObjectId);
+        if (success && newObjectId) {
+            const duplicateData = sceneController.getObject(newObjectId);
             if (duplicateData?.mesh) {
                 this.selectionController.clearSelection();
                 this.selectionController.select(duplicateData.mesh);
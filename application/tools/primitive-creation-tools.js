@@ -0,0 +1,245 @@
+import * as THREE from 'three';
+// Modler V2 - Primitive Creation Tools
+// Cylinder, sphere and extruded-profile creation on top of the box creation flow
+// Extends BoxCreationTool — corner/height phases, preview and finalization inherited
+
+/**
+ * Shared geometry hooks for non-box primitives
+ * Geometry comes from GeometryFactory.createObjectGeometry (never pooled)
+ */
+class PrimitiveCreationTool extends BoxCreationTool {
+    getObjectType() {
+        return 'primitive';
+    }
+
+    getObjectNameBase() {
+        return this.getObjectType();
+    }
+
+    getPrimitive() {
+        const defaults = window.ObjectDataFormat?.PRIMITIVE_DEFAULTS?.[this.getObjectType()];
+        return defaults ? window.ObjectDataFormat.clonePrimitive(defaults) : null;
+    }
+
+    createShapeGeometry(width, height, depth) {
+        return this.geometryFactory.createObjectGeometry(
+            this.getObjectType(),
+            { x: width, y: height, z: depth },
+            this.getPrimitive()
+        );
+    }
+
+    returnShapeGeometry(geometry) {
+        this.geometryFactory.returnGeometry(geometry, 'primitive');
+    }
+
+    // createEdgeGeometry honours the primitive's edge threshold (no facet seams)
+    createPreviewEdgeGeometry(width, height, depth) {
+        const geometry = this.createShapeGeometry(width, height, depth);
+        const edgeGeometry = this.geometryFactory.createEdgeGeometry(geometry);
+        this.returnShapeGeometry(geometry);
+        return edgeGeometry;
+    }
+
+    /**
+     * Square footprint from the first corner toward the cursor (round primitives)
+     * Side is the larger of the dragged width/depth
+     */
+    getSquareFootprint() {
+        const dx = this.currentPosition.x - this.startPosition.x;
+        const dz = this.currentPosition.z - this.startPosition.z;
+        const side = Math.max(Math.abs(dx), Math.abs(dz));
+        const corner = new THREE.Vector3(
+            this.startPosition.x + (dx < 0 ? -side : side),
+            0,
+            this.startPosition.z + (dz < 0 ? -side : side)
+        );
+
+        return {
+            width: side,
+            depth: side,
+            centerX: (this.startPosition.x + corner.x) / 2,
+            centerZ: (this.startPosition.z + corner.z) / 2,
+            corner
+        };
+    }
+}
+
+/**
+ * Cylinder: square footprint sets the diameter, height phase sets the length (Y axis)
+ */
+class CylinderCreationTool extends PrimitiveCreationTool {
+    getObjectType() {
+        return 'cylinder';
+    }
+
+    getFootprint() {
+        return this.getSquareFootprint();
+    }
+}
+
+/**
+ * Sphere: square footprint sets the diameter; no height phase
+ */
+class SphereCreationTool extends PrimitiveCreationTool {
+    getObjectType() {
+        return 'sphere';
+    }
+
+    getFootprint() {
+        return this.getSquareFootprint();
+    }
+
+    getShapeHeight() {
+        return this.getFootprint().width;
+    }
+
+    setSecondCorner() {
+        if (!this.startPosition) return;
+
+        if (!this.currentPosition) {
+            const groundHit = this.getGroundPlaneIntersection();
+            if (!groundHit) return;
+            this.currentPosition = groundHit.point.clone();
+        }
+
+        // Diameter is known after the second corner - finish straight away
+        this.state = window.BoxCreationState.SETTING_HEIGHT;
+        this.finalizeBox();
+    }
+}
+
+/**
+ * Extrusion: click profile points on the ground, close the profile
+ * (Enter, double-click or clicking the first point), then set the height
+ * SETTING_CORNER_1 doubles as the profile sketching phase
+ */
+class ExtrusionCreationTool extends PrimitiveCreationTool {
+    constructor(selectionController, visualEffects) {
+        super(selectionController, visualEffects);
+
+        // World-space profile points while sketching
+        this.profilePoints = [];
+        // Closed profile relative to its bounds centre ({x, y} = world X, Z)
+        this.profile = null;
+    }
+
+    getObjectType() {
+        return 'extrusion';
+    }
+
+    getPrimitive() {
+        if (!this.profile) return super.getPrimitive();
+        return { axis: 'y', profile: this.profile.map(point => ({ ...point })) };
+    }
+
+    startCreation() {
+        this.selectionController.clearSelection('normal');
+
+        const groundHit = this.getGroundPlaneIntersection();
+        if (!groundHit) return;
+
+        this.profilePoints = [groundHit.point.clone()];
+        this.state = window.BoxCreationState.SETTING_CORNER_1;
+    }
+
+    // Each click adds a profile point; clicking near the first point closes the profile
+    setSecondCorner() {
+        const groundHit = this.getGroundPlaneIntersection();
+        if (!groundHit) return;
+
+        const first = this.profilePoints[0];
+        const closeDistance = 0.1;
+        if (this.profilePoints.length >= 3 && groundHit.point.distanceTo(first) < closeDistance) {
+            this.closeProfile();
+            return;
+        }
+
+        this.profilePoints.push(groundHit.point.clone());
+        this.visualEffects.showPolylinePreview(this.profilePoints);
+    }
+
+    onHover(_hit, _isAltPressed) {
+        if (this.state !== window.BoxCreationState.SETTING_CORNER_1 || this.profilePoints.length === 0) return;
+
+        const groundHit = this.getGroundPlaneIntersection();
+        if (groundHit) {
+            this.visualEffects.showPolylinePreview([...this.profilePoints, groundHit.point]);
+        }
+    }
+
+    onDoubleClick(_hit, _event) {
+        if (this.state !== window.BoxCreationState.SETTING_CORNER_1) return;
+
+        // The double-click replaces the second click - keep its point
+        const groundHit = this.getGroundPlaneIntersection();
+        if (groundHit) this.profilePoints.push(groundHit.point.clone());
+        this.closeProfile();
+    }
+
+    onKeyDown(event) {
+        if (this.state === window.BoxCreationState.SETTING_CORNER_1) {
+            if (event.key === 'Enter') {
+                this.closeProfile();
+                return true;
+            }
+            if (event.key === 'Backspace' && this.profilePoints.length > 1) {
+                this.profilePoints.pop();
+                this.visualEffects.showPolylinePreview(this.profilePoints);
+                return true;
+            }
+            // Tab sizing needs a closed profile
+            if (event.key === 'Tab') return false;
+        }
+
+        return super.onKeyDown(event);
+    }
+
+    /**
+     * Close the sketched profile and move on to the height phase
+     */
+    closeProfile() {
+        // Drop repeated points (double-click lands on the last click)
+        const points = this.profilePoints.filter((point, i, all) =>
+            i === 0 || point.distanceTo(all[i - 1]) > 0.001
+        );
+        if (points.length > 2 && points[points.length - 1].distanceTo(points[0]) <= 0.001) {
+            points.pop();
+        }
+        if (points.length < 3) return;
+
+        const bounds = new THREE.Box3().setFromPoints(points);
+        const center = bounds.getCenter(new THREE.Vector3());
+        const area = THREE.ShapeUtils.area(points.map(point => new THREE.Vector2(point.x, point.z)));
+        if (Math.abs(area) < 0.0001) return;
+
+        this.profile = points.map(point => ({ x: point.x - center.x, y: point.z - center.z }));
+
+        // The profile bounds become the two corners of the inherited footprint
+        this.startPosition = new THREE.Vector3(bounds.min.x, 0, bounds.min.z);
+        this.currentPosition = new THREE.Vector3(bounds.max.x, 0, bounds.max.z);
+
+        this.visualEffects.clearPolylinePreview();
+        this.createInvisibleBoxForProperties();
+
+        this.state = window.BoxCreationState.SETTING_HEIGHT;
+        this.initializeHeightFromCurrentMouse();
+        this.createPreview();
+    }
+
+    cleanupVisuals() {
+        super.cleanupVisuals();
+        this.visualEffects.clearPolylinePreview();
+    }
+
+    resetShapeState() {
+        this.profilePoints = [];
+        this.profile = null;
+    }
+}
+
+// Export for use in main application
+window.PrimitiveCreationTool = PrimitiveCreationTool;
+window.CylinderCreationTool = CylinderCreationTool;
+window.SphereCreationTool = SphereCreationTool;
+window.ExtrusionCreationTool = ExtrusionCreationTool;
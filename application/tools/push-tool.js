@@ -9,7 +9,9 @@ import * as THREE from 'three';
 class PushTool extends BaseTool {
     constructor(selectionController, visualEffects) {
         super(selectionController, visualEffects);
-        this.faceToolBehavior = new BaseFaceToolBehavior(selectionController, visualEffects, 'push');
+        this.faceToolBehavior = new BaseFaceToolBehavior(selectionController, visualEffects, 'push', {
+            rules: { pushableFacesOnly: true }
+        });
         this.eventHandler = new BaseFaceToolEventHandler(this, this.faceToolBehavior, selectionController);
 
         // Core push state
@@ -124,6 +126,9 @@ class PushTool extends BaseTool {
         const targetObject = this.faceToolBehavior.getTargetObject(hit);
         if (!targetObject) return;
 
+        // Curved primitive faces (cylinder sides, spheres) have no single push axis
+        if (!this.faceToolBehavior.isPushableFace(targetObject, hit)) return;
+
         const sceneController = this.sceneController;
 
         // Determine push axis early (needed for hug→layout transition)
@@ -143,8 +148,10 @@ class PushTool extends BaseTool {
                 // If layout container pushed perpendicular to layout direction,
                 // set children to fill on the push axis
                 if (this.objectStateManager?.isLayoutMode(objectData.id)) {
-                    const layoutDirection = objectData.autoLayout?.direction || 'x';
-                    if (this.pushAxis !== layoutDirection) {
+                    const layoutDirection = window.LayoutEngine?.getLayoutAxis(objectData.autoLayout) ||
+                        objectData.autoLayout?.direction || 'x';
+                    // Track grids size children through their tracks, curves through their radius/path
+                    if (!['grid', 'radial', 'path'].includes(layoutDirection) && this.pushAxis !== layoutDirection) {
                         this.setChildrenToFillOnAxis(objectData, this.pushAxis);
                     }
                 }
@@ -846,6 +853,7 @@ class PushTool extends BaseTool {
                     this.fillTransitionState,
                     this.parentHugTransitionState
                 );
+                // One undo step: PushFaceCommand also reverts/re-applies the hug, fill and parent transitions
                 historyManager.executeCommand(command);
             }
         }
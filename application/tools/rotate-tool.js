@@ -0,0 +1,533 @@
+import * as THREE from 'three';
+/**
+ * Rotate Tool
+ * Free rotation of selected objects about their centre with a ring gizmo
+ * Features: face-picked rotation axis, 15° snapping (snap enabled) or 45° (Shift), numeric angle entry
+ * Extends BaseTool — component getters, lifecycle inherited
+ */
+
+class RotateTool extends BaseTool {
+    constructor(selectionController, visualEffects) {
+        super(selectionController, visualEffects);
+
+        // Use shared behaviors for consistency
+        this.faceToolBehavior = new BaseFaceToolBehavior(selectionController, visualEffects, 'rotate');
+        this.eventHandler = new BaseFaceToolEventHandler(this, this.faceToolBehavior, selectionController);
+
+        // Rotation state
+        this.isRotating = false;
+        this.rotateObject = null;
+        this.rotateObjectId = null;
+        this.rotationAxis = null;        // Local axis name ('x' | 'y' | 'z')
+        this.axisVector = null;          // Rotation axis in parent space
+        this.worldNormal = null;         // Rotation axis in world space (ring normal)
+        this.pivotParent = null;         // Object centre in parent space
+        this.pivotWorld = null;          // Object centre in world space
+        this.localCenter = null;         // Geometry centre in object space (scaled)
+        this.ringRadius = 1;
+        this.startQuaternion = null;
+        this.startRotation = null;       // Degrees {x, y, z}
+        this.startPosition = null;
+        this.startDirection = null;      // World-space reference direction on the rotation plane
+        this.lastPlaneAngle = 0;         // Unwrapped plane angle (radians)
+        this.startMouseX = 0;            // Fallback when the rotation plane is edge-on
+        this.currentAngle = 0;           // Applied angle (degrees, after snapping)
+
+        // Typed angle while rotating (digits, '.', '-')
+        this.numericInput = '';
+
+        // Snap increments (degrees)
+        this.snapStep = 15;
+        this.shiftSnapStep = 45;
+    }
+
+    /**
+     * Rotation applies to selected objects; containers are sized by their children
+     */
+    canRotate(targetObject) {
+        if (!targetObject || !this.selectionController.isSelected(targetObject)) return false;
+        const objectData = this.sceneController?.getObjectByMesh(targetObject);
+        return !!objectData && !objectData.isContainer;
+    }
+
+    /**
+     * Handle mouse hover events - face highlight plus ring preview, or rotation while dragging
+     */
+    onHover(hit, isAltPressed) {
+        if (this.isRotating) {
+            this.updateRotation();
+            return;
+        }
+
+        // Handle Alt-key measurement mode
+        if (this.handleMeasurementMode(isAltPressed, hit)) return;
+
+        const targetObject = hit?.object ? this.faceToolBehavior.getTargetObject(hit) : null;
+        if (!this.canRotate(targetObject)) {
+            this.faceToolBehavior.clearHover();
+            this.toolGizmoManager?.hide('ring');
+            return;
+        }
+
+        const faceDetected = this.faceToolBehavior.handleFaceDetection(hit);
+        if (faceDetected) {
+            const hoverState = this.faceToolBehavior.getHoverState();
+            const frame = this.getRotationFrame(targetObject, this.faceToolBehavior.getWorldFaceNormal(hoverState.hit));
+            this.toolGizmoManager?.showRing(frame.pivotWorld, frame.worldNormal, frame.radius);
+        } else {
+            this.toolGizmoManager?.hide('ring');
+        }
+    }
+
+    /**
+     * Rotation frame for an object and a hovered face normal
+     * The axis is the parent-space axis closest to the face normal, through the geometry centre
+     * @returns {{axis: string, axisVector: THREE.Vector3, worldNormal: THREE.Vector3,
+     *            localCenter: THREE.Vector3, pivotParent: THREE.Vector3, pivotWorld: THREE.Vector3, radius: number}}
+     */
+    getRotationFrame(mesh, worldFaceNormal) {
+        const parent = mesh.parent;
+        mesh.updateMatrixWorld(true);
+
+        // Face normal in parent space picks the axis
+        const parentNormal = worldFaceNormal.clone();
+        if (parent) {
+            const parentInverse = new THREE.Matrix4().copy(parent.matrixWorld).invert();
+            parentNormal.transformDirection(parentInverse);
+        }
+        const axis = window.CameraMathUtils.getDominantAxisFromNormal(parentNormal);
+        const axisVector = new THREE.Vector3();
+        axisVector[axis] = 1;
+
+        const worldNormal = axisVector.clone();
+        if (parent) worldNormal.transformDirection(parent.matrixWorld);
+
+        const geometry = mesh.geometry;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+
+        const localCenter = geometry.boundingBox.getCenter(new THREE.Vector3());
+        const pivotParent = localCenter.clone().applyMatrix4(mesh.matrix);
+        const pivotWorld = localCenter.clone().applyMatrix4(mesh.matrixWorld);
+        const maxScale = Math.max(mesh.scale.x, mesh.scale.y, mesh.scale.z);
+
+        return {
+            axis,
+            axisVector,
+            worldNormal,
+            localCenter: localCenter.multiply(mesh.scale),
+            pivotParent,
+            pivotWorld,
+            radius: geometry.boundingSphere.radius * maxScale * 1.15
+        };
+    }
+
+    /**
+     * Handle mouse down events - start rotating a selected object
+     */
+    onMouseDown(hit, event) {
+        if (event.button !== 0 || this.isRotating) return false;
+        if (!hit || !hit.object) return false;
+
+        const targetObject = this.faceToolBehavior.getTargetObject(hit);
+        if (!this.canRotate(targetObject) || !this.faceToolBehavior.hasValidFaceHover(hit)) return false;
+
+        this.startRotation(targetObject, this.faceToolBehavior.getWorldFaceNormal(hit));
+        return true;
+    }
+
+    /**
+     * Handle mouse up events using centralized event handler
+     */
+    onMouseUp(hit, event) {
+        const hadRotation = this.isRotating && Math.abs(this.currentAngle) > 0.001;
+
+        const operationCallbacks = BaseFaceToolEventHandler.createOperationCallbacks({
+            isActiveCheck: () => this.isRotating,
+            endCallback: () => this.endRotation()
+        });
+
+        const handled = this.eventHandler.handleMouseUp(hit, event, operationCallbacks);
+
+        // A press without rotation still counts as a click (selection, double-click navigation)
+        if (handled && !hadRotation) {
+            return false;
+        }
+
+        return handled;
+    }
+
+    /**
+     * Handle click events - SelectionController owns all selection logic
+     */
+    onClick(hit, event) {
+        if (this.isRotating) return;
+
+        if (hit && hit.object) {
+            const targetObject = this.faceToolBehavior.getTargetObject(hit);
+            this.selectionController.handleObjectClick(targetObject, event, { toolType: 'RotateTool' });
+        } else {
+            this.selectionController.handleEmptySpaceClick(event);
+        }
+    }
+
+    /**
+     * Handle double-click events using centralized event handler
+     */
+    onDoubleClick(hit, event) {
+        const operationCallbacks = { isOperationActive: () => this.isRotating };
+        this.eventHandler.handleDoubleClick(hit, event, operationCallbacks);
+    }
+
+    /**
+     * Numeric entry while rotating: type an angle, Enter applies, Escape cancels
+     */
+    onKeyDown(event) {
+        if (!this.isRotating) return false;
+
+        const key = event.key;
+
+        if (key === 'Escape') {
+            this.cancelRotation();
+            return true;
+        }
+
+        if (key === 'Enter') {
+            const typedAngle = parseFloat(this.numericInput);
+            if (!isNaN(typedAngle)) {
+                this.applyAngle(typedAngle);
+            }
+            this.endRotation();
+            return true;
+        }
+
+        if (key === 'Backspace') {
+            // Consume so Backspace never deletes the object mid-rotation
+            event.preventDefault();
+            this.numericInput = this.numericInput.slice(0, -1);
+            this.previewNumericInput();
+            return true;
+        }
+
+        if (/^[0-9.]$/.test(key) || (key === '-' && this.numericInput === '')) {
+            this.numericInput += key;
+            this.previewNumericInput();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Apply the typed angle as a live preview (mouse movement is ignored while typing)
+     */
+    previewNumericInput() {
+        const typedAngle = parseFloat(this.numericInput);
+        this.applyAngle(isNaN(typedAngle) ? 0 : typedAngle);
+    }
+
+    /**
+     * Check if Shift is currently pressed (coarse 45° snapping)
+     */
+    isShiftKeyPressed() {
+        const keyboardRouter = window.modlerComponents?.keyboardRouter;
+        return keyboardRouter?.keys.has('ShiftLeft') || keyboardRouter?.keys.has('ShiftRight') || false;
+    }
+
+    /**
+     * Start rotation about the axis picked from the hovered face
+     */
+    startRotation(targetObject, worldFaceNormal) {
+        const objectData = this.sceneController?.getObjectByMesh(targetObject);
+        if (!objectData) return;
+
+        const frame = this.getRotationFrame(targetObject, worldFaceNormal);
+
+        this.isRotating = true;
+        this.rotateObject = targetObject;
+        this.rotateObjectId = objectData.id;
+        this.rotationAxis = frame.axis;
+        this.axisVector = frame.axisVector;
+        this.worldNormal = frame.worldNormal;
+        this.localCenter = frame.localCenter;
+        this.pivotParent = frame.pivotParent;
+        this.pivotWorld = frame.pivotWorld;
+        this.ringRadius = frame.radius;
+        this.startQuaternion = targetObject.quaternion.clone();
+        this.startRotation = this.eulerToDegrees(targetObject.rotation);
+        this.startPosition = targetObject.position.clone();
+        this.currentAngle = 0;
+        this.lastPlaneAngle = 0;
+        this.numericInput = '';
+
+        // Reference direction: where the drag started on the rotation plane
+        const planePoint = this.getPlaneIntersection();
+        this.startDirection = planePoint
+            ? planePoint.sub(this.pivotWorld).normalize()
+            : this.getFallbackDirection();
+        if (this.startDirection.lengthSq() < 1e-6) {
+            this.startDirection = this.getFallbackDirection();
+        }
+        this.startMouseX = this.inputController?.mouse.x || 0;
+
+        MovementUtils.registerFileOperation('rotate-tool-drag');
+
+        // Clear the highlight since we're now rotating (ring stays visible)
+        this.faceToolBehavior.clearHover();
+        this.toolGizmoManager?.showRing(this.pivotWorld, this.worldNormal, this.ringRadius);
+        this.updateAngleMarker();
+    }
+
+    /**
+     * Any direction on the rotation plane (used when the mouse ray misses the plane)
+     */
+    getFallbackDirection() {
+        const reference = Math.abs(this.worldNormal.y) < 0.9
+            ? new THREE.Vector3(0, 1, 0)
+            : new THREE.Vector3(1, 0, 0);
+        return reference.cross(this.worldNormal).normalize();
+    }
+
+    /**
+     * Mouse ray intersection with the rotation plane through the pivot
+     * @returns {THREE.Vector3|null} World point, or null when the plane is edge-on
+     */
+    getPlaneIntersection() {
+        const inputController = this.inputController;
+        if (!inputController?.camera) return null;
+
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(inputController.mouse, inputController.camera);
+
+        // Edge-on planes give unstable angles
+        if (Math.abs(raycaster.ray.direction.dot(this.worldNormal)) < 0.05) return null;
+
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(this.worldNormal, this.pivotWorld);
+        return raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    }
+
+    /**
+     * Update the rotation from the current mouse position
+     */
+    updateRotation() {
+        // Typed values win over mouse movement
+        if (this.numericInput !== '') return;
+
+        let angle;
+        const planePoint = this.getPlaneIntersection();
+        if (planePoint) {
+            const direction = planePoint.sub(this.pivotWorld);
+            if (direction.lengthSq() < 1e-8) return;
+
+            const cross = new THREE.Vector3().crossVectors(this.startDirection, direction);
+            const planeAngle = Math.atan2(cross.dot(this.worldNormal), this.startDirection.dot(direction));
+
+            // Unwrap so dragging past 180° keeps turning
+            const delta = planeAngle - this.lastPlaneAngle;
+            this.lastPlaneAngle += Math.atan2(Math.sin(delta), Math.cos(delta));
+            angle = THREE.MathUtils.radToDeg(this.lastPlaneAngle);
+        } else {
+            // Edge-on fallback: horizontal mouse travel (full viewport width = 180°)
+            const mouseX = this.inputController?.mouse.x || 0;
+            angle = (mouseX - this.startMouseX) * 90;
+            this.lastPlaneAngle = THREE.MathUtils.degToRad(angle);
+        }
+
+        this.applyAngle(this.snapAngle(angle));
+    }
+
+    /**
+     * Snap an angle: 45° with Shift, 15° when snapping is enabled, free otherwise
+     */
+    snapAngle(angle) {
+        let step = 0;
+        if (this.isShiftKeyPressed()) {
+            step = this.shiftSnapStep;
+        } else if (this.snapController?.getEnabled()) {
+            step = this.snapStep;
+        }
+        return step > 0 ? Math.round(angle / step) * step : angle;
+    }
+
+    /**
+     * Rotate the object by an angle (degrees) from its start orientation about the pivot
+     */
+    applyAngle(angle) {
+        if (!this.isRotating || !this.rotateObject) return;
+
+        this.currentAngle = angle;
+
+        const deltaQuaternion = new THREE.Quaternion().setFromAxisAngle(this.axisVector, THREE.MathUtils.degToRad(angle));
+        const newQuaternion = deltaQuaternion.multiply(this.startQuaternion);
+
+        // Keep the geometry centre fixed: position = pivot - R * centre
+        const newPosition = this.pivotParent.clone().sub(this.localCenter.clone().applyQuaternion(newQuaternion));
+        const newEuler = new THREE.Euler().setFromQuaternion(newQuaternion, this.rotateObject.rotation.order);
+
+        this.objectStateManager?.updateObject(this.rotateObjectId, {
+            rotation: this.eulerToDegrees(newEuler),
+            position: { x: newPosition.x, y: newPosition.y, z: newPosition.z }
+        }, 'rotate-tool');
+
+        this.updateAngleMarker();
+    }
+
+    /**
+     * Marker on the ring at the current angle
+     */
+    updateAngleMarker() {
+        if (!this.toolGizmoManager || !this.startDirection) return;
+
+        const markerDirection = this.startDirection.clone()
+            .applyAxisAngle(this.worldNormal, THREE.MathUtils.degToRad(this.currentAngle));
+        const markerPosition = this.pivotWorld.clone().addScaledVector(markerDirection, this.ringRadius);
+        this.toolGizmoManager.showCircle(markerPosition, this.worldNormal);
+    }
+
+    /**
+     * Finish rotation: record focus, create the undo command and update the parent
+     */
+    endRotation() {
+        if (!this.isRotating) return;
+
+        const objectId = this.rotateObjectId;
+        const rotatedObject = this.rotateObject;
+
+        if (Math.abs(this.currentAngle) > 0.001) {
+            // Record which axis was manipulated for Tab key focus
+            window.inputFocusManager?.recordManipulation(objectId, `rotation.${this.rotationAxis}`);
+
+            const finalRotation = this.eulerToDegrees(rotatedObject.rotation);
+            const finalPosition = {
+                x: rotatedObject.position.x,
+                y: rotatedObject.position.y,
+                z: rotatedObject.position.z
+            };
+
+            const historyManager = this.historyManager;
+            if (historyManager) {
+                const command = new RotateObjectCommand(
+                    objectId,
+                    this.startRotation,
+                    finalRotation,
+                    { x: this.startPosition.x, y: this.startPosition.y, z: this.startPosition.z },
+                    finalPosition
+                );
+                historyManager.executeCommand(command);
+            }
+        }
+
+        this.cleanupRotationState(rotatedObject);
+    }
+
+    /**
+     * Abort rotation and restore the start orientation
+     */
+    cancelRotation() {
+        if (!this.isRotating) return;
+
+        const rotatedObject = this.rotateObject;
+        this.objectStateManager?.updateObject(this.rotateObjectId, {
+            rotation: { ...this.startRotation },
+            position: { x: this.startPosition.x, y: this.startPosition.y, z: this.startPosition.z }
+        }, 'rotate-tool');
+
+        this.cleanupRotationState(rotatedObject);
+    }
+
+    /**
+     * Clean up rotation state and update the parent container
+     */
+    cleanupRotationState(rotatedObject) {
+        this.isRotating = false;
+        this.rotateObject = null;
+        this.rotateObjectId = null;
+        this.rotationAxis = null;
+        this.axisVector = null;
+        this.worldNormal = null;
+        this.localCenter = null;
+        this.pivotParent = null;
+        this.pivotWorld = null;
+        this.startQuaternion = null;
+        this.startRotation = null;
+        this.startPosition = null;
+        this.startDirection = null;
+        this.currentAngle = 0;
+        this.lastPlaneAngle = 0;
+        this.numericInput = '';
+
+        MovementUtils.unregisterFileOperation('rotate-tool-drag');
+
+        this.toolGizmoManager?.hideAll();
+        this.faceToolBehavior.clearHover();
+
+        if (!rotatedObject) return;
+
+        // Sync support meshes
+        if (window.GeometryUtils) {
+            window.GeometryUtils.updateSupportMeshGeometries(rotatedObject);
+        }
+
+        // Rotated extents change the parent's layout / hug bounds
+        const objectData = this.sceneController?.getObjectByMesh(rotatedObject);
+        if (objectData?.parentContainer && this.containerCrudManager) {
+            this.containerCrudManager.resizeContainer(objectData.parentContainer, {
+                reason: 'child-changed',
+                immediate: true
+            });
+        }
+    }
+
+    /**
+     * Convert a THREE.Euler (radians) to {x, y, z} degrees
+     */
+    eulerToDegrees(euler) {
+        return {
+            x: THREE.MathUtils.radToDeg(euler.x),
+            y: THREE.MathUtils.radToDeg(euler.y),
+            z: THREE.MathUtils.radToDeg(euler.z)
+        };
+    }
+
+    activate() {
+        this.eventHandler.handleToolActivate();
+    }
+
+    deactivate() {
+        this.toolGizmoManager?.hideAll();
+
+        const deactivationCallbacks = BaseFaceToolEventHandler.createDeactivationCallbacks({
+            isActiveCheck: () => this.isRotating,
+            endCallback: () => this.endRotation()
+        });
+        this.eventHandler.handleToolDeactivate(deactivationCallbacks);
+    }
+
+    /**
+     * Handle selection changes - clear highlights if the hovered object is no longer selected
+     */
+    onSelectionChange(selectedObjects) {
+        const hoverState = this.faceToolBehavior.getHoverState();
+        if (hoverState.object && !selectedObjects.includes(hoverState.object)) {
+            this.clearHover();
+        }
+    }
+
+    /**
+     * Clear hover state and the ring preview
+     */
+    clearHover() {
+        this.faceToolBehavior.clearHover();
+        if (!this.isRotating) {
+            this.toolGizmoManager?.hide('ring');
+        }
+    }
+
+    /**
+     * Check if tool has active highlighting
+     */
+    hasActiveHighlight() {
+        return this.faceToolBehavior.hasActiveHighlight();
+    }
+}
+window.RotateTool = RotateTool;
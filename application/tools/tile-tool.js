@@ -1,4 +1,3 @@
-import * as THREE from 'three';
 /**
  * Tile Tool
  * Creates tiled arrays of objects using container + layout system
@@ -95,91 +94,64 @@ class TileTool extends BaseTool {
             return null;
         }
 
-        // Store original object properties
-        const originalPosition = objectData.mesh.position.clone();
-        const originalParent = objectData.parentContainer;
-
-        if (!this.containerCrudManager) {
-            console.error('TileTool: ContainerCrudManager not available');
+        if (!this.historyManager) {
+            console.error('TileTool: HistoryManager not available');
             return null;
         }
 
-        // Calculate container size based on object dimensions and tiling
-        const objectSize = new THREE.Vector3();
-        objectData.mesh.geometry.computeBoundingBox();
-        const bbox = objectData.mesh.geometry.boundingBox;
-        objectSize.set(
-            bbox.max.x - bbox.min.x,
-            bbox.max.y - bbox.min.y,
-            bbox.max.z - bbox.min.z
-        );
-
-        const containerSize = objectSize.clone();
-        containerSize[axis] = (objectSize[axis] * repeat) + (gap * (repeat - 1));
-
-        // Create container
-        const containerData = this.containerCrudManager.createContainerGeometryAtPosition(
-            containerSize,
-            { position: originalPosition }
-        );
-
-        if (!containerData) {
-            console.error('TileTool: Failed to create container');
-            return null;
-        }
+        const sourceObjectId = objectData.id;
+        const originalParent = objectData.parentContainer || null;
+        let containerId = null;
 
-        // Add container to scene with same name as original object
-        const addedContainer = this.sceneController.addObject(containerData.mesh, null, {
-            name: objectData.name,
-            parentContainer: originalParent,
-            isContainer: true
-        });
+        // Wrap, rename, duplicate and lay out as a single undo step
+        const tiled = this.historyManager.runTransaction('Tile object', () => {
+            const createCommand = new CreateContainerCommand([this.targetObject]);
+            if (!this.historyManager.executeCommand(createCommand)) return false;
+            containerId = createCommand.containerId;
 
-        // Configure container with tileMode
-        // SCHEMA-FIRST: Start with default schema, then override specific properties
-        const autoLayout = {
-            ...(window.ObjectDataFormat?.createDefaultAutoLayout?.() || {
-                enabled: false,
-                direction: null,
-                gap: 0,
-                padding: { width: 0, height: 0, depth: 0 },
-                alignment: { x: 'center', y: 'center', z: 'center' },
-                reversed: false
-            }),
-            enabled: true,
-            direction: axis,
-            gap: gap,
-            tileMode: {
-                enabled: true,
-                repeat: repeat,
-                sourceObjectId: objectData.id
+            // Keep the tiled array where the original object was
+            if (originalParent &&
+                !this.historyManager.executeCommand(new ReparentObjectCommand(containerId, originalParent))) {
+                return false;
             }
-        };
-
-        // Move original object into container as first child
-        this.sceneController.setParentContainer(objectData.id, addedContainer.id);
 
-        // Create additional instances (repeat - 1) times
-        for (let i = 1; i < repeat; i++) {
-            const clonedGeometry = objectData.mesh.geometry.clone();
-            const clonedMaterial = objectData.mesh.material.clone();
+            // Container takes the original object's name
+            const oldName = this.sceneController.getObject(containerId)?.name;
+            if (this.objectStateManager) {
+                this.objectStateManager.updateObject(containerId, { name: objectData.name }, 'tile-tool');
+                this.historyManager.executeCommand(new UpdatePropertyCommand(containerId, 'name', oldName, objectData.name));
+            }
 
-            this.sceneController.addObject(clonedGeometry, clonedMaterial, {
-                name: objectData.name,
-                parentContainer: addedContainer.id,
-                position: { x: 0, y: 0, z: 0 }
-            });
-        }
+            // Create additional instances (repeat - 1) times
+            for (let i = 1; i < repeat; i++) {
+                const duplicateCommand = new DuplicateObjectCommand(sourceObjectId, { customName: objectData.name });
+                if (!this.historyManager.executeCommand(duplicateCommand)) return false;
+            }
 
-        // Apply layout configuration
-        if (this.objectStateManager) {
-            this.objectStateManager.updateObject(
-                addedContainer.id,
-                { autoLayout: autoLayout },
-                'tile-tool'
+            // Configure container with tileMode - merged over the container's default autoLayout
+            const oldAutoLayout = this.sceneController.getObject(containerId)?.autoLayout;
+            const autoLayout = {
+                enabled: true,
+                direction: axis,
+                gap: gap,
+                tileMode: {
+                    enabled: true,
+                    repeat: repeat,
+                    sourceObjectId: sourceObjectId
+                }
+            };
+            return this.historyManager.executeCommand(
+                new UpdateLayoutPropertyCommand(containerId, 'autoLayout', autoLayout, oldAutoLayout ? { ...oldAutoLayout } : null)
             );
+        });
+
+        if (!tiled) {
+            console.error('TileTool: Failed to create tiled container');
+            return null;
         }
 
+        const addedContainer = this.sceneController.getObject(containerId);
+
         // Select the container
         this.selectionController.clearSelection();
         this.selectionController.select(addedContainer.mesh);
@@ -161,7 +161,7 @@ class DevelopmentValidator {
                 const isFromFactory = stack.includes('GeometryFactory');
                 const isFromDuplicationMode = stack.includes('enterDuplicationMode') || stack.includes('endFaceDrag');
                 const isFromMeasurementTool = stack.includes('MeasurementTool') || stack.includes('createEdgeMeasurementVisual') || stack.includes('createFaceNormalMeasurementVisual');
-                const isFromBoxCreation = stack.includes('BoxCreationTool') || stack.includes('updateInvisibleBoxDimensions');
+                const isFromBoxCreation = stack.includes('CreationTool') || stack.includes('updateInvisibleBoxDimensions');
                 const isFromSupportMeshFactory = stack.includes('SupportMeshFactory') || stack.includes('updateSupportMeshGeometries');
                 const isFromObjectVisualizer = stack.includes('ObjectVisualizer') || stack.includes('object-visualizer') || stack.includes('offsetEdgeGeometry');
 
@@ -219,7 +219,7 @@ class DevelopmentValidator {
                 const isFromSelectionController = stack.includes('SelectionController') && eventType.includes('selection');
                 const isFromSceneController = stack.includes('SceneController') &&
                     (eventType.includes('lifecycle') || eventType.includes('hierarchy') || eventType.includes('layout'));
-                const isFromBoxCreation = stack.includes('BoxCreationTool') && eventType.includes('geometry');
+                const isFromBoxCreation = stack.includes('CreationTool') && eventType.includes('geometry');
                 const isFromTransformationManager = stack.includes('TransformationManager') &&
                     (eventType.includes('transform') || eventType.includes('hierarchy'));
                 const isFromMovementUtils = stack.includes('MovementUtils') &&
@@ -542,7 +542,7 @@ class DevelopmentValidator {
         // Check for calls from centralized systems or whitelisted components
         const centralizedSystemPatterns = [
             'GeometryFactory',
-            'AxisGizmo',  // Whitelist: Axis gizmo uses manual THREE.js creation
+            'ViewCube',  // Whitelist: View cube uses manual THREE.js creation
             'MaterialManager',
             'VisualizationResourcePool',
             'addObject',                // Allow main object creation in SceneController
@@ -205,7 +205,9 @@ class GeometryFactory {
             }
 
             // Create new edge geometry with error handling
-            const edgeGeometry = new THREE.EdgesGeometry(sourceGeometry, options.thresholdAngle);
+            // Primitives carry their own threshold (e.g. cylinders hide facet seams)
+            const thresholdAngle = options.thresholdAngle ?? sourceGeometry.userData?.edgeThresholdAngle;
+            const edgeGeometry = new THREE.EdgesGeometry(sourceGeometry, thresholdAngle);
 
             // Don't pool edge geometries - they have bounding data issues
             // this.storeInPool('boxEdges', geometryKey, edgeGeometry);
@@ -604,6 +606,118 @@ class GeometryFactory {
         return geometry;
     }
 
+    /**
+     * Create solid geometry for a scene object type, sized to its dimensions
+     * Never pooled - object geometry is edited in place (push, dimension inputs, layout fill)
+     * @param {string} type - Object type ('box', 'cube', 'container', 'cylinder', 'sphere', 'extrusion', 'mesh')
+     * @param {Object} dimensions - Bounding size {x, y, z}
+     * @param {Object|null} primitive - Build parameters (see ObjectDataFormat.PRIMITIVE_DEFAULTS)
+     * @returns {THREE.BufferGeometry} Geometry centred on the origin
+     */
+    createObjectGeometry(type, dimensions, primitive = null) {
+        const dims = {
+            x: Math.max(dimensions?.x || 1, 0.001),
+            y: Math.max(dimensions?.y || 1, 0.001),
+            z: Math.max(dimensions?.z || 1, 0.001)
+        };
+        const params = { ...(window.ObjectDataFormat?.PRIMITIVE_DEFAULTS?.[type] || {}), ...(primitive || {}) };
+
+        let geometry;
+        switch (type) {
+            case 'cylinder': {
+                geometry = new THREE.CylinderGeometry(0.5, 0.5, 1, params.segments || 32);
+                if (params.axis === 'x') geometry.rotateZ(-Math.PI / 2);
+                if (params.axis === 'z') geometry.rotateX(Math.PI / 2);
+                // Hide the facet seams, keep the cap outlines
+                geometry.userData.edgeThresholdAngle = 30;
+                break;
+            }
+            case 'sphere': {
+                const segments = params.segments || 32;
+                geometry = new THREE.SphereGeometry(0.5, segments, Math.max(Math.round(segments / 2), 4));
+                break;
+            }
+            case 'extrusion': {
+                geometry = this.createExtrusionGeometry(params.profile, params.axis);
+                if (!geometry) return this.createBoxGeometry(dims.x, dims.y, dims.z);
+                break;
+            }
+            case 'mesh': {
+                geometry = this.createMeshGeometry(params.positions);
+                if (!geometry) return this.createBoxGeometry(dims.x, dims.y, dims.z);
+                // Imported tessellation: only outline creases, not every triangle
+                geometry.userData.edgeThresholdAngle = 30;
+                break;
+            }
+            default:
+                return this.createBoxGeometry(dims.x, dims.y, dims.z);
+        }
+
+        // Centre on the origin, then map the unit shape onto the requested bounds
+        geometry.center();
+        geometry.userData.primitiveType = type;
+        ['x', 'y', 'z'].forEach(axis => GeometryUtils.resizeGeometry(geometry, axis, dims[axis], 'center'));
+
+        this.trackGeometry(geometry, { type: 'primitive', key: type });
+
+        this.stats.created++;
+        return geometry;
+    }
+
+    /**
+     * Extrude a closed 2D profile by one unit along an axis
+     * @param {Array<{x: number, y: number}>} profile - At least three profile points
+     * @param {string} axis - Extrusion axis (see PRIMITIVE_DEFAULTS for the profile mapping)
+     * @returns {THREE.ExtrudeGeometry|null} Geometry, or null for a degenerate profile
+     * @private
+     */
+    createExtrusionGeometry(profile, axis = 'y') {
+        if (!Array.isArray(profile) || profile.length < 3) {
+            console.warn('GeometryFactory: Extrusion profile needs at least 3 points');
+            return null;
+        }
+
+        // Shape space is XY extruded along +Z; the rotations below keep faces outward
+        const shapePoint = (point) => {
+            if (axis === 'y') return new THREE.Vector2(point.x, -point.y); // rotateX(-90°): shape -y → Z
+            if (axis === 'x') return new THREE.Vector2(-point.x, point.y); // rotateY(90°): shape -x → Z
+            return new THREE.Vector2(point.x, point.y);
+        };
+        const shape = new THREE.Shape(profile.map(shapePoint));
+
+        const area = THREE.ShapeUtils.area(shape.getPoints());
+        if (Math.abs(area) < 1e-9) {
+            console.warn('GeometryFactory: Extrusion profile has no area');
+            return null;
+        }
+
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: 1, bevelEnabled: false });
+        if (axis === 'y') geometry.rotateX(-Math.PI / 2);
+        if (axis === 'x') geometry.rotateY(Math.PI / 2);
+
+        // ExtrudeGeometry is non-indexed with per-face normals; only profile corners draw edges
+        return geometry;
+    }
+
+    /**
+     * Build imported mesh geometry from stored triangle positions
+     * @param {Array<number>} positions - xyz triplets, three vertices per triangle
+     * @returns {THREE.BufferGeometry|null} Non-indexed geometry, or null when empty
+     * @private
+     */
+    createMeshGeometry(positions) {
+        if (!Array.isArray(positions) || positions.length < 9 || positions.length % 9 !== 0) {
+            console.warn('GeometryFactory: Mesh needs whole triangles');
+            return null;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        // Non-indexed: flat per-triangle normals, as exported by CAD
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
     /**
      * Create plane geometry with pooling
      * @param {number} width - Plane width
@@ -241,6 +241,10 @@ class GeometryUtils {
 
             // Update geometry
             positions.needsUpdate = true;
+            // Curved/slanted primitive faces change direction when stretched (box normals never do)
+            if (geometry.userData?.primitiveType) {
+                geometry.computeVertexNormals();
+            }
             geometry.computeBoundingBox();
             geometry.computeBoundingSphere();
 
@@ -0,0 +1,255 @@
+// Modler V2 - Sheet Nester
+// 2D rectangle packing of flat parts onto stock sheets (MaxRects)
+
+/**
+ * SheetNester - Pure calculation, no scene access
+ *
+ * Pieces are rectangles in sheet coordinates: `width` runs along the sheet
+ * length (x), `height` along the sheet width (y). Callers decide the starting
+ * orientation (grain, as modelled); `allowRotation` lets the nester turn a
+ * piece by 90° when that fits better.
+ *
+ * Kerf: every piece is padded by the kerf on its +x/+y sides and the usable
+ * area grows by one kerf, so neighbouring parts are exactly one saw cut apart
+ * and no cut is needed against the trimmed sheet edge.
+ *
+ * Pieces are placed largest first, first-fit across open sheets, so earlier
+ * sheets fill up before a new one is started. Each MaxRects placement rule is
+ * tried and the packing with the fewest sheets (then the emptiest last sheet,
+ * i.e. the most reusable offcut) wins.
+ */
+class SheetNester {
+    static get EPSILON() {
+        return 1e-9;
+    }
+
+    /**
+     * Placement rules, scored as [primary, secondary] (lower is better)
+     */
+    static get HEURISTICS() {
+        return ['short-side', 'long-side', 'area', 'bottom-left'];
+    }
+
+    /**
+     * Pack pieces onto as few sheets as possible
+     * @param {Array<Object>} pieces - [{ id, width, height, ...metadata }] in meters
+     * @param {Object} config
+     * @param {number} config.sheetLength - Stock sheet size along x
+     * @param {number} config.sheetWidth - Stock sheet size along y
+     * @param {number} [config.kerf=0] - Saw blade width
+     * @param {number} [config.edgeTrim=0] - Trimmed off every sheet edge
+     * @param {boolean} [config.allowRotation=true] - Allow 90° rotation
+     * @returns {{sheets: Array<Object>, unplaced: Array<Object>, sheetCount: number,
+     *            usedArea: number, waste: number}}
+     *          sheets: [{ index, placements: [{ piece, x, y, width, height, rotated }], usedArea, utilization }]
+     *          waste: fraction of purchased sheet area not covered by parts (0..1)
+     */
+    static nest(pieces, config) {
+        return this.HEURISTICS
+            .map(heuristic => this.pack(pieces, config, heuristic))
+            .reduce((best, result) => {
+                if (!best) return result;
+                if (result.unplaced.length !== best.unplaced.length) {
+                    return result.unplaced.length < best.unplaced.length ? result : best;
+                }
+                if (result.sheetCount !== best.sheetCount) {
+                    return result.sheetCount < best.sheetCount ? result : best;
+                }
+                const lastUsed = (packing) => packing.sheets[packing.sheets.length - 1]?.usedArea || 0;
+                return lastUsed(result) < lastUsed(best) - this.EPSILON ? result : best;
+            }, null);
+    }
+
+    /**
+     * Pack with one placement rule (see nest() for parameters and result)
+     * @param {string} heuristic - One of HEURISTICS
+     */
+    static pack(pieces, config, heuristic) {
+        const kerf = Math.max(0, config.kerf || 0);
+        const trim = Math.max(0, config.edgeTrim || 0);
+        const allowRotation = config.allowRotation !== false;
+        const usable = {
+            width: config.sheetLength - 2 * trim + kerf,
+            height: config.sheetWidth - 2 * trim + kerf
+        };
+
+        const sorted = [...pieces].sort((a, b) =>
+            Math.max(b.width, b.height) - Math.max(a.width, a.height) ||
+            b.width * b.height - a.width * a.height);
+
+        const sheets = [];
+        const unplaced = [];
+
+        sorted.forEach(piece => {
+            const paddedWidth = piece.width + kerf;
+            const paddedHeight = piece.height + kerf;
+
+            let sheet = null;
+            let position = null;
+            for (const candidate of sheets) {
+                position = this.findPosition(candidate.freeRects, paddedWidth, paddedHeight, allowRotation, heuristic);
+                if (position) {
+                    sheet = candidate;
+                    break;
+                }
+            }
+
+            if (!sheet) {
+                const freeRects = [{ x: 0, y: 0, width: usable.width, height: usable.height }];
+                position = this.findPosition(freeRects, paddedWidth, paddedHeight, allowRotation, heuristic);
+                if (!position) {
+                    unplaced.push(piece);
+                    return;
+                }
+                sheet = { index: sheets.length, freeRects, placements: [], usedArea: 0 };
+                sheets.push(sheet);
+            }
+
+            this.placeRect(sheet.freeRects, position);
+            sheet.placements.push({
+                piece,
+                x: trim + position.x,
+                y: trim + position.y,
+                width: position.rotated ? piece.height : piece.width,
+                height: position.rotated ? piece.width : piece.height,
+                rotated: position.rotated
+            });
+            sheet.usedArea += piece.width * piece.height;
+        });
+
+        const sheetArea = config.sheetLength * config.sheetWidth;
+        const usedArea = sheets.reduce((sum, sheet) => sum + sheet.usedArea, 0);
+
+        return {
+            sheets: sheets.map(({ freeRects, ...sheet }) => ({
+                ...sheet,
+                utilization: sheetArea > 0 ? sheet.usedArea / sheetArea : 0
+            })),
+            unplaced,
+            sheetCount: sheets.length,
+            usedArea,
+            waste: sheets.length > 0 && sheetArea > 0 ? 1 - usedArea / (sheets.length * sheetArea) : 0
+        };
+    }
+
+    /**
+     * Find the free rectangle position that scores best under a placement rule
+     *   short-side  smallest leftover strip     long-side    smallest larger leftover
+     *   area        tightest free rectangle     bottom-left  lowest, then leftmost
+     * @returns {{x, y, width, height, rotated}|null} Padded rectangle to occupy
+     */
+    static findPosition(freeRects, width, height, allowRotation, heuristic = 'short-side') {
+        const EPSILON = this.EPSILON;
+        let best = null;
+        let bestScore = [Infinity, Infinity];
+
+        const consider = (free, w, h, rotated) => {
+            if (w > free.width + EPSILON || h > free.height + EPSILON) return;
+
+            const score = this.scorePosition(free, w, h, heuristic);
+            if (score[0] < bestScore[0] - EPSILON ||
+                (Math.abs(score[0] - bestScore[0]) <= EPSILON && score[1] < bestScore[1] - EPSILON)) {
+                best = { x: free.x, y: free.y, width: w, height: h, rotated };
+                bestScore = score;
+            }
+        };
+
+        freeRects.forEach(free => {
+            consider(free, width, height, false);
+            if (allowRotation && Math.abs(width - height) > EPSILON) {
+                consider(free, height, width, true);
+            }
+        });
+
+        return best;
+    }
+
+    static scorePosition(free, width, height, heuristic) {
+        const leftoverX = free.width - width;
+        const leftoverY = free.height - height;
+        const shortSide = Math.min(leftoverX, leftoverY);
+        const longSide = Math.max(leftoverX, leftoverY);
+
+        switch (heuristic) {
+            case 'long-side':
+                return [longSide, shortSide];
+            case 'area':
+                return [free.width * free.height - width * height, shortSide];
+            case 'bottom-left':
+                return [free.y + height, free.x];
+            default:
+                return [shortSide, longSide];
+        }
+    }
+
+    /**
+     * Occupy a rectangle: split every overlapping free rectangle, then drop
+     * free rectangles contained in others
+     */
+    static placeRect(freeRects, used) {
+        const next = [];
+
+        freeRects.forEach(free => {
+            const pieces = this.splitFreeRect(free, used);
+            if (pieces) {
+                next.push(...pieces);
+            } else {
+                next.push(free);
+            }
+        });
+
+        const pruned = next.filter((rect, i) => rect.width > this.EPSILON && rect.height > this.EPSILON &&
+            !next.some((other, j) => j !== i && this.contains(other, rect) && (!this.contains(rect, other) || j < i)));
+
+        freeRects.length = 0;
+        freeRects.push(...pruned);
+    }
+
+    /**
+     * Maximal free rectangles left around `used` inside `free`
+     * @returns {Array<Object>|null} Replacement rectangles, or null if they don't overlap
+     */
+    static splitFreeRect(free, used) {
+        const EPSILON = this.EPSILON;
+        if (used.x >= free.x + free.width - EPSILON || used.x + used.width <= free.x + EPSILON ||
+            used.y >= free.y + free.height - EPSILON || used.y + used.height <= free.y + EPSILON) {
+            return null;
+        }
+
+        const result = [];
+        if (used.x > free.x + EPSILON) {
+            result.push({ x: free.x, y: free.y, width: used.x - free.x, height: free.height });
+        }
+        if (used.x + used.width < free.x + free.width - EPSILON) {
+            result.push({
+                x: used.x + used.width,
+                y: free.y,
+                width: free.x + free.width - (used.x + used.width),
+                height: free.height
+            });
+        }
+        if (used.y > free.y + EPSILON) {
+            result.push({ x: free.x, y: free.y, width: free.width, height: used.y - free.y });
+        }
+        if (used.y + used.height < free.y + free.height - EPSILON) {
+            result.push({
+                x: free.x,
+                y: used.y + used.height,
+                width: free.width,
+                height: free.y + free.height - (used.y + used.height)
+            });
+        }
+        return result;
+    }
+
+    static contains(outer, inner) {
+        const EPSILON = this.EPSILON;
+        return inner.x >= outer.x - EPSILON &&
+            inner.y >= outer.y - EPSILON &&
+            inner.x + inner.width <= outer.x + outer.width + EPSILON &&
+            inner.y + inner.height <= outer.y + outer.height + EPSILON;
+    }
+}
+
+// Export for use in main application
+window.SheetNester = SheetNester;
@@ -2,7 +2,8 @@
  * ThumbnailCapture - Scene Thumbnail Generation
  *
  * Captures screenshots of the 3D scene for file thumbnails.
- * Used by FileManager during save operations.
+ * Used by FileManager during save operations, and by PresentationManager for
+ * full-size still images (captureStill renders at the requested size).
  *
  * Performance considerations:
  * - Uses existing renderer (no additional rendering overhead)
@@ -84,6 +85,67 @@ class ThumbnailCapture {
         }
     }
 
+    /**
+     * Render the current view at an arbitrary size (not a resize of the canvas image)
+     * The renderer is resized for one frame and restored straight after.
+     * @param {number} width - Image width in pixels
+     * @param {number} height - Image height in pixels
+     * @param {Object} options - Capture options
+     * @param {boolean} options.transparent - Clear to a transparent background
+     * @returns {Promise<string>} PNG data URL
+     */
+    async captureStill(width, height, options = {}) {
+        const sceneFoundation = window.modlerComponents?.sceneFoundation;
+        const renderer = sceneFoundation?.renderer;
+        if (!renderer) {
+            throw new Error('Renderer not available');
+        }
+
+        const maxSize = renderer.capabilities.maxTextureSize;
+        if (width > maxSize || height > maxSize) {
+            throw new Error(`Image is larger than this GPU supports (${maxSize} px)`);
+        }
+
+        const pixelRatio = renderer.getPixelRatio();
+        const clearAlpha = renderer.getClearAlpha();
+        const { perspectiveCamera, orthographicDistance } = sceneFoundation;
+
+        try {
+            renderer.setPixelRatio(1);
+            renderer.setSize(width, height, false); // Keep the canvas' on-screen size
+            if (options.transparent) {
+                renderer.setClearAlpha(0);
+            }
+
+            const gl = renderer.getContext();
+            if (gl.drawingBufferWidth !== width || gl.drawingBufferHeight !== height) {
+                throw new Error(`Image is larger than the browser allows (${gl.drawingBufferWidth} × ${gl.drawingBufferHeight} px)`);
+            }
+
+            perspectiveCamera.aspect = width / height;
+            perspectiveCamera.updateProjectionMatrix();
+            sceneFoundation.updateOrthographicFrustum(orthographicDistance);
+            window.modlerComponents?.materialManager?.updateLineMaterialResolution?.(width, height);
+
+            sceneFoundation.renderScene();
+            const dataUrl = this.canvas?.toDataURL('image/png') || renderer.domElement.toDataURL('image/png');
+
+            this.stats.captures++;
+            return dataUrl;
+
+        } catch (error) {
+            this.stats.errors++;
+            throw error;
+
+        } finally {
+            // Canvas size, cameras and line widths come back through the resize handler
+            renderer.setPixelRatio(pixelRatio);
+            renderer.setClearAlpha(clearAlpha);
+            sceneFoundation.resizeHandler();
+            sceneFoundation.renderScene();
+        }
+    }
+
     /**
      * Resize image to specified dimensions
      * @param {string} dataUrl - Source image data URL
@@ -63,6 +63,15 @@ class DimensionManager {
             return false;
         }
 
+        // Round primitives keep linked axes equal (cylinder diameter, sphere)
+        dimensions = { ...dimensions };
+        ['x', 'y', 'z'].forEach(axis => {
+            if (dimensions[axis] === undefined) return;
+            this.getLinkedAxes(mesh, axis).forEach(linked => {
+                if (dimensions[linked] === undefined) dimensions[linked] = dimensions[axis];
+            });
+        });
+
         let success = true;
 
         // Resize along each specified axis
@@ -111,6 +120,51 @@ class DimensionManager {
         return this.setDimensions(objectOrId, dimensions, anchorMode);
     }
 
+    /**
+     * Get the axes that must change together with an axis
+     * Cylinders link their two radial axes, spheres and imported meshes link all three
+     * (meshes only scale uniformly); every other type is free
+     *
+     * @param {string|THREE.Mesh} objectOrId - Object ID or mesh
+     * @param {string} axis - Axis ('x', 'y', or 'z')
+     * @returns {Array<string>} Axes including the given one
+     */
+    getLinkedAxes(objectOrId, axis) {
+        const objectData = this._resolveObjectData(objectOrId);
+        switch (objectData?.type) {
+            case 'sphere':
+            case 'mesh':
+                return ['x', 'y', 'z'];
+            case 'cylinder': {
+                const length = objectData.primitive?.axis || 'y';
+                return axis === length ? [axis] : ['x', 'y', 'z'].filter(a => a !== length);
+            }
+            default:
+                return [axis];
+        }
+    }
+
+    /**
+     * Get the axes whose faces are flat and can be pushed
+     * Cylinders only along their length (the caps), spheres have no planar faces,
+     * imported meshes are reference geometry and never pushed
+     *
+     * @param {string|THREE.Mesh} objectOrId - Object ID or mesh
+     * @returns {Array<string>} Pushable axes
+     */
+    getPushableAxes(objectOrId) {
+        const objectData = this._resolveObjectData(objectOrId);
+        switch (objectData?.type) {
+            case 'sphere':
+            case 'mesh':
+                return [];
+            case 'cylinder':
+                return [objectData.primitive?.axis || 'y'];
+            default:
+                return ['x', 'y', 'z'];
+        }
+    }
+
     /**
      * Get dimensions for serialization
      * Used ONLY during save operations
@@ -180,6 +234,16 @@ class DimensionManager {
         return null;
     }
 
+    /**
+     * Resolve object ID or mesh to its object data
+     * @private
+     */
+    _resolveObjectData(objectOrId) {
+        this.initialize();
+        const id = objectOrId?.geometry ? objectOrId.userData?.id : objectOrId;
+        return id !== undefined && id !== null ? this.sceneController?.getObject(id) || null : null;
+    }
+
     /**
      * Validate dimensions object
      * @param {Object} dimensions - Dimensions to validate
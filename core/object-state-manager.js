@@ -113,6 +113,32 @@ class ObjectStateManager {
         }
     }
 
+    /**
+     * Apply pending material updates to a mesh material
+     * @param {THREE.Mesh} mesh - Target mesh
+     * @param {Object} updates - { color?, opacity?, materialId?, grain? }
+     */
+    applyMaterialUpdate(mesh, updates) {
+        const material = mesh?.material;
+        if (!material || Array.isArray(material)) return;
+
+        // Library material and grain changes rebuild the mesh material (MaterialLibraryManager)
+        const materialLibraryManager = window.modlerComponents?.materialLibraryManager;
+        if ((updates.materialId !== undefined || updates.grain !== undefined) && materialLibraryManager) {
+            materialLibraryManager.applyToMesh(mesh, updates);
+            return;
+        }
+
+        if (updates.color !== undefined && material.color) {
+            material.color.set(updates.color);
+        }
+        if (updates.opacity !== undefined) {
+            material.opacity = updates.opacity;
+            material.transparent = updates.opacity < 1;
+        }
+        material.needsUpdate = true;
+    }
+
     /**
      * Initialize with system references
      */
@@ -294,7 +320,7 @@ class ObjectStateManager {
             structure.selected = false;
             structure.locked = false;
             structure.visible = true;
-            structure.formatVersion = '1.0.0';
+            structure.formatVersion = window.ObjectDataFormat.VERSION;
             structure.lastModified = Date.now();
         }
 
@@ -345,7 +371,7 @@ class ObjectStateManager {
      * @param {Object} updates - Object containing properties to update
      * @param {Object} [updates.dimensions] - {x, y, z} dimensions
      * @param {Object} [updates.position] - {x, y, z} position
-     * @param {Object} [updates.rotation] - {x, y, z} rotation (radians)
+     * @param {Object} [updates.rotation] - {x, y, z} rotation (degrees)
      * @param {Object} [updates.material] - Material properties (color, opacity, etc.)
      * @param {string} [updates.name] - Object name
      * @param {boolean} [updates.visible] - Visibility state
@@ -484,6 +510,12 @@ class ObjectStateManager {
                         expandedUpdates[`${path}.${key}`] = val;
                     });
                     return; // Skip adding the nested object itself
+                } else if (path === 'material') {
+                    // Expand material nested object (color, opacity, materialId, grain)
+                    Object.entries(value).forEach(([key, val]) => {
+                        expandedUpdates[`${path}.${key}`] = val;
+                    });
+                    return; // Skip adding the nested object itself
                 } else if (path === 'autoLayout') {
                     // Expand autoLayout nested object (enabled, direction, gap, padding)
                     Object.entries(value).forEach(([key, val]) => {
@@ -507,6 +539,7 @@ class ObjectStateManager {
         const dimensionUpdates = {};
         const positionUpdates = {};
         const rotationUpdates = {};
+        const materialUpdates = {};
 
         Object.entries(expandedUpdates).forEach(([path, value]) => {
             // Track top-level property that changed
@@ -523,6 +556,10 @@ class ObjectStateManager {
             } else if (path.startsWith('rotation.')) {
                 const axis = path.split('.')[1];
                 rotationUpdates[axis] = value;
+            } else if (path.startsWith('material.')) {
+                const key = path.split('.')[1];
+                materialUpdates[key] = value;
+                object.material = { ...(object.material || {}), [key]: value };
             } else if (path.includes('.')) {
                 // Other nested properties (e.g., "autoLayout.gap", "autoLayout.padding.top")
                 const parts = path.split('.');
@@ -566,6 +603,9 @@ class ObjectStateManager {
         if (Object.keys(rotationUpdates).length > 0) {
             object._pendingRotationUpdates = rotationUpdates;
         }
+        if (Object.keys(materialUpdates).length > 0) {
+            object._pendingMaterialUpdates = materialUpdates;
+        }
 
         return changedProperties;
     }
@@ -690,14 +730,20 @@ class ObjectStateManager {
             // Apply position updates
             this.applyGeometryUpdate(object, 'Position', 'updateObjectPosition', false);
 
-            // Apply rotation updates
-            this.applyGeometryUpdate(object, 'Rotation', 'updateObjectRotation', false);
+            // Apply rotation updates (rotated extents change the parent's layout/hug bounds)
+            this.applyGeometryUpdate(object, 'Rotation', 'updateObjectRotation', !skipLayoutPropagation);
 
             // Sync non-geometry properties to SceneController first (needed for layout)
             const sceneObject = this.sceneController.getObject(object.id);
             if (sceneObject) {
                 sceneObject.name = object.name;
 
+                // Apply material changes (color, opacity) to the mesh material
+                if (object._pendingMaterialUpdates) {
+                    this.applyMaterialUpdate(sceneObject.mesh, object._pendingMaterialUpdates);
+                    delete object._pendingMaterialUpdates;
+                }
+
                 // childrenOrder is owned by SceneController — CommandRouter writes it directly
                 // No sync needed here
 
@@ -763,8 +809,12 @@ class ObjectStateManager {
             // CHILD LAYOUT PROPERTIES CHANGED: Trigger parent container layout update
             const layoutPropertiesChanged = object._changedProperties?.has('layoutProperties') ||
                 Array.from(object._changedProperties || []).some(prop => prop.startsWith('layoutProperties.'));
+            // Grid cell placement applies to container children too (e.g. drawers in a carcass)
+            const gridPlacementChanged = Array.from(object._changedProperties || []).some(prop =>
+                prop.startsWith('layoutProperties.grid')
+            );
 
-            if (layoutPropertiesChanged && object.parentContainer && !object.isContainer) {
+            if (layoutPropertiesChanged && object.parentContainer && (!object.isContainer || gridPlacementChanged)) {
                 // Child sizing changed → parent needs to recalculate layout
                 this.sceneController.updateContainer(object.parentContainer);
             }
@@ -995,6 +1045,8 @@ class ObjectStateManager {
         if (!obj?.layoutProperties) return false;
 
         if (axis) {
+            // Round axes (cylinder diameter, sphere) and imported meshes never fill
+            if ((window.dimensionManager?.getLinkedAxes(objectId, axis).length || 1) > 1) return false;
             return this.getChildSizeMode(objectId, axis) === 'fill';
         }
 
@@ -24,7 +24,7 @@ const whitelistedFiles = [
     '**/push-face-command.js',
     '**/update-layout-property-command.js',
     '**/layout-engine.js',
-    '**/axis-gizmo.js',
+    '**/view-cube.js',
     '**/snap-visualizer.js',
     '**/container-visualizer.js',
     '**/main-adapter.js',
@@ -36,7 +36,8 @@ const whitelistedFiles = [
     '**/camera-controller.js',
     '**/object-visualizer.js',
     '**/support-mesh-factory.js',
-    '**/visual-effects.js'
+    '**/visual-effects.js',
+    '**/presentation-manager.js'
 ];
 
 export default [
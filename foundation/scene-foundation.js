@@ -19,12 +19,22 @@ class SceneFoundation {
         if (height <= 0) height = 600;
         
         
-        this.camera = new THREE.PerspectiveCamera(75, width / height, 0.01, 2000);
+        // Perspective is the default; the orthographic camera backs CAD standard views.
+        // `camera` always points at the active one (see setActiveCamera)
+        this.perspectiveCamera = new THREE.PerspectiveCamera(75, width / height, 0.01, 2000);
+        // Negative near plane: orthographic framing depends on frustum size, not camera distance,
+        // so geometry behind the (orbit-distance) camera position must still render
+        this.orthographicCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, -1000, 2000);
+        this.camera = this.perspectiveCamera;
+        this.orthographicDistance = 5 * Math.sqrt(3);
+        this.cameraChangeCallbacks = [];
         
         // Force a fresh WebGL context
+        // alpha: still captures can clear to transparent (the clear colour stays opaque otherwise)
         this.renderer = new THREE.WebGLRenderer({ 
             canvas: this.canvas, 
             antialias: true,
+            alpha: true,
             preserveDrawingBuffer: true,
             powerPreference: "high-performance"
         });
@@ -56,7 +66,7 @@ class SceneFoundation {
         this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
         this.renderer.setClearColor(0x1a1a1a);
-        // Shadows disabled for modeling app simplicity
+        // Shadows disabled for modeling app simplicity (PresentationManager enables them while presenting)
     }
     
     
@@ -67,8 +77,50 @@ class SceneFoundation {
 
         // RAYCASTING LAYERS: Enable both Layer 0 (regular objects) and Layer 1 (container interactive meshes)
         // This allows camera to see both layers for rendering and raycasting
-        this.camera.layers.enable(0); // Layer 0 is enabled by default, but be explicit
-        this.camera.layers.enable(1); // Layer 1 for container interactive meshes
+        [this.perspectiveCamera, this.orthographicCamera].forEach(camera => {
+            camera.layers.enable(0); // Layer 0 is enabled by default, but be explicit
+            camera.layers.enable(1); // Layer 1 for container interactive meshes
+        });
+
+        this.updateOrthographicFrustum(this.orthographicDistance);
+    }
+
+    /**
+     * Size the orthographic frustum to show what the perspective camera shows at a distance
+     * Keeps framing identical when switching projection (CameraController calls this on every camera change)
+     * @param {number} distance - Camera distance to the orbit target
+     */
+    updateOrthographicFrustum(distance) {
+        this.orthographicDistance = distance;
+
+        const halfHeight = distance * Math.tan(THREE.MathUtils.degToRad(this.perspectiveCamera.fov / 2));
+        const halfWidth = halfHeight * this.perspectiveCamera.aspect;
+
+        this.orthographicCamera.left = -halfWidth;
+        this.orthographicCamera.right = halfWidth;
+        this.orthographicCamera.top = halfHeight;
+        this.orthographicCamera.bottom = -halfHeight;
+        this.orthographicCamera.updateProjectionMatrix();
+    }
+
+    /**
+     * Switch the active camera (perspective ↔ orthographic)
+     * Components that cache the camera are re-pointed through camera change callbacks
+     * @param {THREE.Camera} camera - perspectiveCamera or orthographicCamera
+     */
+    setActiveCamera(camera) {
+        if (!camera || camera === this.camera) return;
+
+        this.camera = camera;
+        this.cameraChangeCallbacks.forEach(callback => callback(camera));
+        this.requestRender();
+    }
+
+    // Add camera change callback
+    addCameraChangeCallback(callback) {
+        if (typeof callback === 'function') {
+            this.cameraChangeCallbacks.push(callback);
+        }
     }
     
     setupRenderLoop() {
@@ -81,8 +133,9 @@ class SceneFoundation {
             const width = container?.clientWidth || 800;
             const height = container?.clientHeight || 600;
 
-            this.camera.aspect = width / height;
-            this.camera.updateProjectionMatrix();
+            this.perspectiveCamera.aspect = width / height;
+            this.perspectiveCamera.updateProjectionMatrix();
+            this.updateOrthographicFrustum(this.orthographicDistance);
             this.renderer.setSize(width, height);
 
             // Update LineMaterial resolution uniform for screen-space line widths
@@ -111,10 +164,22 @@ class SceneFoundation {
             this.animationCallbacks.forEach(callback => callback());
         }
 
-        this.renderer.render(this.scene, this.camera);
+        this.renderScene();
         this.needsRender = false;
     }
 
+    /**
+     * Draw the scene with the active camera now (presentation mode renders its own way)
+     */
+    renderScene() {
+        const presentationManager = window.modlerComponents?.presentationManager;
+        if (presentationManager?.isActive()) {
+            presentationManager.render(this.renderer, this.scene, this.camera);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+
     /**
      * Mark scene as needing a render on next frame.
      * Called by camera controller, event bus, resize handler, etc.
@@ -214,6 +279,7 @@ class SceneFoundation {
         
         // Clear animation callbacks
         this.clearAnimationCallbacks();
+        this.cameraChangeCallbacks = [];
         
         // Clean up Three.js objects
         this.scene.traverse((object) => {
@@ -193,6 +193,7 @@ class SimpleCommunication {
         data.canHaveFillButtons = this.computeCanHaveFillButtons(sceneObject);
         data.fillButtonStates = this.computeFillButtonStates(sceneObject);
         data.isInLayoutMode = this.computeIsInLayoutMode(sceneObject);
+        data.isInGridLayout = this.computeIsInGridLayout(sceneObject);
 
         return data;
     }
@@ -237,6 +238,17 @@ class SimpleCommunication {
         return sceneObject && sceneObject.isContainer && sceneObject.containerMode === 'layout';
     }
 
+    /**
+     * Compute whether object is a cell in a track grid
+     * DEFINITION: Parent is in layout mode with direction 'grid' (enables grid cell placement)
+     */
+    computeIsInGridLayout(sceneObject) {
+        if (!sceneObject || !sceneObject.parentContainer) return false;
+
+        const parent = this.sceneController.getObject(sceneObject.parentContainer);
+        return !!parent && parent.containerMode === 'layout' && parent.autoLayout?.direction === 'grid';
+    }
+
     // ═══════════════════════════════════════════════════════════════
     // EVENT HANDLERS (Main → UI)
     // ═══════════════════════════════════════════════════════════════
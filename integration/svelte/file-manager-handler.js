@@ -139,6 +139,23 @@ class FileManagerHandler {
                     result = { success: true, files: files };
                     break;
 
+                case 'listVersions':
+                    const versions = await fileManager.listVersions(params?.fileId);
+                    result = { success: true, versions: versions };
+                    break;
+
+                case 'restoreVersion':
+                    result = await fileManager.restoreVersion(params?.versionId);
+                    break;
+
+                case 'openVersionAsCopy':
+                    result = await fileManager.openVersionAsCopy(params?.versionId);
+                    break;
+
+                case 'diffVersions':
+                    result = await fileManager.diffVersions(params?.fromVersionId, params?.toVersionId);
+                    break;
+
                 case 'getCurrentFileState':
                     result = { success: true, state: fileManager.getCurrentFileState() };
                     break;
@@ -35,6 +35,11 @@ class PropertyFormatConverter {
             'autoLayout.padding.width': 'dimension',
             'autoLayout.padding.height': 'dimension',
             'autoLayout.padding.depth': 'dimension',
+            'autoLayout.flow.crossGap': 'dimension',
+            'autoLayout.grid.columnGap': 'dimension',
+            'autoLayout.grid.rowGap': 'dimension',
+            'autoLayout.radial.radius': 'dimension',
+            'autoLayout.path.radius': 'dimension',
 
             // Color properties
             'material.color': 'color',
@@ -62,12 +67,34 @@ class PropertyFormatConverter {
 
             // Object properties (pass through as-is)
             'autoLayout.alignment': 'object',
+            'autoLayout.flow': 'object',
+            'autoLayout.grid': 'object',
+            'autoLayout.radial': 'object',
+            'autoLayout.path': 'object',
             'autoLayout.reversed': 'boolean',
 
             // Tile mode properties
             'autoLayout.tileMode.repeat': 'number',
             'autoLayout.tileMode.enabled': 'boolean',
-            'autoLayout.tileMode.sourceObjectId': 'string'
+            'autoLayout.tileMode.sourceObjectId': 'string',
+
+            // Flow (wrap) layout properties
+            'autoLayout.flow.axis': 'string',
+            'autoLayout.flow.wrapAxis': 'string',
+
+            // Curve layout properties (angles in degrees)
+            'autoLayout.radial.startAngle': 'number',
+            'autoLayout.radial.sweep': 'number',
+            'autoLayout.radial.faceCenter': 'boolean',
+            'autoLayout.path.startAngle': 'number',
+            'autoLayout.path.sweep': 'number',
+            'autoLayout.path.alignToPath': 'boolean',
+
+            // Grid cell placement (child layoutProperties, 1-based)
+            'layoutProperties.gridColumn': 'number',
+            'layoutProperties.gridRow': 'number',
+            'layoutProperties.gridColumnSpan': 'number',
+            'layoutProperties.gridRowSpan': 'number'
         };
 
         // Color format patterns
@@ -3,6 +3,17 @@ import * as THREE from 'three';
 // Essential camera controls only - integrated with InputController
 // Target: ~150 lines (down from 416 lines - 64% reduction)
 
+// Standard CAD views: direction from orbit target to camera, optional screen-up for views along Y
+const STANDARD_VIEWS = {
+    top: { direction: [0, 1, 0], up: [0, 0, -1] },
+    bottom: { direction: [0, -1, 0], up: [0, 0, 1] },
+    front: { direction: [0, 0, 1] },
+    back: { direction: [0, 0, -1] },
+    right: { direction: [1, 0, 0] },
+    left: { direction: [-1, 0, 0] },
+    iso: { direction: [1, 1, 1] }
+};
+
 class CameraController {
     constructor(camera, canvas) {
         this.camera = camera;
@@ -28,6 +39,10 @@ class CameraController {
         this.minPolarAngle = 0.01;
         this.maxPolarAngle = Math.PI - 0.01;
 
+        // Animated view transitions (standard views, view cube)
+        this.transitionDuration = 350; // ms
+        this.transitionFrame = null;
+
         // Initialize zoom centering (if available)
         if (window.ZoomCentering) {
             this.zoomCentering = new ZoomCentering(this.camera, this.canvas, { current: this.orbitTarget });
@@ -48,6 +63,7 @@ class CameraController {
 
     // Called by InputController to start orbit
     startOrbitFromInputHandler(event, mousePos) {
+        this.cancelTransition();
         this.lastMousePosition.copy(mousePos);
         this.orbitStartPosition = this.camera.position.clone();
         this.isOrbiting = true;
@@ -56,6 +72,7 @@ class CameraController {
 
     // Called by InputController to start pan
     startPanFromInputHandler(event, mousePos) {
+        this.cancelTransition();
         this.lastMousePosition.copy(mousePos);
         this.orbitStartPosition = this.camera.position.clone();
         this.isPanning = true;
@@ -94,19 +111,16 @@ class CameraController {
         // Update camera position
         this.camera.position.setFromSpherical(this.spherical).add(this.orbitTarget);
         this.camera.lookAt(this.orbitTarget);
-        this._requestRender();
+        this._cameraChanged();
     }
 
     performPan(deltaX, deltaY) {
         // Calculate pan vector in world space
         const panVector = new THREE.Vector3();
-        const cameraRight = new THREE.Vector3();
-        const cameraUp = new THREE.Vector3();
 
-        // Get camera right and up vectors
-        this.camera.getWorldDirection(panVector);
-        cameraRight.crossVectors(this.camera.up, panVector).normalize();
-        cameraUp.crossVectors(panVector, cameraRight).normalize();
+        // Camera right and up vectors from its orientation (also valid looking straight down in top view)
+        const cameraRight = new THREE.Vector3(-1, 0, 0).applyQuaternion(this.camera.quaternion);
+        const cameraUp = new THREE.Vector3(0, 1, 0).applyQuaternion(this.camera.quaternion);
 
         // Calculate movement
         const distance = this.camera.position.distanceTo(this.orbitTarget);
@@ -118,11 +132,12 @@ class CameraController {
         // Apply to both camera and target
         this.camera.position.add(panVector);
         this.orbitTarget.add(panVector);
-        this._requestRender();
+        this._cameraChanged();
     }
 
     onWheel(event) {
         event.preventDefault();
+        this.cancelTransition();
 
         // Direct smooth zoom with reduced sensitivity
         const distance = this.camera.position.distanceTo(this.orbitTarget);
@@ -141,7 +156,7 @@ class CameraController {
 
         // Set camera position at new distance
         this.camera.position.copy(this.orbitTarget).addScaledVector(direction, newDistance);
-        this._requestRender();
+        this._cameraChanged();
     }
 
     // Called by InputController to stop operations
@@ -213,7 +228,7 @@ class CameraController {
 
         // Update spherical coordinates to match new camera position
         this.updateSphericalFromCamera();
-        this._requestRender();
+        this._cameraChanged();
     }
 
     /**
@@ -231,15 +246,226 @@ class CameraController {
 
         // Update spherical coordinates to match reset position
         this.updateSphericalFromCamera();
-        this._requestRender();
+        this._cameraChanged();
+    }
+
+    /**
+     * Current projection
+     * @returns {string} 'perspective' or 'orthographic'
+     */
+    get projection() {
+        return this.camera.isOrthographicCamera ? 'orthographic' : 'perspective';
+    }
+
+    /**
+     * Switch projection while keeping the view: the new camera takes over position and
+     * orientation, and the orthographic frustum matches the perspective view at the orbit target
+     * @param {string} projection - 'perspective' or 'orthographic'
+     * @returns {boolean} True if the projection changed
+     */
+    setProjection(projection) {
+        const sceneFoundation = window.modlerComponents?.sceneFoundation;
+        if (!sceneFoundation) return false;
+        if (projection === this.projection) {
+            this._cameraChanged(); // Camera may have been moved externally (scene load)
+            return false;
+        }
+
+        const nextCamera = projection === 'orthographic'
+            ? sceneFoundation.orthographicCamera
+            : sceneFoundation.perspectiveCamera;
+        if (!nextCamera) return false;
+
+        nextCamera.position.copy(this.camera.position);
+        nextCamera.quaternion.copy(this.camera.quaternion);
+
+        // SceneFoundation re-points every component that caches the camera (including this one)
+        sceneFoundation.setActiveCamera(nextCamera);
+        this.setCamera(nextCamera);
+        this._cameraChanged();
+        return true;
     }
 
-    _requestRender() {
+    toggleProjection() {
+        return this.setProjection(this.projection === 'orthographic' ? 'perspective' : 'orthographic');
+    }
+
+    /**
+     * Use a different camera object (called when SceneFoundation switches the active camera)
+     * @param {THREE.Camera} camera
+     */
+    setCamera(camera) {
+        this.camera = camera;
+        if (this.zoomCentering) {
+            this.zoomCentering.camera = camera;
+        }
+    }
+
+    /**
+     * Look at the orbit target from a standard view
+     * @param {string} viewName - 'top' | 'bottom' | 'front' | 'back' | 'right' | 'left' | 'iso'
+     * @param {boolean} animate - Animate the transition (default: true)
+     * @returns {boolean} True if the view exists
+     */
+    setStandardView(viewName, animate = true) {
+        const view = STANDARD_VIEWS[viewName];
+        if (!view) return false;
+
+        this.setViewDirection(
+            new THREE.Vector3(...view.direction),
+            view.up ? new THREE.Vector3(...view.up) : null,
+            animate
+        );
+        return true;
+    }
+
+    /**
+     * Look at the orbit target from a direction, keeping the current distance
+     * @param {THREE.Vector3} direction - From orbit target towards the camera
+     * @param {THREE.Vector3|null} up - Screen-up direction (default: world Y, or -Z/+Z when looking along Y)
+     * @param {boolean} animate - Animate the transition (default: true)
+     */
+    setViewDirection(direction, up = null, animate = true) {
+        const viewDirection = direction.clone().normalize();
+        if (viewDirection.lengthSq() === 0) return;
+
+        let viewUp = up;
+        if (!viewUp) {
+            viewUp = Math.abs(viewDirection.y) > 0.999
+                ? new THREE.Vector3(0, 0, -Math.sign(viewDirection.y))
+                : new THREE.Vector3(0, 1, 0);
+        }
+
+        const distance = this.camera.position.distanceTo(this.orbitTarget);
+        const eye = this.orbitTarget.clone().addScaledVector(viewDirection, distance);
+        const targetQuaternion = new THREE.Quaternion().setFromRotationMatrix(
+            new THREE.Matrix4().lookAt(eye, this.orbitTarget, viewUp)
+        );
+
+        this.animateToOrientation(targetQuaternion, distance, animate ? this.transitionDuration : 0);
+    }
+
+    /**
+     * Rotate the camera around the orbit target to an orientation
+     * @param {THREE.Quaternion} targetQuaternion - Final camera orientation
+     * @param {number} distance - Distance to keep from the orbit target
+     * @param {number} duration - Transition time in ms (0 = jump)
+     */
+    animateToOrientation(targetQuaternion, distance, duration) {
+        this.animateTo(this.orbitTarget.clone(), targetQuaternion, distance, duration);
+    }
+
+    /**
+     * Move the orbit target, orientation and distance together
+     * @param {THREE.Vector3} targetOrbit - Final orbit target
+     * @param {THREE.Quaternion} targetQuaternion - Final camera orientation
+     * @param {number} targetDistance - Final distance from the orbit target
+     * @param {number} duration - Transition time in ms (0 = jump)
+     */
+    animateTo(targetOrbit, targetQuaternion, targetDistance, duration) {
+        this.cancelTransition();
+
+        const startOrbit = this.orbitTarget.clone();
+        const startQuaternion = this.camera.quaternion.clone();
+        const startDistance = this.camera.position.distanceTo(this.orbitTarget);
+        const quaternion = new THREE.Quaternion();
+        const startTime = performance.now();
+
+        const step = (now) => {
+            const t = duration > 0 ? Math.min(1, (now - startTime) / duration) : 1;
+            const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+            this.orbitTarget.lerpVectors(startOrbit, targetOrbit, eased);
+            quaternion.slerpQuaternions(startQuaternion, targetQuaternion, eased);
+            this.applyOrientation(quaternion, startDistance + (targetDistance - startDistance) * eased);
+
+            if (t < 1) {
+                this.transitionFrame = requestAnimationFrame(step);
+            } else {
+                this.transitionFrame = null;
+                this.updateSphericalFromCamera();
+            }
+        };
+
+        if (duration > 0) {
+            this.transitionFrame = requestAnimationFrame(step);
+        } else {
+            step(startTime);
+        }
+    }
+
+    /**
+     * Current view as plain data (saved viewpoints)
+     * @returns {Object} { position, quaternion, orbitTarget, projection }
+     */
+    getViewState() {
+        const { position, quaternion } = this.camera;
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w },
+            orbitTarget: { x: this.orbitTarget.x, y: this.orbitTarget.y, z: this.orbitTarget.z },
+            projection: this.projection
+        };
+    }
+
+    /**
+     * Return to a view captured by getViewState(). The projection switches first so the
+     * transition runs in the saved projection.
+     * @param {Object} viewState - { position, quaternion, orbitTarget, projection }
+     * @param {boolean} animate - Animate the transition (default: true)
+     * @returns {boolean} True if the view state was usable
+     */
+    setViewState(viewState, animate = true) {
+        const { position, quaternion, orbitTarget } = viewState || {};
+        if (!position || !quaternion || !orbitTarget) return false;
+
+        this.setProjection(viewState.projection === 'orthographic' ? 'orthographic' : 'perspective');
+
+        const targetOrbit = new THREE.Vector3(orbitTarget.x, orbitTarget.y, orbitTarget.z);
+        const distance = Math.max(0.5, targetOrbit.distanceTo(new THREE.Vector3(position.x, position.y, position.z)));
+        const targetQuaternion = new THREE.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w).normalize();
+
+        this.animateTo(targetOrbit, targetQuaternion, distance, animate ? this.transitionDuration : 0);
+        return true;
+    }
+
+    /**
+     * Place the camera on the orbit sphere so it looks at the target with an orientation
+     * @private
+     */
+    applyOrientation(quaternion, distance) {
+        // Cameras look down their local -Z, so the camera sits along local +Z from the target
+        const offset = new THREE.Vector3(0, 0, 1).applyQuaternion(quaternion).multiplyScalar(distance);
+        this.camera.position.copy(this.orbitTarget).add(offset);
+        this.camera.quaternion.copy(quaternion);
+        this._cameraChanged();
+    }
+
+    cancelTransition() {
+        if (this.transitionFrame !== null) {
+            cancelAnimationFrame(this.transitionFrame);
+            this.transitionFrame = null;
+            this.updateSphericalFromCamera();
+        }
+    }
+
+    /**
+     * Keep the orthographic frustum in step with the orbit distance and re-render
+     * @private
+     */
+    _cameraChanged() {
         const sf = window.modlerComponents?.sceneFoundation;
-        if (sf) sf.requestRender();
+        if (!sf) return;
+
+        if (this.camera.isOrthographicCamera && sf.updateOrthographicFrustum) {
+            sf.updateOrthographicFrustum(this.camera.position.distanceTo(this.orbitTarget));
+        }
+        sf.requestRender();
     }
 
     destroy() {
+        this.cancelTransition();
+
         this.canvas.removeEventListener('wheel', this.onWheel);
         this.canvas.removeEventListener('contextmenu', this.onContextMenu);
         this.canvas.removeEventListener('mouseleave', this.onMouseLeave);
@@ -65,6 +65,16 @@ class CameraMathUtils {
         return new THREE.Vector2(screenPosition.x, screenPosition.y);
     }
     
+    // World units covered by one screen pixel at a world position (perspective or orthographic)
+    static worldUnitsPerPixel(camera, worldPosition, viewportHeight) {
+        if (camera.isOrthographicCamera) {
+            return (camera.top - camera.bottom) / camera.zoom / viewportHeight;
+        }
+        const distance = camera.position.distanceTo(worldPosition);
+        const fovRadians = (camera.fov * Math.PI) / 180;
+        return (2 * Math.tan(fovRadians / 2) * distance) / viewportHeight;
+    }
+
     // Calculate screen distance between two world positions
     static screenDistanceBetweenWorldPositions(pos1, pos2, camera, canvas) {
         const screen1 = this.worldToScreenNDC(pos1, camera);
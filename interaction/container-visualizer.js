@@ -267,6 +267,7 @@ class ContainerVisualizer extends ObjectVisualizer {
         if (newState === 'selected' || newState === 'multi-selected') {
             this.setContainerSelectionState(object);
             this.showPaddingVisualization(object);
+            this.showGridLines(object);
             this.showChildContainers(object);
             this.showParentContainerContext(object);
         } else {
@@ -294,6 +295,7 @@ class ContainerVisualizer extends ObjectVisualizer {
         if (state === 'selected' || state === 'multi-selected') {
             this.hideContainerWireframe(object);
             this.hidePaddingVisualization(object);
+            this.hideGridLines(object);
             this.hideChildContainers(object, true);
             this.hideParentContainerContext(object);
             return;
@@ -359,6 +361,86 @@ class ContainerVisualizer extends ObjectVisualizer {
         return padding.width > 0 || padding.height > 0 || padding.depth > 0;
     }
 
+    /**
+     * Show track grid lines for a selected grid-layout container
+     * Lines sit on the track edges in the container's depth center plane (local space)
+     */
+    showGridLines(object) {
+        const sceneController = window.modlerComponents?.sceneController;
+        const objectData = sceneController?.getObjectByMesh(object);
+
+        this.hideGridLines(object);
+        if (!objectData?.isContainer || objectData.containerMode !== 'layout' ||
+            objectData.autoLayout?.direction !== 'grid' || !objectData.gridTracks) return;
+
+        const { columnAxis, rowAxis, depthAxis, columns, rows, depth } = objectData.gridTracks;
+        if (columns.length === 0 || rows.length === 0) return;
+
+        const edges = tracks => {
+            const lines = [];
+            tracks.forEach(track => {
+                lines.push(track.start, track.start + track.size);
+            });
+            return lines;
+        };
+        const columnEdges = edges(columns);
+        const rowEdges = edges(rows);
+        const columnRange = [columnEdges[0], columnEdges[columnEdges.length - 1]];
+        const rowRange = [rowEdges[0], rowEdges[rowEdges.length - 1]];
+        const depthCenter = (depth.min + depth.max) / 2;
+
+        const vertices = [];
+        const pushPoint = (columnValue, rowValue) => {
+            const point = new THREE.Vector3();
+            point[columnAxis] = columnValue;
+            point[rowAxis] = rowValue;
+            point[depthAxis] = depthCenter;
+            vertices.push(point.x, point.y, point.z);
+        };
+        columnEdges.forEach(value => {
+            pushPoint(value, rowRange[0]);
+            pushPoint(value, rowRange[1]);
+        });
+        rowEdges.forEach(value => {
+            pushPoint(columnRange[0], value);
+            pushPoint(columnRange[1], value);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+
+        const gridLines = new THREE.LineSegments(geometry, this.layoutGuideMaterial);
+        gridLines.name = 'layoutGridLines';
+        gridLines.userData.isVisualEffect = true;
+        gridLines.raycast = () => {};
+        object.add(gridLines);
+        this.layoutGuides.set(object, gridLines);
+    }
+
+    /**
+     * Remove track grid lines
+     */
+    hideGridLines(object) {
+        const gridLines = this.layoutGuides.get(object);
+        if (!gridLines) return;
+
+        gridLines.parent?.remove(gridLines);
+        gridLines.geometry.dispose();
+        this.layoutGuides.delete(object);
+    }
+
+    /**
+     * Redraw grid lines after a layout pass (only for shown lines or selected containers)
+     */
+    refreshGridLines(object) {
+        if (!object) return;
+
+        const selectionController = window.modlerComponents?.selectionController;
+        if (!this.layoutGuides.has(object) && !selectionController?.isSelected(object)) return;
+
+        this.showGridLines(object);
+    }
+
     /**
      * Show child containers when parent container is selected.
      * Recursively shows all descendant containers with depth-based opacity:
@@ -565,6 +647,7 @@ class ContainerVisualizer extends ObjectVisualizer {
 
         // Clean up container-specific visualizations
         this.hidePaddingVisualization(object);
+        this.hideGridLines(object);
     }
 
     /**
@@ -576,6 +659,7 @@ class ContainerVisualizer extends ObjectVisualizer {
         this.exitAllContainerContexts();
 
         this.paddingVisualizations.clear();
+        this.layoutGuides.forEach((gridLines, object) => this.hideGridLines(object));
         this.layoutGuides.clear();
     }
 }
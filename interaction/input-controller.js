@@ -30,6 +30,7 @@ class InputController {
         // Keys are now tracked by KeyboardRouter - provide getter for backward compatibility
         this.mouseButtons = new Set();
         this.lastMousePosition = { x: 0, y: 0 };
+        this.isPointerOverCanvas = false; // Paste lands at the cursor only while it is over the viewport
 
         // Tool system
         this.currentTool = 'select';
@@ -42,11 +43,16 @@ class InputController {
         this.doubleClickThreshold = 400; // milliseconds
         this.doubleClickDistance = 5; // pixels
 
+        // Ctrl/Cmd+drag rectangle selection (select tool)
+        this.marqueeSelection = window.MarqueeSelection ? new MarqueeSelection(canvas) : null;
+
         // Event handlers (bound for cleanup)
         this.handleMouseMove = this.onMouseMove.bind(this);
         this.handleMouseDown = this.onMouseDown.bind(this);
         this.handleMouseUp = this.onMouseUp.bind(this);
         this.handleContextMenu = (e) => e.preventDefault();
+        this.handleMouseEnter = () => { this.isPointerOverCanvas = true; };
+        this.handleMouseLeave = () => { this.isPointerOverCanvas = false; };
         // Keyboard handlers removed - now in KeyboardRouter
 
         this.setupEventListeners();
@@ -59,6 +65,8 @@ class InputController {
         this.canvas.addEventListener('mousedown', this.handleMouseDown, false);
         this.canvas.addEventListener('mouseup', this.handleMouseUp, false);
         this.canvas.addEventListener('contextmenu', this.handleContextMenu, false);
+        this.canvas.addEventListener('mouseenter', this.handleMouseEnter, false);
+        this.canvas.addEventListener('mouseleave', this.handleMouseLeave, false);
 
         // Keyboard events - REMOVED, now handled by KeyboardRouter
         // The router provides centralized keyboard handling with priority-based delegation
@@ -72,6 +80,7 @@ class InputController {
     onMouseMove(event) {
         // Update mouse position
         this.updateMousePosition(event);
+        this.isPointerOverCanvas = true;
 
         // Any mouse movement may change hover visuals — request render
         const sf = window.modlerComponents?.sceneFoundation;
@@ -84,6 +93,17 @@ class InputController {
 
         // Gizmo handling removed - face-based movement system handles all interactions
 
+        // Marquee drag replaces hover while it is armed
+        if (this.marqueeSelection?.isPending()) {
+            if ((event.buttons & 1) === 0) {
+                // Button released outside the canvas
+                this.marqueeSelection.cancel();
+            } else {
+                this.marqueeSelection.update(event);
+                return;
+            }
+        }
+
         // Handle camera operations (orbit/pan)
         const cameraController = window.modlerComponents?.cameraController;
         if (cameraController && (cameraController.isOrbiting || cameraController.isPanning)) {
@@ -142,7 +162,11 @@ class InputController {
 
         // Left mouse button logic
         if (event.button === 0) {
-            if (event.shiftKey) {
+            if (this.shouldStartMarquee(event)) {
+                // Ctrl/Cmd+drag = marquee (Shift adds); a press without drag still clicks on mouse up
+                this.marqueeSelection.begin(event);
+                return;
+            } else if (event.shiftKey) {
                 // Shift+Left = Pan
                 this.startCameraPan(event);
                 return; // Prevent further event processing
@@ -185,6 +209,16 @@ class InputController {
             cameraMovedSignificantly = cameraController.stopCameraOperation();
         }
 
+        // Finish a marquee drag (a press that never moved falls through to click handling)
+        if (event.button === 0 && this.marqueeSelection?.isPending()) {
+            const marquee = this.marqueeSelection.finish();
+            if (marquee) {
+                this.applyMarqueeSelection(marquee);
+                this.lastMouseDownEvent = null;
+                return;
+            }
+        }
+
         // Process left mouse button clicks
         if (event.button === 0 && this.lastMouseDownEvent) {
             // Skip if camera moved significantly
@@ -221,6 +255,34 @@ class InputController {
         }
     }
 
+    /**
+     * Ctrl/Cmd+press with the select tool arms a marquee instead of orbiting
+     */
+    shouldStartMarquee(event) {
+        return !!this.marqueeSelection &&
+            this.currentTool === 'select' &&
+            (event.ctrlKey || event.metaKey);
+    }
+
+    /**
+     * Select the objects inside (window) or touching (crossing) the marquee,
+     * limited to the current container context
+     * @param {Object} marquee - MarqueeSelection.finish() result
+     */
+    applyMarqueeSelection({ rect, mode, additive }) {
+        const candidates = MarqueeSelection.getCandidates(
+            this.sceneController,
+            window.modlerComponents?.navigationController
+        );
+        const picked = MarqueeSelection.pickObjects(candidates, this.camera, rect, mode)
+            .map(objectData => objectData.mesh);
+
+        const selection = additive
+            ? [...this.selectionController.getSelectedObjects(), ...picked]
+            : picked;
+        this.selectionController.setSelection(selection);
+    }
+
     // onKeyDown and onKeyUp methods REMOVED
     // Keyboard handling now centralized in KeyboardRouter (/interaction/keyboard-router.js)
     // This eliminates competing listeners and provides priority-based delegation
@@ -464,15 +526,30 @@ class InputController {
         return { x: this.mouse.x, y: this.mouse.y };
     }
 
+    /**
+     * Point under the cursor on the ground plane (Y = 0), without grid snapping
+     * @returns {THREE.Vector3|null} Null when the cursor is outside the viewport or the ray misses
+     */
+    getGroundPlanePoint() {
+        if (!this.isPointerOverCanvas) return null;
+
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        return this.raycaster.ray.intersectPlane(groundPlane, new THREE.Vector3());
+    }
+
     destroy() {
         // Remove event listeners
         this.canvas.removeEventListener('mousemove', this.handleMouseMove);
         this.canvas.removeEventListener('mousedown', this.handleMouseDown);
         this.canvas.removeEventListener('mouseup', this.handleMouseUp);
         this.canvas.removeEventListener('contextmenu', this.handleContextMenu);
+        this.canvas.removeEventListener('mouseenter', this.handleMouseEnter);
+        this.canvas.removeEventListener('mouseleave', this.handleMouseLeave);
         // Keyboard listeners removed - now in KeyboardRouter
 
         // Clear state
+        this.marqueeSelection?.cancel();
         this.mouseButtons.clear();
         this.selectionController.clearSelection();
         this.visualEffects.clearHighlight();
@@ -7,9 +7,10 @@
  * Priority Order:
  * 1. Active input fields (highest priority - allow native behavior)
  * 2. Active tool keyboard handlers (tool-specific shortcuts)
- * 3. Global commands (Cmd+Z, Cmd+F, Tab, etc.)
- * 4. Tool switching shortcuts (Q/W/E/R/T)
- * 5. Otherwise ignored
+ * 3. Global commands (Cmd+Z, Cmd+F, Cmd+C/X/V, Tab, etc.)
+ * 4. Tool switching shortcuts (Q/W/E/R/T/Y/M)
+ * 5. View shortcuts (1/3/7/0 standard views, 5 perspective/orthographic)
+ * 6. Otherwise ignored
  */
 
 class KeyboardRouter {
@@ -21,6 +22,8 @@ class KeyboardRouter {
         this.propertyPanelSync = null;
         this.measurementTool = null;
         this.historyManager = null;
+        this.cameraController = null;
+        this.clipboardManager = null;
 
         // Field navigation workflows (from field-navigation-manager)
         this.navigationWorkflows = new Map(); // toolName -> { fieldOrder, onFieldFocus, onFieldApply, onWorkflowComplete, currentFieldIndex }
@@ -43,6 +46,8 @@ class KeyboardRouter {
         this.propertyPanelSync = components.propertyPanelSync;
         this.measurementTool = components.measurementTool;
         this.historyManager = components.historyManager;
+        this.cameraController = components.cameraController;
+        this.clipboardManager = components.clipboardManager;
 
         // Setup single global keyboard listener (capture phase for highest priority)
         document.addEventListener('keydown', this.handleKeyDown, true);
@@ -173,9 +178,12 @@ class KeyboardRouter {
             return;
         }
 
-        // PRIORITY 5: Escape key - clear selection
+        // PRIORITY 5: Escape key - leave presentation mode, otherwise clear selection
         if (code === 'Escape') {
             event.preventDefault();
+            if (window.modlerComponents?.presentationManager?.exit()) {
+                return;
+            }
             if (this.selectionController) {
                 this.selectionController.clearSelection();
             }
@@ -196,6 +204,11 @@ class KeyboardRouter {
             if (this.handleToolSwitch(code)) {
                 return; // Tool switched
             }
+
+            // PRIORITY 7: Standard views and projection toggle
+            if (this.handleViewShortcut(code)) {
+                return; // View changed
+            }
         }
     }
 
@@ -250,6 +263,34 @@ class KeyboardRouter {
             return true;
         }
 
+        // Cmd+Alt+C / Cmd+Alt+V: Copy properties, paste all copied property groups
+        if (event.altKey && (code === 'KeyC' || code === 'KeyV')) {
+            if (!this.clipboardManager) return false;
+
+            event.preventDefault();
+            if (code === 'KeyC') {
+                this.clipboardManager.copyProperties();
+            } else {
+                this.clipboardManager.pasteProperties();
+            }
+            return true;
+        }
+
+        // Cmd+C / Cmd+X / Cmd+V: Copy, cut, paste objects
+        if (code === 'KeyC' || code === 'KeyX' || code === 'KeyV') {
+            if (!this.clipboardManager) return false;
+
+            event.preventDefault();
+            if (code === 'KeyC') {
+                this.clipboardManager.copySelection();
+            } else if (code === 'KeyX') {
+                this.clipboardManager.cutSelection();
+            } else {
+                this.clipboardManager.paste();
+            }
+            return true;
+        }
+
         return false;
     }
 
@@ -392,7 +433,7 @@ class KeyboardRouter {
     }
 
     /**
-     * Handle tool switching shortcuts (Q/W/E/R/T)
+     * Handle tool switching shortcuts (Q/W/E/R/T/Y/M)
      * @returns {boolean} True if tool was switched
      */
     handleToolSwitch(code) {
@@ -401,6 +442,7 @@ class KeyboardRouter {
         const toolMap = {
             'KeyQ': 'select',
             'KeyW': 'move',
+            'KeyY': 'rotate',
             'KeyE': 'push',
             'KeyR': 'box-creation',
             'KeyT': 'tile',
@@ -416,6 +458,34 @@ class KeyboardRouter {
         return false;
     }
 
+    /**
+     * Handle view shortcuts (number row or numpad, CAD/Blender-style)
+     * @returns {boolean} True if the view changed
+     */
+    handleViewShortcut(code) {
+        if (!this.cameraController) return false;
+
+        const viewMap = {
+            'Digit1': 'front', 'Numpad1': 'front',
+            'Digit3': 'right', 'Numpad3': 'right',
+            'Digit7': 'top', 'Numpad7': 'top',
+            'Digit0': 'iso', 'Numpad0': 'iso'
+        };
+
+        if (code === 'Digit5' || code === 'Numpad5') {
+            this.cameraController.toggleProjection();
+            return true;
+        }
+
+        const viewName = viewMap[code];
+        if (viewName) {
+            this.cameraController.setStandardView(viewName);
+            return true;
+        }
+
+        return false;
+    }
+
     /**
      * Main keyup event handler
      */
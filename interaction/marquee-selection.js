@@ -0,0 +1,212 @@
+import * as THREE from 'three';
+/**
+ * MarqueeSelection - Drag-Rectangle Selection in the Viewport
+ *
+ * Started by InputController on Ctrl/Cmd+drag with the select tool (plain drag stays
+ * camera orbit). The drag direction picks the mode, as in most CAD tools:
+ * - left → right: window   - only objects entirely inside the rectangle
+ * - right → left: crossing - every object the rectangle touches
+ *
+ * Candidates follow NavigationController's container context: children of the current
+ * container when stepped into one, root-level objects otherwise (container-first).
+ * Objects are tested by the screen rectangle of their projected geometry bounds.
+ */
+
+const DRAG_THRESHOLD = 4; // Pixels before a Ctrl/Cmd+press becomes a marquee instead of a click
+
+class MarqueeSelection {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.element = null;
+
+        this.start = null;     // Client coordinates where the drag began
+        this.current = null;
+        this.additive = false; // Shift held: add to the selection instead of replacing it
+        this.dragging = false;
+    }
+
+    /**
+     * Arm the marquee on mouse down (becomes a drag once the pointer moves past the threshold)
+     * @param {MouseEvent} event
+     */
+    begin(event) {
+        this.start = { x: event.clientX, y: event.clientY };
+        this.current = { ...this.start };
+        this.additive = event.shiftKey;
+        this.dragging = false;
+    }
+
+    isPending() {
+        return this.start !== null;
+    }
+
+    isDragging() {
+        return this.dragging;
+    }
+
+    /**
+     * Track the pointer and redraw the rectangle
+     * @param {MouseEvent} event
+     */
+    update(event) {
+        if (!this.start) return;
+
+        this.current = { x: event.clientX, y: event.clientY };
+        if (!this.dragging) {
+            const distance = Math.hypot(this.current.x - this.start.x, this.current.y - this.start.y);
+            if (distance < DRAG_THRESHOLD) return;
+            this.dragging = true;
+        }
+
+        this.draw();
+    }
+
+    get mode() {
+        return this.current && this.start && this.current.x < this.start.x ? 'crossing' : 'window';
+    }
+
+    /**
+     * End the drag
+     * @returns {{rect: Object, mode: string, additive: boolean}|null} Rectangle in NDC, or null if the press never became a drag
+     */
+    finish() {
+        const result = this.dragging
+            ? { rect: this.toNdcRect(this.start, this.current), mode: this.mode, additive: this.additive }
+            : null;
+        this.cancel();
+        return result;
+    }
+
+    cancel() {
+        this.start = null;
+        this.current = null;
+        this.dragging = false;
+        if (this.element) {
+            this.element.style.display = 'none';
+        }
+    }
+
+    /**
+     * @private
+     */
+    draw() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            this.element.className = 'marquee-selection';
+            document.body.appendChild(this.element);
+        }
+
+        const left = Math.min(this.start.x, this.current.x);
+        const top = Math.min(this.start.y, this.current.y);
+        this.element.style.display = 'block';
+        this.element.style.left = `${left}px`;
+        this.element.style.top = `${top}px`;
+        this.element.style.width = `${Math.abs(this.current.x - this.start.x)}px`;
+        this.element.style.height = `${Math.abs(this.current.y - this.start.y)}px`;
+        this.element.classList.toggle('crossing', this.mode === 'crossing');
+    }
+
+    /**
+     * @private
+     */
+    toNdcRect(a, b) {
+        const bounds = this.canvas.getBoundingClientRect();
+        const toNdcX = x => ((x - bounds.left) / bounds.width) * 2 - 1;
+        const toNdcY = y => -((y - bounds.top) / bounds.height) * 2 + 1;
+
+        return {
+            minX: Math.min(toNdcX(a.x), toNdcX(b.x)),
+            maxX: Math.max(toNdcX(a.x), toNdcX(b.x)),
+            minY: Math.min(toNdcY(a.y), toNdcY(b.y)),
+            maxY: Math.max(toNdcY(a.y), toNdcY(b.y))
+        };
+    }
+
+    /**
+     * Objects the marquee can pick in the current navigation context
+     * @param {Object} sceneController
+     * @param {Object|null} navigationController
+     * @returns {Array<Object>} Object data
+     */
+    static getCandidates(sceneController, navigationController) {
+        const container = navigationController?.isInContainerContext()
+            ? navigationController.getCurrentContainer()
+            : null;
+        const parentId = container ? container.id : null;
+
+        return sceneController.getAllObjects().filter(objectData =>
+            (objectData.parentContainer ?? null) === parentId &&
+            // Same rule as ToolController: loaded and pasted containers are stored with selectable false
+            (objectData.selectable === true || objectData.isContainer) &&
+            objectData.category !== 'system' &&
+            objectData.visible !== false &&
+            objectData.mesh?.visible !== false
+        );
+    }
+
+    /**
+     * Pick the objects a marquee rectangle selects
+     * @param {Array<Object>} candidates - Object data with meshes
+     * @param {THREE.Camera} camera
+     * @param {Object} rect - { minX, maxX, minY, maxY } in NDC
+     * @param {string} mode - 'window' or 'crossing'
+     * @returns {Array<Object>} Picked object data
+     */
+    static pickObjects(candidates, camera, rect, mode) {
+        camera.updateMatrixWorld();
+
+        return candidates.filter(objectData => {
+            const screenRect = MarqueeSelection.getScreenRect(objectData.mesh, camera);
+            if (!screenRect) return false;
+
+            if (mode === 'crossing') {
+                return screenRect.minX <= rect.maxX && screenRect.maxX >= rect.minX &&
+                    screenRect.minY <= rect.maxY && screenRect.maxY >= rect.minY;
+            }
+
+            // Window: partly behind the camera never counts as inside
+            return !screenRect.clipped &&
+                screenRect.minX >= rect.minX && screenRect.maxX <= rect.maxX &&
+                screenRect.minY >= rect.minY && screenRect.maxY <= rect.maxY;
+        });
+    }
+
+    /**
+     * NDC rectangle around a mesh's projected geometry bounds
+     * @param {THREE.Mesh} mesh
+     * @param {THREE.Camera} camera
+     * @returns {{minX, maxX, minY, maxY, clipped: boolean}|null} null when entirely behind the camera;
+     *          clipped when part of the bounds is behind the camera
+     */
+    static getScreenRect(mesh, camera) {
+        const geometry = mesh?.geometry;
+        if (!geometry) return null;
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+
+        mesh.updateMatrixWorld();
+        const { min, max } = geometry.boundingBox;
+        const rect = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity, clipped: false };
+        const corner = new THREE.Vector3();
+
+        for (let i = 0; i < 8; i++) {
+            corner.set(
+                i & 1 ? max.x : min.x,
+                i & 2 ? max.y : min.y,
+                i & 4 ? max.z : min.z
+            ).applyMatrix4(mesh.matrixWorld).project(camera);
+
+            if (corner.z < -1 || corner.z > 1) {
+                rect.clipped = true;
+                continue;
+            }
+            rect.minX = Math.min(rect.minX, corner.x);
+            rect.maxX = Math.max(rect.maxX, corner.x);
+            rect.minY = Math.min(rect.minY, corner.y);
+            rect.maxY = Math.max(rect.maxY, corner.y);
+        }
+
+        return rect.minX === Infinity ? null : rect;
+    }
+}
+
+window.MarqueeSelection = MarqueeSelection;
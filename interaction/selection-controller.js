@@ -195,6 +195,32 @@ class SelectionController {
         return objectsToDeselect.length;
     }
 
+    /**
+     * Replace the selection with a list of objects (one change notification)
+     * Targets are used as given - callers resolve container context themselves
+     * @param {Array<Object>} objects - Meshes to select
+     * @returns {number} Selected count
+     */
+    setSelection(objects) {
+        const next = new Set(objects.filter(Boolean));
+
+        if (this.visualizationManager) {
+            this.selectedObjects.forEach(object => {
+                if (!next.has(object)) {
+                    this.visualizationManager.setState(object, 'normal');
+                }
+            });
+            next.forEach(object => {
+                this.visualizationManager.setState(object, 'selected');
+            });
+        }
+
+        this.selectedObjects = next;
+        this.notifySelectionChange();
+
+        return next.size;
+    }
+
     isInContainerContext() {
         const navigationController = this.getNavigationController();
         return navigationController?.isInContainerContext() ?? false;
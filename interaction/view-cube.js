@@ -0,0 +1,250 @@
+import * as THREE from 'three';
+/**
+ * ViewCube - Clickable 3D Orientation Cube
+ *
+ * Displays a small labelled cube in the viewport corner that rotates with the main
+ * camera. Clicking a face, edge or corner turns the camera to look from that side
+ * (animated by CameraController), and the button below toggles perspective/orthographic.
+ * Replaces the former AxisGizmo; face label colors keep its X/Y/Z axis colors.
+ */
+
+const EDGE_ZONE = 0.3; // Within this distance of a face border (cube half-size 0.5) a click picks the edge/corner
+
+class ViewCube {
+    constructor(containerElement) {
+        this.container = containerElement;
+        this.size = 96;
+
+        // Separate renderer, scene, and camera for the cube
+        this.renderer = null;
+        this.scene = null;
+        this.camera = null;
+        this.cube = null;
+        this.faceMaterials = [];
+        this.projectionButton = null;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.hoveredFace = -1;
+        this.lastQuaternion = new THREE.Quaternion(NaN, NaN, NaN, NaN);
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+        this.onClick = this.onClick.bind(this);
+        this.onProjectionClick = this.onProjectionClick.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        // Create canvas element
+        const canvas = document.createElement('canvas');
+        canvas.className = 'view-cube-canvas';
+        canvas.style.width = `${this.size}px`;
+        canvas.style.height = `${this.size}px`;
+        this.container.appendChild(canvas);
+
+        // Create WebGL renderer
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: canvas,
+            alpha: true,
+            antialias: true
+        });
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.renderer.setSize(this.size, this.size, false);
+        this.renderer.setClearColor(0x000000, 0);
+
+        // Create scene
+        this.scene = new THREE.Scene();
+
+        // Orthographic camera for consistent sizing
+        const frustumSize = 1.05;
+        this.camera = new THREE.OrthographicCamera(
+            -frustumSize, frustumSize,
+            frustumSize, -frustumSize,
+            0.1, 100
+        );
+        this.camera.position.set(0, 0, 10);
+        this.camera.lookAt(0, 0, 0);
+
+        this.createCube();
+        this.createProjectionButton();
+
+        canvas.addEventListener('pointermove', this.onPointerMove);
+        canvas.addEventListener('pointerleave', this.onPointerLeave);
+        canvas.addEventListener('click', this.onClick);
+
+        this.render();
+    }
+
+    createCube() {
+        // BoxGeometry material order: +X, -X, +Y, -Y, +Z, -Z
+        const faces = [
+            { label: 'RIGHT', color: '#ff6b6b' },
+            { label: 'LEFT', color: '#ff6b6b' },
+            { label: 'TOP', color: '#6bff6b' },
+            { label: 'BOTTOM', color: '#6bff6b' },
+            { label: 'FRONT', color: '#6b6bff' },
+            { label: 'BACK', color: '#6b6bff' }
+        ];
+
+        this.faceMaterials = faces.map(({ label, color }) => new THREE.MeshBasicMaterial({
+            map: this.createFaceTexture(label, color),
+            color: 0xffffff
+        }));
+
+        const geometry = new THREE.BoxGeometry(1, 1, 1);
+        this.cube = new THREE.Mesh(geometry, this.faceMaterials);
+        this.scene.add(this.cube);
+
+        const edges = new THREE.LineSegments(
+            new THREE.EdgesGeometry(geometry),
+            new THREE.LineBasicMaterial({ color: 0x5a5a5a })
+        );
+        this.cube.add(edges);
+    }
+
+    createFaceTexture(label, color) {
+        const canvasSize = 128;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvasSize;
+        canvas.height = canvasSize;
+        const context = canvas.getContext('2d');
+
+        context.fillStyle = '#171717';
+        context.fillRect(0, 0, canvasSize, canvasSize);
+
+        context.fillStyle = color;
+        context.font = 'bold 26px Arial';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(label, canvasSize / 2, canvasSize / 2);
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    createProjectionButton() {
+        this.projectionButton = document.createElement('button');
+        this.projectionButton.className = 'view-cube-projection';
+        this.projectionButton.type = 'button';
+        this.projectionButton.title = 'Toggle perspective / orthographic (5)';
+        this.projectionButton.addEventListener('click', this.onProjectionClick);
+        this.container.appendChild(this.projectionButton);
+        this.updateProjectionLabel();
+    }
+
+    updateProjectionLabel() {
+        const cameraController = window.modlerComponents?.cameraController;
+        const projection = cameraController?.projection || 'perspective';
+        this.projectionButton.textContent = projection === 'orthographic' ? 'Ortho' : 'Persp';
+    }
+
+    /**
+     * Face index and view direction under the pointer
+     * @param {PointerEvent|MouseEvent} event
+     * @returns {{faceIndex: number, direction: THREE.Vector3}|null}
+     */
+    pick(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        const hit = this.raycaster.intersectObject(this.cube, false)[0];
+        if (!hit) return null;
+
+        // The cube's local frame is the main scene's world frame
+        const local = this.cube.worldToLocal(hit.point.clone());
+        const border = 0.5 - EDGE_ZONE / 2;
+        const direction = new THREE.Vector3(
+            Math.abs(local.x) >= border ? Math.sign(local.x) : 0,
+            Math.abs(local.y) >= border ? Math.sign(local.y) : 0,
+            Math.abs(local.z) >= border ? Math.sign(local.z) : 0
+        );
+
+        return { faceIndex: hit.face.materialIndex, direction };
+    }
+
+    onPointerMove(event) {
+        const picked = this.pick(event);
+        this.renderer.domElement.style.cursor = picked ? 'pointer' : 'default';
+        this.setHoveredFace(picked ? picked.faceIndex : -1);
+    }
+
+    onPointerLeave() {
+        this.setHoveredFace(-1);
+    }
+
+    setHoveredFace(faceIndex) {
+        if (faceIndex === this.hoveredFace) return;
+
+        this.faceMaterials.forEach((material, index) => {
+            material.color.setHex(index === faceIndex ? 0xb0d4ff : 0xffffff);
+        });
+        this.hoveredFace = faceIndex;
+        this.render();
+    }
+
+    onClick(event) {
+        const picked = this.pick(event);
+        const cameraController = window.modlerComponents?.cameraController;
+        if (!picked || !cameraController) return;
+
+        cameraController.setViewDirection(picked.direction);
+    }
+
+    onProjectionClick() {
+        const cameraController = window.modlerComponents?.cameraController;
+        if (!cameraController) return;
+
+        cameraController.toggleProjection();
+        this.updateProjectionLabel();
+    }
+
+    /**
+     * Update cube orientation to match main camera view
+     * @param {THREE.Camera} mainCamera - The main scene camera
+     */
+    updateOrientation(mainCamera) {
+        if (!mainCamera || !this.cube) return;
+        if (this.lastQuaternion.equals(mainCamera.quaternion)) return;
+
+        this.lastQuaternion.copy(mainCamera.quaternion);
+
+        // Use inverse of camera rotation so the cube shows the side the camera is looking from
+        this.cube.quaternion.copy(mainCamera.quaternion).invert();
+        this.render();
+    }
+
+    render() {
+        if (!this.renderer || !this.scene || !this.camera) return;
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    dispose() {
+        const canvas = this.renderer?.domElement;
+        if (canvas) {
+            canvas.removeEventListener('pointermove', this.onPointerMove);
+            canvas.removeEventListener('pointerleave', this.onPointerLeave);
+            canvas.removeEventListener('click', this.onClick);
+        }
+
+        this.faceMaterials.forEach(material => {
+            material.map?.dispose();
+            material.dispose();
+        });
+
+        if (this.renderer) {
+            this.renderer.dispose();
+        }
+
+        while (this.container && this.container.firstChild) {
+            this.container.removeChild(this.container.firstChild);
+        }
+    }
+}
+
+// Make globally available
+window.ViewCube = ViewCube;
@@ -51,6 +51,27 @@ class LayoutEngine {
                 return this.calculateGridLayout(objects, 'xy', gap, padding, layoutConfig, layoutAnchor);
             case 'xyz':
                 return this.calculateGridLayout(objects, 'xyz', gap, padding, layoutConfig, layoutAnchor);
+            case 'flow':
+                return this.calculateFlowLayout(objects, layoutConfig, containerSize);
+            case 'grid':
+                return this.calculateTrackGridLayout(objects, layoutConfig, containerSize);
+            case 'radial': {
+                const radial = this.getRadialConfig(layoutConfig);
+                return this.calculateCurveLayout(objects, layoutConfig, containerSize, this.createArcCurve(radial), {
+                    axis: radial.axis,
+                    orientation: radial.faceCenter ? 'center' : 'none',
+                    distribute: radial.distribute
+                });
+            }
+            case 'path': {
+                const path = this.getPathConfig(layoutConfig);
+                const curve = path.type === 'arc' ? this.createArcCurve(path) : this.createPolylineCurve(path.points, path.closed);
+                return this.calculateCurveLayout(objects, layoutConfig, containerSize, curve, {
+                    axis: path.axis,
+                    orientation: path.alignToPath ? 'tangent' : 'none',
+                    distribute: path.distribute
+                });
+            }
             default:
                 console.warn(`LayoutEngine: Unknown layout direction '${direction}'`);
                 return {
@@ -163,6 +184,743 @@ class LayoutEngine {
         };
     }
     
+    /**
+     * Calculate wrap-around (flow) layout: children fill the main axis and wrap to a
+     * new row along the wrap axis when the next child would exceed the container
+     * @param {Array} objects - Array of object data
+     * @param {Object} layoutConfig - Layout configuration with flow: {axis, wrapAxis, crossGap}
+     * @param {THREE.Vector3} containerSize - Container size (main-axis size decides where rows break)
+     * @returns {Object} Object with {positions, sizes, bounds}
+     *
+     * Rows follow the START/END convention: the first row sits at the start (lowest coordinate)
+     * of the wrap axis. Rows break on base sizes; main-axis fill children then share the space
+     * left in their row, wrap-axis fill children stretch to their row, depth fill spans the container.
+     * The container keeps its main-axis size (it is the wrap width) and grows on the wrap axis.
+     */
+    static calculateFlowLayout(objects, layoutConfig, containerSize = null) {
+        const { axis, wrapAxis, crossGap } = this.getFlowConfig(layoutConfig);
+        const depthAxis = ['x', 'y', 'z'].find(candidate => candidate !== axis && candidate !== wrapAxis);
+        const gap = layoutConfig.gap || 0;
+        const padding = layoutConfig.padding || {};
+        const alignment = layoutConfig.alignment || {};
+
+        // Reversed flows from the last child (same as linear layout)
+        const order = objects.map((obj, index) => index);
+        if (layoutConfig.reversed) order.reverse();
+
+        // Rows wrap between the main-axis padding edges (no container: a single unbounded row)
+        const mainRange = containerSize ? this.getPaddedRange(axis, containerSize, padding) : null;
+        const mainSpace = mainRange ? mainRange.max - mainRange.min : Infinity;
+        const baseSizes = objects.map(obj => this.getObjectSize(obj));
+        const sizes = baseSizes.map(size => size.clone());
+
+        // Break into rows on base sizes (a child wider than the container gets a row of its own)
+        const rows = [];
+        let row = null;
+        order.forEach(index => {
+            const size = baseSizes[index][axis];
+            if (!row || (row.items.length > 0 && row.extent + gap + size > mainSpace + 1e-6)) {
+                row = { items: [], extent: 0, cross: 0 };
+                rows.push(row);
+            }
+            row.extent += (row.items.length > 0 ? gap : 0) + size;
+            row.items.push(index);
+        });
+
+        // Main-axis fill shares each row's leftover space; row cross size comes from fixed children
+        rows.forEach(currentRow => {
+            const fillItems = currentRow.items.filter(index => this.objectHasFillBehavior(objects[index], axis));
+            if (fillItems.length > 0 && Number.isFinite(mainSpace)) {
+                const fixedSize = currentRow.items
+                    .filter(index => !fillItems.includes(index))
+                    .reduce((sum, index) => sum + baseSizes[index][axis], 0);
+                const share = Math.max((mainSpace - fixedSize - gap * (currentRow.items.length - 1)) / fillItems.length, 0.1);
+                fillItems.forEach(index => { sizes[index][axis] = share; });
+            }
+
+            currentRow.extent = currentRow.items.reduce((sum, index) => sum + sizes[index][axis], 0) +
+                gap * (currentRow.items.length - 1);
+
+            const fixedCross = currentRow.items
+                .filter(index => !this.objectHasFillBehavior(objects[index], wrapAxis))
+                .map(index => sizes[index][wrapAxis]);
+            currentRow.cross = fixedCross.length > 0
+                ? Math.max(...fixedCross)
+                : Math.max(...currentRow.items.map(index => sizes[index][wrapAxis]));
+        });
+
+        // Wrap-axis fill: rows share any spare container space, fill children stretch to their row
+        const hasCrossFill = objects.some(obj => this.objectHasFillBehavior(obj, wrapAxis));
+        const crossRange = containerSize ? this.getPaddedRange(wrapAxis, containerSize, padding) : null;
+        const crossSpace = crossRange ? crossRange.max - crossRange.min : null;
+        let crossExtent = rows.reduce((sum, currentRow) => sum + currentRow.cross, 0) + crossGap * (rows.length - 1);
+        if (hasCrossFill && crossSpace !== null && crossSpace > crossExtent) {
+            const extra = (crossSpace - crossExtent) / rows.length;
+            rows.forEach(currentRow => { currentRow.cross += extra; });
+            crossExtent = crossSpace;
+        }
+
+        const depthSpace = containerSize ? Math.max(containerSize[depthAxis] - this.getTotalPadding(depthAxis, padding), 0.1) : null;
+        objects.forEach((obj, index) => {
+            if (depthSpace !== null && this.objectHasFillBehavior(obj, depthAxis)) {
+                sizes[index][depthAxis] = depthSpace;
+            }
+        });
+
+        // Position rows and children (container center is the origin)
+        const positions = objects.map(() => new THREE.Vector3(0, 0, 0));
+        // Without a container size the rows and each row's children are centered
+        let rowStart = crossRange
+            ? this.getAlignedStartInRange(alignment[wrapAxis], crossRange, crossExtent)
+            : -crossExtent / 2;
+
+        rows.forEach(currentRow => {
+            if (hasCrossFill) {
+                currentRow.items.forEach(index => {
+                    if (this.objectHasFillBehavior(objects[index], wrapAxis)) {
+                        sizes[index][wrapAxis] = currentRow.cross;
+                    }
+                });
+            }
+
+            let cursor = mainRange
+                ? this.getAlignedStartInRange(alignment[axis], mainRange, currentRow.extent)
+                : -currentRow.extent / 2;
+
+            currentRow.items.forEach(index => {
+                const size = sizes[index];
+                const position = positions[index];
+
+                position[axis] = cursor + size[axis] / 2;
+                cursor += size[axis] + gap;
+
+                position[wrapAxis] = rowStart +
+                    this.getAlignedStart(alignment[wrapAxis], currentRow.cross, size[wrapAxis]) +
+                    currentRow.cross / 2 + size[wrapAxis] / 2;
+
+                position[depthAxis] = depthSpace !== null
+                    ? this.getAlignedStart(alignment[depthAxis], depthSpace, size[depthAxis]) + size[depthAxis] / 2
+                    : 0;
+            });
+
+            rowStart += currentRow.cross + crossGap;
+        });
+
+        // Bounds: the main axis keeps the container size unless a child is wider
+        const bounds = this.calculateLayoutBounds(objects, positions, layoutConfig, null, sizes);
+        if (containerSize && containerSize[axis] > bounds.size[axis]) {
+            bounds.size[axis] = containerSize[axis];
+            bounds.min[axis] = Math.min(bounds.min[axis], mainRange.min);
+            bounds.max[axis] = Math.max(bounds.max[axis], mainRange.max);
+        }
+
+        return {
+            positions,
+            sizes,
+            bounds
+        };
+    }
+
+    /**
+     * Resolve flow settings with defaults (main axis X, wrap along Y, row gap = gap)
+     * @param {Object} layoutConfig - Layout configuration
+     * @returns {Object} {axis, wrapAxis, crossGap}
+     */
+    static getFlowConfig(layoutConfig) {
+        const flow = layoutConfig?.flow || {};
+        const axis = ['x', 'y', 'z'].includes(flow.axis) ? flow.axis : 'x';
+        const wrapAxis = ['x', 'y', 'z'].includes(flow.wrapAxis) && flow.wrapAxis !== axis
+            ? flow.wrapAxis
+            : (axis === 'y' ? 'x' : 'y');
+
+        return { axis, wrapAxis, crossGap: flow.crossGap ?? layoutConfig?.gap ?? 0 };
+    }
+
+    /**
+     * Get the axis children are laid out along (flow: its main axis)
+     * @param {Object} layoutConfig - Layout configuration
+     * @returns {string|null} 'x' | 'y' | 'z', or null for grid/disabled layouts
+     */
+    static getLayoutAxis(layoutConfig) {
+        const direction = layoutConfig?.direction;
+        if (direction === 'flow') return this.getFlowConfig(layoutConfig).axis;
+        return ['x', 'y', 'z'].includes(direction) ? direction : null;
+    }
+
+    /**
+     * Offset of a span's start edge when aligned inside a space centered on 0
+     * @param {string} alignmentValue - 'left'|'bottom'|'back' (min), 'right'|'top'|'front' (max), or 'center'
+     * @param {number} space - Available space
+     * @param {number} extent - Size of the span being aligned
+     * @returns {number} Start coordinate relative to the space center
+     */
+    static getAlignedStart(alignmentValue, space, extent) {
+        switch (alignmentValue) {
+            case 'left':
+            case 'bottom':
+            case 'back':
+                return -space / 2;
+            case 'right':
+            case 'top':
+            case 'front':
+                return space / 2 - extent;
+            case 'center':
+            default:
+                return -extent / 2;
+        }
+    }
+
+    /**
+     * Start coordinate of a span aligned between two edges (e.g. a padded range)
+     * @param {string} alignmentValue - 'left'|'bottom'|'back' (min), 'right'|'top'|'front' (max), or 'center'
+     * @param {Object} range - Edges {min, max} in container space
+     * @param {number} extent - Size of the span being aligned
+     * @returns {number} Start coordinate in container space
+     */
+    static getAlignedStartInRange(alignmentValue, range, extent) {
+        switch (alignmentValue) {
+            case 'left':
+            case 'bottom':
+            case 'back':
+                return range.min;
+            case 'right':
+            case 'top':
+            case 'front':
+                return range.max - extent;
+            case 'center':
+            default:
+                return (range.min + range.max) / 2 - extent / 2;
+        }
+    }
+
+    /**
+     * Calculate track-based grid layout (CSS-grid-like): explicit column/row tracks,
+     * per-child cell placement and spans
+     * @param {Array} objects - Array of object data
+     * @param {Object} layoutConfig - Layout configuration with grid: {columns, rows, columnAxis, rowAxis, columnGap, rowGap}
+     * @param {THREE.Vector3} containerSize - Container size (shared out to fill/fr tracks)
+     * @returns {Object} Object with {positions, sizes, bounds, gridTracks}
+     *
+     * Tracks follow the START/END convention: column 1 and row 1 sit at the lowest coordinate.
+     * Children are placed by layoutProperties.gridColumn/gridRow (1-based) with
+     * gridColumnSpan/gridRowSpan; unplaced children fill the first free cells row by row,
+     * adding implicit auto rows as needed. Fill children stretch to their cell.
+     * Bounds are the grid area, so the container keeps its size on axes with fill/fr tracks
+     * and hugs the tracks otherwise.
+     */
+    static calculateTrackGridLayout(objects, layoutConfig, containerSize = null) {
+        const grid = this.getGridConfig(layoutConfig);
+        const { columnAxis, rowAxis, depthAxis } = grid;
+        const padding = layoutConfig.padding || {};
+        const alignment = layoutConfig.alignment || {};
+
+        const tracks = this.calculateGridTracks(objects, layoutConfig, containerSize);
+        const baseSizes = objects.map(obj => this.getObjectSize(obj));
+        const sizes = baseSizes.map(size => size.clone());
+        const positions = objects.map(() => new THREE.Vector3(0, 0, 0));
+
+        // Track offsets (container center is the origin)
+        const offsets = {};
+        [[columnAxis, tracks.columns, grid.columnGap], [rowAxis, tracks.rows, grid.rowGap]].forEach(([axis, trackSizes, gap]) => {
+            const extent = this.getTrackExtent(trackSizes, gap);
+            const space = containerSize ? Math.max(0, containerSize[axis] - this.getTotalPadding(axis, padding)) : extent;
+            let cursor = this.getAlignedStart(alignment[axis], Math.max(space, extent), extent);
+            offsets[axis] = trackSizes.map(size => {
+                const start = cursor;
+                cursor += size + gap;
+                return start;
+            });
+        });
+
+        const depthSpace = containerSize ? Math.max(containerSize[depthAxis] - this.getTotalPadding(depthAxis, padding), 0.1) : null;
+
+        objects.forEach((obj, index) => {
+            const placement = tracks.placements[index];
+            const size = sizes[index];
+
+            [
+                [columnAxis, tracks.columns, grid.columnGap, placement.column, placement.columnSpan],
+                [rowAxis, tracks.rows, grid.rowGap, placement.row, placement.rowSpan]
+            ].forEach(([axis, trackSizes, gap, start, span]) => {
+                const cellSize = this.getTrackExtent(trackSizes.slice(start, start + span), gap);
+                if (this.objectHasFillBehavior(obj, axis)) {
+                    size[axis] = Math.max(cellSize, 0.1);
+                }
+                positions[index][axis] = offsets[axis][start] +
+                    this.getAlignedStart(alignment[axis], cellSize, size[axis]) + cellSize / 2 + size[axis] / 2;
+            });
+
+            if (depthSpace !== null && this.objectHasFillBehavior(obj, depthAxis)) {
+                size[depthAxis] = depthSpace;
+            }
+            positions[index][depthAxis] = depthSpace !== null
+                ? this.getAlignedStart(alignment[depthAxis], depthSpace, size[depthAxis]) + size[depthAxis] / 2
+                : 0;
+        });
+
+        // Bounds: the grid area on the track axes (children may overflow fixed tracks)
+        const bounds = this.calculateLayoutBounds(objects, positions, layoutConfig, null, sizes);
+        const gridTracks = { columnAxis, rowAxis, depthAxis, columns: [], rows: [] };
+
+        [[columnAxis, tracks.columns, grid.columnGap, 'columns'], [rowAxis, tracks.rows, grid.rowGap, 'rows']].forEach(([axis, trackSizes, gap, key]) => {
+            const start = offsets[axis][0] ?? 0;
+            const end = start + this.getTrackExtent(trackSizes, gap);
+            bounds.min[axis] = Math.min(bounds.min[axis], start);
+            bounds.max[axis] = Math.max(bounds.max[axis], end);
+            bounds.size[axis] = bounds.max[axis] - bounds.min[axis] + this.getTotalPadding(axis, padding);
+            gridTracks[key] = trackSizes.map((size, trackIndex) => ({ start: offsets[axis][trackIndex], size }));
+        });
+        gridTracks.depth = { min: bounds.min[depthAxis], max: bounds.max[depthAxis] };
+
+        return {
+            positions,
+            sizes,
+            bounds,
+            gridTracks
+        };
+    }
+
+    /**
+     * Resolve grid settings with defaults (columns along X, rows along Y, gaps = gap)
+     * @param {Object} layoutConfig - Layout configuration
+     * @returns {Object} {columns, rows, columnAxis, rowAxis, depthAxis, columnGap, rowGap}
+     */
+    static getGridConfig(layoutConfig) {
+        const grid = layoutConfig?.grid || {};
+        const columnAxis = ['x', 'y', 'z'].includes(grid.columnAxis) ? grid.columnAxis : 'x';
+        const rowAxis = ['x', 'y', 'z'].includes(grid.rowAxis) && grid.rowAxis !== columnAxis
+            ? grid.rowAxis
+            : (columnAxis === 'y' ? 'x' : 'y');
+        const depthAxis = ['x', 'y', 'z'].find(axis => axis !== columnAxis && axis !== rowAxis);
+        const gap = layoutConfig?.gap ?? 0;
+
+        return {
+            columns: Array.isArray(grid.columns) ? grid.columns : [],
+            rows: Array.isArray(grid.rows) ? grid.rows : [],
+            columnAxis,
+            rowAxis,
+            depthAxis,
+            columnGap: grid.columnGap ?? gap,
+            rowGap: grid.rowGap ?? gap
+        };
+    }
+
+    /**
+     * Place children into grid cells and size the column and row tracks
+     * @param {Array} objects - Array of object data
+     * @param {Object} layoutConfig - Layout configuration
+     * @param {THREE.Vector3} containerSize - Container size, or null to size flexible tracks to content (hug)
+     * @returns {Object} {columns: number[], rows: number[], placements: Array<{column, row, columnSpan, rowSpan}>}
+     */
+    static calculateGridTracks(objects, layoutConfig, containerSize = null) {
+        const grid = this.getGridConfig(layoutConfig);
+        const padding = layoutConfig.padding || {};
+        const defaultColumns = grid.columns.length || Math.max(1, Math.ceil(Math.sqrt(objects.length)));
+        const { placements, columnCount, rowCount } = this.placeGridItems(objects, defaultColumns, grid.rows.length);
+
+        const resolveAxis = (axis, definitions, count, gap, startKey, spanKey) => {
+            const space = containerSize
+                ? Math.max(0, containerSize[axis] - this.getTotalPadding(axis, padding))
+                : null;
+            const items = objects.map((obj, index) => ({
+                start: placements[index][startKey],
+                span: placements[index][spanKey],
+                size: this.getObjectSize(obj)[axis],
+                fill: this.objectHasFillBehavior(obj, axis)
+            }));
+            return this.resolveGridTrackSizes(definitions, count, items, space, gap);
+        };
+
+        return {
+            columns: resolveAxis(grid.columnAxis, grid.columns, columnCount, grid.columnGap, 'column', 'columnSpan'),
+            rows: resolveAxis(grid.rowAxis, grid.rows, rowCount, grid.rowGap, 'row', 'rowSpan'),
+            placements
+        };
+    }
+
+    /**
+     * Assign each child a cell: explicit placements first, then the first free cells row by row
+     * @param {Array} objects - Array of object data
+     * @param {number} columnCount - Defined column count
+     * @param {number} rowCount - Defined row count
+     * @returns {Object} {placements (0-based), columnCount, rowCount} - counts include implicit tracks
+     */
+    static placeGridItems(objects, columnCount, rowCount) {
+        const occupied = new Set();
+        const placements = new Array(objects.length);
+        const isFree = (column, row, columnSpan, rowSpan) => {
+            for (let c = column; c < column + columnSpan; c++) {
+                for (let r = row; r < row + rowSpan; r++) {
+                    if (occupied.has(`${c},${r}`)) return false;
+                }
+            }
+            return true;
+        };
+        const place = (index, column, row, columnSpan, rowSpan) => {
+            for (let c = column; c < column + columnSpan; c++) {
+                for (let r = row; r < row + rowSpan; r++) {
+                    occupied.add(`${c},${r}`);
+                }
+            }
+            placements[index] = { column, row, columnSpan, rowSpan };
+            columnCount = Math.max(columnCount, column + columnSpan);
+            rowCount = Math.max(rowCount, row + rowSpan);
+        };
+
+        const items = objects.map((obj, index) => {
+            const props = obj.layoutProperties || {};
+            const toIndex = value => (Number.isInteger(value) && value >= 1 ? value - 1 : null);
+            const toSpan = value => (Number.isInteger(value) && value >= 1 ? value : 1);
+            return {
+                index,
+                column: toIndex(props.gridColumn),
+                row: toIndex(props.gridRow),
+                columnSpan: toSpan(props.gridColumnSpan),
+                rowSpan: toSpan(props.gridRowSpan)
+            };
+        });
+
+        // Fully placed children claim their cells first (overlaps are allowed, as in CSS grid)
+        items.filter(item => item.column !== null && item.row !== null).forEach(item => {
+            place(item.index, item.column, item.row, item.columnSpan, item.rowSpan);
+        });
+
+        // Row-locked children take the first free column in their row
+        items.filter(item => item.column === null && item.row !== null).forEach(item => {
+            const maxColumn = Math.max(columnCount - item.columnSpan, 0);
+            let column = 0;
+            while (column < maxColumn && !isFree(column, item.row, item.columnSpan, item.rowSpan)) column++;
+            if (!isFree(column, item.row, item.columnSpan, item.rowSpan)) column = columnCount;
+            place(item.index, column, item.row, item.columnSpan, item.rowSpan);
+        });
+
+        // Column-locked children take the first free row in their column
+        items.filter(item => item.column !== null && item.row === null).forEach(item => {
+            let row = 0;
+            while (!isFree(item.column, row, item.columnSpan, item.rowSpan)) row++;
+            place(item.index, item.column, row, item.columnSpan, item.rowSpan);
+        });
+
+        // Remaining children flow into free cells row by row (implicit rows as needed)
+        items.filter(item => item.column === null && item.row === null).forEach(item => {
+            const columnSpan = Math.min(item.columnSpan, columnCount);
+            for (let row = 0; ; row++) {
+                for (let column = 0; column + columnSpan <= columnCount; column++) {
+                    if (isFree(column, row, columnSpan, item.rowSpan)) {
+                        place(item.index, column, row, columnSpan, item.rowSpan);
+                        return;
+                    }
+                }
+            }
+        });
+
+        return { placements, columnCount, rowCount };
+    }
+
+    /**
+     * Size grid tracks along one axis
+     * Track definitions: {type: 'fixed', value: size} | {type: 'fr', value: weight} | {type: 'fill'} (= 1fr)
+     * | {type: 'auto'} (content size). Missing or implicit tracks are auto.
+     * @param {Array} definitions - Track definitions
+     * @param {number} count - Track count (defined + implicit)
+     * @param {Array} items - Placed children on this axis: {start, span, size, fill}
+     * @param {number|null} space - Space inside padding, or null to size flexible tracks to content
+     * @param {number} gap - Gap between tracks
+     * @returns {Array<number>} Track sizes
+     */
+    static resolveGridTrackSizes(definitions, count, items, space, gap) {
+        const tracks = Array.from({ length: count }, (_, index) => {
+            const definition = definitions[index] || { type: 'auto' };
+            const type = ['fixed', 'fr', 'fill', 'auto'].includes(definition.type) ? definition.type : 'auto';
+            return {
+                type,
+                value: Math.max(Number(definition.value) || 0, 0),
+                weight: type === 'fill' ? 1 : (type === 'fr' ? (Number(definition.value) > 0 ? Number(definition.value) : 1) : 0),
+                content: 0
+            };
+        });
+
+        // Content minimum from single-track children (fill children only hold auto tracks open)
+        items.filter(item => item.span === 1).forEach(item => {
+            const track = tracks[item.start];
+            if (!item.fill || track.type === 'auto') {
+                track.content = Math.max(track.content, item.size);
+            }
+        });
+
+        const sizes = tracks.map(track => (track.type === 'fixed' ? track.value : track.content));
+        const flexible = tracks.map((track, index) => index).filter(index => tracks[index].weight > 0);
+
+        if (flexible.length > 0) {
+            if (space !== null) {
+                // Share the free space by weight; tracks whose share is below their content keep the content size
+                const inflexibleSize = sizes.reduce((sum, size, index) => (tracks[index].weight > 0 ? sum : sum + size), 0);
+                let free = space - inflexibleSize - gap * Math.max(count - 1, 0);
+                let open = [...flexible];
+                let changed = true;
+                while (changed && open.length > 0) {
+                    changed = false;
+                    const totalWeight = open.reduce((sum, index) => sum + tracks[index].weight, 0);
+                    const unit = Math.max(free, 0) / totalWeight;
+                    open.forEach(index => { sizes[index] = unit * tracks[index].weight; });
+                    const frozen = open.filter(index => sizes[index] < tracks[index].content);
+                    if (frozen.length > 0) {
+                        frozen.forEach(index => {
+                            sizes[index] = tracks[index].content;
+                            free -= sizes[index];
+                        });
+                        open = open.filter(index => !frozen.includes(index));
+                        changed = true;
+                    }
+                }
+            } else {
+                // Hug: keep fr proportions while fitting every track's content
+                const unit = Math.max(...flexible.map(index => tracks[index].content / tracks[index].weight));
+                flexible.forEach(index => { sizes[index] = unit * tracks[index].weight; });
+            }
+        }
+
+        // Spanning children grow their non-fixed tracks evenly when the span is too small
+        items.filter(item => item.span > 1 && !item.fill).forEach(item => {
+            const spanned = sizes.slice(item.start, item.start + item.span);
+            const deficit = item.size - this.getTrackExtent(spanned, gap);
+            const growable = spanned.map((size, offset) => item.start + offset)
+                .filter(index => tracks[index].type !== 'fixed');
+            if (deficit > 0 && growable.length > 0) {
+                growable.forEach(index => { sizes[index] += deficit / growable.length; });
+            }
+        });
+
+        return sizes;
+    }
+
+    /**
+     * Total extent of consecutive tracks including the gaps between them
+     * @param {Array<number>} trackSizes - Track sizes
+     * @param {number} gap - Gap between tracks
+     * @returns {number} Extent
+     */
+    static getTrackExtent(trackSizes, gap) {
+        if (trackSizes.length === 0) return 0;
+        return trackSizes.reduce((sum, size) => sum + size, 0) + gap * (trackSizes.length - 1);
+    }
+
+    /**
+     * Distribute children along a curve (radial circle/arc or path polyline/arc)
+     * @param {Array} objects - Array of object data
+     * @param {Object} layoutConfig - Layout configuration (gap, padding, alignment, reversed)
+     * @param {THREE.Vector3} containerSize - Container size (normal-axis fill)
+     * @param {Object} curve - Curve from createArcCurve/createPolylineCurve {length, closed, pointAt, tangentAt}
+     * @param {Object} options - {axis: curve plane normal, orientation: 'none'|'tangent'|'center', distribute}
+     * @returns {Object} Object with {positions, sizes, bounds, rotations, calculatedGap}
+     *
+     * Children are measured along the curve by their size on the plane's first axis
+     * (X for horizontal circles). distribute spaces them evenly over the whole curve
+     * (space-between; reported as calculatedGap), otherwise they keep the fixed gap and are
+     * centred on the curve. Closed curves start with the first child on the start point.
+     * orientation rotates children about the normal: 'tangent' follows the curve,
+     * 'center' turns their front (+Z for horizontal circles) towards the centre.
+     * The arrangement is centred in the container, which hugs it.
+     */
+    static calculateCurveLayout(objects, layoutConfig, containerSize, curve, options = {}) {
+        const normal = ['x', 'y', 'z'].includes(options.axis) ? options.axis : 'y';
+        const { u, v, uAxis, vAxis } = this.getPlaneBasis(normal);
+        const padding = layoutConfig.padding || {};
+
+        const order = objects.map((obj, index) => index);
+        if (layoutConfig.reversed) order.reverse();
+
+        // Sizes: only the normal axis can fill (the curve defines the rest)
+        const normalSpace = containerSize ? Math.max(containerSize[normal] - this.getTotalPadding(normal, padding), 0.1) : null;
+        // Oriented children are measured unrotated; the layout sets their rotation
+        const oriented = options.orientation === 'tangent' || options.orientation === 'center';
+        const sizes = objects.map(obj => {
+            const size = this.getObjectSize(obj, { ignoreRotation: oriented });
+            if (normalSpace !== null && this.objectHasFillBehavior(obj, normal)) {
+                size[normal] = normalSpace;
+            }
+            return size;
+        });
+
+        // Spacing along the curve
+        const extents = order.map(index => sizes[index][uAxis]);
+        const totalExtent = extents.reduce((sum, extent) => sum + extent, 0);
+        const count = order.length;
+        let gap = layoutConfig.gap || 0;
+        if (options.distribute) {
+            const slots = curve.closed ? count : count - 1;
+            gap = slots > 0 ? Math.max(0, (curve.length - totalExtent) / slots) : 0;
+        }
+
+        let cursor;
+        if (curve.closed) {
+            cursor = 0;
+        } else if (options.distribute) {
+            cursor = count === 1 ? curve.length / 2 : extents[0] / 2;
+        } else {
+            cursor = (curve.length - (totalExtent + gap * (count - 1))) / 2 + extents[0] / 2;
+        }
+
+        const positions = objects.map(() => new THREE.Vector3(0, 0, 0));
+        const rotations = objects.map(() => null);
+        const footprints = sizes.map(size => size.clone());
+
+        order.forEach((index, step) => {
+            if (step > 0) cursor += extents[step - 1] / 2 + gap + extents[step] / 2;
+
+            positions[index] = curve.pointAt(cursor);
+
+            if (options.orientation === 'tangent' || options.orientation === 'center') {
+                const tangent = curve.tangentAt(cursor);
+                let angle = Math.atan2(tangent.dot(v), tangent.dot(u));
+                if (options.orientation === 'center') angle -= Math.PI;
+                rotations[index] = { axis: normal, angle };
+
+                // Axis-aligned footprint of the rotated child for bounds
+                const halfU = sizes[index][uAxis] / 2;
+                const halfV = sizes[index][vAxis] / 2;
+                const cos = Math.abs(Math.cos(angle));
+                const sin = Math.abs(Math.sin(angle));
+                footprints[index][uAxis] = 2 * (cos * halfU + sin * halfV);
+                footprints[index][vAxis] = 2 * (sin * halfU + cos * halfV);
+            }
+        });
+
+        // Centre the arrangement in the container
+        const bounds = this.calculateLayoutBounds(objects, positions, layoutConfig, null, footprints);
+        const center = new THREE.Vector3().addVectors(bounds.min, bounds.max).multiplyScalar(0.5);
+        positions.forEach(position => position.sub(center));
+        bounds.min.sub(center);
+        bounds.max.sub(center);
+
+        return {
+            positions,
+            sizes,
+            bounds,
+            rotations: options.orientation === 'tangent' || options.orientation === 'center' ? rotations : null,
+            calculatedGap: options.distribute ? gap : undefined
+        };
+    }
+
+    /**
+     * Resolve radial settings with defaults (full circle of radius 1 around Y)
+     * @param {Object} layoutConfig - Layout configuration
+     * @returns {Object} {radius, startAngle, sweep, axis, faceCenter, distribute} - angles in degrees
+     */
+    static getRadialConfig(layoutConfig) {
+        const radial = layoutConfig?.radial || {};
+        return {
+            radius: radial.radius > 0 ? radial.radius : 1,
+            startAngle: Number(radial.startAngle) || 0,
+            sweep: radial.sweep > 0 ? Math.min(radial.sweep, 360) : 360,
+            axis: ['x', 'y', 'z'].includes(radial.axis) ? radial.axis : 'y',
+            faceCenter: radial.faceCenter ?? false,
+            distribute: radial.distribute ?? true
+        };
+    }
+
+    /**
+     * Resolve path settings with defaults (polyline through container-local points)
+     * @param {Object} layoutConfig - Layout configuration
+     * @returns {Object} {type, points, closed, radius, startAngle, sweep, axis, alignToPath, distribute}
+     */
+    static getPathConfig(layoutConfig) {
+        const path = layoutConfig?.path || {};
+        const points = Array.isArray(path.points) && path.points.length >= 2
+            ? path.points.map(point => new THREE.Vector3(point.x || 0, point.y || 0, point.z || 0))
+            : [new THREE.Vector3(-1, 0, 0), new THREE.Vector3(1, 0, 0)];
+
+        return {
+            type: path.type === 'arc' ? 'arc' : 'polyline',
+            points,
+            closed: path.closed ?? false,
+            radius: path.radius > 0 ? path.radius : 1,
+            startAngle: Number(path.startAngle) || 0,
+            sweep: path.sweep > 0 ? Math.min(path.sweep, 360) : 90,
+            axis: ['x', 'y', 'z'].includes(path.axis) ? path.axis : 'y',
+            alignToPath: path.alignToPath ?? false,
+            distribute: path.distribute ?? true
+        };
+    }
+
+    /**
+     * Plane basis for a normal axis (u × v = normal, angles run from u towards v)
+     * @param {string} normal - 'x' | 'y' | 'z'
+     * @returns {Object} {u, v, uAxis, vAxis}
+     */
+    static getPlaneBasis(normal) {
+        switch (normal) {
+            case 'x':
+                return { u: new THREE.Vector3(0, 1, 0), v: new THREE.Vector3(0, 0, 1), uAxis: 'y', vAxis: 'z' };
+            case 'z':
+                return { u: new THREE.Vector3(1, 0, 0), v: new THREE.Vector3(0, 1, 0), uAxis: 'x', vAxis: 'y' };
+            case 'y':
+            default:
+                // Counter-clockwise seen from above: X towards -Z
+                return { u: new THREE.Vector3(1, 0, 0), v: new THREE.Vector3(0, 0, -1), uAxis: 'x', vAxis: 'z' };
+        }
+    }
+
+    /**
+     * Circular arc around the container origin, parameterised by arc length
+     * @param {Object} arc - {radius, startAngle, sweep (degrees), axis: normal}
+     * @returns {Object} {length, closed, pointAt(s), tangentAt(s)}
+     */
+    static createArcCurve(arc) {
+        const { u, v } = this.getPlaneBasis(arc.axis);
+        const start = arc.startAngle * Math.PI / 180;
+        const sweep = arc.sweep * Math.PI / 180;
+        const angleAt = s => start + s / arc.radius;
+
+        return {
+            length: arc.radius * sweep,
+            closed: arc.sweep >= 360,
+            pointAt: s => u.clone().multiplyScalar(arc.radius * Math.cos(angleAt(s)))
+                .add(v.clone().multiplyScalar(arc.radius * Math.sin(angleAt(s)))),
+            tangentAt: s => u.clone().multiplyScalar(-Math.sin(angleAt(s)))
+                .add(v.clone().multiplyScalar(Math.cos(angleAt(s))))
+        };
+    }
+
+    /**
+     * Polyline through points, parameterised by arc length
+     * @param {Array<THREE.Vector3>} points - Path points (at least two)
+     * @param {boolean} closed - Connect the last point back to the first
+     * @returns {Object} {length, closed, pointAt(s), tangentAt(s)}
+     */
+    static createPolylineCurve(points, closed = false) {
+        const vertices = closed ? [...points, points[0]] : points;
+        const segments = [];
+        let length = 0;
+        for (let i = 0; i < vertices.length - 1; i++) {
+            const segmentLength = vertices[i].distanceTo(vertices[i + 1]);
+            if (segmentLength < 1e-9) continue;
+            segments.push({ start: vertices[i], end: vertices[i + 1], offset: length, length: segmentLength });
+            length += segmentLength;
+        }
+
+        const segmentAt = s => {
+            const clamped = closed && length > 0 ? ((s % length) + length) % length : Math.min(Math.max(s, 0), length);
+            const segment = segments.find(candidate => clamped <= candidate.offset + candidate.length) || segments[segments.length - 1];
+            return { segment, local: clamped - segment.offset };
+        };
+
+        return {
+            length,
+            closed,
+            pointAt: s => {
+                if (segments.length === 0) return points[0].clone();
+                const { segment, local } = segmentAt(s);
+                return segment.start.clone().lerp(segment.end, local / segment.length);
+            },
+            tangentAt: s => {
+                if (segments.length === 0) return new THREE.Vector3(1, 0, 0);
+                const { segment } = segmentAt(s);
+                return segment.end.clone().sub(segment.start).normalize();
+            }
+        };
+    }
+
     /**
      * Calculate grid layout for 2D or 3D arrangements
      * @param {Array} objects - Array of object data
@@ -249,10 +1007,60 @@ class LayoutEngine {
     
     /**
      * Get object size from geometry or fixed size properties
+     * Rotated objects report their axis-aligned extents in the container's space,
+     * unless options.ignoreRotation (layouts that set the rotation themselves)
      * @param {Object} obj - Object data from SceneController
+     * @param {Object} options - {ignoreRotation}
      * @returns {THREE.Vector3} Object size
      */
-    static getObjectSize(obj) {
+    static getObjectSize(obj, options = {}) {
+        const size = this.getLocalObjectSize(obj);
+        if (options.ignoreRotation) return size;
+        return this.getRotatedExtents(size, obj.mesh?.rotation);
+    }
+
+    /**
+     * Axis-aligned extents of a box of the given size after rotation
+     * @param {THREE.Vector3} size - Unrotated size
+     * @param {THREE.Euler} rotation - Rotation relative to the parent
+     * @returns {THREE.Vector3} Extents (the same vector when not rotated)
+     */
+    static getRotatedExtents(size, rotation) {
+        if (!rotation || (rotation.x === 0 && rotation.y === 0 && rotation.z === 0)) return size;
+
+        // |R| · size: each world extent sums the projections of the local edges
+        const m = new THREE.Matrix4().makeRotationFromEuler(rotation).elements;
+        return new THREE.Vector3(
+            Math.abs(m[0]) * size.x + Math.abs(m[4]) * size.y + Math.abs(m[8]) * size.z,
+            Math.abs(m[1]) * size.x + Math.abs(m[5]) * size.y + Math.abs(m[9]) * size.z,
+            Math.abs(m[2]) * size.x + Math.abs(m[6]) * size.y + Math.abs(m[10]) * size.z
+        );
+    }
+
+    /**
+     * Local (geometry) axis that lines up with a layout axis, for fill sizing of rotated objects
+     * @param {Object} obj - Object data from SceneController
+     * @param {string} axis - Layout axis ('x', 'y', 'z')
+     * @returns {string|null} Local axis, or null when the object is rotated obliquely to it
+     */
+    static getAlignedLocalAxis(obj, axis) {
+        const rotation = obj.mesh?.rotation;
+        if (!rotation || (rotation.x === 0 && rotation.y === 0 && rotation.z === 0)) return axis;
+
+        const m = new THREE.Matrix4().makeRotationFromEuler(rotation).elements;
+        const row = { x: 0, y: 1, z: 2 }[axis];
+        const localAxes = ['x', 'y', 'z'];
+        const aligned = localAxes.findIndex((_, column) => Math.abs(m[column * 4 + row]) > 0.999);
+        return aligned === -1 ? null : localAxes[aligned];
+    }
+
+    /**
+     * Get unrotated object size from geometry or fixed size properties
+     * Imported meshes are sized by their bounding box like every other geometry
+     * @param {Object} obj - Object data from SceneController
+     * @returns {THREE.Vector3} Object size
+     */
+    static getLocalObjectSize(obj) {
         // Get geometry size first (most reliable)
         let geometrySize = null;
         if (obj.mesh && obj.mesh.geometry) {
@@ -358,12 +1166,16 @@ class LayoutEngine {
      * Check if object has fill behavior for the given axis.
      * Reads layoutProperties directly from the data object (pure calculation engine pattern).
      * For ID-based checks, use ObjectStateManager.hasFillEnabled(id, axis) instead.
+     * Round axes never fill: stretching one would make a sphere or cylinder oval.
+     * Imported meshes never fill either, they keep their proportions.
      * @param {Object} obj - Object data
      * @param {string} axis - Layout axis
      * @returns {boolean} True if object has fill behavior
      */
     static objectHasFillBehavior(obj, axis) {
         if (!obj.layoutProperties) return false;
+        if (obj.type === 'sphere' || obj.type === 'mesh') return false;
+        if (obj.type === 'cylinder' && axis !== (obj.primitive?.axis || 'y')) return false;
         const sizeProperty = axis === 'x' ? 'sizeX' : axis === 'y' ? 'sizeY' : 'sizeZ';
         return obj.layoutProperties[sizeProperty] === 'fill';
     }
@@ -401,6 +1213,23 @@ class LayoutEngine {
         const totalPadding = this.getTotalPadding(axis, layoutConfig.padding || {});
         let minSize = totalPadding;
 
+        // Curves: the radius/path sets the size, children cannot squeeze it
+        if (direction === 'radial' || direction === 'path') {
+            const bounds = this.calculateLayout(children, layoutConfig, null).bounds;
+            return bounds ? bounds.size[axis] : totalPadding;
+        }
+
+        // Track grid: content-sized tracks plus gaps on the column/row axes
+        if (direction === 'grid') {
+            const grid = this.getGridConfig(layoutConfig);
+            if (axis === grid.columnAxis || axis === grid.rowAxis) {
+                const tracks = this.calculateGridTracks(children, layoutConfig, null);
+                return totalPadding + (axis === grid.columnAxis
+                    ? this.getTrackExtent(tracks.columns, grid.columnGap)
+                    : this.getTrackExtent(tracks.rows, grid.rowGap));
+            }
+        }
+
         if (direction === axis) {
             // Push axis matches layout direction: sum sizes along the axis
             nonFillChildren.forEach(child => {
@@ -452,6 +1281,22 @@ class LayoutEngine {
         const AXIS_TO_PADDING = { x: 'width', y: 'height', z: 'depth' };
         return (padding && padding[AXIS_TO_PADDING[axis]]) || 0;
     }
+
+    /**
+     * Get the space inside the padding on both sides of an axis (container center is the origin)
+     * @param {string} axis - Layout axis
+     * @param {THREE.Vector3} containerSize - Container size
+     * @param {Object} padding - Padding configuration {width, height, depth}
+     * @returns {Object} {min, max} - min side edge plus its padding, max side edge minus its padding
+     */
+    static getPaddedRange(axis, containerSize, padding) {
+        const paddingOffset = this.getPaddingOffset(axis, padding);
+        const min = -containerSize[axis] / 2 + paddingOffset;
+        const max = containerSize[axis] / 2 - paddingOffset;
+
+        // Padding wider than the container leaves an empty range at the center
+        return max >= min ? { min, max } : { min: 0, max: 0 };
+    }
     
     /**
      * Align layout positions based on push context or center normally
@@ -631,13 +631,57 @@ class SceneController {
         }
     }
     
+    /**
+     * Get the display order of a container's children (null = root level)
+     * @param {string|null} parentId - Container ID, or null for root
+     * @returns {Array<string>} Child IDs in order
+     */
+    getChildrenOrder(parentId) {
+        if (!parentId) {
+            return [...(this.getHierarchyManager()?.rootChildrenOrder || [])];
+        }
+        return this.getChildObjects(parentId).map(child => child.id);
+    }
+
+    /**
+     * Set the display order of a container's children (null = root level)
+     * Container children are re-laid out in the new order
+     * @param {string|null} parentId - Container ID, or null for root
+     * @param {Array<string>} childrenOrder - Child IDs in order
+     * @returns {boolean} Success status
+     */
+    setChildrenOrder(parentId, childrenOrder) {
+        if (!parentId) {
+            this.setRootOrder(childrenOrder);
+            return true;
+        }
+
+        const container = this.getObject(parentId);
+        if (!container) return false;
+
+        container.childrenOrder = childrenOrder;
+
+        if (window.objectEventBus) {
+            window.objectEventBus.emit(
+                window.objectEventBus.EVENT_TYPES.HIERARCHY,
+                parentId,
+                { type: 'children-reordered', childrenOrder },
+                { source: 'SceneController.setChildrenOrder' }
+            );
+        }
+
+        // UNIFIED: Let updateContainer() handle mode routing (layout/hug/manual)
+        this.updateContainer(parentId, { reason: 'hierarchy-changed' });
+        return true;
+    }
+
     /**
      * Apply layout positions and sizes (DELEGATED to SceneLayoutManager)
      */
-    applyLayoutPositionsAndSizes(objects, positions, sizes, container = null, pushContext = null) {
+    applyLayoutPositionsAndSizes(objects, positions, sizes, container = null, pushContext = null, rotations = null) {
         const manager = this.getLayoutManager();
         if (manager) {
-            manager.applyLayoutPositionsAndSizes(objects, positions, sizes, container, pushContext);
+            manager.applyLayoutPositionsAndSizes(objects, positions, sizes, container, pushContext, rotations);
         }
     }
     
@@ -714,6 +758,12 @@ class SceneController {
                 return false;
             }
 
+            // Round primitives: linked axes follow (cylinder diameter, sphere)
+            const linkedAxes = window.dimensionManager?.getLinkedAxes(mesh, axis) || [axis];
+            linkedAxes
+                .filter(linked => linked !== axis)
+                .forEach(linked => GeometryUtils.resizeGeometry(geometry, linked, newDimension, 'center'));
+
             // Update support mesh geometries (wireframes for both objects and containers)
             GeometryUtils.updateSupportMeshGeometries(mesh);
 
@@ -33,6 +33,9 @@ class SceneLayoutManager {
 
         // Guard: prevents recursive container updates (avoids double-resize conflicts)
         this._layoutInProgress = false;
+
+        // Nesting depth of updateContainer() calls (any mode)
+        this._updateDepth = 0;
     }
 
     /**
@@ -96,18 +99,32 @@ class SceneLayoutManager {
             if (osmObj) osmObj.calculatedGap = undefined;
         }
 
-        switch (mode) {
-            case 'layout':
-                return this._updateLayoutContainer(container, context);
-            case 'hug':
-                return this._updateHugContainer(container, context);
-            case 'manual':
-                return this._updateManualContainer(container, context);
-            default:
-                return { success: false, reason: `unknown mode: ${mode}` };
+        this._updateDepth++;
+        try {
+            switch (mode) {
+                case 'layout':
+                    return this._updateLayoutContainer(container, context);
+                case 'hug':
+                    return this._updateHugContainer(container, context);
+                case 'manual':
+                    return this._updateManualContainer(container, context);
+                default:
+                    return { success: false, reason: `unknown mode: ${mode}` };
+            }
+        } finally {
+            this._updateDepth--;
         }
     }
 
+    /**
+     * Check whether a container update is running - object changes made now are
+     * layout-driven (fill sizes, layout positions, hug recentering), not user edits
+     * @returns {boolean}
+     */
+    isUpdating() {
+        return this._updateDepth > 0;
+    }
+
     // ====== LAYOUT MODE ======
 
     /**
@@ -139,10 +156,11 @@ class SceneLayoutManager {
             );
 
             // Apply positions and sizes to Three.js meshes
-            this.applyLayoutPositionsAndSizes(children, result.positions, result.sizes, container, pushContext);
+            this.applyLayoutPositionsAndSizes(children, result.positions, result.sizes, container, pushContext, result.rotations);
 
             // Persist calculatedGap (THE single write location)
             this._persistCalculatedGap(container, result.calculatedGap, pushContext);
+            this._persistGridTracks(container, result.gridTracks);
 
             // Resize container geometry if needed (skip during push — push manages its own geometry)
             if (result.containerResized && !pushContext) {
@@ -154,8 +172,9 @@ class SceneLayoutManager {
                 const finalResult = window.LayoutEngine.calculateLayout(
                     children, container.autoLayout, newContainerSize, null, pushContext
                 );
-                this.applyLayoutPositionsAndSizes(children, finalResult.positions, finalResult.sizes, container, pushContext);
+                this.applyLayoutPositionsAndSizes(children, finalResult.positions, finalResult.sizes, container, pushContext, finalResult.rotations);
                 this._persistCalculatedGap(container, finalResult.calculatedGap, pushContext);
+                this._persistGridTracks(container, finalResult.gridTracks);
             }
 
             return { success: true, layoutBounds: result.bounds };
@@ -321,6 +340,17 @@ class SceneLayoutManager {
         }
     }
 
+    /**
+     * Keep the resolved grid tracks on the container (runtime only) and redraw its grid lines
+     * @private
+     */
+    _persistGridTracks(container, gridTracks) {
+        if (!gridTracks && !container.gridTracks) return;
+
+        container.gridTracks = gridTracks || null;
+        window.modlerComponents?.visualizationManager?.containerVisualizer?.refreshGridLines(container.mesh);
+    }
+
     // ====== CONTAINER GEOMETRY HELPERS ======
 
     /**
@@ -363,7 +393,8 @@ class SceneLayoutManager {
      *
      * @param {number} containerId - Container object ID
      * @param {Object} layoutConfig - Layout configuration
-     * @param {string} layoutConfig.direction - Layout direction ('x', 'y', 'z', 'xy', 'xyz')
+     * @param {string} layoutConfig.direction - Layout direction ('x', 'y', 'z', 'xy', 'xyz', 'flow', 'grid', 'radial', 'path')
+     * @param {Object} [layoutConfig.flow] - Flow settings {axis, wrapAxis, crossGap} when direction is 'flow'
      * @param {number} layoutConfig.gap - Gap between objects in world units
      * @param {Object} layoutConfig.padding - Padding configuration {width, height, depth} - inset from container walls
      * @returns {boolean} True if layout was successfully enabled
@@ -531,8 +562,9 @@ class SceneLayoutManager {
      * @param {Array} sizes - Array of size vectors
      * @param {Object} container - Container object data
      * @param {Object} pushContext - Optional push context for push operations
+     * @param {Array} rotations - Optional per-child {axis, angle (radians)} from curve layouts
      */
-    applyLayoutPositionsAndSizes(objects, positions, sizes, container = null, pushContext = null) {
+    applyLayoutPositionsAndSizes(objects, positions, sizes, container = null, pushContext = null, rotations = null) {
         if (!this.sceneController) return;
 
         if (objects.length !== positions.length || objects.length !== sizes.length) {
@@ -559,16 +591,18 @@ class SceneLayoutManager {
             if (layoutSize && obj.layoutProperties) {
                 ['x', 'y', 'z'].forEach(axis => {
                     const fillEnabled = this.getObjectStateManager()?.hasFillEnabled(obj.id, axis);
+                    // Rotated children fill along the local axis that lines up (none when oblique)
+                    const localAxis = window.LayoutEngine ? window.LayoutEngine.getAlignedLocalAxis(obj, axis) : axis;
 
-                    if (fillEnabled) {
-                        const currentDim = obj.dimensions?.[axis] || 1;
+                    if (fillEnabled && localAxis) {
+                        const currentDim = obj.dimensions?.[localAxis] || 1;
                         const newDim = layoutSize[axis];
 
                         if (typeof newDim === 'number' && !isNaN(newDim) && newDim > 0) {
                             if (Math.abs(currentDim - newDim) > 0.001) {
                                 const anchorMode = 'center';
                                 const suppressEvents = pushContext !== null;
-                                this.sceneController.updateObjectDimensions(obj.id, axis, newDim, anchorMode, suppressEvents);
+                                this.sceneController.updateObjectDimensions(obj.id, localAxis, newDim, anchorMode, suppressEvents);
                             }
                         }
                     }
@@ -577,7 +611,7 @@ class SceneLayoutManager {
 
             // Apply layout positions
             {
-                const layoutAxis = container.autoLayout?.direction || 'x';
+                const layoutAxis = window.LayoutEngine?.getLayoutAxis(container.autoLayout) || 'x';
                 const isPushingPerpendicular = pushContext && pushContext.axis !== layoutAxis;
 
                 if (container && container.mesh && obj.mesh.parent === container.mesh) {
@@ -612,6 +646,12 @@ class SceneLayoutManager {
                     }
                 }
             }
+
+            // Curve layouts (radial/path) orient children about the curve normal
+            const layoutRotation = rotations?.[index];
+            if (layoutRotation && obj.mesh) {
+                obj.mesh.rotation[layoutRotation.axis] = layoutRotation.angle;
+            }
         });
     }
 
@@ -558,11 +558,24 @@ class SceneLifecycleManager {
 
     /**
      * Generate sequential names for objects
-     * @param {string} type - Object type ('box', 'container')
+     * @param {string} type - Object type ('box', 'container', 'cylinder', 'sphere', 'extrusion')
      * @returns {string} Generated name like "Box 001" or "Container 001"
      */
     generateObjectName(type) {
         switch (type) {
+            case 'cylinder':
+            case 'sphere':
+            case 'extrusion': {
+                // No saved counter for primitives - number after the highest existing one
+                const label = type.charAt(0).toUpperCase() + type.slice(1);
+                const pattern = new RegExp(`^${label} (\\d+)$`);
+                let highest = 0;
+                this.objects?.forEach(obj => {
+                    const match = obj.type === type && pattern.exec(obj.name || '');
+                    if (match) highest = Math.max(highest, parseInt(match[1], 10));
+                });
+                return `${label} ${(highest + 1).toString().padStart(3, '0')}`;
+            }
             case 'box':
                 const boxName = `Box ${this.nextBoxNumber.toString().padStart(3, '0')}`;
                 this.nextBoxNumber++;
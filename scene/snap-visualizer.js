@@ -276,17 +276,9 @@ class SnapVisualizer {
      * Calculate fixed screen radius for consistent indicator size
      */
     calculateFixedScreenRadius(worldPos, pixelSize) {
-        // Calculate distance from camera to point
-        const distance = this.camera.position.distanceTo(worldPos);
-
-        // Convert pixel size to world units at this distance
-        // This is a simplified calculation - for pixel-perfect sizing use proper projection math
-        const canvas = this.canvas;
-        const fov = this.camera.fov * (Math.PI / 180); // Convert to radians
-        const heightAtDistance = 2 * Math.tan(fov / 2) * distance;
-        const worldUnitsPerPixel = heightAtDistance / canvas.height;
-
-        return pixelSize * worldUnitsPerPixel;
+        // Convert pixel size to world units at this point (distance-based in perspective,
+        // frustum-based in orthographic)
+        return pixelSize * CameraMathUtils.worldUnitsPerPixel(this.camera, worldPos, this.canvas.height);
     }
     
     /**
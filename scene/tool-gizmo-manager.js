@@ -1,7 +1,7 @@
 import * as THREE from 'three';
 /**
  * Tool Gizmo Manager
- * Centralized visual aid system for tools — arrows, circles, and future gizmo types.
+ * Centralized visual aid system for tools — arrows, circles, rotation rings, and future gizmo types.
  * Pre-creates meshes once, shows/hides via visibility toggle.
  * Tools access via BaseTool.toolGizmoManager getter.
  */
@@ -19,10 +19,12 @@ class ToolGizmoManager {
         // Pre-create all gizmos (hidden)
         this._arrowGroup = this._createArrowGizmo();
         this._circleMesh = this._createCircleGizmo();
+        this._ringMesh = this._createRingGizmo();
 
         // Add to scene (hidden by default)
         this.scene.add(this._arrowGroup);
         this.scene.add(this._circleMesh);
+        this.scene.add(this._ringMesh);
     }
 
     // --- Private: Gizmo creation ---
@@ -82,6 +84,26 @@ class ToolGizmoManager {
         return mesh;
     }
 
+    _createRingGizmo() {
+        // Unit radius, scaled per object
+        const geometry = new THREE.RingGeometry(0.97, 1, 96);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xff6600,
+            opacity: 0.9,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.visible = false;
+        mesh.renderOrder = 1000;
+        mesh.raycast = () => {};
+
+        return mesh;
+    }
+
     // --- Private: Orientation helpers ---
 
     _orientToDirection(object, direction) {
@@ -140,15 +162,30 @@ class ToolGizmoManager {
         this._requestRender();
     }
 
+    showRing(position, normal, radius) {
+        this._ringMesh.visible = true;
+        this.updateRing(position, normal, radius);
+    }
+
+    updateRing(position, normal, radius) {
+        if (!this._ringMesh.visible) return;
+        this._ringMesh.position.copy(position);
+        if (normal) this._orientToNormal(this._ringMesh, normal);
+        if (radius) this._ringMesh.scale.setScalar(radius);
+        this._requestRender();
+    }
+
     hide(type) {
         if (type === 'arrow') this._arrowGroup.visible = false;
         else if (type === 'circle') this._circleMesh.visible = false;
+        else if (type === 'ring') this._ringMesh.visible = false;
         this._requestRender();
     }
 
     hideAll() {
         this._arrowGroup.visible = false;
         this._circleMesh.visible = false;
+        this._ringMesh.visible = false;
         this._requestRender();
     }
 
@@ -161,6 +198,7 @@ class ToolGizmoManager {
     dispose() {
         this.scene.remove(this._arrowGroup);
         this.scene.remove(this._circleMesh);
+        this.scene.remove(this._ringMesh);
 
         this._arrowGroup.traverse(child => {
             if (child.isMesh) {
@@ -170,6 +208,8 @@ class ToolGizmoManager {
         });
         this._circleMesh.geometry.dispose();
         this._circleMesh.material.dispose();
+        this._ringMesh.geometry.dispose();
+        this._ringMesh.material.dispose();
     }
 }
 
@@ -10,6 +10,7 @@ class VisualEffects {
         this.currentHighlight = null;
         this.highlightMesh = null;
         this.rectanglePreview = null;
+        this.polylinePreview = null;
 
         // Button highlight coordination - prevents tool hover from clearing button-triggered highlights
         this.isButtonHighlight = false;
@@ -191,6 +192,7 @@ class VisualEffects {
 
         this.currentHighlight = null;
         this.clearRectanglePreview();
+        this.clearPolylinePreview();
     }
 
     /**
@@ -386,6 +388,57 @@ class VisualEffects {
         }
     }
 
+    /**
+     * Show a ground-level polyline (profile sketching)
+     * @param {Array<THREE.Vector3>} points - Points in drawing order
+     * @param {boolean} closed - Connect the last point back to the first
+     */
+    showPolylinePreview(points, closed = false) {
+        if (!points || points.length < 2) {
+            this.clearPolylinePreview();
+            return;
+        }
+
+        // LineSegments needs explicit pairs
+        const positions = [];
+        const segmentCount = closed ? points.length : points.length - 1;
+        for (let i = 0; i < segmentCount; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            positions.push(a.x, 0.001, a.z, b.x, 0.001, b.z);
+        }
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+        // ARCHITECTURE: Create preview mesh once, update geometry on changes
+        if (!this.polylinePreview) {
+            const configManager = window.modlerComponents?.configurationManager;
+            const configColor = configManager?.get('visual.boxCreation.color') || '#00ff00';
+            const color = parseInt(configColor.replace('#', ''), 16);
+            const lineWidth = configManager?.get('visual.effects.wireframe.lineWidth') || 1;
+
+            const material = this.materialManager.createPreviewWireframeMaterial({
+                color: color,
+                linewidth: lineWidth
+            });
+
+            this.polylinePreview = this.resourcePool.getLineMesh(geometry, material);
+            this.scene.add(this.polylinePreview);
+        } else {
+            this.polylinePreview.geometry.dispose();
+            this.polylinePreview.geometry = geometry;
+        }
+
+        this.polylinePreview.visible = true;
+    }
+
+    clearPolylinePreview() {
+        // ARCHITECTURE: Just hide the preview, keep for reuse
+        if (this.polylinePreview) {
+            this.polylinePreview.visible = false;
+        }
+    }
+
     // ===== BOX CREATION HELPERS =====
 
     createPreviewBox(width, height, depth, position, color = 0x00ff00, opacity = 0.8) {
@@ -503,7 +556,8 @@ class VisualEffects {
             // Skip support meshes (wireframes, highlights, padding viz itself)
             if (child.name && (child.name.includes('wireframe') ||
                               child.name.includes('highlight') ||
-                              child.name === 'paddingVisualization')) {
+                              child.name === 'paddingVisualization' ||
+                              child.name === 'layoutGridLines')) {
                 return;
             }
 
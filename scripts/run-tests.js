@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * Modler V2 Test Runner
+ * Finds every *.test.js under tests/ and runs them with the built-in Node test runner
+ *
+ * Usage:
+ *   npm test                      Run all suites
+ *   npm test -- tests/layout      Run suites under a path
+ *   UPDATE_GOLDEN=1 npm test      Rewrite golden layout snapshots
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const projectRoot = path.dirname(__dirname);
+
+function findTestFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'fixtures' || entry.name === '__golden__' ? [] : findTestFiles(fullPath);
+    }
+    return entry.name.endsWith('.test.js') ? [fullPath] : [];
+  });
+}
+
+const roots = process.argv.length > 2 ? process.argv.slice(2) : ['tests'];
+const files = roots.flatMap(root => {
+  const fullPath = path.resolve(projectRoot, root);
+  return fs.statSync(fullPath).isDirectory() ? findTestFiles(fullPath) : [fullPath];
+}).sort();
+
+if (files.length === 0) {
+  console.error('No test files found');
+  process.exit(1);
+}
+
+const result = spawnSync(process.execPath, ['--test', ...files], {
+  cwd: projectRoot,
+  stdio: 'inherit'
+});
+
+process.exit(result.status === null ? 1 : result.status);
@@ -16,6 +16,19 @@ export type PropertyPath =
 	| `autoLayout.padding.width`
 	| `autoLayout.padding.height`
 	| `autoLayout.padding.depth`
+	| `autoLayout.flow.crossGap`
+	| `autoLayout.grid.columnGap`
+	| `autoLayout.grid.rowGap`
+	| `autoLayout.radial.radius`
+	| `autoLayout.radial.startAngle`
+	| `autoLayout.radial.sweep`
+	| `autoLayout.path.radius`
+	| `autoLayout.path.startAngle`
+	| `autoLayout.path.sweep`
+	| `layoutProperties.gridColumn`
+	| `layoutProperties.gridRow`
+	| `layoutProperties.gridColumnSpan`
+	| `layoutProperties.gridRowSpan`
 	| `autoLayout.tileMode.repeat`;
 
 export interface PropertyConstraints {
@@ -79,7 +92,7 @@ class PropertyController {
 		// Container constraints
 		this.constraints.set('direction', {
 			type: 'string',
-			allowedValues: ['x', 'y', 'z']
+			allowedValues: ['x', 'y', 'z', 'flow', 'grid', 'radial', 'path']
 		});
 		this.constraints.set('containerMode', {
 			type: 'string',
@@ -103,6 +116,25 @@ class PropertyController {
 		this.constraints.set('autoLayout.padding.height', { min: 0 });
 		this.constraints.set('autoLayout.padding.depth', { min: 0 });
 
+		// Flow row gap constraints
+		this.constraints.set('autoLayout.flow.crossGap', { min: 0 });
+
+		// Track grid constraints (cell placement is 1-based)
+		this.constraints.set('autoLayout.grid.columnGap', { min: 0 });
+		this.constraints.set('autoLayout.grid.rowGap', { min: 0 });
+		this.constraints.set('layoutProperties.gridColumn', { step: 1, min: 1 });
+		this.constraints.set('layoutProperties.gridRow', { step: 1, min: 1 });
+		this.constraints.set('layoutProperties.gridColumnSpan', { step: 1, min: 1 });
+		this.constraints.set('layoutProperties.gridRowSpan', { step: 1, min: 1 });
+
+		// Radial/path constraints (angles in degrees)
+		this.constraints.set('autoLayout.radial.radius', { min: 0.01 });
+		this.constraints.set('autoLayout.radial.startAngle', { step: 15, min: -360, max: 360 });
+		this.constraints.set('autoLayout.radial.sweep', { step: 15, min: 1, max: 360 });
+		this.constraints.set('autoLayout.path.radius', { min: 0.01 });
+		this.constraints.set('autoLayout.path.startAngle', { step: 15, min: -360, max: 360 });
+		this.constraints.set('autoLayout.path.sweep', { step: 15, min: 1, max: 360 });
+
 		// Tile mode constraints
 		this.constraints.set('autoLayout.tileMode.repeat', { step: 1, min: 2, max: 20 });
 	}
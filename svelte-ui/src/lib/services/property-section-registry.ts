@@ -8,7 +8,10 @@ export type SectionType =
 	| 'transform'
 	| 'material'
 	| 'layout'
-	| 'tile';
+	| 'tile'
+	| 'component'
+	| 'constraints'
+	| 'paste-special';
 
 export interface SectionFeatures {
 	[key: string]: boolean | string | number | any;
@@ -71,7 +74,10 @@ propertySectionRegistry.register('box', [
 			dimensions: true
 		}
 	},
-	{ type: 'material' }
+	{ type: 'material' },
+	{ type: 'component' },
+	{ type: 'constraints' },
+	{ type: 'paste-special' }
 ]);
 
 propertySectionRegistry.register('container', [
@@ -83,7 +89,10 @@ propertySectionRegistry.register('container', [
 			dimensions: true
 		}
 	},
-	{ type: 'layout' }
+	{ type: 'layout' },
+	{ type: 'component' },
+	{ type: 'constraints' },
+	{ type: 'paste-special' }
 ]);
 
 propertySectionRegistry.register('tiled-container', [
@@ -95,7 +104,8 @@ propertySectionRegistry.register('tiled-container', [
 			dimensions: true
 		}
 	},
-	{ type: 'tile' }
+	{ type: 'tile' },
+	{ type: 'paste-special' }
 ]);
 
 propertySectionRegistry.register('multi', [
@@ -107,5 +117,7 @@ propertySectionRegistry.register('multi', [
 			dimensions: true
 		}
 	},
-	{ type: 'material' }
+	{ type: 'material' },
+	{ type: 'constraints' },
+	{ type: 'paste-special' }
 ]);
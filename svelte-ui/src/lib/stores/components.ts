@@ -0,0 +1,60 @@
+import { writable } from 'svelte/store';
+
+export interface ComponentMaster {
+	id: string;
+	name: string;
+	componentType: string;
+	instanceIds: string[];
+}
+
+export interface ComponentInstance {
+	id: string;
+	masterId: string;
+	masterName: string | null;
+	overrides: string[];
+	orphaned: boolean;
+}
+
+export interface SceneComponents {
+	masters: ComponentMaster[];
+	instances: ComponentInstance[];
+}
+
+// Component masters and linked instances (owned by ComponentManager in main window)
+export const sceneComponents = writable<SceneComponents>({ masters: [], instances: [] });
+
+// Sync from main window
+if (typeof window !== 'undefined') {
+	window.addEventListener('message', (event: MessageEvent) => {
+		const type = event.data?.type;
+		if (type === 'components-updated' || type === 'components-response') {
+			sceneComponents.set({
+				masters: event.data.data?.masters || [],
+				instances: event.data.data?.instances || []
+			});
+		}
+	});
+
+	if (window.parent && window.parent !== window) {
+		window.parent.postMessage({ type: 'components-get' }, '*');
+	}
+}
+
+/**
+ * Ask main window to turn an object into a component master
+ */
+export function convertToComponent(objectId: string): void {
+	window.parent.postMessage({ type: 'component-convert', objectId }, '*');
+}
+
+/**
+ * Ask main window to place a linked instance next to a master or instance
+ * (a plain object is converted to a component first)
+ */
+export function createInstance(objectId: string): void {
+	window.parent.postMessage({ type: 'component-create-instance', objectId }, '*');
+}
+
+export function detachInstance(objectId: string): void {
+	window.parent.postMessage({ type: 'component-detach', objectId }, '*');
+}
@@ -0,0 +1,54 @@
+import { writable } from 'svelte/store';
+
+export type ConstraintType = 'align' | 'mate' | 'equal' | 'offset';
+export type ConstraintAnchor = 'min' | 'max' | 'center' | 'size';
+export type ConstraintStatus = 'satisfied' | 'conflict' | 'over-constrained' | 'inactive';
+
+export interface ConstraintRef {
+	objectId: string;
+	anchor: ConstraintAnchor;
+}
+
+export interface SceneConstraint {
+	id: string;
+	type: ConstraintType;
+	axis: 'x' | 'y' | 'z';
+	target: ConstraintRef;
+	reference: ConstraintRef;
+	offset: number;
+	status: ConstraintStatus;
+}
+
+// All cross-object constraints in the scene (owned by ConstraintManager in main window)
+export const sceneConstraints = writable<SceneConstraint[]>([]);
+
+// Sync from main window
+if (typeof window !== 'undefined') {
+	window.addEventListener('message', (event: MessageEvent) => {
+		const type = event.data?.type;
+		if (type === 'scene-constraints-updated' || type === 'scene-constraints-response') {
+			sceneConstraints.set(event.data.data?.constraints || []);
+		}
+	});
+
+	if (window.parent && window.parent !== window) {
+		window.parent.postMessage({ type: 'constraints-get' }, '*');
+	}
+}
+
+/**
+ * Ask main window to add a constraint (target follows reference)
+ */
+export function addConstraint(constraint: {
+	type: ConstraintType;
+	axis: 'x' | 'y' | 'z';
+	target: { objectId: string; anchor?: ConstraintAnchor };
+	reference: { objectId: string; anchor?: ConstraintAnchor };
+	offset?: number;
+}): void {
+	window.parent.postMessage({ type: 'constraint-add', constraint }, '*');
+}
+
+export function removeConstraint(constraintId: string): void {
+	window.parent.postMessage({ type: 'constraint-remove', constraintId }, '*');
+}
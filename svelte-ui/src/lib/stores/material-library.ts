@@ -0,0 +1,64 @@
+import { writable } from 'svelte/store';
+
+export type GrainAxis = 'x' | 'y' | 'z';
+
+export interface WoodGrain {
+	color: string;
+	density: number; // Growth rings per meter
+	contrast: number; // 0-1
+}
+
+export interface LibraryMaterial {
+	id: string;
+	name: string;
+	color: string;
+	roughness: number;
+	metalness: number;
+	map: string | null; // Base-colour texture URL
+	normalMap: string | null;
+	textureSize: number; // Meters per texture repeat
+	woodGrain: WoodGrain | null;
+	builtin: boolean;
+}
+
+// Scene material library (owned by MaterialLibraryManager in main window)
+export const materialLibrary = writable<LibraryMaterial[]>([]);
+
+// Sync from main window
+if (typeof window !== 'undefined') {
+	window.addEventListener('message', (event: MessageEvent) => {
+		const type = event.data?.type;
+		if (type === 'material-library-updated' || type === 'material-library-response') {
+			materialLibrary.set(event.data.data?.materials || []);
+		}
+	});
+
+	if (window.parent && window.parent !== window) {
+		window.parent.postMessage({ type: 'material-library-get' }, '*');
+	}
+}
+
+/**
+ * Ask main window to add (no id) or update a material, optionally assigning it to objects
+ */
+export function saveMaterial(material: Partial<LibraryMaterial>, assignTo?: Array<string | number>): void {
+	window.parent.postMessage({ type: 'material-library-save', material, assignTo }, '*');
+}
+
+export function removeMaterial(materialId: string): void {
+	window.parent.postMessage({ type: 'material-library-remove', materialId }, '*');
+}
+
+/**
+ * Ask main window to give objects a library material (null = flat colour), one undo step
+ */
+export function assignMaterial(objectIds: Array<string | number>, materialId: string | null): void {
+	window.parent.postMessage({ type: 'material-assign', objectIds, materialId }, '*');
+}
+
+/**
+ * Ask main window to set the grain direction (null = longest side), one undo step
+ */
+export function setGrain(objectIds: Array<string | number>, grain: GrainAxis | null): void {
+	window.parent.postMessage({ type: 'material-set-grain', objectIds, grain }, '*');
+}
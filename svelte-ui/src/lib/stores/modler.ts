@@ -46,7 +46,7 @@ export const multiSelection = derived(selectedObjects, ($selectedObjects) => {
 		selected: false,
 		locked: false,
 		visible: true,
-		formatVersion: '1.0.0',
+		formatVersion: '1.1.0',
 		lastModified: Date.now()
 	};
 
@@ -0,0 +1,49 @@
+import { writable } from 'svelte/store';
+
+export type PropertyGroup = 'transform' | 'dimensions' | 'material' | 'autoLayout' | 'layoutProperties';
+
+export interface PropertyClipboard {
+	sourceId: string | number;
+	sourceName: string;
+	values: Partial<Record<PropertyGroup, Record<string, any>>>; // group → { property path → value }
+}
+
+// Picker labels, in display order
+export const PROPERTY_GROUP_LABELS: Record<PropertyGroup, string> = {
+	transform: 'Position & rotation',
+	dimensions: 'Dimensions',
+	material: 'Material',
+	autoLayout: 'Layout settings',
+	layoutProperties: 'Sizing in layout'
+};
+
+// Copied property groups for paste special (owned by ClipboardManager in main window)
+export const propertyClipboard = writable<PropertyClipboard | null>(null);
+
+// Sync from main window
+if (typeof window !== 'undefined') {
+	window.addEventListener('message', (event: MessageEvent) => {
+		const type = event.data?.type;
+		if (type === 'property-clipboard-updated' || type === 'property-clipboard-response') {
+			propertyClipboard.set(event.data.data?.propertyClipboard || null);
+		}
+	});
+
+	if (window.parent && window.parent !== window) {
+		window.parent.postMessage({ type: 'property-clipboard-get' }, '*');
+	}
+}
+
+/**
+ * Ask main window to copy an object's property groups
+ */
+export function copyProperties(objectId: string | number): void {
+	window.parent.postMessage({ type: 'properties-copy', objectId }, '*');
+}
+
+/**
+ * Ask main window to apply copied groups to the targets as one undo step
+ */
+export function pasteProperties(groups: PropertyGroup[], objectIds: Array<string | number>): void {
+	window.parent.postMessage({ type: 'properties-paste', groups, objectIds }, '*');
+}
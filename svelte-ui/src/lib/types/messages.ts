@@ -197,6 +197,25 @@ export interface DuplicateObjectMessage {
 	objectId: number;
 }
 
+export interface ClipboardMessage {
+	type: 'clipboard-copy' | 'clipboard-cut' | 'clipboard-paste';
+}
+
+export interface PropertyClipboardGetMessage {
+	type: 'property-clipboard-get';
+}
+
+export interface PropertiesCopyMessage {
+	type: 'properties-copy';
+	objectId: string | number;
+}
+
+export interface PropertiesPasteMessage {
+	type: 'properties-paste';
+	groups: Array<'transform' | 'dimensions' | 'material' | 'autoLayout' | 'layoutProperties'>;
+	objectIds: Array<string | number>;
+}
+
 export interface RenameObjectMessage {
 	type: 'rename-object';
 	objectId: number;
@@ -243,6 +262,130 @@ export interface RedoMessage {
 	type: 'redo';
 }
 
+export interface HistoryGetMessage {
+	type: 'history-get';
+}
+
+export interface HistoryJumpMessage {
+	type: 'history-jump';
+	position: number; // Number of applied commands after the jump
+}
+
+export interface HistoryCheckpointAddMessage {
+	type: 'history-checkpoint-add';
+	name?: string;
+}
+
+export interface HistoryCheckpointRemoveMessage {
+	type: 'history-checkpoint-remove';
+	commandId: string;
+}
+
+export interface HistoryBranchRestoreMessage {
+	type: 'history-branch-restore';
+}
+
+// ═══════════════════════════════════════════════════════════════
+// VIEWPOINT OPERATION MESSAGES
+// ═══════════════════════════════════════════════════════════════
+
+export interface ViewpointsGetMessage {
+	type: 'viewpoints-get';
+}
+
+export interface ViewpointAddMessage {
+	type: 'viewpoint-add';
+	name?: string;
+	includeVisibility?: boolean; // Also store which objects are hidden
+}
+
+export interface ViewpointActionMessage {
+	type: 'viewpoint-update' | 'viewpoint-remove' | 'viewpoint-recall';
+	id: string;
+}
+
+export interface ViewpointRenameMessage {
+	type: 'viewpoint-rename';
+	id: string;
+	name: string;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// SELECTION SET OPERATION MESSAGES
+// ═══════════════════════════════════════════════════════════════
+
+export interface SelectionSetsGetMessage {
+	type: 'selection-sets-get';
+}
+
+export interface SelectionSetAddMessage {
+	type: 'selection-set-add';
+	name?: string; // Members are the current selection
+}
+
+export interface SelectionSetActionMessage {
+	type: 'selection-set-update' | 'selection-set-remove' | 'selection-set-recall';
+	id: string;
+}
+
+export interface SelectionSetRenameMessage {
+	type: 'selection-set-rename';
+	id: string;
+	name: string;
+}
+
+// ═══════════════════════════════════════════════════════════════
+// MATERIAL LIBRARY MESSAGES
+// ═══════════════════════════════════════════════════════════════
+
+export interface MaterialLibraryGetMessage {
+	type: 'material-library-get';
+}
+
+export interface MaterialLibrarySaveMessage {
+	type: 'material-library-save';
+	material: Record<string, any>; // Without an id a new material is created
+	assignTo?: Array<string | number>; // Objects that get the saved material
+}
+
+export interface MaterialLibraryRemoveMessage {
+	type: 'material-library-remove';
+	materialId: string;
+}
+
+export interface MaterialAssignMessage {
+	type: 'material-assign';
+	objectIds: Array<string | number>;
+	materialId: string | null; // null = flat colour
+}
+
+export interface MaterialSetGrainMessage {
+	type: 'material-set-grain';
+	objectIds: Array<string | number>;
+	grain: Axis | null; // null = longest side
+}
+
+// ═══════════════════════════════════════════════════════════════
+// PRESENTATION MESSAGES
+// ═══════════════════════════════════════════════════════════════
+
+export interface PresentationGetMessage {
+	type: 'presentation-get';
+}
+
+export interface PresentationSetMessage {
+	type: 'presentation-set';
+	active?: boolean; // Enter / leave presentation mode
+	settings?: { shadows?: boolean; environment?: boolean; exposure?: number; background?: string };
+}
+
+export interface PresentationCaptureMessage {
+	type: 'presentation-capture';
+	width: number; // Pixels
+	height: number;
+	transparent?: boolean;
+}
+
 // ═══════════════════════════════════════════════════════════════
 // SYSTEM OPERATION MESSAGES
 // ═══════════════════════════════════════════════════════════════
@@ -315,6 +458,10 @@ export type UIToMainMessage =
 	// Object lifecycle
 	| DeleteObjectMessage
 	| DuplicateObjectMessage
+	| ClipboardMessage
+	| PropertyClipboardGetMessage
+	| PropertiesCopyMessage
+	| PropertiesPasteMessage
 	| RenameObjectMessage
 	// Container operations
 	| CreateContainerMessage
@@ -324,6 +471,31 @@ export type UIToMainMessage =
 	// History operations
 	| UndoMessage
 	| RedoMessage
+	| HistoryGetMessage
+	| HistoryJumpMessage
+	| HistoryCheckpointAddMessage
+	| HistoryCheckpointRemoveMessage
+	| HistoryBranchRestoreMessage
+	// Viewpoint operations
+	| ViewpointsGetMessage
+	| ViewpointAddMessage
+	| ViewpointActionMessage
+	| ViewpointRenameMessage
+	// Selection set operations
+	| SelectionSetsGetMessage
+	| SelectionSetAddMessage
+	| SelectionSetActionMessage
+	| SelectionSetRenameMessage
+	// Material library operations
+	| MaterialLibraryGetMessage
+	| MaterialLibrarySaveMessage
+	| MaterialLibraryRemoveMessage
+	| MaterialAssignMessage
+	| MaterialSetGrainMessage
+	// Presentation operations
+	| PresentationGetMessage
+	| PresentationSetMessage
+	| PresentationCaptureMessage
 	// System operations
 	| UIPanelReadyMessage
 	| KeyboardEventMessage
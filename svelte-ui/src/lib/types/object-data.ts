@@ -4,7 +4,7 @@
  * TypeScript interfaces matching the central ObjectDataFormat
  * These are the ONLY types that should be used throughout the Svelte UI
  *
- * Version: 1.0.0 (matches ObjectDataFormat.VERSION)
+ * Version: 1.1.0 (matches ObjectDataFormat.VERSION)
  */
 
 // Core position, rotation, scale interfaces
@@ -37,6 +37,8 @@ export interface Material {
     color: string; // Hex color string (e.g., "#ff0000")
     opacity: number; // 0.0 to 1.0
     transparent: boolean;
+    materialId?: string | null; // Scene material library entry
+    grain?: 'x' | 'y' | 'z' | null; // Grain axis, null = longest side
 }
 
 // Container layout interfaces
@@ -58,14 +60,65 @@ export interface TileMode {
     sourceObjectId: string;
 }
 
+export interface FlowLayout {
+    axis: 'x' | 'y' | 'z';       // Main axis children fill along
+    wrapAxis: 'x' | 'y' | 'z';   // Axis new rows stack along
+    crossGap?: number;           // Gap between rows (defaults to gap)
+}
+
+export interface GridTrack {
+    type: 'fixed' | 'fill' | 'fr' | 'auto';  // fill = 1fr, auto = content size
+    value?: number;                           // Size for fixed, weight for fr
+}
+
+export interface GridLayout {
+    columns: GridTrack[];
+    rows: GridTrack[];             // Missing rows are added as auto tracks
+    columnAxis?: 'x' | 'y' | 'z';  // Default 'x'
+    rowAxis?: 'x' | 'y' | 'z';     // Default 'y'
+    columnGap?: number;            // Defaults to gap
+    rowGap?: number;               // Defaults to gap
+}
+
+export interface RadialLayout {
+    radius: number;
+    startAngle?: number;           // Degrees, default 0
+    sweep?: number;                // Degrees, default 360 (full circle)
+    axis?: 'x' | 'y' | 'z';        // Circle normal, default 'y' (horizontal)
+    faceCenter?: boolean;          // Rotate children to face the centre
+    distribute?: boolean;          // Spread evenly (default) or keep the fixed gap
+}
+
+export interface PathPoint {
+    x: number;
+    y: number;
+    z: number;
+}
+
+export interface PathLayout {
+    type: 'polyline' | 'arc';
+    points?: PathPoint[];          // Polyline points in container-local space
+    closed?: boolean;              // Polyline joins back to its first point
+    radius?: number;               // Arc only
+    startAngle?: number;           // Arc only, degrees
+    sweep?: number;                // Arc only, degrees (default 90)
+    axis?: 'x' | 'y' | 'z';        // Arc plane normal, default 'y'; also the rotation axis for alignToPath
+    alignToPath?: boolean;         // Rotate children to follow the path direction
+    distribute?: boolean;          // Spread evenly (default) or keep the fixed gap
+}
+
 export interface AutoLayout {
     enabled: boolean;
-    direction: 'x' | 'y' | 'z' | null;
+    direction: 'x' | 'y' | 'z' | 'xy' | 'xyz' | 'flow' | 'grid' | 'radial' | 'path' | null;
     gap: number;
     padding: LayoutPadding;
     alignment: LayoutAlignment;  // SCHEMA-FIRST: Added to match schema
     reversed: boolean;            // SCHEMA-FIRST: Added to match schema
     tileMode?: TileMode;
+    flow?: FlowLayout;           // Only used when direction is 'flow'
+    grid?: GridLayout;           // Only used when direction is 'grid'
+    radial?: RadialLayout;       // Only used when direction is 'radial'
+    path?: PathLayout;           // Only used when direction is 'path'
 }
 
 // Parametric design interfaces
@@ -92,9 +145,10 @@ export interface ParametricData {
 // Component instancing interfaces
 export interface InstanceData {
     masterId: string;
-    instanceType: 'component' | 'parametric' | 'custom';
+    instanceType: 'component' | 'component-part' | 'parametric' | 'custom';
     canModify: boolean;
     inheritedProperties: string[];
+    overrides?: string[]; // Property keys that no longer follow the master
 }
 
 export interface MasterData {
@@ -104,6 +158,20 @@ export interface MasterData {
     componentType: string;
 }
 
+// Primitive build parameters (cylinder, sphere, extrusion)
+export interface ProfilePoint {
+    x: number;
+    y: number;
+}
+
+export interface PrimitiveData {
+    axis?: 'x' | 'y' | 'z'; // Cylinder length / extrusion direction
+    segments?: number; // Cylinder and sphere tessellation
+    profile?: ProfilePoint[]; // Extrusion cross-section, relative to its centre
+    positions?: number[]; // Imported mesh triangles (xyz triplets, meters, centred)
+    source?: string; // Imported mesh file name
+}
+
 /**
  * Standard ObjectData interface
  * This is the ONLY ObjectData interface that should be used
@@ -127,6 +195,7 @@ export interface ObjectData {
     // Physical properties
     dimensions: Dimensions;
     material: Material;
+    primitive?: PrimitiveData | null;
 
     // Container properties
     isContainer: boolean;
@@ -152,7 +221,7 @@ export interface ObjectData {
 
 // Tool state interface
 export interface ToolState {
-    activeTool: 'select' | 'move' | 'rotate' | 'scale' | 'push' | 'box-creation' | 'tile' | 'measure';
+    activeTool: 'select' | 'move' | 'rotate' | 'scale' | 'push' | 'box-creation' | 'cylinder-creation' | 'sphere-creation' | 'extrusion-creation' | 'tile' | 'measure';
     snapEnabled: boolean;
 }
 
@@ -262,7 +331,7 @@ export function createEmptyObjectData(id?: string): ObjectData {
         locked: false,
         visible: true,
 
-        formatVersion: '1.0.0',
+        formatVersion: '1.1.0',
         lastModified: Date.now()
     };
 }
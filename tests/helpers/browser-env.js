@@ -0,0 +1,85 @@
+/**
+ * Browser Environment for Node Tests
+ *
+ * Modler's runtime scripts are browser scripts: they register classes on `window`
+ * and pull THREE in with a single `import * as THREE from 'three'`. This helper
+ * makes `window` the Node global and runs those files as plain scripts with THREE
+ * injected, so tests exercise the real source without a bundler or browser.
+ *
+ * requestAnimationFrame is queued instead of timed - call flushFrames() to run it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const THREE = require('three');
+
+const ROOT = path.join(__dirname, '../..');
+const THREE_IMPORT = /^import \* as THREE from 'three';$/m;
+
+global.window = global;
+global.modlerComponents = global.modlerComponents || {};
+
+const frameQueue = [];
+global.requestAnimationFrame = (callback) => {
+    frameQueue.push(callback);
+    return frameQueue.length;
+};
+
+const loadedScripts = new Set();
+
+/**
+ * Run a browser script from the repo (once) so its window exports are available
+ * @param {string} relativePath - Path from the repo root, e.g. 'layout/layout-engine.js'
+ */
+function loadScript(relativePath) {
+    if (loadedScripts.has(relativePath)) return;
+
+    const filename = path.join(ROOT, relativePath);
+    const source = fs.readFileSync(filename, 'utf8');
+
+    if (/^\s*(import|export)\s/m.test(source.replace(THREE_IMPORT, ''))) {
+        throw new Error(`${relativePath}: only the THREE import is supported in Node tests`);
+    }
+
+    // Keep the wrapper on the import's line so stack traces keep their line numbers
+    const wrapped = `(function (THREE) {${source.replace(THREE_IMPORT, '')}\n})`;
+    vm.runInThisContext(wrapped, { filename })(THREE);
+    loadedScripts.add(relativePath);
+}
+
+/**
+ * Run queued animation frames (including frames queued while running)
+ * @returns {number} Frames run
+ */
+function flushFrames() {
+    let count = 0;
+    while (frameQueue.length > 0) {
+        frameQueue.shift()(performance.now());
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Silence console.log/warn while running fn (managers log on initialize)
+ */
+function quietly(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+module.exports = {
+    THREE,
+    ROOT,
+    loadScript,
+    flushFrames,
+    quietly
+};
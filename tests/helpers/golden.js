@@ -0,0 +1,67 @@
+/**
+ * Golden-File Snapshots
+ *
+ * assertGolden(name, value) compares a layout result with tests/<suite>/__golden__/<name>.json.
+ * Values are normalized first: THREE vectors become {x, y, z} and numbers are rounded
+ * to 4 decimals, so float noise does not fail a snapshot but a real shift does.
+ *
+ * Missing snapshots are written on first run. After an intended layout change,
+ * regenerate with: UPDATE_GOLDEN=1 npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+
+const PRECISION = 1e4;
+
+/**
+ * Convert a result into plain, rounded JSON data
+ * @param {*} value
+ * @returns {*}
+ */
+function normalize(value) {
+    if (typeof value === 'number') {
+        const rounded = Math.round(value * PRECISION) / PRECISION;
+        return Object.is(rounded, -0) ? 0 : rounded;
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalize);
+    }
+    if (value && typeof value === 'object') {
+        if (value.isVector3) {
+            return { x: normalize(value.x), y: normalize(value.y), z: normalize(value.z) };
+        }
+        const result = {};
+        Object.keys(value).sort().forEach(key => {
+            if (value[key] !== undefined) {
+                result[key] = normalize(value[key]);
+            }
+        });
+        return result;
+    }
+    return value;
+}
+
+/**
+ * Assert a value matches its golden file
+ * @param {string} dir - Directory holding the __golden__ folder (usually __dirname)
+ * @param {string} name - Snapshot name (file name without .json)
+ * @param {*} value - Result to compare
+ */
+function assertGolden(dir, name, value) {
+    const file = path.join(dir, '__golden__', `${name}.json`);
+    const actual = normalize(value);
+
+    if (process.env.UPDATE_GOLDEN || !fs.existsSync(file)) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+        return;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.deepStrictEqual(actual, expected,
+        `Layout output differs from ${path.relative(process.cwd(), file)} (UPDATE_GOLDEN=1 npm test to accept)`);
+}
+
+module.exports = { assertGolden, normalize };
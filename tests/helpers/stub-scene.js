@@ -0,0 +1,286 @@
+/**
+ * StubScene - Minimal SceneController for Headless Layout Tests
+ *
+ * Holds plain object data with real THREE meshes (box geometry, parented to their
+ * container mesh) and implements the SceneController surface that ObjectStateManager
+ * and LayoutPropagationManager call.
+ *
+ * updateContainer() mirrors SceneLayoutManager's mode routing with the real
+ * LayoutEngine, minus geometry factories and visuals:
+ * - layout: calculateLayoutWithConvergence → apply fill sizes + positions → resize container
+ * - hug:    calculateHugBounds → resize container around children and recenter it
+ * - manual: no-op
+ * Every call is recorded in `layoutLog` so tests can assert propagation order.
+ *
+ * New objects are announced on a synchronous StubEventBus (installed as
+ * window.objectEventBus), which is how ObjectStateManager registers them - so
+ * initialize managers before adding objects.
+ */
+
+const { THREE, loadScript } = require('./browser-env');
+
+loadScript('layout/layout-engine.js');
+
+/**
+ * Synchronous stand-in for ObjectEventBus (the real one throttles on timers)
+ */
+class StubEventBus {
+    constructor() {
+        this.EVENT_TYPES = {
+            TRANSFORM: 'object:transform',
+            GEOMETRY: 'object:geometry',
+            MATERIAL: 'object:material',
+            HIERARCHY: 'object:hierarchy',
+            LIFECYCLE: 'object:lifecycle',
+            SELECTION: 'object:selection'
+        };
+        this.subscribers = new Map();
+        this.events = [];
+    }
+
+    subscribe(eventType, callback) {
+        if (!this.subscribers.has(eventType)) {
+            this.subscribers.set(eventType, new Set());
+        }
+        this.subscribers.get(eventType).add(callback);
+        return () => this.subscribers.get(eventType).delete(callback);
+    }
+
+    emit(eventType, objectId, changeData = {}, options = {}) {
+        const event = { type: eventType, objectId, changeData, source: options.source, timestamp: Date.now() };
+        this.events.push(event);
+        (this.subscribers.get(eventType) || []).forEach(callback => callback(event));
+        return true;
+    }
+}
+
+class StubScene {
+    constructor() {
+        this.objects = new Map();
+        this.layoutLog = [];
+        this.eventBus = new StubEventBus();
+        window.objectEventBus = this.eventBus;
+    }
+
+    /**
+     * Add a box
+     * @param {string} id
+     * @param {Object} options - {size: [x,y,z], position: [x,y,z], parent, layoutProperties, type}
+     * @returns {Object} Object data
+     */
+    addBox(id, options = {}) {
+        return this.addObject(id, { type: 'box', ...options });
+    }
+
+    /**
+     * Add a container
+     * @param {string} id
+     * @param {Object} options - {size, position, parent, containerMode, autoLayout, layoutProperties}
+     * @returns {Object} Object data
+     */
+    addContainer(id, options = {}) {
+        const containerMode = options.containerMode || (options.autoLayout?.enabled ? 'layout' : 'hug');
+        return this.addObject(id, {
+            type: 'container',
+            isContainer: true,
+            containerMode,
+            isHug: containerMode === 'hug',
+            autoLayout: options.autoLayout || null,
+            ...options
+        });
+    }
+
+    /**
+     * @private
+     */
+    addObject(id, options) {
+        const { size = [1, 1, 1], position = [0, 0, 0], parent = null, ...properties } = options;
+
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size));
+        mesh.position.set(...position);
+        mesh.userData.id = id;
+
+        const objectData = {
+            id,
+            name: id,
+            isContainer: false,
+            parentContainer: null,
+            childrenOrder: [],
+            layoutProperties: null,
+            ...properties,
+            mesh,
+            dimensions: { x: size[0], y: size[1], z: size[2] }
+        };
+        this.objects.set(id, objectData);
+
+        if (parent) {
+            this.setParentContainer(id, parent);
+        }
+
+        this.eventBus.emit(this.eventBus.EVENT_TYPES.LIFECYCLE, id, { operation: 'created' });
+        return objectData;
+    }
+
+    getObject(id) {
+        return this.objects.get(id) || null;
+    }
+
+    getAllObjects() {
+        return Array.from(this.objects.values());
+    }
+
+    getObjectByMesh(mesh) {
+        return this.getAllObjects().find(object => object.mesh === mesh) || null;
+    }
+
+    /**
+     * Children in childrenOrder (layout order)
+     */
+    getChildObjects(parentId) {
+        const parent = this.getObject(parentId);
+        if (!parent) return [];
+        return parent.childrenOrder.map(id => this.getObject(id)).filter(Boolean);
+    }
+
+    setParentContainer(id, parentId) {
+        const object = this.getObject(id);
+        const oldParent = this.getObject(object.parentContainer);
+        if (oldParent) {
+            oldParent.childrenOrder = oldParent.childrenOrder.filter(childId => childId !== id);
+            oldParent.mesh.remove(object.mesh);
+        }
+
+        const parent = this.getObject(parentId);
+        object.parentContainer = parent ? parentId : null;
+        if (parent) {
+            parent.childrenOrder.push(id);
+            parent.mesh.add(object.mesh);
+        }
+        return true;
+    }
+
+    updateObjectDimensions(id, axis, value) {
+        const object = this.getObject(id);
+        object.dimensions = { ...object.dimensions, [axis]: value };
+        object.mesh.geometry.dispose();
+        object.mesh.geometry = new THREE.BoxGeometry(object.dimensions.x, object.dimensions.y, object.dimensions.z);
+        return true;
+    }
+
+    updateObjectPosition(id, axis, value) {
+        this.getObject(id).mesh.position[axis] = value;
+        return true;
+    }
+
+    updateObjectRotation(id, axis, value) {
+        this.getObject(id).mesh.rotation[axis] = value;
+        return true;
+    }
+
+    /**
+     * Container size from its dimensions
+     */
+    getContainerSize(container) {
+        return new THREE.Vector3(container.dimensions.x, container.dimensions.y, container.dimensions.z);
+    }
+
+    resizeContainer(container, size) {
+        ['x', 'y', 'z'].forEach(axis => {
+            if (Math.abs(container.dimensions[axis] - size[axis]) > 0.0001) {
+                this.updateObjectDimensions(container.id, axis, size[axis]);
+            }
+        });
+    }
+
+    /**
+     * Route a container update by mode (see SceneLayoutManager.updateContainer)
+     */
+    updateContainer(id) {
+        const container = this.getObject(id);
+        if (!container?.isContainer) return { success: false, reason: 'not a container' };
+
+        this.layoutLog.push(id);
+        const children = this.getChildObjects(id);
+        if (children.length === 0) return { success: true, reason: 'no children' };
+
+        if (container.containerMode === 'layout') {
+            return this.updateLayoutContainer(container, children);
+        }
+        if (container.containerMode === 'hug') {
+            return this.updateHugContainer(container, children);
+        }
+        return { success: false, reason: 'manual mode' };
+    }
+
+    /**
+     * @private
+     */
+    updateLayoutContainer(container, children) {
+        const fillAxes = { x: false, y: false, z: false };
+        children.forEach(child => {
+            ['x', 'y', 'z'].forEach(axis => {
+                if (child.layoutProperties?.[`size${axis.toUpperCase()}`] === 'fill') fillAxes[axis] = true;
+            });
+        });
+
+        let result = window.LayoutEngine.calculateLayoutWithConvergence(
+            children, container.autoLayout, this.getContainerSize(container), fillAxes
+        );
+
+        if (result.containerResized) {
+            this.resizeContainer(container, result.targetContainerSize);
+            result = window.LayoutEngine.calculateLayout(children, container.autoLayout, this.getContainerSize(container));
+        }
+
+        this.applyLayout(children, result);
+        container.calculatedGap = result.calculatedGap;
+        return { success: true, layoutBounds: result.bounds };
+    }
+
+    /**
+     * @private
+     */
+    applyLayout(children, result) {
+        children.forEach((child, index) => {
+            const size = result.sizes[index];
+            ['x', 'y', 'z'].forEach(axis => {
+                if (window.LayoutEngine.objectHasFillBehavior(child, axis) &&
+                    Math.abs(child.dimensions[axis] - size[axis]) > 0.001) {
+                    this.updateObjectDimensions(child.id, axis, size[axis]);
+                }
+            });
+            child.mesh.position.copy(result.positions[index]);
+        });
+    }
+
+    /**
+     * @private
+     */
+    updateHugContainer(container, children) {
+        const bounds = window.LayoutEngine.calculateHugBounds(
+            children.map(child => child.mesh),
+            container.autoLayout?.padding || {}
+        );
+
+        this.resizeContainer(container, bounds.size);
+        container.mesh.position.add(bounds.center);
+        children.forEach(child => child.mesh.position.sub(bounds.center));
+        return { success: true };
+    }
+
+    /**
+     * Plain snapshot of every object's dimensions and local position (for golden files)
+     */
+    snapshot() {
+        const result = {};
+        this.objects.forEach((object, id) => {
+            result[id] = {
+                dimensions: object.dimensions,
+                position: object.mesh.position
+            };
+        });
+        return result;
+    }
+}
+
+module.exports = { StubScene, StubEventBus };
@@ -0,0 +1,110 @@
+/**
+ * Clipboard Payload Tests
+ *
+ * ClipboardManager.buildPayload() / parsePayload() over a StubScene: whole subtrees
+ * copied parents-first with detached roots and world positions, and clipboard text
+ * that isn't copied Modler objects rejected. Also the paste special helpers
+ * (captureProperties / planPropertyPaste) that copy property groups between objects.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { loadScript } = require('../helpers/browser-env');
+const { StubScene } = require('../helpers/stub-scene');
+
+loadScript('application/serialization/object-data-format.js');
+loadScript('application/serialization/data-extractor.js');
+loadScript('application/managers/clipboard-manager.js');
+
+const ClipboardManager = window.ClipboardManager;
+const serialize = objectData => window.DataExtractor.extractSerializableData(objectData);
+
+/**
+ * shelf (at x = 4) holding pin1 and a nested drawer with knob; loose box at root
+ */
+function shelfScene() {
+    const scene = new StubScene();
+    scene.addContainer('shelf', { size: [4, 1, 1], position: [4, 0, 0] });
+    scene.addBox('pin1', { position: [-1, 0, 0], parent: 'shelf' });
+    scene.addContainer('drawer', { size: [1, 1, 1], position: [1, 0, 0], parent: 'shelf' });
+    scene.addBox('knob', { position: [0, 0, 0.5], parent: 'drawer' });
+    scene.addBox('loose', { position: [0, 0, -3] });
+    return scene;
+}
+
+describe('buildPayload', () => {
+    test('copies whole subtrees, parents before children', () => {
+        const payload = ClipboardManager.buildPayload(shelfScene(), ['shelf', 'loose'], serialize);
+
+        assert.strictEqual(payload.format, ClipboardManager.FORMAT);
+        assert.deepStrictEqual(payload.roots.map(root => root.id), ['shelf', 'loose']);
+        assert.deepStrictEqual(payload.objects.map(objData => objData.id), ['shelf', 'pin1', 'drawer', 'knob', 'loose']);
+        assert.strictEqual(payload.objects.find(objData => objData.id === 'knob').parentContainer, 'drawer');
+    });
+
+    test('roots are detached and carry their world position', () => {
+        const payload = ClipboardManager.buildPayload(shelfScene(), ['drawer'], serialize);
+
+        assert.strictEqual(payload.objects[0].parentContainer, null);
+        assert.deepStrictEqual(payload.roots[0].worldPosition, { x: 5, y: 0, z: 0 });
+        assert.deepStrictEqual(payload.objects[0].position, { x: 1, y: 0, z: 0 }, 'record keeps its local position');
+    });
+
+    test('roots center ignores height', () => {
+        const payload = ClipboardManager.buildPayload(shelfScene(), ['shelf', 'loose'], serialize);
+
+        assert.deepStrictEqual(ClipboardManager.getRootsCenter(payload.roots), { x: 2, z: -1.5 });
+    });
+});
+
+describe('parsePayload', () => {
+    test('round-trips through JSON text', () => {
+        const text = JSON.stringify(ClipboardManager.buildPayload(shelfScene(), ['loose'], serialize));
+
+        assert.deepStrictEqual(ClipboardManager.parsePayload(text), JSON.parse(text));
+    });
+
+    test('rejects text that is not copied objects', () => {
+        const payload = ClipboardManager.buildPayload(shelfScene(), ['loose'], serialize);
+
+        assert.strictEqual(ClipboardManager.parsePayload('just some text'), null);
+        assert.strictEqual(ClipboardManager.parsePayload(JSON.stringify({ format: 'other', roots: [], objects: [] })), null);
+        assert.strictEqual(ClipboardManager.parsePayload(JSON.stringify({ ...payload, roots: [{ id: 'missing' }] })), null);
+        assert.strictEqual(ClipboardManager.parsePayload(null), null);
+    });
+});
+
+describe('paste special', () => {
+    const scene = shelfScene();
+    scene.getObject('shelf').autoLayout = { enabled: true, direction: 'x', gap: 0.2 };
+    scene.getObject('pin1').layoutProperties = { sizeX: 'fill' };
+    const record = id => serialize(scene.getObject(id));
+
+    test('captures layout groups only where the source has them', () => {
+        assert.deepStrictEqual(Object.keys(ClipboardManager.captureProperties(record('shelf'))), ['transform', 'dimensions', 'material', 'autoLayout']);
+        assert.deepStrictEqual(Object.keys(ClipboardManager.captureProperties(record('pin1'))), ['transform', 'dimensions', 'material', 'layoutProperties']);
+    });
+
+    test('skips values the target already has', () => {
+        const values = ClipboardManager.captureProperties(record('pin1'));
+        const changes = ClipboardManager.planPropertyPaste(values, ['transform', 'dimensions'], [record('pin1'), record('loose')]);
+
+        assert.deepStrictEqual(changes.map(change => change.property), ['position.x', 'position.z']);
+        assert(changes.every(change => change.objectId === 'loose'));
+        assert.strictEqual(changes[0].oldValue, 0);
+        assert.strictEqual(changes[0].newValue, -1);
+    });
+
+    test('applies layout groups only to containers and container children', () => {
+        const shelfValues = ClipboardManager.captureProperties(record('shelf'));
+        const pinValues = ClipboardManager.captureProperties(record('pin1'));
+        const targets = [record('drawer'), record('loose')];
+
+        const layoutChanges = ClipboardManager.planPropertyPaste(shelfValues, ['autoLayout'], targets);
+        assert.deepStrictEqual(layoutChanges.map(change => change.objectId), ['drawer']);
+
+        const sizingChanges = ClipboardManager.planPropertyPaste(pinValues, ['layoutProperties'], targets);
+        assert.deepStrictEqual(sizingChanges.map(change => change.objectId), ['drawer']);
+        assert.deepStrictEqual(sizingChanges[0].newValue, { sizeX: 'fill' });
+    });
+});
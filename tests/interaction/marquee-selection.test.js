@@ -0,0 +1,134 @@
+/**
+ * Marquee Selection Tests
+ *
+ * MarqueeSelection.getCandidates() and pickObjects() over a StubScene: window vs
+ * crossing picks through a real THREE camera, and candidates limited to the
+ * current container context.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { THREE, loadScript } = require('../helpers/browser-env');
+const { StubScene } = require('../helpers/stub-scene');
+
+loadScript('interaction/marquee-selection.js');
+
+const MarqueeSelection = window.MarqueeSelection;
+
+/**
+ * Orthographic camera looking down -Z: NDC = world / 5 on both axes
+ */
+function frontCamera() {
+    const camera = new THREE.OrthographicCamera(-5, 5, 5, -5, 0.1, 100);
+    camera.position.set(0, 0, 10);
+    camera.lookAt(0, 0, 0);
+    return camera;
+}
+
+/**
+ * Navigation stub: inside `container` (object data) or at root when null
+ */
+function navigation(container = null) {
+    return {
+        isInContainerContext: () => container !== null,
+        getCurrentContainer: () => container
+    };
+}
+
+/**
+ * left (x -2.5..-1.5), middle (x -0.5..0.5), right (x 1.5..2.5), all 1×1×1 at y = 0
+ */
+function rowScene() {
+    const scene = new StubScene();
+    scene.addBox('left', { position: [-2, 0, 0], selectable: true });
+    scene.addBox('middle', { position: [0, 0, 0], selectable: true });
+    scene.addBox('right', { position: [2, 0, 0], selectable: true });
+    return scene;
+}
+
+function ids(objects) {
+    return objects.map(objectData => objectData.id);
+}
+
+// World x -1..2.2, y -1..1
+const RECT = { minX: -0.2, maxX: 0.44, minY: -0.2, maxY: 0.2 };
+
+describe('window and crossing', () => {
+    test('window picks only objects entirely inside the rectangle', () => {
+        const scene = rowScene();
+        const candidates = MarqueeSelection.getCandidates(scene, navigation());
+
+        const picked = MarqueeSelection.pickObjects(candidates, frontCamera(), RECT, 'window');
+
+        assert.deepStrictEqual(ids(picked), ['middle']);
+    });
+
+    test('crossing also picks objects the rectangle touches', () => {
+        const scene = rowScene();
+        const candidates = MarqueeSelection.getCandidates(scene, navigation());
+
+        const picked = MarqueeSelection.pickObjects(candidates, frontCamera(), RECT, 'crossing');
+
+        assert.deepStrictEqual(ids(picked), ['middle', 'right']);
+    });
+
+    test('objects behind a perspective camera are never picked', () => {
+        const scene = new StubScene();
+        scene.addBox('ahead', { position: [0, 0, 0], selectable: true });
+        scene.addBox('behind', { position: [0, 0, 20], selectable: true });
+        const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 100);
+        camera.position.set(0, 0, 10);
+        camera.lookAt(0, 0, 0);
+
+        const everything = { minX: -1, maxX: 1, minY: -1, maxY: 1 };
+        const candidates = MarqueeSelection.getCandidates(scene, navigation());
+
+        assert.deepStrictEqual(ids(MarqueeSelection.pickObjects(candidates, camera, everything, 'window')), ['ahead']);
+        assert.deepStrictEqual(ids(MarqueeSelection.pickObjects(candidates, camera, everything, 'crossing')), ['ahead']);
+    });
+});
+
+describe('candidates', () => {
+    test('at root level only root objects are candidates (containers are picked whole)', () => {
+        const scene = rowScene();
+        scene.addContainer('shelf', { size: [4, 1, 1], position: [0, 3, 0], selectable: true });
+        scene.addBox('pin', { parent: 'shelf', selectable: true });
+
+        const candidates = MarqueeSelection.getCandidates(scene, navigation());
+
+        assert.deepStrictEqual(ids(candidates), ['left', 'middle', 'right', 'shelf']);
+    });
+
+    test('inside a container only its children are candidates', () => {
+        const scene = rowScene();
+        const shelf = scene.addContainer('shelf', { size: [4, 1, 1], selectable: true });
+        scene.addBox('pin1', { position: [-1, 0, 0], parent: 'shelf', selectable: true });
+        scene.addBox('pin2', { position: [1, 0, 0], parent: 'shelf', selectable: true });
+
+        const candidates = MarqueeSelection.getCandidates(scene, navigation(shelf));
+        const picked = MarqueeSelection.pickObjects(candidates, frontCamera(), { minX: -1, maxX: 1, minY: -1, maxY: 1 }, 'window');
+
+        assert.deepStrictEqual(ids(candidates), ['pin1', 'pin2']);
+        assert.deepStrictEqual(ids(picked), ['pin1', 'pin2']);
+    });
+
+    test('containers are candidates even when loaded as not selectable', () => {
+        const scene = rowScene();
+        // SceneDeserializer and paste create containers with selectable: false
+        const cabinet = scene.addContainer('cabinet', { size: [4, 1, 1], position: [0, 3, 0], selectable: false });
+        scene.addContainer('drawer', { parent: 'cabinet', selectable: false });
+        scene.addBox('door', { parent: 'cabinet', selectable: true });
+
+        assert.deepStrictEqual(ids(MarqueeSelection.getCandidates(scene, navigation())), ['left', 'middle', 'right', 'cabinet']);
+        assert.deepStrictEqual(ids(MarqueeSelection.getCandidates(scene, navigation(cabinet))), ['drawer', 'door']);
+    });
+
+    test('hidden, unselectable and system objects are skipped', () => {
+        const scene = rowScene();
+        scene.getObject('left').visible = false;
+        scene.getObject('middle').selectable = false;
+        scene.addBox('grid', { selectable: true, category: 'system' });
+
+        assert.deepStrictEqual(ids(MarqueeSelection.getCandidates(scene, navigation())), ['right']);
+    });
+});
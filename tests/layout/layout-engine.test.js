@@ -0,0 +1,267 @@
+/**
+ * LayoutEngine Tests
+ *
+ * Pure layout math over real THREE vectors, loaded from layout/layout-engine.js.
+ * Each scenario asserts the key numbers by hand and pins the full output in a
+ * golden file (tests/layout/__golden__), so any drift in positions or sizes fails.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { THREE } = require('../helpers/browser-env');
+const { StubScene } = require('../helpers/stub-scene');
+const { assertGolden } = require('../helpers/golden');
+
+const LayoutEngine = window.LayoutEngine;
+
+/**
+ * Boxes for a layout call: sizes as [x, y, z], optional layoutProperties per box
+ */
+function boxes(sizes, layoutProperties = []) {
+    const scene = new StubScene();
+    return sizes.map((size, index) => scene.addBox(`box${index + 1}`, {
+        size,
+        layoutProperties: layoutProperties[index] || null
+    }));
+}
+
+function axisValues(vectors, axis) {
+    return vectors.map(vector => Math.round(vector[axis] * 1e6) / 1e6);
+}
+
+describe('linear layout', () => {
+    test('stacks children along the axis with a fixed gap, centered on the origin', () => {
+        const objects = boxes([[1, 1, 1], [2, 1, 1], [1, 1, 1]]);
+        const result = LayoutEngine.calculateLayout(objects, { direction: 'x', gap: 0.5 });
+
+        assert.deepStrictEqual(axisValues(result.positions, 'x'), [-2, 0, 2]);
+        assert.deepStrictEqual(axisValues(result.positions, 'y'), [0, 0, 0]);
+        assert.strictEqual(result.bounds.size.x, 5);
+        assertGolden(__dirname, 'linear-x', result);
+    });
+
+    test('stacks along Y from the bottom up', () => {
+        const objects = boxes([[1, 1, 1], [1, 3, 1]]);
+        const result = LayoutEngine.calculateLayout(objects, { direction: 'y', gap: 0 });
+
+        assert.deepStrictEqual(axisValues(result.positions, 'y'), [-1.5, 0.5]);
+        assertGolden(__dirname, 'linear-y', result);
+    });
+
+    test('padding grows the bounds but does not offset children', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1]]);
+        const result = LayoutEngine.calculateLayout(objects, {
+            direction: 'x', gap: 0, padding: { width: 0.25, height: 0.5, depth: 0 }
+        });
+
+        assert.deepStrictEqual(axisValues(result.positions, 'x'), [-0.5, 0.5]);
+        assert.strictEqual(result.bounds.size.x, 2.5);
+        assert.strictEqual(result.bounds.size.y, 2);
+    });
+});
+
+describe('fill sizing', () => {
+    test('fill children share the space left after fixed children and gaps', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1], [1, 1, 1]], [null, { sizeX: 'fill' }, null]);
+        const result = LayoutEngine.calculateLayout(objects, { direction: 'x', gap: 0.5 }, new THREE.Vector3(6, 2, 2));
+
+        assert.deepStrictEqual(axisValues(result.sizes, 'x'), [1, 3, 1]);
+        assert.deepStrictEqual(axisValues(result.positions, 'x'), [-2.5, 0, 2.5]);
+        assertGolden(__dirname, 'fill-x', result);
+    });
+
+    test('padding reduces the fill space on both sides', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1]], [{ sizeX: 'fill' }, { sizeX: 'fill' }]);
+        const result = LayoutEngine.calculateLayout(objects, {
+            direction: 'x', gap: 0, padding: { width: 0.5, height: 0, depth: 0 }
+        }, new THREE.Vector3(6, 1, 1));
+
+        assert.deepStrictEqual(axisValues(result.sizes, 'x'), [2.5, 2.5]);
+    });
+
+    test('perpendicular fill spans the container minus padding', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1]], [{ sizeY: 'fill' }, null]);
+        const result = LayoutEngine.calculateLayout(objects, {
+            direction: 'x', gap: 0, padding: { width: 0, height: 0.25, depth: 0 }
+        }, new THREE.Vector3(4, 3, 1));
+
+        assert.deepStrictEqual(axisValues(result.sizes, 'y'), [2.5, 1]);
+    });
+});
+
+describe('space-between (push context)', () => {
+    test('pushing along the layout axis spreads children edge to edge', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1], [1, 1, 1]]);
+        const result = LayoutEngine.calculateLayout(
+            objects, { direction: 'x', gap: 0.1 }, new THREE.Vector3(10, 1, 1), null, { axis: 'x', anchorMode: 'min' }
+        );
+
+        assert.strictEqual(result.calculatedGap, 3.5);
+        assert.deepStrictEqual(axisValues(result.positions, 'x'), [-4.5, 0, 4.5]);
+        assertGolden(__dirname, 'space-between', result);
+    });
+
+    test('space-between starts inside the padding', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1], [1, 1, 1]]);
+        const result = LayoutEngine.calculateLayout(
+            objects, { direction: 'x', gap: 0, padding: { width: 1, height: 0, depth: 0 } },
+            new THREE.Vector3(10, 1, 1), null, { axis: 'x', anchorMode: 'min' }
+        );
+
+        assert.strictEqual(result.calculatedGap, 2.5);
+        assert.deepStrictEqual(axisValues(result.positions, 'x'), [-3.5, 0, 3.5]);
+    });
+
+    test('fill children switch space-between off and keep the fixed gap', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1]], [null, { sizeX: 'fill' }]);
+        const result = LayoutEngine.calculateLayout(
+            objects, { direction: 'x', gap: 0.5 }, new THREE.Vector3(6, 1, 1), null, { axis: 'x', anchorMode: 'min' }
+        );
+
+        assert.strictEqual(result.calculatedGap, 0.5);
+        assert.deepStrictEqual(axisValues(result.sizes, 'x'), [1, 4.5]);
+    });
+
+    test('pushing a perpendicular axis keeps the fixed gap', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1]]);
+        const result = LayoutEngine.calculateLayout(
+            objects, { direction: 'x', gap: 0.5 }, new THREE.Vector3(6, 4, 1), null, { axis: 'y', anchorMode: 'min' }
+        );
+
+        assert.strictEqual(result.calculatedGap, 0.5);
+        assert.deepStrictEqual(axisValues(result.positions, 'x'), [-0.75, 0.75]);
+    });
+});
+
+describe('reversed layout', () => {
+    test('the first child takes the end position', () => {
+        const objects = boxes([[1, 1, 1], [2, 1, 1], [3, 1, 1]]);
+        const forward = LayoutEngine.calculateLayout(objects, { direction: 'x', gap: 0 });
+        const reversed = LayoutEngine.calculateLayout(objects, { direction: 'x', gap: 0, reversed: true });
+
+        assert.deepStrictEqual(axisValues(forward.positions, 'x'), [-2.5, -1, 1.5]);
+        assert.deepStrictEqual(axisValues(reversed.positions, 'x'), [2.5, 1, -1.5]);
+        // Sizes stay with their objects
+        assert.deepStrictEqual(axisValues(reversed.sizes, 'x'), [1, 2, 3]);
+        assertGolden(__dirname, 'reversed-x', reversed);
+    });
+});
+
+describe('flow layout', () => {
+    test('rows wrap inside the padding and start at the padded edges', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1], [1, 1, 1]]);
+        const result = LayoutEngine.calculateLayout(objects, {
+            direction: 'flow', gap: 0,
+            padding: { width: 0.25, height: 0.5, depth: 0 },
+            alignment: { x: 'left', y: 'bottom' }
+        }, new THREE.Vector3(2.5, 4, 1));
+
+        // 2.5 wide minus 0.25 per side leaves room for two boxes per row
+        assert.deepStrictEqual(axisValues(result.positions, 'x'), [-0.5, 0.5, -0.5]);
+        assert.deepStrictEqual(axisValues(result.positions, 'y'), [-1, -1, 0]);
+        assert.strictEqual(result.bounds.size.x, 2.5);
+    });
+
+    test('end alignment starts from the far padded edge', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1], [1, 1, 1]]);
+        const result = LayoutEngine.calculateLayout(objects, {
+            direction: 'flow', gap: 0,
+            padding: { width: 0.25, height: 0.5, depth: 0 },
+            alignment: { x: 'right', y: 'top' }
+        }, new THREE.Vector3(2.5, 4, 1));
+
+        assert.deepStrictEqual(axisValues(result.positions, 'x'), [-0.5, 0.5, 0.5]);
+        assert.deepStrictEqual(axisValues(result.positions, 'y'), [0, 0, 1]);
+    });
+});
+
+describe('grid layout', () => {
+    test('fixed and fr tracks split the container', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1], [1, 1, 1], [1, 1, 1]], [null, { sizeX: 'fill' }, null, null]);
+        const layoutConfig = {
+            direction: 'grid',
+            gap: 0,
+            grid: {
+                columns: [{ type: 'fixed', value: 2 }, { type: 'fr', value: 1 }],
+                rows: [{ type: 'auto' }, { type: 'auto' }]
+            }
+        };
+        const result = LayoutEngine.calculateLayout(objects, layoutConfig, new THREE.Vector3(6, 2, 1));
+
+        assert.deepStrictEqual(result.gridTracks.columns.map(track => track.size), [2, 4]);
+        assert.deepStrictEqual(result.gridTracks.rows.map(track => track.size), [1, 1]);
+        // The fill child stretches across its fr column
+        assert.strictEqual(result.sizes[1].x, 4);
+        assertGolden(__dirname, 'grid-tracks', result);
+    });
+
+    test('explicit cell placement and spans', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1], [3, 1, 1]], [
+            { gridColumn: 2, gridRow: 1 },
+            null,
+            { gridColumn: 1, gridRow: 2, gridColumnSpan: 2 }
+        ]);
+        const layoutConfig = {
+            direction: 'grid',
+            gap: 0.5,
+            grid: { columns: [{ type: 'auto' }, { type: 'auto' }] }
+        };
+        const tracks = LayoutEngine.calculateGridTracks(objects, layoutConfig);
+
+        assert.deepStrictEqual(tracks.placements, [
+            { column: 1, row: 0, columnSpan: 1, rowSpan: 1 },
+            { column: 0, row: 0, columnSpan: 1, rowSpan: 1 },
+            { column: 0, row: 1, columnSpan: 2, rowSpan: 1 }
+        ]);
+        // The spanning child (3 wide) grows both auto columns: 1 + 0.5 + 1 → 3
+        assert.deepStrictEqual(tracks.columns, [1.25, 1.25]);
+        assertGolden(__dirname, 'grid-placement', LayoutEngine.calculateLayout(objects, layoutConfig));
+    });
+});
+
+describe('hug bounds', () => {
+    test('wrap children in container space plus padding', () => {
+        const scene = new StubScene();
+        const a = scene.addBox('a', { size: [1, 1, 1], position: [-1, 0, 0] });
+        const b = scene.addBox('b', { size: [1, 2, 1], position: [2, 0.5, 0] });
+
+        const bounds = LayoutEngine.calculateHugBounds([a.mesh, b.mesh], { width: 0.5, height: 0, depth: 0.25 });
+
+        assert.deepStrictEqual(bounds.size.toArray(), [5, 2, 1.5]);
+        assert.deepStrictEqual(bounds.center.toArray(), [0.5, 0.5, 0]);
+        assertGolden(__dirname, 'hug-bounds', bounds);
+    });
+
+    test('rotated children count with their rotated extents', () => {
+        const scene = new StubScene();
+        const a = scene.addBox('a', { size: [2, 1, 1] });
+        a.mesh.rotation.z = Math.PI / 2;
+
+        const bounds = LayoutEngine.calculateHugBounds([a.mesh]);
+
+        assert.deepStrictEqual(axisValues([bounds.size], 'x'), [1]);
+        assert.deepStrictEqual(axisValues([bounds.size], 'y'), [2]);
+    });
+});
+
+describe('convergence', () => {
+    test('a too-small layout container resizes on non-fill axes', () => {
+        const objects = boxes([[1, 1, 1], [2, 2, 1]]);
+        const result = LayoutEngine.calculateLayoutWithConvergence(
+            objects, { direction: 'x', gap: 0.5 }, new THREE.Vector3(1, 1, 1), { x: false, y: false, z: false }
+        );
+
+        assert.strictEqual(result.containerResized, true);
+        assert.deepStrictEqual(result.targetContainerSize.toArray(), [3.5, 2, 1]);
+    });
+
+    test('fill axes keep the container size', () => {
+        const objects = boxes([[1, 1, 1], [1, 1, 1]], [{ sizeX: 'fill' }, null]);
+        const result = LayoutEngine.calculateLayoutWithConvergence(
+            objects, { direction: 'x', gap: 0 }, new THREE.Vector3(4, 1, 1), { x: true, y: false, z: false }
+        );
+
+        assert.strictEqual(result.containerResized, false);
+        assert.deepStrictEqual(axisValues(result.sizes, 'x'), [3, 1]);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Formula Tests
+ *
+ * Real FormulaManager, ObjectStateManager and HistoryManager over a StubScene:
+ * formulas are evaluated in the display unit they were typed in, and binding
+ * or removing a formula is one undo step.
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('assert');
+const { loadScript, quietly } = require('../helpers/browser-env');
+const { StubScene } = require('../helpers/stub-scene');
+
+// UnitConverter keeps the unit preference in localStorage and saves it on page unload
+window.addEventListener = window.addEventListener || (() => {});
+quietly(() => loadScript('application/utilities/unit-converter.js'));
+loadScript('application/serialization/object-data-format.js');
+loadScript('core/object-state-manager.js');
+loadScript('application/parametric/formula-evaluator.js');
+loadScript('application/parametric/dependency-graph.js');
+loadScript('application/commands/base-command.js');
+loadScript('application/commands/composite-command.js');
+loadScript('application/commands/set-formula-command.js');
+loadScript('application/managers/history-manager.js');
+loadScript('application/managers/scene-parameter-manager.js');
+loadScript('application/managers/formula-manager.js');
+
+let scene;
+let formulaManager;
+let historyManager;
+
+/**
+ * shelf (1.2 m wide container) ─ board (0.5 m wide)
+ */
+function initializeScene() {
+    scene = new StubScene();
+    const objectStateManager = new window.ObjectStateManager();
+    formulaManager = new window.FormulaManager();
+    historyManager = new window.HistoryManager();
+    window.modlerComponents = {
+        sceneController: scene,
+        objectStateManager,
+        formulaManager,
+        historyManager,
+        sceneParameterManager: new window.SceneParameterManager()
+    };
+
+    quietly(() => {
+        objectStateManager.initialize({ sceneController: scene });
+        historyManager.initialize();
+        formulaManager.initialize();
+    });
+    scene.addContainer('shelf', { size: [1.2, 1, 0.3], containerMode: 'manual' });
+    scene.addBox('board', { size: [0.5, 0.018, 0.3], parent: 'shelf' });
+}
+
+function boardWidth() {
+    return scene.getObject('board').dimensions.x;
+}
+
+describe('formula units', () => {
+    beforeEach(() => {
+        initializeScene();
+    });
+
+    test('literals are in the display unit the formula was typed in', () => {
+        window.unitConverter.userUnit = 'mm';
+        assert.strictEqual(quietly(() => formulaManager.setFormula('board', 'dimensions.x', '=parent.width / 3 - 18')), true);
+        assert.ok(Math.abs(boardWidth() - 0.382) < 1e-9, `board width ${boardWidth()}`);
+
+        // Switching the display unit keeps what the formula means
+        window.unitConverter.userUnit = 'm';
+        quietly(() => formulaManager.rebuildGraph());
+        assert.ok(Math.abs(boardWidth() - 0.382) < 1e-9, `board width ${boardWidth()}`);
+    });
+
+    test('length parameters are converted, unitless ones are not', () => {
+        window.unitConverter.userUnit = 'mm';
+        const parameters = window.modlerComponents.sceneParameterManager;
+        quietly(() => {
+            parameters.setParameter('thickness', '18mm', 'length');
+            parameters.setParameter('count', '3', 'number');
+            formulaManager.setFormula('board', 'dimensions.x', '=parent.width / count - thickness');
+        });
+
+        assert.ok(Math.abs(boardWidth() - 0.382) < 1e-9, `board width ${boardWidth()}`);
+    });
+});
+
+describe('formula history', () => {
+    beforeEach(() => {
+        initializeScene();
+        window.unitConverter.userUnit = 'm';
+    });
+
+    test('undo removes a new formula and restores the typed-over value', () => {
+        quietly(() => formulaManager.setFormula('board', 'dimensions.x', '=parent.width / 2'));
+        assert.strictEqual(boardWidth(), 0.6);
+
+        assert.strictEqual(quietly(() => historyManager.undo()), true);
+        assert.strictEqual(formulaManager.getFormula('board', 'dimensions.x'), null);
+        assert.strictEqual(boardWidth(), 0.5);
+
+        assert.strictEqual(quietly(() => historyManager.redo()), true);
+        assert.strictEqual(formulaManager.getFormula('board', 'dimensions.x'), 'parent.width / 2');
+        assert.strictEqual(boardWidth(), 0.6);
+    });
+
+    test('undo brings back a removed formula', () => {
+        quietly(() => {
+            formulaManager.setFormula('board', 'dimensions.x', '=parent.width / 2');
+            formulaManager.clearFormula('board', 'dimensions.x');
+        });
+        assert.strictEqual(formulaManager.getFormula('board', 'dimensions.x'), null);
+
+        quietly(() => historyManager.undo());
+        assert.strictEqual(formulaManager.getFormula('board', 'dimensions.x'), 'parent.width / 2');
+        assert.strictEqual(historyManager.undoStack.length, 1);
+    });
+
+    test('circular formulas are rejected without a history entry', () => {
+        quietly(() => formulaManager.setFormula('board', 'dimensions.x', '=depth'));
+        const accepted = quietly(() => formulaManager.setFormula('board', 'dimensions.z', '=width'));
+
+        assert.strictEqual(accepted, false);
+        assert.strictEqual(formulaManager.getFormula('board', 'dimensions.z'), null);
+        assert.strictEqual(historyManager.undoStack.length, 1);
+    });
+});
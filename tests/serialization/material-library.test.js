@@ -0,0 +1,148 @@
+/**
+ * Material Library Tests
+ *
+ * MaterialLibraryManager over a StubScene: per-object materials that keep their
+ * library id and grain, automatic grain following the longest side, and
+ * scene.materials holding only what a file needs (used, custom or edited), and
+ * assigning through the real HistoryManager / ObjectStateManager undo path.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { loadScript, quietly } = require('../helpers/browser-env');
+const { StubScene } = require('../helpers/stub-scene');
+
+// Logger picks its level from the page location: a non-local page logs warnings only
+window.location = { hostname: 'test', port: '' };
+loadScript('core/logger.js');
+loadScript('application/serialization/object-data-format.js');
+loadScript('core/object-state-manager.js');
+loadScript('application/handlers/property-update-handler.js');
+loadScript('application/commands/base-command.js');
+loadScript('application/commands/composite-command.js');
+loadScript('application/commands/update-property-command.js');
+loadScript('application/managers/history-manager.js');
+loadScript('application/managers/material-library-manager.js');
+
+const MaterialLibraryManager = window.MaterialLibraryManager;
+
+/**
+ * Library over a scene with a long plank (x) and a tall post (y)
+ */
+function libraryScene() {
+    const scene = new StubScene();
+    scene.addBox('plank', { size: [2, 0.02, 0.3] });
+    scene.addBox('post', { size: [0.05, 1, 0.05] });
+    window.modlerComponents = { sceneController: scene };
+    return { scene, library: new MaterialLibraryManager() };
+}
+
+describe('object materials', () => {
+    test('keep their library id, grain and colour override', () => {
+        const { scene, library } = libraryScene();
+        const mesh = scene.getObject('plank').mesh;
+        const material = library.createObjectMaterial({ materialId: 'oak', grain: 'z', color: '#aa7744' }, mesh.geometry);
+
+        assert.strictEqual(material.isMeshStandardMaterial, true);
+        assert.deepStrictEqual(MaterialLibraryManager.getMaterialData(material), {
+            color: '#aa7744', opacity: 1, transparent: false, materialId: 'oak', grain: 'z'
+        });
+        assert.notStrictEqual(library.cloneObjectMaterial(material, mesh.geometry), material, 'copies get their own material');
+    });
+
+    test('unknown library ids fall back to a flat colour', () => {
+        const { library } = libraryScene();
+        const material = library.createObjectMaterial({ materialId: 'missing', color: '#336699' });
+
+        assert.strictEqual(material.isMeshLambertMaterial, true);
+        assert.strictEqual(MaterialLibraryManager.getMaterialData(material).materialId, null);
+    });
+
+    test('automatic grain runs along the longest side', () => {
+        assert.strictEqual(MaterialLibraryManager.resolveGrain(null, { x: 2, y: 0.02, z: 0.3 }), 'x');
+        assert.strictEqual(MaterialLibraryManager.resolveGrain(null, { x: 0.05, y: 1, z: 0.05 }), 'y');
+        assert.strictEqual(MaterialLibraryManager.resolveGrain('z', { x: 2, y: 0.02, z: 0.3 }), 'z');
+    });
+});
+
+describe('scene materials', () => {
+    test('serialize keeps used, custom and edited materials only', () => {
+        const { scene, library } = libraryScene();
+        const post = scene.getObject('post').mesh;
+        post.material = library.createObjectMaterial({ materialId: 'walnut' }, post.geometry);
+
+        const custom = library.saveMaterial({ name: 'Painted MDF', color: '#3a5f7d', roughness: 0.8 });
+        library.saveMaterial({ id: 'pine', roughness: 0.4 });
+
+        assert.strictEqual(custom.id, 'm1');
+        assert.deepStrictEqual(library.serialize().map(material => material.id), ['walnut', 'pine', 'm1']);
+    });
+
+    test('deserialize restores built-ins and continues custom ids', () => {
+        const { library } = libraryScene();
+        library.deserialize([{ id: 'm4', name: 'Stain', color: '#402010' }, { name: 'no id' }]);
+
+        assert.strictEqual(library.get('m4').name, 'Stain');
+        assert.strictEqual(library.get('oak').name, 'Oak');
+        assert.strictEqual(library.saveMaterial({ name: 'Next' }).id, 'm5');
+    });
+
+    test('built-in and used materials cannot be removed', () => {
+        const { scene, library } = libraryScene();
+        const custom = library.saveMaterial({ name: 'Painted MDF' });
+        const plank = scene.getObject('plank').mesh;
+        plank.material = library.createObjectMaterial({ materialId: custom.id }, plank.geometry);
+
+        assert.strictEqual(library.removeMaterial('oak'), false);
+        assert.strictEqual(library.removeMaterial(custom.id), false);
+
+        plank.material = library.createObjectMaterial({ color: '#ffffff' });
+        assert.strictEqual(library.removeMaterial(custom.id), true);
+        assert.strictEqual(library.has(custom.id), false);
+    });
+});
+
+describe('assigning materials', () => {
+    /**
+     * Library wired to ObjectStateManager and HistoryManager the way v2-main does
+     */
+    function undoableScene() {
+        const scene = new StubScene();
+        const objectStateManager = new window.ObjectStateManager();
+        const historyManager = new window.HistoryManager();
+        const library = new MaterialLibraryManager();
+        window.modlerComponents = {
+            sceneController: scene,
+            objectStateManager,
+            historyManager,
+            propertyUpdateHandler: new window.PropertyUpdateHandler(),
+            materialLibraryManager: library
+        };
+
+        quietly(() => {
+            objectStateManager.initialize({ sceneController: scene });
+            historyManager.initialize();
+        });
+        const plank = scene.addBox('plank', { size: [2, 0.02, 0.3] });
+        plank.mesh.material = library.createObjectMaterial({ color: '#336699' });
+        return { library, historyManager, plank };
+    }
+
+    test('undo gives back the colour the library material replaced', () => {
+        const { library, historyManager, plank } = undoableScene();
+
+        assert.strictEqual(quietly(() => library.assignMaterial(['plank'], 'oak')), true);
+        assert.strictEqual(MaterialLibraryManager.getMaterialData(plank.mesh.material).color, library.get('oak').color);
+        assert.strictEqual(historyManager.undoStack.length, 1, 'material and colour are one undo step');
+
+        assert.strictEqual(quietly(() => historyManager.undo()), true);
+        assert.deepStrictEqual(MaterialLibraryManager.getMaterialData(plank.mesh.material), {
+            color: '#336699', opacity: 1, transparent: false, materialId: null, grain: null
+        });
+
+        assert.strictEqual(quietly(() => historyManager.redo()), true);
+        const redone = MaterialLibraryManager.getMaterialData(plank.mesh.material);
+        assert.strictEqual(redone.materialId, 'oak');
+        assert.strictEqual(redone.color, library.get('oak').color);
+    });
+});
@@ -5,52 +5,13 @@
  * and catch bugs like the missing autoLayout property
  */
 
-// Mock window.ObjectDataFormat for testing
-const OBJECT_DATA_FORMAT_VERSION = '1.0.0';
-
-const STANDARD_OBJECT_DATA_SCHEMA = {
-    // Core identification
-    id: 'string',
-    name: 'string',
-    type: 'string',
-
-    // Hierarchy
-    parentContainer: 'string|null',
-    childIds: 'array',
-
-    // Transform (always nested objects)
-    position: { x: 'number', y: 'number', z: 'number' },
-    rotation: { x: 'number', y: 'number', z: 'number' },
-    scale: { x: 'number', y: 'number', z: 'number' },
-
-    // Physical properties
-    dimensions: { x: 'number', y: 'number', z: 'number' },
-    material: {
-        color: 'string',
-        opacity: 'number',
-        transparent: 'boolean'
-    },
-
-    // Container properties
-    isContainer: 'boolean',
-    layoutMode: 'string|null',
-    autoLayout: {
-        enabled: 'boolean',
-        direction: 'string|null',
-        gap: 'number',
-        padding: 'object'
-    },
-    calculatedGap: 'number|undefined',
-
-    // State flags
-    selected: 'boolean',
-    locked: 'boolean',
-    visible: 'boolean',
-
-    // Metadata
-    formatVersion: 'string',
-    lastModified: 'number'
-};
+const { describe, test } = require('node:test');
+const { THREE, loadScript } = require('../helpers/browser-env');
+
+loadScript('application/serialization/object-data-format.js');
+
+const { serializeForPostMessage, standardizeObjectData } = window.ObjectDataFormat;
+const STANDARD_OBJECT_DATA_SCHEMA = window.ObjectDataFormat.SCHEMA;
 
 /**
  * Create a fully populated test object with all schema properties
@@ -76,6 +37,8 @@ function createFullObjectData() {
         },
 
         isContainer: true,
+        containerMode: 'layout',
+        isHug: false,
         layoutMode: 'stack',
         autoLayout: {
             enabled: true,
@@ -89,7 +52,7 @@ function createFullObjectData() {
         locked: false,
         visible: true,
 
-        formatVersion: '1.0.0',
+        formatVersion: window.ObjectDataFormat.VERSION,
         lastModified: Date.now()
     };
 }
@@ -152,9 +115,7 @@ describe('ObjectDataFormat Serialization Tests', () => {
         test('includes all required schema properties', () => {
             const testObject = createFullObjectData();
 
-            // In real implementation, this would call the actual function
-            // For now, we're documenting the test structure
-            const serialized = testObject; // Replace with actual serializeForPostMessage(testObject)
+            const serialized = serializeForPostMessage(testObject);
 
             const missing = hasAllSchemaProperties(serialized, STANDARD_OBJECT_DATA_SCHEMA);
 
@@ -165,7 +126,7 @@ describe('ObjectDataFormat Serialization Tests', () => {
 
         test('handles autoLayout property correctly', () => {
             const testObject = createFullObjectData();
-            const serialized = testObject; // Replace with actual serializeForPostMessage(testObject)
+            const serialized = serializeForPostMessage(testObject);
 
             // Critical test: autoLayout must be present
             if (!serialized.autoLayout) {
@@ -173,13 +134,13 @@ describe('ObjectDataFormat Serialization Tests', () => {
             }
 
             // Verify nested properties
-            if (!serialized.autoLayout.enabled !== undefined) {
+            if (serialized.autoLayout.enabled !== true) {
                 throw new Error('autoLayout.enabled missing');
             }
-            if (!serialized.autoLayout.direction !== undefined) {
+            if (serialized.autoLayout.direction !== 'x') {
                 throw new Error('autoLayout.direction missing');
             }
-            if (!serialized.autoLayout.gap !== undefined) {
+            if (serialized.autoLayout.gap !== 5) {
                 throw new Error('autoLayout.gap missing');
             }
             if (!serialized.autoLayout.padding) {
@@ -198,16 +159,16 @@ describe('ObjectDataFormat Serialization Tests', () => {
                 }
             };
 
-            const serialized = testObject; // Replace with actual serializeForPostMessage(testObject)
+            const serialized = serializeForPostMessage(testObject);
 
-            if (!serialized.autoLayout) {
+            if (!serialized.autoLayout || serialized.autoLayout.enabled !== false) {
                 throw new Error('autoLayout must be present even when disabled');
             }
         });
 
         test('creates new object references for nested properties', () => {
             const testObject = createFullObjectData();
-            const serialized = testObject; // Replace with actual serializeForPostMessage(testObject)
+            const serialized = serializeForPostMessage(testObject);
 
             // Verify nested objects are new references (not same as input)
             // This is important for Svelte reactivity
@@ -229,11 +190,19 @@ describe('ObjectDataFormat Serialization Tests', () => {
                 calculatedGap: undefined
             };
 
-            const serialized = testObject; // Replace with actual serializeForPostMessage(testObject)
+            const serialized = serializeForPostMessage(testObject);
 
-            // Should not throw errors
             // undefined properties can be omitted or set to undefined
             // null properties should be preserved as null
+            if (!serialized) {
+                throw new Error('serialization failed for sparse object');
+            }
+            if (serialized.parentContainer !== null) {
+                throw new Error('parentContainer null should be preserved');
+            }
+            if ('calculatedGap' in serialized && serialized.calculatedGap !== undefined) {
+                throw new Error('calculatedGap should stay undefined');
+            }
         });
     });
 
@@ -278,33 +247,32 @@ describe('ObjectDataFormat Serialization Tests', () => {
             // This would catch if we forgot to add it to a converter
             const flatData = {
                 id: 'test',
+                'position.x': 1,
                 'autoLayout.enabled': true,
                 'autoLayout.direction': 'x',
                 'autoLayout.gap': 5
             };
 
-            // const converted = convertFromFlatProperties(flatData);
-            // if (!converted.autoLayout) {
-            //     throw new Error('convertFromFlatProperties missing autoLayout');
-            // }
+            const converted = standardizeObjectData(flatData);
+            if (!converted.autoLayout) {
+                throw new Error('convertFromFlatProperties missing autoLayout');
+            }
         });
 
         test('convertFromThreeJS includes autoLayout from userData', () => {
-            const threeObject = {
+            const threeObject = new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshBasicMaterial());
+            threeObject.userData = {
                 id: 'test',
-                position: { x: 0, y: 0, z: 0 },
-                userData: {
-                    autoLayout: {
-                        enabled: true,
-                        direction: 'y'
-                    }
+                autoLayout: {
+                    enabled: true,
+                    direction: 'y'
                 }
             };
 
-            // const converted = convertFromThreeJS(threeObject);
-            // if (!converted.autoLayout) {
-            //     throw new Error('convertFromThreeJS missing autoLayout');
-            // }
+            const converted = standardizeObjectData(threeObject);
+            if (converted.autoLayout?.direction !== 'y') {
+                throw new Error('convertFromThreeJS missing autoLayout');
+            }
         });
     });
 });
@@ -318,5 +286,3 @@ if (typeof module !== 'undefined' && module.exports) {
         STANDARD_OBJECT_DATA_SCHEMA
     };
 }
-
-console.log('✓ Test file created - run with: node tests/serialization/object-data-format.test.js');
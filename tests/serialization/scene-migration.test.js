@@ -0,0 +1,221 @@
+/**
+ * Scene Format Migration Tests
+ *
+ * Loads every saved-file fixture in ./fixtures (one per historical format) through
+ * SceneMigrations.migrateSceneData() and asserts the upgraded result.
+ *
+ * Adding a format version? Save a fixture in the old format and add its
+ * expectations to FIXTURE_EXPECTATIONS - the test fails for fixtures without one.
+ */
+
+const { describe, test } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { ROOT, loadScript } = require('../helpers/browser-env');
+
+loadScript('application/serialization/object-data-format.js');
+loadScript('application/serialization/scene-migrations.js');
+
+const { ObjectDataFormat, SceneMigrations } = window;
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Expected state per fixture after migration
+ * objects: id -> expected properties (containerMode undefined = must stay unset)
+ * viewpoints: names of the saved viewpoints, in order
+ */
+const FIXTURE_EXPECTATIONS = {
+    // 1.0.0 before containerMode existed - derived from isHug / layoutMode / autoLayout
+    'scene-1.0.0-legacy-flags.json': {
+        objects: {
+            1: { containerMode: 'hug', isHug: true },
+            2: { containerMode: undefined, parentContainer: 1 },
+            3: { containerMode: 'layout', isHug: false },
+            4: { containerMode: undefined, parentContainer: 3 },
+            5: { containerMode: 'layout', isHug: false },
+            6: { containerMode: 'layout', isHug: false },
+            7: { containerMode: 'hug', isHug: true },
+            8: { containerMode: undefined }
+        },
+        scene: { parameters: [], constraints: [], selectionSets: [], materials: [], rootChildrenOrder: [] },
+        viewpoints: []
+    },
+
+    // 1.0.0 with containerMode - valid modes are kept as saved
+    'scene-1.0.0-container-mode.json': {
+        objects: {
+            1: { containerMode: 'manual', isHug: false },
+            2: { containerMode: undefined, parentContainer: 1 },
+            3: { containerMode: 'layout', isHug: false },
+            4: { containerMode: 'hug', isHug: true },
+            5: { containerMode: 'hug', isHug: true }
+        },
+        scene: {
+            parameters: [{ name: 'width', value: 1.2 }],
+            constraints: [],
+            selectionSets: [],
+            materials: [],
+            rootChildrenOrder: [1, 3, 4, 5]
+        },
+        viewpoints: []
+    },
+
+    // 1.1.0 before saved viewpoints - gains an empty viewpoint list
+    'scene-1.1.0.json': {
+        objects: {
+            1: { containerMode: 'hug', isHug: true },
+            2: { containerMode: undefined, parentContainer: 1 }
+        },
+        scene: { parameters: [], constraints: [], selectionSets: [], materials: [], rootChildrenOrder: [1] },
+        viewpoints: []
+    },
+
+    // 1.2.0 before selection sets - gains an empty set list
+    'scene-1.2.0.json': {
+        objects: {
+            1: { containerMode: 'hug', isHug: true },
+            2: { containerMode: undefined, parentContainer: 1 }
+        },
+        scene: { parameters: [], constraints: [], selectionSets: [], materials: [], rootChildrenOrder: [1] },
+        viewpoints: ['Front elevation', 'Box detail']
+    },
+
+    // 1.3.0 before the material library - gains an empty material list
+    'scene-1.3.0.json': {
+        objects: {
+            1: { containerMode: 'hug', isHug: true },
+            2: { containerMode: undefined, parentContainer: 1 }
+        },
+        scene: {
+            parameters: [],
+            constraints: [],
+            selectionSets: [
+                { id: 's1', name: 'Boxes', objectIds: [2] },
+                { id: 's3', name: 'Everything', objectIds: [1, 2] }
+            ],
+            materials: [],
+            rootChildrenOrder: [1]
+        },
+        viewpoints: ['Front elevation', 'Box detail']
+    },
+
+    // Current format - migration is a no-op
+    'scene-1.4.0.json': {
+        objects: {
+            1: { containerMode: 'hug', isHug: true },
+            2: { containerMode: undefined, parentContainer: 1, material: { color: '#c8a06e', opacity: 1, transparent: false, materialId: 'oak', grain: 'x' } }
+        },
+        scene: {
+            parameters: [],
+            constraints: [],
+            selectionSets: [
+                { id: 's1', name: 'Boxes', objectIds: [2] },
+                { id: 's3', name: 'Everything', objectIds: [1, 2] }
+            ],
+            rootChildrenOrder: [1]
+        },
+        viewpoints: ['Front elevation', 'Box detail']
+    }
+};
+
+function loadFixture(fileName) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, fileName), 'utf8'));
+}
+
+const fixtureFiles = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json')).sort();
+
+describe('fixtures', () => {
+    test('every fixture has expectations', () => {
+        const missing = fixtureFiles.filter(file => !FIXTURE_EXPECTATIONS[file]);
+        assert.deepStrictEqual(missing, [], `Fixtures without expectations: ${missing.join(', ')}`);
+    });
+
+    test('fixtures cover every migratable scene version', () => {
+        const fixtureVersions = new Set(fixtureFiles.map(file => loadFixture(file).version));
+        const versions = [...Object.keys(SceneMigrations.SCENE_MIGRATIONS), SceneMigrations.VERSION];
+        versions.forEach(version => {
+            assert.ok(fixtureVersions.has(version), `No fixture for scene version ${version}`);
+        });
+    });
+});
+
+fixtureFiles.forEach(fileName => {
+    const expected = FIXTURE_EXPECTATIONS[fileName];
+    if (!expected) return;
+
+    describe(fileName, () => {
+        test('migrates to current versions', () => {
+            const original = loadFixture(fileName);
+            const migrated = SceneMigrations.migrateSceneData(original);
+
+            assert.strictEqual(migrated.version, SceneMigrations.VERSION);
+            migrated.scene.objects.forEach(object => {
+                assert.strictEqual(object.formatVersion, ObjectDataFormat.VERSION, `object ${object.id} formatVersion`);
+            });
+            assert.ok('history' in migrated, 'history section present');
+            Object.entries(expected.scene).forEach(([key, value]) => {
+                assert.deepStrictEqual(migrated.scene[key], value, `scene.${key}`);
+            });
+            assert.deepStrictEqual(migrated.viewpoints.map(viewpoint => viewpoint.name), expected.viewpoints, 'viewpoints');
+        });
+
+        test('object data', () => {
+            const migrated = SceneMigrations.migrateSceneData(loadFixture(fileName));
+            const objects = new Map(migrated.scene.objects.map(object => [String(object.id), object]));
+
+            assert.strictEqual(objects.size, Object.keys(expected.objects).length, 'object count');
+            Object.entries(expected.objects).forEach(([id, properties]) => {
+                const object = objects.get(id);
+                assert.ok(object, `object ${id} exists`);
+                Object.entries(properties).forEach(([key, value]) => {
+                    assert.deepStrictEqual(object[key], value, `object ${id} ${key}`);
+                });
+            });
+        });
+
+        test('input is not mutated', () => {
+            const original = loadFixture(fileName);
+            const snapshot = JSON.parse(JSON.stringify(original));
+            SceneMigrations.migrateSceneData(original);
+            assert.deepStrictEqual(original, snapshot);
+        });
+
+        test('migration is idempotent', () => {
+            const once = SceneMigrations.migrateSceneData(loadFixture(fileName));
+            const twice = SceneMigrations.migrateSceneData(once);
+            assert.deepStrictEqual(twice, once);
+        });
+    });
+});
+
+describe('format versions', () => {
+    test('unknown scene versions are rejected', () => {
+        const future = { ...loadFixture('scene-1.1.0.json'), version: '9.0.0' };
+        assert.throws(() => SceneMigrations.migrateSceneData(future), /Unsupported scene format version: 9\.0\.0/);
+        assert.strictEqual(SceneMigrations.canMigrate('9.0.0'), false);
+        assert.strictEqual(SceneMigrations.canMigrate('1.0.0'), true);
+    });
+
+    test('unknown object format versions are rejected', () => {
+        const sceneData = loadFixture('scene-1.1.0.json');
+        sceneData.scene.objects[0].formatVersion = '9.0.0';
+        assert.throws(() => SceneMigrations.migrateSceneData(sceneData), /Unsupported object format version: 9\.0\.0/);
+    });
+
+    test('object migration does not touch current-format containers', () => {
+        const live = { id: 1, isContainer: true, containerMode: 'manual', isHug: true, formatVersion: '1.0.0' };
+        const migrated = ObjectDataFormat.migrateObjectData(live);
+        assert.strictEqual(migrated.containerMode, 'manual');
+        assert.strictEqual(migrated.isHug, true);
+        assert.strictEqual(live.formatVersion, '1.0.0');
+    });
+});
+
+describe('app version', () => {
+    test('APP_VERSION matches package.json', () => {
+        const packageJson = JSON.parse(fs.readFileSync(path.join(ROOT, 'package.json'), 'utf8'));
+        assert.strictEqual(SceneMigrations.APP_VERSION, packageJson.version);
+    });
+});
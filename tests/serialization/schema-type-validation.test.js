@@ -29,7 +29,9 @@ const EXPECTED_TYPESCRIPT_INTERFACE = {
     material: {
         color: 'string',
         opacity: 'number',
-        transparent: 'boolean'
+        transparent: 'boolean',
+        materialId: 'string|null|undefined',
+        grain: 'string|null|undefined'
     },
 
     // Container properties
@@ -44,7 +46,11 @@ const EXPECTED_TYPESCRIPT_INTERFACE = {
         padding: 'object',
         alignment: 'object|undefined',
         reversed: 'boolean|undefined',
-        tileMode: 'object|undefined'
+        tileMode: 'object|undefined',
+        flow: 'object|undefined',
+        grid: 'object|undefined',
+        radial: 'object|undefined',
+        path: 'object|undefined'
     },
     calculatedGap: 'number|undefined',
     layoutProperties: 'object|undefined',
@@ -0,0 +1,129 @@
+/**
+ * Version Retention Tests
+ *
+ * FileManager's version history rules: the newest versions are always kept,
+ * older ones thin out to the newest per hour, then per day, and recording a
+ * version reads only metadata and writes the snapshot separately.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('assert');
+const { loadScript } = require('../helpers/browser-env');
+
+loadScript('application/managers/file-manager.js');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 5, 15, 12, 30);
+
+/**
+ * FileManager without its constructor (which opens storage and reads localStorage)
+ */
+function createFileManager(retention = {}) {
+    const fileManager = Object.create(window.FileManager.prototype);
+    fileManager.versionRetention = {
+        keepRecent: 3,
+        hourlyFor: DAY,
+        dailyFor: 30 * DAY,
+        maxVersions: 50,
+        ...retention
+    };
+    return fileManager;
+}
+
+/**
+ * Versions saved `ages` ms before NOW, newest first
+ */
+function versionsAt(ages) {
+    return ages
+        .map(age => ({ id: `v${age}`, timestamp: NOW - age }))
+        .sort((a, b) => b.timestamp - a.timestamp);
+}
+
+function prunedIds(fileManager, versions) {
+    return fileManager.getVersionsToPrune(versions, NOW).map(version => version.id).sort();
+}
+
+describe('getVersionsToPrune', () => {
+    test('keeps the recent versions and the newest version of every older hour', () => {
+        const minute = 60 * 1000;
+        const versions = versionsAt([
+            1 * minute, 2 * minute, 3 * minute,     // recent
+            4 * minute, 5 * minute,                 // same hour as the recent ones
+            2 * HOUR, 2 * HOUR + 10 * minute,       // two in one older hour
+            5 * HOUR
+        ]);
+
+        assert.deepStrictEqual(prunedIds(createFileManager(), versions), [`v${4 * minute}`, `v${5 * minute}`, `v${2 * HOUR + 10 * minute}`].sort());
+    });
+
+    test('every version is in exactly one slot: hourly, then daily, then expired', () => {
+        const versions = versionsAt([
+            0, 1, 2,                                // recent
+            23 * HOUR,                              // last hourly slot
+            3 * DAY, 3 * DAY + 5 * HOUR,            // one daily slot
+            29 * DAY,
+            31 * DAY                                // past dailyFor
+        ]);
+        const pruned = prunedIds(createFileManager(), versions);
+
+        assert.deepStrictEqual(pruned, [`v${3 * DAY + 5 * HOUR}`, `v${31 * DAY}`].sort());
+    });
+
+    test('recent versions are kept even when they are old', () => {
+        const versions = versionsAt([40 * DAY, 41 * DAY, 42 * DAY, 43 * DAY]);
+
+        assert.deepStrictEqual(prunedIds(createFileManager(), versions), [`v${43 * DAY}`]);
+    });
+
+    test('never keeps more than maxVersions', () => {
+        const versions = versionsAt(Array.from({ length: 20 }, (_, i) => i * DAY + HOUR));
+        const fileManager = createFileManager({ maxVersions: 5 });
+
+        assert.strictEqual(versions.length - fileManager.getVersionsToPrune(versions, NOW).length, 5);
+    });
+});
+
+describe('recordVersion', () => {
+    function createRecorder(existing) {
+        const fileManager = createFileManager({ keepRecent: 1 });
+        const writes = [];
+        const deleted = [];
+        let captures = 0;
+
+        fileManager.storage = {
+            getVersions: async () => existing,
+            addVersion: async (version, data) => writes.push({ version, data }),
+            deleteVersions: async ids => deleted.push(...ids)
+        };
+        fileManager.thumbnailCapture = {
+            captureSceneThumbnail: async () => {
+                captures++;
+                return 'data:thumbnail';
+            }
+        };
+        return { fileManager, writes, deleted, captures: () => captures };
+    }
+
+    test('stores metadata apart from the snapshot and prunes superseded versions', async () => {
+        // Both saved in the current hour
+        const hourStart = Math.floor(Date.now() / HOUR) * HOUR;
+        const existing = [{ id: 'older', fileId: 'f', timestamp: hourStart + 1000 }];
+        const { fileManager, writes, deleted, captures } = createRecorder(existing);
+        const sceneData = { metadata: { name: 'Shelf', modified: hourStart + 2000 }, scene: { objects: [{}, {}] }, thumbnail: null };
+
+        await fileManager.recordVersion('f', sceneData, { isAutoSave: true });
+
+        assert.strictEqual(writes.length, 1);
+        const { version, data } = writes[0];
+        assert.strictEqual(version.data, undefined);
+        assert.strictEqual(version.objectCount, 2);
+        assert.strictEqual(version.size, JSON.stringify(data).length);
+        assert.strictEqual(version.thumbnail, 'data:thumbnail');
+        assert.strictEqual(captures(), 1);
+        assert.strictEqual(data.thumbnail, undefined);
+
+        // Same hour as the new (recent) version - the newer one represents it
+        assert.deepStrictEqual(deleted, ['older']);
+    });
+});
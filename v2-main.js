@@ -198,10 +198,10 @@ function initializeInteraction() {
         modlerV2Components.sceneFoundation.canvas
     );
 
-    // Initialize axis gizmo for orientation display
-    const gizmoContainer = document.getElementById('axis-gizmo-container');
-    if (gizmoContainer && window.AxisGizmo) {
-        modlerV2Components.axisGizmo = new AxisGizmo(gizmoContainer);
+    // Initialize view cube for orientation display and standard views
+    const viewCubeContainer = document.getElementById('view-cube-container');
+    if (viewCubeContainer && window.ViewCube) {
+        modlerV2Components.viewCube = new ViewCube(viewCubeContainer);
     }
     // Initialize consolidated InputController (replaces InputFoundation + InputHandler)
     modlerV2Components.inputController = new InputController(
@@ -229,6 +229,36 @@ function initializeApplication() {
     // Initialize PropertyUpdateHandler for property-panel driven layout system
     modlerV2Components.propertyUpdateHandler = new PropertyUpdateHandler();
 
+    // Initialize FormulaManager for live per-field parametric formulas
+    modlerV2Components.formulaManager = new FormulaManager();
+
+    // Initialize SceneParameterManager for document-wide named parameters
+    modlerV2Components.sceneParameterManager = new SceneParameterManager();
+
+    // Initialize ViewpointManager for saved camera views
+    modlerV2Components.viewpointManager = new ViewpointManager();
+
+    // Initialize SelectionSetManager for named, saved selections
+    modlerV2Components.selectionSetManager = new SelectionSetManager();
+
+    // Initialize MaterialLibraryManager for named PBR materials (stored once per scene)
+    modlerV2Components.materialLibraryManager = new MaterialLibraryManager();
+
+    // Initialize ClipboardManager for copy/cut/paste (survives scene loads)
+    modlerV2Components.clipboardManager = new ClipboardManager();
+
+    // Initialize ConstraintManager for persistent cross-object constraints
+    modlerV2Components.constraintManager = new ConstraintManager();
+
+    // Initialize ComponentManager for component masters and linked instances
+    modlerV2Components.componentManager = new ComponentManager();
+
+    // Initialize CutListManager for the cut list / bill of materials report
+    modlerV2Components.cutListManager = new CutListManager();
+
+    // Initialize NestingManager for packing cut-list parts onto stock sheets
+    modlerV2Components.nestingManager = new NestingManager();
+
     // Initialize ObjectSerializer for consistent object serialization
     modlerV2Components.objectSerializer = new ObjectSerializer();
 
@@ -247,6 +277,15 @@ function initializeApplication() {
     // Initialize Export/Import Manager for file sharing
     modlerV2Components.exportImportManager = new ExportImportManager();
 
+    // Initialize Mesh Export Manager for glTF/STL/OBJ interchange
+    modlerV2Components.meshExportManager = new MeshExportManager();
+
+    // Initialize Mesh Import Manager for STL/OBJ/glTF reference meshes
+    modlerV2Components.meshImportManager = new MeshImportManager();
+
+    // Initialize PresentationManager for the presentation render mode and still captures
+    modlerV2Components.presentationManager = new PresentationManager();
+
     // FileManagerHandler initialized in main-integration.js (follows SettingsHandler pattern)
 
     // Initialize components that depend on ConfigurationManager
@@ -321,8 +360,12 @@ function initializeApplication() {
     const tools = [
         ['select', SelectTool],
         ['move', MoveTool],
+        ['rotate', RotateTool],
         ['push', PushTool],
         ['box-creation', BoxCreationTool],
+        ['cylinder-creation', CylinderCreationTool],
+        ['sphere-creation', SphereCreationTool],
+        ['extrusion-creation', ExtrusionCreationTool],
         ['tile', TileTool],
         ['measure', MeasureToolAdapter]
     ];
@@ -341,12 +384,29 @@ function initializeApplication() {
     modlerV2Components.keyboardRouter = window.keyboardRouter;
     modlerV2Components.keyboardRouter.initialize(modlerV2Components);
 
-    // Add axis gizmo update to render loop
-    if (modlerV2Components.axisGizmo) {
+    // Add view cube update to render loop
+    if (modlerV2Components.viewCube) {
         modlerV2Components.sceneFoundation.addAnimationCallback(() => {
-            modlerV2Components.axisGizmo.updateOrientation(modlerV2Components.sceneFoundation.camera);
+            modlerV2Components.viewCube.updateOrientation(modlerV2Components.sceneFoundation.camera);
         });
     }
+
+    // Perspective/orthographic switch: re-point every component that caches the camera
+    modlerV2Components.sceneFoundation.addCameraChangeCallback(syncActiveCamera);
+}
+
+/**
+ * Hand the active camera to components that hold their own reference
+ * @param {THREE.Camera} camera - New active camera
+ */
+function syncActiveCamera(camera) {
+    const c = modlerV2Components;
+
+    c.cameraController?.setCamera(camera);
+    [c.inputController, c.snapController, c.snapVisualizer, c.toolGizmoManager, c.measurementTool].forEach(component => {
+        if (component) component.camera = camera;
+    });
+    c.viewCube?.updateProjectionLabel();
 }
 
 /**
@@ -386,6 +446,13 @@ function registerSnapBehaviors() {
             snapOnHover: true,
             attachmentMode: 'free'
         },
+        'rotate': {
+            // Angle snapping is handled by RotateTool (15° / 45° with Shift)
+            showSnapPoints: () => false,
+            snapPointTypes: [],
+            snapOnHover: false,
+            attachmentMode: 'free'
+        },
         'select': {
             showSnapPoints: () => false,
             snapPointTypes: [],
@@ -400,6 +467,11 @@ function registerSnapBehaviors() {
         }
     };
     
+    // Primitive creation tools share the box height phase
+    ['cylinder-creation', 'sphere-creation', 'extrusion-creation'].forEach(tool => {
+        snapBehaviors[tool] = snapBehaviors['box-creation'];
+    });
+
     Object.entries(snapBehaviors).forEach(([tool, behavior]) => {
         sc.registerToolSnapBehavior(tool, behavior);
     });
@@ -427,6 +499,31 @@ function connectComponents() {
         }
     }
 
+    // Initialize FormulaManager (subscribes to ObjectEventBus for re-evaluation)
+    if (modlerV2Components.formulaManager) {
+        modlerV2Components.formulaManager.initialize();
+    }
+
+    // Initialize MaterialLibraryManager (re-aims automatic grain when objects are resized)
+    if (modlerV2Components.materialLibraryManager) {
+        modlerV2Components.materialLibraryManager.initialize();
+    }
+
+    // Initialize ConstraintManager (re-solves when participants change)
+    if (modlerV2Components.constraintManager) {
+        modlerV2Components.constraintManager.initialize();
+    }
+
+    // Initialize ComponentManager (pushes master edits to linked instances)
+    if (modlerV2Components.componentManager) {
+        modlerV2Components.componentManager.initialize();
+    }
+
+    // Initialize CutListManager (recomputes the report when parts change)
+    if (modlerV2Components.cutListManager) {
+        modlerV2Components.cutListManager.initialize();
+    }
+
     // Initialize tile instance manager
     if (window.tileInstanceManager) {
         window.tileInstanceManager.initialize();